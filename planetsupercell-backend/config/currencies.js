@@ -0,0 +1,22 @@
+// Файл: config/currencies.js
+// Назначение: Базовая валюта магазина и список поддерживаемых валют.
+
+require('dotenv').config(); // Убедимся, что переменные окружения загружены
+
+// Базовая валюта: в ней хранятся все цены товаров (Product.price) и суммы заказов (Order.totalAmount)
+const BASE_CURRENCY = (process.env.BASE_CURRENCY || 'RUB').toUpperCase();
+
+// Валюты, в которых покупатель может смотреть цены и оформлять заказ.
+// Курсы всех валют, кроме базовой, задает администратор (models/CurrencyRate.js).
+const SUPPORTED_CURRENCIES = ['RUB', 'UAH', 'KZT', 'USD'];
+
+// Правила округления по умолчанию (если администратор не задал свои)
+// step - шаг округления (0.01 - до копеек/центов, 1 - до целых), mode - round / ceil / floor
+const DEFAULT_ROUNDING = {
+    RUB: { step: 1, mode: 'ceil' },
+    UAH: { step: 1, mode: 'ceil' },
+    KZT: { step: 10, mode: 'ceil' },
+    USD: { step: 0.01, mode: 'round' },
+};
+
+module.exports = { BASE_CURRENCY, SUPPORTED_CURRENCIES, DEFAULT_ROUNDING };
\ No newline at end of file
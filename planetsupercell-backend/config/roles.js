@@ -0,0 +1,43 @@
+// Файл: config/roles.js
+// Назначение: Роли сотрудников магазина и права доступа, которые дает каждая роль.
+
+// --- Права доступа ---
+// Проверяются на роутах через middleware authorize (middleware/authMiddleware.js)
+const PERMISSIONS = {
+    'orders:read': 'Просмотр всех заказов, скриншотов оплаты и данных покупателей',
+    'orders:update': 'Смена статуса заказов (в том числе возврат)',
+    'catalog:write': 'Создание и изменение товаров и категорий, в том числе цен',
+    'currencies:write': 'Изменение курсов валют',
+    'coupons:write': 'Управление купонами',
+    'reviews:moderate': 'Модерация отзывов',
+    'users:read': 'Просмотр пользователей, их заказов и отзывов',
+    'users:block': 'Блокировка и разблокировка покупателей',
+    'users:manage': 'Назначение и снятие ролей сотрудников, блокировка сотрудников, завершение сессий',
+};
+
+// --- Роли ---
+// owner   - владелец: все права, в том числе управление ролями
+// manager - менеджер: заказы, каталог, цены, купоны, отзывы, блокировка покупателей
+// support - поддержка: видит заказы и пользователей, модерирует отзывы, но ничего не меняет в заказах и каталоге
+// buyer   - покупатель: без служебных прав (роль по умолчанию)
+const ROLE_PERMISSIONS = {
+    owner: Object.keys(PERMISSIONS),
+    manager: ['orders:read', 'orders:update', 'catalog:write', 'currencies:write', 'coupons:write', 'reviews:moderate', 'users:read', 'users:block'],
+    support: ['orders:read', 'reviews:moderate', 'users:read'],
+    buyer: [],
+};
+
+const ROLES = Object.keys(ROLE_PERMISSIONS);
+const DEFAULT_ROLE = 'buyer';
+const OWNER_ROLE = 'owner';
+
+// --- Права пользователя (или роли) ---
+const getPermissions = (userOrRole) => {
+    const role = typeof userOrRole === 'string' ? userOrRole : userOrRole && userOrRole.role;
+    return ROLE_PERMISSIONS[role] || ROLE_PERMISSIONS[DEFAULT_ROLE];
+};
+
+// --- Есть ли у пользователя право ---
+const hasPermission = (user, permission) => getPermissions(user).includes(permission);
+
+module.exports = { PERMISSIONS, ROLE_PERMISSIONS, ROLES, DEFAULT_ROLE, OWNER_ROLE, getPermissions, hasPermission };
\ No newline at end of file
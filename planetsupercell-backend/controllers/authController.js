@@ -1,173 +1,297 @@
 // Файл: controllers/authController.js
-// Назначение: Обработка аутентификации пользователей через Telegram Web App.
+// Назначение: Обработка аутентификации пользователей через Telegram Web App и Telegram Login Widget.
 
-const crypto = require('crypto');
-const jwt = require('jsonwebtoken');
 require('dotenv').config(); // Убедимся, что переменные окружения загружены
 const User = require('../models/User'); // Импортируем модель пользователя
+const { getConversion } = require('../services/currencyService');
+const { OWNER_ROLE, getPermissions } = require('../config/roles');
+const { AUTH_ERROR_CODES, createAuthError, verifyInitData, verifyLoginWidget } = require('../services/telegramAuthService');
+const {
+    createSession,
+    refreshSession,
+    revokeSession,
+    revokeUserSessions,
+    listActiveSessions,
+} = require('../services/sessionService');
 
 // --- Ключевые переменные из .env ---
 const BOT_TOKEN = process.env.TELEGRAM_BOT_TOKEN;
 const JWT_SECRET = process.env.JWT_SECRET;
-const ADMIN_TG_ID = parseInt(process.env.ADMIN_TELEGRAM_ID, 10); // Преобразуем в число
+// Владелец магазина: при входе этот пользователь всегда получает роль owner, чтобы в системе был
+// хотя бы один сотрудник, который может назначать роли остальным (через /api/users). Необязателен.
+const OWNER_TG_ID = parseInt(process.env.ADMIN_TELEGRAM_ID, 10); // Преобразуем в число
 
-// @desc    Проверка данных аутентификации Telegram и вход/регистрация пользователя
-// @route   POST /api/auth/telegram
-// @access  Public
-exports.verifyTelegramAuth = async (req, res) => {
-    const { initData } = req.body;
+// --- Поиск или создание пользователя по данным Telegram ---
+// userData - пользователь в формате Telegram (id, first_name, last_name, username, language_code).
+// Возвращает { user, isNewUser }.
+const upsertTelegramUser = async (userData) => {
+    const telegramId = userData.id;
+    const firstName = userData.first_name || '';
+    const lastName = userData.last_name || '';
+    const username = userData.username || '';
+    const languageCode = userData.language_code; // Язык для уведомлений от бота (Login Widget его не передает)
 
-    // 1. --- Проверка наличия необходимых данных ---
-    if (!initData) {
-        return res.status(400).json({ message: 'Ошибка: initData не предоставлены.' });
+    let user = await User.findOne({ telegramId: telegramId });
+
+    if (user) {
+        // Пользователь найден, обновим данные, если они изменились
+        let needsUpdate = false;
+        if (user.firstName !== firstName) { user.firstName = firstName; needsUpdate = true; }
+        if (user.lastName !== lastName) { user.lastName = lastName; needsUpdate = true; }
+        if (user.username !== username) { user.username = username; needsUpdate = true; }
+        if (languageCode && user.languageCode !== languageCode) { user.languageCode = languageCode; needsUpdate = true; }
+        // Владелец из .env не может потерять роль owner. Остальные роли назначаются только через API
+        // и при входе не сбрасываются.
+        if (user.telegramId === OWNER_TG_ID && user.role !== OWNER_ROLE) { user.role = OWNER_ROLE; needsUpdate = true; }
+
+        if (needsUpdate) {
+             console.log(`Обновление данных для пользователя с TG ID: ${telegramId}`);
+            await user.save();
+        }
+        return { user, isNewUser: false };
     }
+
+    // Пользователь не найден, создаем нового
+    const role = telegramId === OWNER_TG_ID ? OWNER_ROLE : undefined; // Остальные - покупатели (роль по умолчанию)
+     console.log(`Создание нового пользователя с TG ID: ${telegramId}, роль: ${role || 'по умолчанию'}`);
+    user = await User.create({
+        telegramId,
+        firstName,
+        lastName,
+        username,
+        languageCode: languageCode || 'ru',
+        role,
+    });
+    return { user, isNewUser: true };
+};
+
+// --- Данные пользователя для ответа на вход и обновление токенов ---
+const toAuthUser = (user) => ({
+    id: user._id,
+    telegramId: user.telegramId,
+    firstName: user.firstName,
+    lastName: user.lastName,
+    username: user.username,
+    role: user.role,
+    permissions: getPermissions(user), // По ним фронтенд решает, какие разделы админ-панели показывать
+    currency: user.currency, // Валюта цен (null - базовая)
+    createdAt: user.createdAt // Полезно знать дату регистрации в системе
+});
+
+// --- Создание сессии и отправка ответа на вход ---
+// token - короткоживущий access-токен (JWT), refreshToken - для POST /api/auth/refresh
+// Заблокированному пользователю сессия не выдается (TelegramAuthError с кодом user-blocked).
+const sendAuthResponse = async (req, res, user, isNewUser, authMethod) => {
+    if (user.isBlocked()) {
+        console.warn(`Вход отклонен: пользователь с TG ID ${user.telegramId} заблокирован.`);
+        throw createAuthError(user.getBlockMessage(), 403, AUTH_ERROR_CODES.USER_BLOCKED, {
+            blockReason: user.blockReason,
+            blockedUntil: user.blockedUntil,
+        });
+    }
+    const tokens = await createSession(user, req, authMethod);
+    res.json({
+        ...tokens,
+        user: toAuthUser(user), // Возвращаем базовую информацию о пользователе
+        isNewUser // Можно использовать на фронтенде для приветствия
+    });
+};
+
+// --- Проверка конфигурации сервера, общая для всех способов входа ---
+// Возвращает true, если ответ с ошибкой уже отправлен
+const rejectIfMisconfigured = (res) => {
     if (!BOT_TOKEN) {
         console.error("Критическая ошибка: TELEGRAM_BOT_TOKEN не найден в .env");
-        return res.status(500).json({ message: 'Ошибка конфигурации сервера: отсутствует токен бота.' });
+        res.status(500).json({ message: 'Ошибка конфигурации сервера: отсутствует токен бота.' });
+        return true;
     }
      if (!JWT_SECRET) {
         console.error("Критическая ошибка: JWT_SECRET не найден в .env");
-        return res.status(500).json({ message: 'Ошибка конфигурации сервера: отсутствует секрет JWT.' });
+        res.status(500).json({ message: 'Ошибка конфигурации сервера: отсутствует секрет JWT.' });
+        return true;
+    }
+    return false;
+};
+
+// --- Обработка ошибок входа, общая для всех способов входа ---
+const handleAuthError = (res, error) => {
+    // Отказ в проверке данных Telegram или сессии: причина - в поле code
+    // (см. AUTH_ERROR_CODES в services/telegramAuthService.js и SESSION_ERROR_CODES в services/sessionService.js)
+    if (error.name === 'TelegramAuthError' || error.name === 'SessionError') {
+        return res.status(error.statusCode).json({ message: error.message, ...error.details });
     }
-     if (isNaN(ADMIN_TG_ID)) {
-        console.error("Критическая ошибка: ADMIN_TELEGRAM_ID не найден или не является числом в .env");
-        return res.status(500).json({ message: 'Ошибка конфигурации сервера: некорректный ID администратора.' });
+    console.error('Ошибка в процессе верификации Telegram Auth:', error);
+    // Проверяем специфичные ошибки валидации Mongoose
+    if (error.name === 'ValidationError') {
+         return res.status(400).json({ message: `Ошибка валидации данных пользователя: ${error.message}` });
     }
+    res.status(500).json({ message: 'Внутренняя ошибка сервера.' });
+};
+
+// @desc    Проверка данных аутентификации Telegram и вход/регистрация пользователя
+// @route   POST /api/auth/telegram
+// @access  Public
+exports.verifyTelegramAuth = async (req, res) => {
+    const { initData } = req.body;
+
+    // 1. --- Проверка конфигурации сервера ---
+    if (rejectIfMisconfigured(res)) return;
 
-    // 2. --- Валидация initData ---
     try {
-        const isValid = validateTelegramData(initData, BOT_TOKEN);
-        if (!isValid) {
-            console.warn("Попытка входа с невалидными initData:", initData);
-            return res.status(401).json({ message: 'Ошибка: Невалидные данные аутентификации.' });
-        }
+        // 2. --- Валидация initData: подпись, срок действия (auth_date) и повторное использование ---
+        const { user: userData } = await verifyInitData(initData, BOT_TOKEN);
 
-        // 3. --- Извлечение данных пользователя ---
-        const params = new URLSearchParams(initData);
-        const userData = JSON.parse(params.get('user'));
+        // 3. --- Поиск или создание пользователя в БД ---
+        const { user, isNewUser } = await upsertTelegramUser(userData);
 
-        if (!userData || !userData.id) {
-             console.error("Ошибка парсинга user из initData:", params.get('user'));
-            return res.status(400).json({ message: 'Ошибка: Не удалось извлечь данные пользователя из initData.' });
-        }
+        // 4. --- Создание сессии (access- и refresh-токены) и отправка ответа ---
+        await sendAuthResponse(req, res, user, isNewUser, 'webapp');
+    } catch (error) {
+        handleAuthError(res, error);
+    }
+};
+
+
+// @desc    Вход через Telegram Login Widget (браузерная админ-панель вне Mini App)
+// @route   POST /api/auth/telegram-login
+// @access  Public
+// Тело: объект, полученный от виджета (id, first_name, last_name, username, photo_url, auth_date, hash).
+// Если TELEGRAM_LOGIN_STAFF_ONLY=true, войти могут только сотрудники (роль с правами), новые аккаунты не создаются.
+exports.verifyTelegramLogin = async (req, res) => {
+    if (rejectIfMisconfigured(res)) return;
 
-        const telegramId = userData.id;
-        const firstName = userData.first_name || '';
-        const lastName = userData.last_name || '';
-        const username = userData.username || '';
-
-        // 4. --- Поиск или создание пользователя в БД ---
-        let user = await User.findOne({ telegramId: telegramId });
-        let isNewUser = false;
-
-        if (user) {
-            // Пользователь найден, обновим данные, если они изменились
-            let needsUpdate = false;
-            if (user.firstName !== firstName) { user.firstName = firstName; needsUpdate = true; }
-            if (user.lastName !== lastName) { user.lastName = lastName; needsUpdate = true; }
-            if (user.username !== username) { user.username = username; needsUpdate = true; }
-            // Перепроверяем админский статус на случай изменения в .env (хотя лучше это делать при старте)
-            const shouldBeAdmin = user.telegramId === ADMIN_TG_ID;
-            if (user.isAdmin !== shouldBeAdmin) { user.isAdmin = shouldBeAdmin; needsUpdate = true; }
-
-            if (needsUpdate) {
-                 console.log(`Обновление данных для пользователя с TG ID: ${telegramId}`);
-                await user.save();
+    try {
+        // 1. --- Валидация данных виджета: подпись (ключ - SHA-256 токена бота), срок действия и повтор ---
+        const { user: userData } = await verifyLoginWidget(req.body, BOT_TOKEN);
+
+        // 2. --- Ограничение входа сотрудниками ---
+        // Проверяем ДО создания пользователя, чтобы вход через виджет не регистрировал покупателей.
+        // Владелец из .env проходит всегда (его роль выставляется в upsertTelegramUser).
+        if (process.env.TELEGRAM_LOGIN_STAFF_ONLY === 'true' && userData.id !== OWNER_TG_ID) {
+            const existingUser = await User.findOne({ telegramId: userData.id }).select('role');
+            if (getPermissions(existingUser).length === 0) {
+                console.warn(`Вход через Login Widget отклонен: пользователь с TG ID ${userData.id} не сотрудник.`);
+                throw createAuthError('Доступ запрещен: вход через браузер доступен только сотрудникам магазина.', 403, AUTH_ERROR_CODES.STAFF_ONLY);
             }
+        }
+
+        // 3. --- Поиск или создание пользователя в БД, создание сессии ---
+        const { user, isNewUser } = await upsertTelegramUser(userData);
+        await sendAuthResponse(req, res, user, isNewUser, 'login-widget');
+    } catch (error) {
+        handleAuthError(res, error);
+    }
+};
+
+
+// @desc    Обновить настройки пользователя (валюта цен)
+// @route   PUT /api/auth/preferences
+// @access  Private
+exports.updatePreferences = async (req, res) => {
+    const { currency } = req.body; // Код валюты или null/'' - вернуться к базовой валюте
 
-        } else {
-            // Пользователь не найден, создаем нового
-             isNewUser = true;
-            const isAdmin = telegramId === ADMIN_TG_ID; // Определяем, админ ли это
-             console.log(`Создание нового пользователя с TG ID: ${telegramId}, isAdmin: ${isAdmin}`);
-            user = await User.create({
-                telegramId,
-                firstName,
-                lastName,
-                username,
-                isAdmin,
-            });
+    try {
+        const user = await User.findById(req.user.id);
+        if (!user) {
+            return res.status(404).json({ message: 'Пользователь не найден.' });
         }
 
-        // 5. --- Генерация JWT токена ---
-        const payload = {
-            user: {
-                id: user._id, // Используем ID из НАШЕЙ базы данных
-                isAdmin: user.isAdmin // Включаем флаг админа в токен
-            }
-        };
-
-        jwt.sign(
-            payload,
-            JWT_SECRET,
-            { expiresIn: '7d' }, // Токен действителен 7 дней
-            (err, token) => {
-                if (err) {
-                    console.error("Ошибка генерации JWT:", err);
-                     return res.status(500).json({ message: 'Ошибка сервера при генерации токена.' });
-                }
-
-                // 6. --- Отправка токена и данных пользователя ---
-                res.json({
-                    token,
-                    user: { // Возвращаем базовую информацию о пользователе
-                        id: user._id,
-                        telegramId: user.telegramId,
-                        firstName: user.firstName,
-                        lastName: user.lastName,
-                        username: user.username,
-                        isAdmin: user.isAdmin,
-                        createdAt: user.createdAt // Полезно знать дату регистрации в системе
-                    },
-                    isNewUser // Можно использовать на фронтенде для приветствия
-                });
-            }
-        );
+        if (currency !== undefined) {
+            // getConversion проверяет, что валюта поддерживается и курс для нее задан
+            user.currency = currency ? (await getConversion(currency)).currency : null;
+        }
+        await user.save();
 
+        res.json({ currency: user.currency, languageCode: user.languageCode });
     } catch (error) {
-        console.error('Ошибка в процессе верификации Telegram Auth:', error);
-        // Проверяем специфичные ошибки валидации Mongoose
-        if (error.name === 'ValidationError') {
-             return res.status(400).json({ message: `Ошибка валидации данных пользователя: ${error.message}` });
+        if (error.name === 'CurrencyError') {
+            return res.status(error.statusCode).json({ message: error.message, ...error.details });
         }
-        res.status(500).json({ message: 'Внутренняя ошибка сервера.' });
+        console.error('Ошибка при обновлении настроек пользователя:', error);
+        res.status(500).json({ message: 'Внутренняя ошибка сервера при обновлении настроек.' });
     }
 };
 
+// @desc    Обновить access-токен по refresh-токену (refresh-токен заменяется новым)
+// @route   POST /api/auth/refresh
+// @access  Public (по refresh-токену)
+// Тело: { refreshToken }
+exports.refreshTokens = async (req, res) => {
+    if (rejectIfMisconfigured(res)) return;
 
-// --- Вспомогательная функция для валидации initData ---
-function validateTelegramData(initData, botToken) {
     try {
-        const params = new URLSearchParams(initData);
-        const hash = params.get('hash');
-        if (!hash) return false; // Хэш обязателен
-
-        const dataToCheck = [];
-        // Собираем все параметры КРОМЕ hash и сортируем их
-        for (const [key, value] of params.entries()) {
-            if (key !== 'hash') {
-                dataToCheck.push(`${key}=${value}`);
-            }
-        }
-        dataToCheck.sort(); // Сортируем по ключу
+        const { user, tokens } = await refreshSession(req.body.refreshToken, req);
+        res.json({ ...tokens, user: toAuthUser(user) });
+    } catch (error) {
+        handleAuthError(res, error);
+    }
+};
 
-        const dataCheckString = dataToCheck.join('\n');
 
-        // Вычисляем секретный ключ
-        const secretKey = crypto.createHmac('sha256', 'WebAppData').update(botToken).digest();
+// @desc    Выйти (завершить текущую сессию)
+// @route   POST /api/auth/logout
+// @access  Private
+exports.logout = async (req, res) => {
+    try {
+        await revokeSession(req.sessionId, { revokedBy: req.user._id, reason: 'logout' });
+        res.json({ message: 'Вы вышли из системы.' });
+    } catch (error) {
+        console.error('Ошибка при выходе из системы:', error);
+        res.status(500).json({ message: 'Внутренняя ошибка сервера при выходе.' });
+    }
+};
 
-        // Вычисляем хэш строки данных
-        const calculatedHash = crypto.createHmac('sha256', secretKey).update(dataCheckString).digest('hex');
 
-        // Сравниваем вычисленный хэш с полученным
-        return calculatedHash === hash;
+// @desc    Выйти на всех устройствах (завершить все сессии пользователя)
+// @route   POST /api/auth/logout-all
+// @access  Private
+// Тело: { keepCurrent: true } - оставить текущую сессию (завершить только остальные)
+exports.logoutAll = async (req, res) => {
+    try {
+        const revokedCount = await revokeUserSessions(req.user._id, {
+            revokedBy: req.user._id,
+            reason: 'logout-all',
+            exceptSessionId: req.body && req.body.keepCurrent ? req.sessionId : null,
+        });
+        res.json({ message: `Завершено сессий: ${revokedCount}.`, revokedCount });
+    } catch (error) {
+        console.error('Ошибка при выходе на всех устройствах:', error);
+        res.status(500).json({ message: 'Внутренняя ошибка сервера при выходе.' });
+    }
+};
 
+
+// @desc    Получить активные сессии (устройства) текущего пользователя
+// @route   GET /api/auth/sessions
+// @access  Private
+exports.getMySessions = async (req, res) => {
+    try {
+        const sessions = await listActiveSessions(req.user._id);
+        res.json(sessions.map(session => ({
+            ...session.toObject(),
+            isCurrent: session._id.toString() === String(req.sessionId), // Сессия, с которой сделан запрос
+        })));
     } catch (error) {
-        console.error("Ошибка во время валидации Telegram данных:", error);
-        return false; // Считаем невалидным при любой ошибке в процессе
+        console.error('Ошибка при получении сессий пользователя:', error);
+        res.status(500).json({ message: 'Внутренняя ошибка сервера при получении сессий.' });
     }
-}
+};
+
 
-// Можно добавить и другие функции, если они нужны для аутентификации,
-// например, выход из системы (хотя для JWT это обычно просто удаление токена на клиенте)
-// exports.logout = (req, res) => { ... };
\ No newline at end of file
+// @desc    Завершить одну из своих сессий (например, на потерянном устройстве)
+// @route   DELETE /api/auth/sessions/:id
+// @access  Private
+exports.revokeMySession = async (req, res) => {
+    try {
+        const sessions = await listActiveSessions(req.user._id);
+        const session = sessions.find(item => item._id.toString() === req.params.id);
+        if (!session) {
+            return res.status(404).json({ message: 'Сессия не найдена или уже завершена.' });
+        }
+        await revokeSession(session._id, { revokedBy: req.user._id, reason: 'logout' });
+        res.json({ message: 'Сессия завершена.' });
+    } catch (error) {
+        console.error('Ошибка при завершении сессии:', error);
+        res.status(500).json({ message: 'Внутренняя ошибка сервера при завершении сессии.' });
+    }
+};
\ No newline at end of file
@@ -0,0 +1,216 @@
+// Файл: controllers/cartController.js
+// Назначение: Обработка API запросов, связанных с серверной корзиной покупателя.
+
+const asyncHandler = require('express-async-handler'); // Обработчик для async функций
+const Cart = require('../models/Cart');
+const Product = require('../models/Product');
+const { removeUploadedFile } = require('../middleware/uploadMiddleware');
+const { getOrCreateCart, priceCart, toOrderItems } = require('../services/cartService');
+const { placeOrder, getPlaceOrderErrorResponse } = require('../services/orderService');
+const { maskOrderCheckoutFields } = require('../utils/checkoutFields');
+
+const MAX_ITEM_QUANTITY = 99; // Максимальное количество одной позиции в корзине
+
+// Сколько действует блокировка оформления корзины. Если процесс упал посреди оформления,
+// после этого срока корзину снова можно оформить.
+const CHECKOUT_LOCK_DURATION_MS = 2 * 60 * 1000;
+
+// --- Проверка количества из тела запроса ---
+const parseQuantity = (res, quantity) => {
+    const value = Number(quantity);
+    if (!Number.isInteger(value) || value < 1 || value > MAX_ITEM_QUANTITY) {
+        res.status(400); throw new Error(`Количество должно быть целым числом от 1 до ${MAX_ITEM_QUANTITY}.`);
+    }
+    return value;
+};
+
+// --- Проверка значений полей оформления из тела запроса ({ key: value }) ---
+// Сами значения проверяются при оформлении заказа, здесь - только формат
+const parseFields = (res, fields) => {
+    if (fields === null || typeof fields !== 'object' || Array.isArray(fields)) {
+        res.status(400); throw new Error('Поля оформления (fields) должны быть объектом { ключ: значение }.');
+    }
+    return Object.fromEntries(Object.entries(fields).map(([key, value]) => [key, String(value)]));
+};
+
+// --- Снятие блокировки оформления ---
+// Снимается только своя блокировка: если срок истек и корзину захватил другой запрос, его блокировка остается
+const releaseCheckoutLock = (cartId, lockedUntil) => Cart.updateOne(
+    { _id: cartId, checkoutLockedUntil: lockedUntil },
+    { $set: { checkoutLockedUntil: null } }
+).catch((error) => {
+    console.error(`Не удалось снять блокировку оформления корзины ${cartId}:`, error);
+});
+
+// --- Поиск позиции корзины по ID ---
+const findCartItem = (res, cart, itemId) => {
+    const item = cart.items.id(itemId);
+    if (!item) {
+        res.status(404); throw new Error('Позиция корзины не найдена.');
+    }
+    return item;
+};
+
+// @desc    Получить корзину (пересчитанную по актуальным ценам и остаткам)
+// @route   GET /api/cart
+// @access  Private
+exports.getCart = asyncHandler(async (req, res) => {
+    const cart = await getOrCreateCart(req.user.id);
+    res.json(await priceCart(cart, req.conversion));
+});
+
+// @desc    Добавить товар в корзину
+// @route   POST /api/cart/items
+// @access  Private
+// Тело: { productId, variantId?, quantity?, fields? }. Если товар (вариант) уже в корзине - количество суммируется.
+exports.addCartItem = asyncHandler(async (req, res) => {
+    const { productId, variantId = null, quantity = 1, fields } = req.body;
+    const addQuantity = parseQuantity(res, quantity);
+    const parsedFields = fields !== undefined ? parseFields(res, fields) : null;
+
+    if (!productId) {
+        res.status(400);
+        throw new Error('Не указан товар (productId).');
+    }
+    const product = await Product.findOne({ _id: productId, archivedAt: null });
+    if (!product) {
+        res.status(404);
+        throw new Error(`Товар с ID ${productId} не найден.`);
+    }
+    if (product.variants.length > 0 && (!variantId || !product.variants.id(variantId))) {
+        res.status(400);
+        throw new Error(variantId ? `Вариант ${variantId} товара "${product.name}" не найден.` : `Выберите вариант товара "${product.name}".`);
+    }
+    if (product.variants.length === 0 && variantId) {
+        res.status(400);
+        throw new Error(`У товара "${product.name}" нет вариантов.`);
+    }
+
+    const cart = await getOrCreateCart(req.user.id);
+    const existingItem = cart.items.find(item =>
+        item.productId.toString() === product._id.toString()
+        && String(item.variantId || '') === String(variantId || ''));
+
+    if (existingItem) {
+        existingItem.quantity = Math.min(existingItem.quantity + addQuantity, MAX_ITEM_QUANTITY);
+        if (parsedFields) existingItem.fields = parsedFields;
+    } else {
+        cart.items.push({ productId: product._id, variantId, quantity: addQuantity, fields: parsedFields || {} });
+    }
+
+    await cart.save();
+    res.status(201).json(await priceCart(cart, req.conversion));
+});
+
+// @desc    Изменить количество или поля оформления позиции корзины
+// @route   PUT /api/cart/items/:itemId
+// @access  Private
+exports.updateCartItem = asyncHandler(async (req, res) => {
+    const { quantity, fields } = req.body;
+    const cart = await getOrCreateCart(req.user.id);
+    const item = findCartItem(res, cart, req.params.itemId);
+
+    if (quantity !== undefined) item.quantity = parseQuantity(res, quantity);
+    if (fields !== undefined) item.fields = parseFields(res, fields);
+
+    await cart.save();
+    res.json(await priceCart(cart, req.conversion));
+});
+
+// @desc    Удалить позицию из корзины
+// @route   DELETE /api/cart/items/:itemId
+// @access  Private
+exports.removeCartItem = asyncHandler(async (req, res) => {
+    const cart = await getOrCreateCart(req.user.id);
+    findCartItem(res, cart, req.params.itemId).deleteOne();
+
+    await cart.save();
+    res.json(await priceCart(cart, req.conversion));
+});
+
+// @desc    Очистить корзину
+// @route   DELETE /api/cart
+// @access  Private
+exports.clearCart = asyncHandler(async (req, res) => {
+    await Cart.updateOne({ user: req.user.id }, { $set: { items: [] } });
+    res.json({ message: 'Корзина очищена.' });
+});
+
+// --- Оформление захваченной корзины ---
+// cart - корзина с блокировкой оформления; блокировку снимает checkoutCart
+const checkoutClaimedCart = async (req, res, cart, screenshotFile) => {
+    const { couponCode, paymentProvider } = req.body;
+
+    // 2. Перед оформлением покупатель должен увидеть актуальную корзину: при росте цены, нехватке товара
+    // или недоступной позиции заказ не создается, а клиент получает пересчитанную корзину.
+    // Увиденные цены запоминаются, поэтому повторное оформление после проверки пройдет.
+    const pricedCart = await priceCart(cart, req.conversion);
+    if (pricedCart.warnings.length > 0) {
+        removeUploadedFile(screenshotFile);
+        return res.status(409).json({ message: 'Корзина изменилась. Проверьте цены и наличие товаров и повторите оформление.', cart: pricedCart });
+    }
+
+    // 3. Оформление заказа по снимку корзины на момент захвата
+    const orderedItemIds = cart.items.map(item => item._id);
+    let createdOrder;
+    try {
+        createdOrder = await placeOrder(req.user, toOrderItems(cart), {
+            couponCode,
+            currency: req.conversion.currency,
+            paymentProvider,
+            screenshotFileName: screenshotFile ? screenshotFile.filename : null,
+        });
+    } catch (error) {
+        console.error('Ошибка при оформлении заказа из корзины:', error);
+        removeUploadedFile(screenshotFile);
+        const errorResponse = getPlaceOrderErrorResponse(error);
+        if (errorResponse) {
+            return res.status(errorResponse.statusCode).json(errorResponse.body);
+        }
+        throw error;
+    }
+
+    // 4. Из корзины убираем только оформленные позиции: товары, добавленные во время оформления, остаются
+    await Cart.updateOne({ _id: cart._id }, { $pull: { items: { _id: { $in: orderedItemIds } } } });
+
+    res.status(201).json(maskOrderCheckoutFields(createdOrder));
+};
+
+// @desc    Оформить заказ из сохраненной корзины
+// @route   POST /api/cart/checkout
+// @access  Private
+// Принимает multipart/form-data: файл 'screenshot' (для ручной оплаты) и необязательные поля 'couponCode' и 'paymentProvider'.
+// Валюта заказа - из req.conversion (?currency=... или настройка пользователя)
+exports.checkoutCart = asyncHandler(async (req, res) => {
+    const screenshotFile = req.file;
+
+    // 1. Захват корзины: условное обновление пройдет только у одного из одновременных запросов,
+    // поэтому по одной корзине не будет создано два заказа
+    const now = new Date();
+    const lockedUntil = new Date(now.getTime() + CHECKOUT_LOCK_DURATION_MS);
+    const cart = await Cart.findOneAndUpdate(
+        {
+            user: req.user.id,
+            'items.0': { $exists: true },
+            $or: [{ checkoutLockedUntil: null }, { checkoutLockedUntil: { $lte: now } }],
+        },
+        { $set: { checkoutLockedUntil: lockedUntil } },
+        { new: true }
+    );
+    if (!cart) {
+        removeUploadedFile(screenshotFile);
+        const existingCart = await Cart.findOne({ user: req.user.id }).select('items');
+        if (existingCart && existingCart.items.length > 0) {
+            res.status(409);
+            throw new Error('Заказ из этой корзины уже оформляется. Дождитесь завершения.');
+        }
+        res.status(400);
+        throw new Error('Корзина пуста. Невозможно создать заказ.');
+    }
+
+    try {
+        return await checkoutClaimedCart(req, res, cart, screenshotFile);
+    } finally {
+        await releaseCheckoutLock(cart._id, lockedUntil);
+    }
+});
\ No newline at end of file
@@ -4,20 +4,10 @@
 const asyncHandler = require('express-async-handler'); // Middleware для обработки ошибок в async функциях
 const Category = require('../models/Category');
 const Product = require('../models/Product'); // Нужен для каскадного удаления товаров
-
-// --- Вспомогательная функция для рекурсивного получения ID всех подкатегорий ---
-const getAllDescendantIds = async (parentId) => {
-    let ids = [];
-    // Находим прямых потомков
-    const children = await Category.find({ parentId: parentId }).select('_id'); // Выбираем только ID
-    for (const child of children) {
-        ids.push(child._id);
-        // Рекурсивно получаем потомков для каждого ребенка
-        const descendantIds = await getAllDescendantIds(child._id);
-        ids = ids.concat(descendantIds);
-    }
-    return ids;
-};
+const Order = require('../models/Order'); // Нужен для проверки активных заказов перед удалением
+const Review = require('../models/Review'); // Нужен для удаления отзывов удаляемых товаров
+const { getDescendantIds, getCategoryPath, buildCategoryTree, loadCategories } = require('../utils/categoryTree');
+const { normalizeCheckoutFields } = require('../utils/checkoutFields');
 
 // --- Вспомогательная функция для проверки, является ли potentialChildId потомком ancestorId ---
 const isDescendant = async (potentialChildId, ancestorId) => {
@@ -41,11 +31,51 @@ const isDescendant = async (potentialChildId, ancestorId) => {
 // @access  Public
 exports.getAllCategories = asyncHandler(async (req, res) => {
     // Получаем все категории, сортируем по имени для удобства
-    // Фронтенд сам построит дерево из этого плоского списка, используя parentId
-    const categories = await Category.find({}).sort('name');
+    // Готовое вложенное дерево отдает GET /api/categories/tree
+    // Архивные категории в публичный список не попадают (см. GET /api/categories/archived)
+    const categories = await Category.find({ archivedAt: null }).sort('name');
     res.json(categories);
 });
 
+// @desc    Получить дерево категорий с количеством товаров
+// @route   GET /api/categories/tree?root=<id>
+// @access  Public
+exports.getCategoryTree = asyncHandler(async (req, res) => {
+    const rootId = req.query.root;
+
+    // Активные категории и количество активных товаров по категориям - по одному запросу
+    const [categories, productStats] = await Promise.all([
+        loadCategories({ archivedAt: null }),
+        Product.aggregate([
+            { $match: { archivedAt: null } },
+            { $group: { _id: '$categoryId', count: { $sum: 1 } } },
+        ]),
+    ]);
+    const productCounts = new Map(productStats.map(stat => [String(stat._id), stat.count]));
+
+    const tree = buildCategoryTree(categories, productCounts, rootId || null);
+    if (!tree) {
+        res.status(404);
+        throw new Error('Категория не найдена');
+    }
+
+    res.json(tree);
+});
+
+// @desc    Получить путь от корня до категории (для "хлебных крошек")
+// @route   GET /api/categories/:id/path
+// @access  Public (путь строится и для архивных категорий - он нужен товарам из старых заказов)
+exports.getCategoryBreadcrumbs = asyncHandler(async (req, res) => {
+    const path = await getCategoryPath(req.params.id);
+
+    if (!path) {
+        res.status(404);
+        throw new Error('Категория не найдена');
+    }
+
+    res.json(path);
+});
+
 // @desc    Получить категорию по ID
 // @route   GET /api/categories/:id
 // @access  Public
@@ -64,7 +94,7 @@ exports.getCategoryById = asyncHandler(async (req, res) => {
 // @route   POST /api/categories
 // @access  Private/Admin
 exports.createCategory = asyncHandler(async (req, res) => {
-    const { name, parentId, image } = req.body;
+    const { name, parentId, image, checkoutFields } = req.body;
 
     if (!name) {
         res.status(400);
@@ -85,12 +115,24 @@ exports.createCategory = asyncHandler(async (req, res) => {
             res.status(400);
             throw new Error(`Родительская категория с ID ${parentId} не найдена.`);
         }
+        if (parentExists.archivedAt) {
+            res.status(400);
+            throw new Error(`Родительская категория '${parentExists.name}' находится в архиве.`);
+        }
+    }
+
+    // Поля оформления заказа, наследуемые товарами категории
+    const fieldsCheck = checkoutFields !== undefined ? normalizeCheckoutFields(checkoutFields) : { fields: [] };
+    if (fieldsCheck.error) {
+        res.status(400);
+        throw new Error(fieldsCheck.error);
     }
 
     const category = new Category({
         name,
         parentId: parentId || null, // Если parentId не передан, устанавливаем null
         image: image || '', // Путь к изображению или Emoji
+        checkoutFields: fieldsCheck.fields,
         // createdBy: req.user.id // Можно добавить ID админа, создавшего категорию
     });
 
@@ -102,7 +144,7 @@ exports.createCategory = asyncHandler(async (req, res) => {
 // @route   PUT /api/categories/:id
 // @access  Private/Admin
 exports.updateCategory = asyncHandler(async (req, res) => {
-    const { name, parentId, image } = req.body;
+    const { name, parentId, image, checkoutFields } = req.body;
     const categoryId = req.params.id;
 
     const category = await Category.findById(categoryId);
@@ -131,6 +173,10 @@ exports.updateCategory = asyncHandler(async (req, res) => {
             res.status(400);
             throw new Error(`Новая родительская категория с ID ${parentId} не найдена.`);
         }
+        if (parentExists.archivedAt) {
+            res.status(400);
+            throw new Error(`Новая родительская категория '${parentExists.name}' находится в архиве.`);
+        }
         category.parentId = parentId;
     } else if (parentId === null || parentId === '') { // Позволяем сделать категорию корневой
         category.parentId = null;
@@ -139,16 +185,142 @@ exports.updateCategory = asyncHandler(async (req, res) => {
     // Обновляем остальные поля, если они переданы
     category.name = name || category.name;
     category.image = image !== undefined ? image : category.image; // Позволяем установить пустую строку
+    if (checkoutFields !== undefined) { // Переданный список полностью заменяет текущий
+        const fieldsCheck = normalizeCheckoutFields(checkoutFields);
+        if (fieldsCheck.error) {
+            res.status(400);
+            throw new Error(fieldsCheck.error);
+        }
+        category.checkoutFields = fieldsCheck.fields;
+    }
 
+    const nameChanged = category.isModified('name');
     const updatedCategory = await category.save();
+
+    // Название категории участвует в полнотекстовом поиске товаров - обновляем копию в товарах
+    if (nameChanged) {
+        await Product.updateMany({ categoryId: category._id }, { $set: { categoryName: updatedCategory.name } });
+    }
+
     res.json(updatedCategory);
 });
 
-// @desc    Удалить категорию (и все ее подкатегории и связанные товары)
-// @route   DELETE /api/categories/:id
+// --- Режимы удаления категории ---
+// cascade               - удалить категорию, все подкатегории, их товары и отзывы на эти товары
+// reassign-to-parent    - удалить только категорию; подкатегории и товары перенести в родительскую
+// reassign-to:<id>      - удалить только категорию; подкатегории и товары перенести в категорию <id>
+// refuse-if-not-empty   - удалить только пустую категорию (без подкатегорий и товаров), иначе отказ
+const DELETE_MODES = ['cascade', 'reassign-to-parent', 'reassign-to:<id>', 'refuse-if-not-empty'];
+const DEFAULT_DELETE_MODE = 'refuse-if-not-empty';
+
+// Статусы, при которых заказ считается завершенным (как в deleteProduct)
+const FINISHED_ORDER_STATUSES = ['completed', 'refunded'];
+
+// --- Построение плана удаления (без изменений в БД) ---
+// Возвращает объект с перечнем всех затрагиваемых категорий, товаров и отзывов.
+// Выбрасывает ошибку с res.status(400/404) при некорректном режиме или целевой категории.
+const buildDeletionPlan = async (res, category, mode) => {
+    const categoryId = category._id.toString();
+    const categories = await loadCategories();
+    const descendantIds = await getDescendantIds(categoryId, categories);
+    const categoryName = (id) => {
+        const found = categories.find(c => c._id.toString() === id.toString());
+        return found ? found.name : '';
+    };
+
+    const plan = {
+        mode,
+        categoriesToDelete: [],      // Категории, которые будут удалены
+        categoriesToReparent: [],    // Подкатегории, которые получат нового родителя
+        categoriesToRestore: [],     // Подкатегории, которые вернутся из архива (reassign-режимы)
+        productsToDelete: [],        // Товары, которые будут удалены
+        productsToMove: [],          // Товары, которые будут перенесены
+        reviewsToDelete: [],         // Отзывы удаляемых товаров
+        targetCategory: null,        // Куда переносятся товары и подкатегории (для reassign-режимов)
+        blockingOrders: [],          // Незавершенные заказы с удаляемыми товарами - блокируют удаление
+    };
+
+    const directChildren = categories.filter(c => c.parentId && c.parentId.toString() === categoryId);
+    const directProducts = await Product.find({ categoryId }).select('name');
+
+    if (mode === 'cascade') {
+        const allCategoryIds = [category._id, ...descendantIds];
+        plan.categoriesToDelete = allCategoryIds.map(id => ({ _id: id, name: categoryName(id) }));
+        const products = await Product.find({ categoryId: { $in: allCategoryIds } }).select('name categoryId');
+        plan.productsToDelete = products.map(p => ({ _id: p._id, name: p.name, categoryId: p.categoryId }));
+    } else if (mode === 'refuse-if-not-empty') {
+        if (directChildren.length > 0 || directProducts.length > 0) {
+            res.status(409);
+            throw new Error(`Категория '${category.name}' не пуста: подкатегорий - ${directChildren.length}, товаров - ${directProducts.length}. Выберите другой режим удаления.`);
+        }
+        plan.categoriesToDelete = [{ _id: category._id, name: category.name }];
+    } else if (mode === 'reassign-to-parent' || mode.startsWith('reassign-to:')) {
+        const targetId = mode === 'reassign-to-parent' ? category.parentId : mode.slice('reassign-to:'.length);
+
+        if (targetId) {
+            const target = categories.find(c => c._id.toString() === targetId.toString());
+            if (!target) {
+                res.status(400);
+                throw new Error(`Целевая категория с ID ${targetId} не найдена.`);
+            }
+            // Нельзя переносить в саму удаляемую категорию или в ее потомков - они тоже исчезнут/зациклятся
+            if (targetId.toString() === categoryId || descendantIds.some(id => id.toString() === targetId.toString())) {
+                res.status(400);
+                throw new Error('Нельзя перенести содержимое в удаляемую категорию или в одну из ее подкатегорий.');
+            }
+            if (target.archivedAt) {
+                res.status(400);
+                throw new Error(`Целевая категория '${target.name}' находится в архиве.`);
+            }
+            plan.targetCategory = { _id: target._id, name: target.name };
+        } else if (directProducts.length > 0) {
+            // Корневая категория: подкатегории могут стать корневыми, но товарам нужна категория
+            res.status(400);
+            throw new Error(`Категория '${category.name}' корневая, товары некуда перенести. Используйте режим reassign-to:<id>.`);
+        }
+
+        plan.categoriesToDelete = [{ _id: category._id, name: category.name }];
+        plan.categoriesToReparent = directChildren.map(c => ({ _id: c._id, name: c.name }));
+        plan.productsToMove = directProducts.map(p => ({ _id: p._id, name: p.name }));
+
+        // Подкатегории, отправленные в архив вместе с удаляемой категорией (та же дата архивации),
+        // возвращаются в каталог вместе с переносом - иначе они остались бы скрытыми у нового родителя
+        if (category.archivedAt) {
+            const batchTime = category.archivedAt.getTime();
+            plan.categoriesToRestore = categories
+                .filter(c => descendantIds.some(id => id.toString() === c._id.toString()))
+                .filter(c => c.archivedAt && c.archivedAt.getTime() === batchTime)
+                .map(c => ({ _id: c._id, name: c.name }));
+        }
+    } else {
+        res.status(400);
+        throw new Error(`Неизвестный режим удаления '${mode}'. Допустимые режимы: ${DELETE_MODES.join(', ')}.`);
+    }
+
+    // Отзывы и незавершенные заказы важны только для товаров, которые будут удалены
+    if (plan.productsToDelete.length > 0) {
+        const productIds = plan.productsToDelete.map(p => p._id);
+        const reviews = await Review.find({ product: { $in: productIds } }).select('product');
+        plan.reviewsToDelete = reviews.map(r => ({ _id: r._id, product: r.product }));
+
+        const activeOrders = await Order.find({
+            'items.productId': { $in: productIds },
+            status: { $nin: FINISHED_ORDER_STATUSES }
+        }).select('status');
+        plan.blockingOrders = activeOrders.map(o => ({ _id: o._id, status: o.status }));
+    }
+
+    return plan;
+};
+
+// @desc    Окончательно удалить архивную категорию в выбранном режиме (или показать план удаления)
+// @route   DELETE /api/categories/:id/purge?mode=cascade|reassign-to-parent|reassign-to:<id>|refuse-if-not-empty&dryRun=true
 // @access  Private/Admin
-exports.deleteCategory = asyncHandler(async (req, res) => {
+exports.purgeCategory = asyncHandler(async (req, res) => {
     const categoryId = req.params.id;
+    // Режим можно передать в query (?mode=...) или в теле запроса
+    const mode = req.query.mode || (req.body && req.body.mode) || DEFAULT_DELETE_MODE;
+    const dryRun = req.query.dryRun === 'true';
 
     const category = await Category.findById(categoryId);
 
@@ -157,29 +329,151 @@ exports.deleteCategory = asyncHandler(async (req, res) => {
         throw new Error('Категория не найдена');
     }
 
-    // 1. Найти все ID для удаления (категория + все потомки)
-    const descendantIds = await getAllDescendantIds(categoryId);
-    const allCategoryIdsToDelete = [categoryId, ...descendantIds];
+    // Окончательное удаление - только для категорий, которые уже в архиве
+    if (!category.archivedAt) {
+        res.status(400);
+        throw new Error(`Категория '${category.name}' не находится в архиве. Сначала отправьте ее в архив.`);
+    }
 
-    // ВАЖНО: В реальном приложении здесь нужна проверка,
-    // нет ли товаров из этих категорий в АКТИВНЫХ заказах.
-    // Если есть, удаление стоит запретить или обрабатывать иначе.
-    // const activeOrdersExist = await Order.findOne({ 'items.productId': { $in: productIdsToDelete }, status: { $nin: ['completed', 'refunded'] } });
-    // if (activeOrdersExist) {
-    //     res.status(400);
-    //     throw new Error('Нельзя удалить категорию, так как товары из нее присутствуют в активных заказах.');
-    // }
+    // 1. Составляем план: что именно будет удалено или перенесено
+    const plan = await buildDeletionPlan(res, category, mode);
+    const canDelete = plan.blockingOrders.length === 0;
+
+    // 2. Режим предпросмотра - ничего не меняем, только показываем план
+    if (dryRun) {
+        return res.json({ dryRun: true, canDelete, ...plan });
+    }
+
+    // 3. Удаляемые товары присутствуют в незавершенных заказах - удаление запрещено
+    if (!canDelete) {
+        res.status(400);
+        throw new Error(`Нельзя удалить категорию '${category.name}': товары из нее присутствуют в незавершенных заказах (${plan.blockingOrders.map(o => o._id).join(', ')}). Сначала завершите или отмените заказы.`);
+    }
 
-    // 2. Удалить все товары, принадлежащие этим категориям
-    const deleteProductResult = await Product.deleteMany({ categoryId: { $in: allCategoryIdsToDelete } });
-    console.log(`Удалено товаров: ${deleteProductResult.deletedCount}`);
+    // 4. Перенос товаров и подкатегорий (reassign-режимы)
+    if (plan.productsToMove.length > 0) {
+        await Product.updateMany(
+            { _id: { $in: plan.productsToMove.map(p => p._id) } },
+            { $set: { categoryId: plan.targetCategory._id, categoryName: plan.targetCategory.name } }
+        );
+    }
+    if (plan.categoriesToReparent.length > 0) {
+        await Category.updateMany(
+            { _id: { $in: plan.categoriesToReparent.map(c => c._id) } },
+            { $set: { parentId: plan.targetCategory ? plan.targetCategory._id : null } }
+        );
+    }
+    if (plan.categoriesToRestore.length > 0) {
+        await Category.updateMany(
+            { _id: { $in: plan.categoriesToRestore.map(c => c._id) } },
+            { $set: { archivedAt: null, archivedBy: null } }
+        );
+    }
 
-    // 3. Удалить все найденные категории (целевую и потомков)
-    const deleteCategoryResult = await Category.deleteMany({ _id: { $in: allCategoryIdsToDelete } });
-    console.log(`Удалено категорий: ${deleteCategoryResult.deletedCount}`);
+    // 5. Удаление отзывов и товаров (cascade)
+    let deletedReviews = 0;
+    let deletedProducts = 0;
+    if (plan.productsToDelete.length > 0) {
+        const productIds = plan.productsToDelete.map(p => p._id);
+        deletedReviews = (await Review.deleteMany({ product: { $in: productIds } })).deletedCount;
+        deletedProducts = (await Product.deleteMany({ _id: { $in: productIds } })).deletedCount;
+    }
 
-    // TODO: Подумать об удалении связанных отзывов (если товары удалены)
-    // await Review.deleteMany({ product: { $in: productIdsToDelete } });
+    // 6. Удаление категорий
+    const deleteCategoryResult = await Category.deleteMany({ _id: { $in: plan.categoriesToDelete.map(c => c._id) } });
+    console.log(`Удаление категории '${category.name}' (режим ${mode}): категорий - ${deleteCategoryResult.deletedCount}, товаров - ${deletedProducts}, отзывов - ${deletedReviews}, перенесено товаров - ${plan.productsToMove.length}`);
 
-    res.json({ message: `Категория '${category.name}' и ${deleteCategoryResult.deletedCount - 1} подкатегорий, а также ${deleteProductResult.deletedCount} связанных товаров были удалены.` });
+    res.json({
+        message: `Категория '${category.name}' удалена окончательно (режим ${mode}).`,
+        deletedCategories: deleteCategoryResult.deletedCount,
+        deletedProducts,
+        deletedReviews,
+        movedProducts: plan.productsToMove.length,
+        reparentedCategories: plan.categoriesToReparent.length,
+        restoredCategories: plan.categoriesToRestore.length,
+        targetCategory: plan.targetCategory,
+    });
+});
+
+// @desc    Получить архивные категории (для админ-панели)
+// @route   GET /api/categories/archived
+// @access  Private/Admin
+exports.getArchivedCategories = asyncHandler(async (req, res) => {
+    const categories = await Category.find({ archivedAt: { $ne: null } })
+        .populate('archivedBy', 'firstName username')
+        .sort({ archivedAt: -1 }); // Сначала недавно архивированные
+    res.json(categories);
+});
+
+// @desc    Отправить категорию в архив вместе со всеми подкатегориями
+// @route   DELETE /api/categories/:id
+// @access  Private/Admin
+exports.archiveCategory = asyncHandler(async (req, res) => {
+    const category = await Category.findById(req.params.id);
+
+    if (!category) {
+        res.status(404);
+        throw new Error('Категория не найдена');
+    }
+    if (category.archivedAt) {
+        res.status(400);
+        throw new Error(`Категория '${category.name}' уже находится в архиве.`);
+    }
+
+    // Одна дата архивации на всю операцию: по ней потом можно узнать, что архивировалось вместе
+    const archivedAt = new Date();
+    const descendantIds = await getDescendantIds(category._id);
+
+    // Архивируем категорию и еще не архивные подкатегории.
+    // Товары не трогаем: они скрываются из каталога, пока их категория в архиве.
+    const result = await Category.updateMany(
+        { _id: { $in: [category._id, ...descendantIds] }, archivedAt: null },
+        { $set: { archivedAt, archivedBy: req.user.id } }
+    );
+
+    res.json({
+        message: `Категория '${category.name}' и ${result.modifiedCount - 1} подкатегорий перемещены в архив.`,
+        archivedCategories: result.modifiedCount,
+    });
+});
+
+// @desc    Восстановить категорию из архива (?subtree=true - вместе с архивными подкатегориями)
+// @route   PUT /api/categories/:id/restore
+// @access  Private/Admin
+exports.restoreCategory = asyncHandler(async (req, res) => {
+    const restoreSubtree = req.query.subtree === 'true' || (req.body && req.body.subtree === true);
+    const category = await Category.findById(req.params.id);
+
+    if (!category) {
+        res.status(404);
+        throw new Error('Категория не найдена');
+    }
+    if (!category.archivedAt) {
+        res.status(400);
+        throw new Error(`Категория '${category.name}' не находится в архиве.`);
+    }
+
+    // Нельзя восстановить категорию внутри архивного родителя - она все равно останется скрытой
+    if (category.parentId) {
+        const parent = await Category.findById(category.parentId).select('name archivedAt');
+        if (parent && parent.archivedAt) {
+            res.status(400);
+            throw new Error(`Родительская категория '${parent.name}' находится в архиве. Сначала восстановите ее.`);
+        }
+    }
+
+    const idsToRestore = [category._id];
+    if (restoreSubtree) {
+        idsToRestore.push(...await getDescendantIds(category._id));
+    }
+
+    const result = await Category.updateMany(
+        { _id: { $in: idsToRestore }, archivedAt: { $ne: null } },
+        { $set: { archivedAt: null, archivedBy: null } }
+    );
+
+    res.json({
+        message: `Категория '${category.name}' восстановлена из архива${restoreSubtree ? ' вместе с подкатегориями' : ''}.`,
+        restoredCategories: result.modifiedCount,
+    });
 });
\ No newline at end of file
@@ -0,0 +1,157 @@
+// Файл: controllers/couponController.js
+// Назначение: Обработка API запросов, связанных с купонами (промокодами).
+
+const asyncHandler = require('express-async-handler'); // Обработчик для async функций
+const Coupon = require('../models/Coupon');
+const CouponRedemption = require('../models/CouponRedemption');
+const { previewCoupon } = require('../services/couponService');
+
+// Поля купона, которые администратор может задавать через API
+const EDITABLE_FIELDS = [
+    'code', 'description', 'discountType', 'value', 'maxDiscountAmount', 'minOrderAmount',
+    'productIds', 'categoryIds', 'validFrom', 'validUntil', 'usageLimit', 'perUserLimit', 'isActive',
+];
+
+// --- Перенос переданных полей из тела запроса в документ купона ---
+const applyCouponFields = (coupon, body) => {
+    for (const field of EDITABLE_FIELDS) {
+        if (body[field] !== undefined) {
+            coupon[field] = body[field] === '' ? null : body[field];
+        }
+    }
+};
+
+// --- Проверка и сохранение купона ---
+// Ошибки валидации Mongoose и дубликат кода превращаются в ответ 400
+const saveCoupon = async (res, coupon) => {
+    if (coupon.discountType === 'percent' && coupon.value > 100) {
+        res.status(400); throw new Error('Процентная скидка не может быть больше 100%.');
+    }
+    if (coupon.validFrom && coupon.validUntil && coupon.validUntil <= coupon.validFrom) {
+        res.status(400); throw new Error('Дата окончания действия купона должна быть позже даты начала.');
+    }
+    try {
+        return await coupon.save();
+    } catch (error) {
+        if (error.name === 'ValidationError' || error.name === 'CastError') {
+            res.status(400); throw new Error(`Ошибка валидации купона: ${error.message}`);
+        }
+        if (error.code === 11000) {
+            res.status(400); throw new Error(`Купон с кодом "${coupon.code}" уже существует.`);
+        }
+        throw error;
+    }
+};
+
+// @desc    Проверить купон и рассчитать скидку для корзины
+// @route   POST /api/coupons/validate
+// @access  Private
+// Тело: { code: 'SUMMER10', items: [{ productId, variantId?, quantity }] }
+exports.validateCoupon = asyncHandler(async (req, res) => {
+    const { code, items } = req.body;
+
+    if (!Array.isArray(items) || items.length === 0) {
+        res.status(400);
+        throw new Error('Передайте товары корзины (items), чтобы рассчитать скидку.');
+    }
+
+    try {
+        const preview = await previewCoupon(code, req.user.id, items.filter(item => item && item.productId));
+        res.json({ valid: true, ...preview });
+    } catch (error) {
+        if (error.name === 'CouponError') {
+            return res.status(error.statusCode).json({ valid: false, message: error.message, ...error.details });
+        }
+        throw error;
+    }
+});
+
+// @desc    Получить все купоны (для админ-панели)
+// @route   GET /api/coupons
+// @access  Private/Admin
+exports.getAllCoupons = asyncHandler(async (req, res) => {
+    const filter = {};
+    if (req.query.active === 'true') filter.isActive = true;
+    if (req.query.active === 'false') filter.isActive = false;
+
+    const coupons = await Coupon.find(filter).sort({ createdAt: -1 });
+    res.json(coupons);
+});
+
+// @desc    Получить купон по ID вместе с последними использованиями
+// @route   GET /api/coupons/:id
+// @access  Private/Admin
+exports.getCouponById = asyncHandler(async (req, res) => {
+    const coupon = await Coupon.findById(req.params.id)
+        .populate('productIds', 'name')
+        .populate('categoryIds', 'name');
+
+    if (!coupon) {
+        res.status(404);
+        throw new Error('Купон не найден');
+    }
+
+    const redemptions = await CouponRedemption.find({ coupon: coupon._id })
+        .populate('user', 'telegramId firstName username')
+        .sort({ createdAt: -1 })
+        .limit(50);
+
+    res.json({ ...coupon.toObject(), redemptions });
+});
+
+// @desc    Создать купон
+// @route   POST /api/coupons
+// @access  Private/Admin
+exports.createCoupon = asyncHandler(async (req, res) => {
+    const { code, discountType, value } = req.body;
+
+    if (!code || !discountType || !value) {
+        res.status(400);
+        throw new Error('Пожалуйста, укажите код, тип скидки (percent или fixed) и размер скидки.');
+    }
+
+    const coupon = new Coupon({ createdBy: req.user.id });
+    applyCouponFields(coupon, req.body);
+
+    const createdCoupon = await saveCoupon(res, coupon);
+    res.status(201).json(createdCoupon);
+});
+
+// @desc    Обновить купон
+// @route   PUT /api/coupons/:id
+// @access  Private/Admin
+exports.updateCoupon = asyncHandler(async (req, res) => {
+    const coupon = await Coupon.findById(req.params.id);
+
+    if (!coupon) {
+        res.status(404);
+        throw new Error('Купон не найден');
+    }
+
+    applyCouponFields(coupon, req.body);
+
+    const updatedCoupon = await saveCoupon(res, coupon);
+    res.json(updatedCoupon);
+});
+
+// @desc    Удалить купон
+// @route   DELETE /api/coupons/:id
+// @access  Private/Admin
+exports.deleteCoupon = asyncHandler(async (req, res) => {
+    const coupon = await Coupon.findById(req.params.id);
+
+    if (!coupon) {
+        res.status(404);
+        throw new Error('Купон не найден');
+    }
+
+    // Использованный купон не удаляем: на него ссылаются заказы и история использований
+    const redemptionsCount = await CouponRedemption.countDocuments({ coupon: coupon._id });
+    if (redemptionsCount > 0) {
+        res.status(409);
+        throw new Error(`Купон "${coupon.code}" уже использован в ${redemptionsCount} заказ(ах). Выключите его (isActive: false) вместо удаления.`);
+    }
+
+    await coupon.deleteOne();
+    res.json({ message: `Купон "${coupon.code}" удален.` });
+});
\ No newline at end of file
@@ -0,0 +1,76 @@
+// Файл: controllers/currencyController.js
+// Назначение: Обработка API запросов, связанных с валютами и курсами.
+
+const asyncHandler = require('express-async-handler'); // Обработчик для async функций
+const CurrencyRate = require('../models/CurrencyRate');
+const { BASE_CURRENCY, SUPPORTED_CURRENCIES, DEFAULT_ROUNDING } = require('../config/currencies');
+const { invalidateRatesCache } = require('../services/currencyService');
+const { hasPermission } = require('../config/roles');
+
+// @desc    Получить базовую валюту и курсы всех поддерживаемых валют
+// @route   GET /api/currencies
+// @access  Public
+exports.getCurrencies = asyncHandler(async (req, res) => {
+    const rates = await CurrencyRate.find().populate('updatedBy', 'firstName username');
+    const rateMap = new Map(rates.map(rate => [rate.currency, rate]));
+
+    const currencies = SUPPORTED_CURRENCIES.map((currency) => {
+        if (currency === BASE_CURRENCY) {
+            return { currency, isBase: true, rate: 1, available: true };
+        }
+        const rate = rateMap.get(currency);
+        return {
+            currency,
+            isBase: false,
+            rate: rate ? rate.rate : null,
+            roundingStep: rate && rate.roundingStep ? rate.roundingStep : DEFAULT_ROUNDING[currency].step,
+            roundingMode: rate && rate.roundingMode ? rate.roundingMode : DEFAULT_ROUNDING[currency].mode,
+            available: Boolean(rate), // Без курса валюту выбрать нельзя
+            updatedAt: rate ? rate.updatedAt : null,
+            // Кто менял курс - только для сотрудников, которые сами могут его менять
+            updatedBy: rate && hasPermission(req.user, 'currencies:write') ? rate.updatedBy : undefined,
+        };
+    });
+
+    res.json({ baseCurrency: BASE_CURRENCY, currencies });
+});
+
+// @desc    Задать курс валюты и правило округления
+// @route   PUT /api/currencies/:currency
+// @access  Private (право currencies:write)
+// Тело: { rate: 5.4, roundingStep?: 10, roundingMode?: 'ceil' } - rate: сколько единиц валюты за 1 единицу базовой
+exports.setCurrencyRate = asyncHandler(async (req, res) => {
+    const currency = req.params.currency.toUpperCase();
+    const { rate, roundingStep, roundingMode } = req.body;
+
+    if (!SUPPORTED_CURRENCIES.includes(currency)) {
+        res.status(400);
+        throw new Error(`Валюта "${currency}" не поддерживается. Доступные валюты: ${SUPPORTED_CURRENCIES.join(', ')}.`);
+    }
+    if (currency === BASE_CURRENCY) {
+        res.status(400);
+        throw new Error(`${BASE_CURRENCY} - базовая валюта, ее курс всегда равен 1.`);
+    }
+    if (rate === undefined || isNaN(rate) || Number(rate) <= 0) {
+        res.status(400);
+        throw new Error('Курс (rate) должен быть положительным числом.');
+    }
+
+    const currencyRate = await CurrencyRate.findOne({ currency }) || new CurrencyRate({ currency });
+    currencyRate.rate = Number(rate);
+    if (roundingStep !== undefined) currencyRate.roundingStep = roundingStep === null ? null : Number(roundingStep);
+    if (roundingMode !== undefined) currencyRate.roundingMode = roundingMode;
+    currencyRate.updatedBy = req.user.id;
+
+    try {
+        await currencyRate.save();
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            res.status(400); throw new Error(`Ошибка валидации курса: ${error.message}`);
+        }
+        throw error;
+    }
+
+    invalidateRatesCache(); // Новые цены видны сразу, без ожидания истечения кэша
+    res.json(currencyRate);
+});
\ No newline at end of file
@@ -1,104 +1,61 @@
 // Файл: controllers/orderController.js
 // Назначение: Обработка API запросов, связанных с заказами.
 
+const fs = require('fs');
 const Order = require('../models/Order');
-const Product = require('../models/Product');
+const { removeUploadedFile, getScreenshotFullPath } = require('../middleware/uploadMiddleware');
+const { placeOrder, getPlaceOrderErrorResponse } = require('../services/orderService');
+const { changeOrderStatus, updateOrderStatusById } = require('../services/orderStatusService');
+const { createInvoiceForOrder } = require('../services/paymentService');
+const { getProvider } = require('../services/payments');
+const { maskOrderCheckoutFields } = require('../utils/checkoutFields');
+const { hasPermission } = require('../config/roles');
 // const User = require('../models/User'); // Не всегда нужен напрямую
 
 // @desc    Создать новый заказ
 // @route   POST /api/orders
 // @access  Private (Только залогиненные пользователи)
 exports.createOrder = async (req, res) => {
-    // userId берем из middleware 'protect', который добавляет req.user
-    const userId = req.user.id;
-    // items - массив объектов { productId: '...', quantity: N }
-    // screenshotPath - путь к файлу, который мог быть добавлен middleware (например, multer)
-    const { items, screenshotPath } = req.body; // Или req.file.path для screenshotPath
-
-    // 1. Валидация: Проверяем наличие товаров в запросе
-    if (!items || items.length === 0) {
-        return res.status(400).json({ message: 'Корзина пуста. Невозможно создать заказ.' });
+    // Скриншот оплаты приходит ТОЛЬКО как файл (multipart/form-data, поле 'screenshot'),
+    // его обрабатывает uploadScreenshot и кладет в req.file.
+    // Путь к файлу из тела запроса (screenshotPath) больше не принимается.
+    const screenshotFile = req.file;
+
+    // items - массив объектов { productId: '...', variantId?: '...', quantity: N, fields?: { playerTag: '#...' } }
+    // В multipart-запросе items приходит строкой JSON, поэтому разбираем ее
+    // couponCode - необязательный код купона (промокода)
+    // currency - валюта заказа (по умолчанию - из настроек пользователя, иначе базовая)
+    // paymentProvider - способ оплаты ('manual' - скриншот, по умолчанию; остальные - счет у провайдера)
+    let { items } = req.body;
+    const { couponCode, paymentProvider } = req.body;
+    const currency = req.body.currency || req.user.currency;
+    if (typeof items === 'string') {
+        try {
+            items = JSON.parse(items);
+        } catch (parseError) {
+            removeUploadedFile(screenshotFile);
+            return res.status(400).json({ message: 'Некорректный формат списка товаров (items).' });
+        }
     }
 
     try {
-        // 2. Получение актуальных данных о товарах из БД и проверка наличия/остатков
-        const productIds = items.map(item => item.productId);
-        const productsFromDB = await Product.find({ _id: { $in: productIds } });
-
-        // Создаем Map для быстрого доступа к продуктам по ID
-        const productMap = new Map(productsFromDB.map(p => [p._id.toString(), p]));
-
-        let totalAmount = 0;
-        const orderItems = []; // Массив для хранения обработанных товаров заказа
-
-        // Перебираем товары из запроса для проверки и расчета суммы
-        for (const item of items) {
-            const product = productMap.get(item.productId);
-
-            // Проверка: Найден ли товар?
-            if (!product) {
-                return res.status(404).json({ message: `Товар с ID ${item.productId} не найден.` });
-            }
-
-            // Проверка: Достаточно ли товара на складе?
-            if (product.stock < item.quantity) {
-                return res.status(400).json({
-                    message: `Недостаточно товара "${product.name}" на складе. Доступно: ${product.stock}, запрошено: ${item.quantity}.`,
-                    productId: product._id,
-                    availableStock: product.stock
-                });
-            }
-
-            // Добавляем товар в массив заказа и считаем сумму
-            orderItems.push({
-                productId: product._id,
-                name: product.name,
-                quantity: item.quantity,
-                price: product.price, // Берем актуальную цену из БД
-                image: product.image || '' // Сохраняем ссылку на изображение
-            });
-            totalAmount += product.price * item.quantity;
-        }
-
-        // 3. Создание объекта заказа
-        const order = new Order({
-            user: userId,
-            items: orderItems,
-            totalAmount: totalAmount,
-            status: 'paid-pending', // Начальный статус после "оплаты" (загрузки чека)
-            screenshotPath: screenshotPath || null // Путь к скриншоту, если был загружен
-            // reviewSubmitted по умолчанию false (как в модели)
+        // Расчет цен, проверка полей и купона, резервирование товаров и сохранение - в services/orderService.js
+        const createdOrder = await placeOrder(req.user, items, {
+            couponCode,
+            currency,
+            paymentProvider,
+            screenshotFileName: screenshotFile ? screenshotFile.filename : null,
         });
 
-        // 4. Уменьшение остатков на складе (ВАЖНО: делать ПЕРЕД сохранением заказа)
-        // В идеале использовать транзакции MongoDB для атомарности, но для простоты - последовательно.
-        for (const item of orderItems) {
-             // Используем findByIdAndUpdate для атомарного уменьшения
-             // $inc оператор уменьшает значение поля на указанную величину
-            await Product.findByIdAndUpdate(item.productId, { $inc: { stock: -item.quantity } });
-             // Здесь можно добавить дополнительную проверку, что stock не стал < 0, на всякий случай
-             console.log(`Уменьшен остаток для товара ${item.name} на ${item.quantity}`);
-        }
-
-        // 5. Сохранение заказа в БД
-        const createdOrder = await order.save();
-
-        // --- Оповещение Админа (Пример - только логирование) ---
-        // В реальном приложении здесь может быть отправка сообщения через Telegram Bot API
-        console.log(`--- УВЕДОМЛЕНИЕ АДМИНУ ---`);
-        console.log(`Новый заказ #${createdOrder._id} от пользователя ${req.user.firstName || req.user.username || userId}`);
-        console.log(`Сумма: ${createdOrder.totalAmount.toFixed(2)} RUB`);
-        console.log(`Скриншот: ${createdOrder.screenshotPath || 'Не загружен'}`);
-        console.log(`------------------------`);
-        // --- Конец оповещения ---
-
-        res.status(201).json(createdOrder);
+        // Данные покупателя в ответе маскируются так же, как в getOrderById
+        res.status(201).json(maskOrderCheckoutFields(createdOrder));
 
     } catch (error) {
         console.error('Ошибка при создании заказа:', error);
-        // Если ошибка валидации Mongoose
-        if (error.name === 'ValidationError') {
-             return res.status(400).json({ message: `Ошибка валидации данных заказа: ${error.message}` });
+        removeUploadedFile(screenshotFile);
+        const errorResponse = getPlaceOrderErrorResponse(error);
+        if (errorResponse) {
+            return res.status(errorResponse.statusCode).json(errorResponse.body);
         }
         res.status(500).json({ message: 'Внутренняя ошибка сервера при создании заказа.' });
     }
@@ -111,7 +68,8 @@ exports.createOrder = async (req, res) => {
 exports.getMyOrders = async (req, res) => {
     try {
         const orders = await Order.find({ user: req.user.id }).sort({ createdAt: -1 }); // Сначала новые
-        res.json(orders);
+        // Тег игрока, email и т.п. полностью видны только администраторам
+        res.json(orders.map(maskOrderCheckoutFields));
     } catch (error) {
         console.error('Ошибка при получении заказов пользователя:', error);
         res.status(500).json({ message: 'Внутренняя ошибка сервера при получении заказов.' });
@@ -140,26 +98,29 @@ exports.getAllOrders = async (req, res) => {
 
 // @desc    Получить заказ по ID
 // @route   GET /api/orders/:id
-// @access  Private (Пользователь может получить только свой заказ, Админ - любой)
+// @access  Private (Пользователь может получить только свой заказ, сотрудник с правом orders:read - любой)
 exports.getOrderById = async (req, res) => {
     const orderId = req.params.id;
     const userId = req.user.id;
-    const isAdmin = req.user.isAdmin;
+    const canReadAll = hasPermission(req.user, 'orders:read');
 
     try {
-        const order = await Order.findById(orderId).populate('user', 'telegramId firstName username');
+        const order = await Order.findById(orderId)
+            .populate('user', 'telegramId firstName username')
+            .populate('statusHistory.changedBy', 'firstName username'); // Кто менял статус
 
         if (!order) {
             return res.status(404).json({ message: 'Заказ не найден.' });
         }
 
-        // Проверка прав доступа: Админ может видеть любой заказ,
+        // Проверка прав доступа: сотрудник с правом orders:read может видеть любой заказ,
         // пользователь - только свой
-        if (!isAdmin && order.user._id.toString() !== userId) {
+        if (!canReadAll && order.user._id.toString() !== userId) {
             return res.status(403).json({ message: 'Доступ запрещен: вы не можете просматривать этот заказ.' });
         }
 
-        res.json(order);
+        // Сотрудник видит данные покупателя полностью, владелец заказа - в замаскированном виде
+        res.json(canReadAll ? order : maskOrderCheckoutFields(order));
 
     } catch (error) {
         console.error('Ошибка при получении заказа по ID:', error);
@@ -171,64 +132,187 @@ exports.getOrderById = async (req, res) => {
 };
 
 
-// @desc    Обновить статус заказа (только админ)
-// @route   PUT /api/orders/:id/status
-// @access  Private/Admin
-exports.updateOrderStatus = async (req, res) => {
+// @desc    Получить скриншот оплаты заказа
+// @route   GET /api/orders/:id/screenshot
+// @access  Private (Только владелец заказа или право orders:read)
+exports.getOrderScreenshot = async (req, res) => {
     const orderId = req.params.id;
-    const { status } = req.body; // Ожидаем новый статус в теле запроса
+    const userId = req.user.id;
+    const canReadAll = hasPermission(req.user, 'orders:read');
+
+    try {
+        const order = await Order.findById(orderId).select('user screenshotPath');
+
+        if (!order) {
+            return res.status(404).json({ message: 'Заказ не найден.' });
+        }
+
+        // Та же проверка прав, что и в getOrderById
+        if (!canReadAll && order.user.toString() !== userId) {
+            return res.status(403).json({ message: 'Доступ запрещен: вы не можете просматривать этот заказ.' });
+        }
 
-    // Список допустимых статусов
-    const validStatuses = ['pending', 'paid-pending', 'processing', 'completed', 'refunded'];
+        if (!order.screenshotPath) {
+            return res.status(404).json({ message: 'Для этого заказа скриншот не загружен.' });
+        }
+
+        const filePath = getScreenshotFullPath(order.screenshotPath);
+        if (!fs.existsSync(filePath)) {
+            console.warn(`Файл скриншота ${filePath} для заказа ${orderId} отсутствует на диске.`);
+            return res.status(404).json({ message: 'Файл скриншота не найден.' });
+        }
 
-    if (!status || !validStatuses.includes(status)) {
-        return res.status(400).json({ message: `Неверный или отсутствующий статус. Допустимые значения: ${validStatuses.join(', ')}.` });
+        // Запрещаем кэширование приватного файла прокси-серверами
+        res.set('Cache-Control', 'private, no-store');
+        res.sendFile(filePath);
+
+    } catch (error) {
+        console.error('Ошибка при получении скриншота заказа:', error);
+        if (error.kind === 'ObjectId') {
+             return res.status(404).json({ message: 'Заказ не найден (неверный формат ID).' });
+        }
+        res.status(500).json({ message: 'Внутренняя ошибка сервера при получении скриншота.' });
+    }
+};
+
+
+// @desc    Загрузить скриншот оплаты к уже оформленному заказу
+// @route   POST /api/orders/:id/screenshot
+// @access  Private (Только владелец заказа)
+// Принимает multipart/form-data с файлом 'screenshot'. Заказ с ручной оплатой переходит из 'pending' в 'paid-pending'.
+exports.uploadOrderScreenshot = async (req, res) => {
+    const orderId = req.params.id;
+    const screenshotFile = req.file;
+    let screenshotSaved = false; // После сохранения в заказе файл удалять нельзя
+
+    if (!screenshotFile) {
+        return res.status(400).json({ message: 'Не загружен файл скриншота (поле screenshot).' });
     }
 
     try {
         const order = await Order.findById(orderId);
 
         if (!order) {
+            removeUploadedFile(screenshotFile);
             return res.status(404).json({ message: 'Заказ не найден.' });
         }
+        if (order.user.toString() !== req.user.id) {
+            removeUploadedFile(screenshotFile);
+            return res.status(403).json({ message: 'Доступ запрещен: вы не можете оплачивать этот заказ.' });
+        }
 
-        const oldStatus = order.status;
-        const newStatus = status;
+        const provider = getProvider(order.payment.provider);
+        if (!provider.requiresScreenshot) {
+            removeUploadedFile(screenshotFile);
+            return res.status(400).json({ message: `Для способа оплаты "${provider.title}" скриншот не нужен.` });
+        }
 
-        // --- Логика возврата товаров на склад при смене статуса на 'refunded' ---
-        if (newStatus === 'refunded' && oldStatus !== 'refunded') {
-             console.log(`Заказ ${orderId}: Смена статуса на 'refunded'. Возврат товаров на склад...`);
-            for (const item of order.items) {
-                try {
-                     await Product.findByIdAndUpdate(item.productId, { $inc: { stock: item.quantity } });
-                     console.log(`  - Возвращено ${item.quantity} шт. товара ${item.name} (ID: ${item.productId})`);
-                } catch (stockError) {
-                     // Логгируем ошибку, но продолжаем процесс (или решаем, как обрабатывать критичнее)
-                     console.error(`  - Ошибка возврата товара ${item.productId} на склад:`, stockError);
-                }
-            }
+        // Скриншот сохраняется, только пока заказ ждет оплаты (условие на статус - на случай одновременной смены статуса).
+        // Предыдущий скриншот (если администратор вернул заказ в 'pending') заменяется.
+        const previousOrder = await Order.findOneAndUpdate(
+            { _id: order._id, status: 'pending' },
+            { $set: { screenshotPath: screenshotFile.filename } }
+        );
+        if (!previousOrder) {
+            removeUploadedFile(screenshotFile);
+            return res.status(400).json({ message: `Заказ в статусе "${order.status}" не ожидает оплаты.` });
         }
-        // --- Логика списания со склада при отмене статуса 'refunded' (если нужно) ---
-        // Это менее вероятно, но можно добавить проверку if (oldStatus === 'refunded' && newStatus !== 'refunded')
-        // и аналогично уменьшать stock через $inc (с проверкой на >= 0).
+        screenshotSaved = true;
+        if (previousOrder.screenshotPath) {
+            removeUploadedFile({ path: getScreenshotFullPath(previousOrder.screenshotPath) });
+        }
+
+        const updatedOrder = await changeOrderStatus(previousOrder, 'paid-pending', {
+            changedBy: req.user.id,
+            comment: 'Скриншот оплаты загружен',
+        });
 
-        // Обновляем статус заказа
-        order.status = newStatus;
-        const updatedOrder = await order.save();
+        res.json(maskOrderCheckoutFields(updatedOrder));
 
-        // --- Оповещение Пользователя (Пример - только логирование) ---
-        // В реальном приложении здесь может быть отправка сообщения через Telegram Bot API
-        if (order.user && order.user.telegramId && newStatus !== oldStatus) {
-            console.log(`--- УВЕДОМЛЕНИЕ ПОЛЬЗОВАТЕЛЮ (TG ID: ${order.user.telegramId}) ---`);
-            console.log(`Статус вашего заказа #${orderId} изменен на: ${newStatus.toUpperCase()}`);
-            console.log(`-------------------------------------------------------------`);
+    } catch (error) {
+        console.error('Ошибка при загрузке скриншота оплаты:', error);
+        if (!screenshotSaved) {
+            removeUploadedFile(screenshotFile);
+        }
+        if (['OrderStatusError', 'PaymentError'].includes(error.name)) {
+            return res.status(error.statusCode).json({ message: error.message, ...error.details });
+        }
+        if (error.kind === 'ObjectId') {
+             return res.status(404).json({ message: 'Заказ не найден (неверный формат ID).' });
+        }
+        res.status(500).json({ message: 'Внутренняя ошибка сервера при загрузке скриншота.' });
+    }
+};
+
+
+// @desc    Выставить (повторно) счет на оплату заказа
+// @route   POST /api/orders/:id/pay
+// @access  Private (Только владелец заказа)
+// Тело: { provider?: 'mock' | ... } - можно сменить способ оплаты, пока заказ не оплачен
+exports.payOrder = async (req, res) => {
+    const orderId = req.params.id;
+
+    try {
+        const order = await Order.findById(orderId);
+
+        if (!order) {
+            return res.status(404).json({ message: 'Заказ не найден.' });
+        }
+        if (order.user.toString() !== req.user.id) {
+            return res.status(403).json({ message: 'Доступ запрещен: вы не можете оплачивать этот заказ.' });
+        }
+
+        const providerName = req.body.provider || order.payment.provider;
+        if (providerName === 'manual') {
+            return res.status(400).json({ message: 'Ручная оплата подтверждается скриншотом: загрузите его через POST /api/orders/:id/screenshot.' });
+        }
+
+        const updatedOrder = await createInvoiceForOrder(order, providerName);
+        res.json({ orderId: updatedOrder._id, payment: updatedOrder.payment });
+
+    } catch (error) {
+        console.error('Ошибка при создании счета на оплату:', error);
+        if (error.name === 'PaymentError') {
+            return res.status(error.statusCode).json({ message: error.message, ...error.details });
+        }
+        if (error.kind === 'ObjectId') {
+             return res.status(404).json({ message: 'Заказ не найден (неверный формат ID).' });
+        }
+        res.status(500).json({ message: 'Внутренняя ошибка сервера при создании счета.' });
+    }
+};
+
+
+// @desc    Обновить статус заказа
+// @route   PUT /api/orders/:id/status
+// @access  Private (право orders:update)
+exports.updateOrderStatus = async (req, res) => {
+    const orderId = req.params.id;
+    const { status, comment } = req.body; // Ожидаем новый статус и необязательный комментарий в теле запроса
+
+    if (!status) {
+        return res.status(400).json({ message: 'Не указан новый статус заказа.' });
+    }
+
+    try {
+        // Проверка перехода, побочные эффекты, история и уведомление покупателя - в orderStatusService
+        const updatedOrder = await updateOrderStatusById(orderId, status, {
+            changedBy: req.user.id,
+            comment,
+        });
+
+        if (!updatedOrder) {
+            return res.status(404).json({ message: 'Заказ не найден.' });
         }
-        // --- Конец оповещения ---
 
         res.json(updatedOrder);
 
     } catch (error) {
         console.error('Ошибка при обновлении статуса заказа:', error);
+        // Запрещенный переход, конфликт, нехватка товара при отмене возврата или ошибка возврата оплаты
+        if (['OrderStatusError', 'StockError', 'PaymentError'].includes(error.name)) {
+            return res.status(error.statusCode).json({ message: error.message, ...error.details });
+        }
         if (error.kind === 'ObjectId') {
              return res.status(404).json({ message: 'Заказ не найден (неверный формат ID).' });
         }
@@ -0,0 +1,75 @@
+// Файл: controllers/paymentController.js
+// Назначение: Обработка API запросов платежных провайдеров (вебхуки об оплате, способы оплаты).
+
+const Order = require('../models/Order');
+const { listProviders, getProvider, isMockPaymentsEnabled } = require('../services/payments');
+const { handleWebhook } = require('../services/paymentService');
+const { hasPermission } = require('../config/roles');
+
+// @desc    Получить доступные способы оплаты
+// @route   GET /api/payments/providers
+// @access  Public
+exports.getPaymentProviders = (req, res) => {
+    res.json(listProviders());
+};
+
+// @desc    Вебхук платежного провайдера (уведомление об оплате)
+// @route   POST /api/payments/:provider/webhook
+// @access  Public (подлинность проверяется подписью провайдера)
+exports.paymentWebhook = async (req, res) => {
+    const providerName = req.params.provider;
+
+    try {
+        const result = await handleWebhook(providerName, req);
+        if (result.duplicate) {
+            console.log(`Повторный вебхук ${providerName} (${result.event}) для заказа ${result.orderId} - пропущен.`);
+        }
+        res.json({ ok: !result.error, ...result });
+    } catch (error) {
+        console.error(`Ошибка обработки вебхука ${providerName}:`, error);
+        // Неизвестный провайдер или неверная подпись
+        if (error.name === 'PaymentError') {
+            return res.status(error.statusCode).json({ ok: false, message: error.message });
+        }
+        res.status(500).json({ ok: false, message: 'Внутренняя ошибка сервера при обработке вебхука.' });
+    }
+};
+
+// @desc    Имитировать оплату заказа через тестового провайдера
+// @route   POST /api/payments/mock/simulate
+// @access  Private (только при ENABLE_MOCK_PAYMENTS=true; владелец заказа или право orders:update)
+// Тело: { orderId, status: 'paid' | 'failed' }. Отправляет в обработчик подписанный вебхук, как это сделал бы провайдер.
+exports.simulateMockPayment = async (req, res) => {
+    if (!isMockPaymentsEnabled()) {
+        return res.status(404).json({ message: 'Не найдено.' });
+    }
+
+    const { orderId, status = 'paid' } = req.body;
+
+    try {
+        const order = await Order.findById(orderId);
+        if (!order) {
+            return res.status(404).json({ message: 'Заказ не найден.' });
+        }
+        if (!hasPermission(req.user, 'orders:update') && order.user.toString() !== req.user.id) {
+            return res.status(403).json({ message: 'Доступ запрещен: вы не можете оплачивать этот заказ.' });
+        }
+        if (!order.payment || order.payment.provider !== 'mock' || !order.payment.invoiceId) {
+            return res.status(400).json({ message: 'Заказ не выставлен к оплате через тестового провайдера.' });
+        }
+
+        const { rawBody, body, signature } = getProvider('mock').buildWebhook(order.payment, status);
+        const result = await handleWebhook('mock', { rawBody, body, headers: { 'x-mock-signature': signature } });
+
+        res.json({ ok: !result.error, ...result, order: await Order.findById(order._id) });
+    } catch (error) {
+        console.error('Ошибка имитации оплаты:', error);
+        if (['PaymentError', 'OrderStatusError'].includes(error.name)) {
+            return res.status(error.statusCode).json({ message: error.message, ...error.details });
+        }
+        if (error.kind === 'ObjectId') {
+            return res.status(404).json({ message: 'Заказ не найден (неверный формат ID).' });
+        }
+        res.status(500).json({ message: 'Внутренняя ошибка сервера при имитации оплаты.' });
+    }
+};
\ No newline at end of file
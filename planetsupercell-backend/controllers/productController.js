@@ -6,65 +6,200 @@ const Product = require('../models/Product');
 const Category = require('../models/Category');
 const Order = require('../models/Order'); // Нужен для проверки перед удалением
 const Review = require('../models/Review'); // Нужен для каскадного удаления отзывов
+const { loadCategories, getDescendantIds, getCategoryPath } = require('../utils/categoryTree');
+const { normalizeCheckoutFields, resolveCheckoutFields } = require('../utils/checkoutFields');
 
-// @desc    Получить все товары (с фильтрацией и пагинацией)
-// @route   GET /api/products
+// --- Добавление полного пути категории и диапазона цен к товару ---
+// categories - заранее загруженный список категорий (чтобы не делать запрос на каждый товар)
+// conversion - валюта ответа (req.conversion из middleware resolveCurrency)
+// Возвращает обычный объект товара с полями:
+//   categoryPath: [{ _id, name }, ...] от корня до категории товара
+//   priceRange:   { min, max } - для товара с вариантами "от ... до ...", иначе min === max
+//   pricing:      цены в валюте ответа { currency, rate, price, oldPrice, priceRange, variants: [{ _id, price, oldPrice }] }
+//                 (price, oldPrice и priceRange самого товара остаются в базовой валюте)
+const withCategoryPath = async (product, categories, conversion) => {
+    const productObject = product.toObject();
+    const categoryId = product.categoryId && product.categoryId._id ? product.categoryId._id : product.categoryId;
+    productObject.categoryPath = categoryId ? (await getCategoryPath(categoryId, categories)) || [] : [];
+    productObject.priceRange = { min: product.price, max: product.maxPrice || product.price };
+    productObject.pricing = {
+        currency: conversion.currency,
+        rate: conversion.rate,
+        price: conversion.convert(product.price),
+        oldPrice: conversion.convert(product.oldPrice),
+        priceRange: { min: conversion.convert(productObject.priceRange.min), max: conversion.convert(productObject.priceRange.max) },
+        variants: product.variants.map(variant => ({
+            _id: variant._id,
+            price: conversion.convert(variant.price),
+            oldPrice: conversion.convert(variant.oldPrice),
+        })),
+    };
+    return productObject;
+};
+
+// --- Валидация вариантов товара из тела запроса ---
+// Возвращает нормализованный массив вариантов или выбрасывает ошибку 400.
+// Переданный _id существующего варианта сохраняется (иначе ссылки из заказов "потеряются").
+const parseVariants = (res, variants) => {
+    if (!Array.isArray(variants)) {
+        res.status(400); throw new Error('Варианты товара (variants) должны быть массивом.');
+    }
+    return variants.map((variant, index) => {
+        const label = variant && typeof variant.label === 'string' ? variant.label.trim() : '';
+        const price = Number(variant && variant.price);
+        // Остаток может быть не указан: новый вариант получит 0, у существующего остаток не изменится
+        const stock = variant && variant.stock !== undefined ? Number(variant.stock) : undefined;
+        const oldPrice = variant && variant.oldPrice ? Number(variant.oldPrice) : null;
+
+        if (!label) {
+            res.status(400); throw new Error(`Вариант #${index + 1}: укажите название (label).`);
+        }
+        if (isNaN(price) || price <= 0) {
+            res.status(400); throw new Error(`Вариант "${label}": цена должна быть положительным числом.`);
+        }
+        if (stock !== undefined && (!Number.isInteger(stock) || stock < 0)) {
+            res.status(400); throw new Error(`Вариант "${label}": остаток должен быть целым числом не меньше 0.`);
+        }
+        if (oldPrice !== null && (isNaN(oldPrice) || oldPrice <= price)) {
+            res.status(400); throw new Error(`Вариант "${label}": старая цена должна быть больше текущей цены.`);
+        }
+
+        const normalized = { label, price, stock, oldPrice };
+        if (variant._id) normalized._id = variant._id;
+        return normalized;
+    });
+};
+
+// --- Валидация полей оформления заказа из тела запроса ---
+// Возвращает массив полей или выбрасывает ошибку 400
+const parseCheckoutFields = (res, checkoutFields) => {
+    const { fields, error } = normalizeCheckoutFields(checkoutFields);
+    if (error) {
+        res.status(400); throw new Error(error);
+    }
+    return fields;
+};
+
+// --- Параметры каталога ---
+const DEFAULT_PAGE_SIZE = 12; // Количество товаров на странице по умолчанию
+const MAX_PAGE_SIZE = 48;     // Максимальный размер страницы, который может запросить клиент
+
+// Варианты сортировки (?sort=...)
+const SORT_OPTIONS = {
+    price_asc: { price: 1 },
+    price_desc: { price: -1 },
+    rating: { rating: -1, numReviews: -1 },
+    newest: { createdAt: -1 },
+    popular: { soldCount: -1, numReviews: -1 },
+};
+
+// @desc    Получить все товары (с поиском, фильтрацией, сортировкой и пагинацией)
+// @route   GET /api/products?keyword=...&categoryId=...&includeDescendants=true&minPrice=...&maxPrice=...
+//                          &inStock=true&onSale=true&sort=price_asc|price_desc|rating|newest|popular&pageNumber=...&pageSize=...
+//                          &currency=RUB|UAH|KZT|USD (minPrice и maxPrice - в этой же валюте)
 // @access  Public
 exports.getAllProducts = asyncHandler(async (req, res) => {
-    const pageSize = 12; // Количество товаров на странице (можно сделать настраиваемым)
-    const page = Number(req.query.pageNumber) || 1; // Текущая страница
+    const pageSize = Math.min(Math.max(parseInt(req.query.pageSize, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+    const page = Math.max(Number(req.query.pageNumber) || 1, 1); // Текущая страница
+
+    const { sort, minPrice, maxPrice } = req.query;
+    const keyword = (req.query.keyword || '').trim();
+
+    // --- Валидация параметров ---
+    if (sort && !SORT_OPTIONS[sort]) {
+        res.status(400);
+        throw new Error(`Неверная сортировка '${sort}'. Допустимые значения: ${Object.keys(SORT_OPTIONS).join(', ')}.`);
+    }
+    if ((minPrice !== undefined && isNaN(minPrice)) || (maxPrice !== undefined && isNaN(maxPrice))) {
+        res.status(400);
+        throw new Error('minPrice и maxPrice должны быть числами.');
+    }
+
+    // Все категории загружаем одним запросом: нужны и для фильтра по поддереву, и для путей категорий
+    const categories = await loadCategories();
 
     // Фильтрация по категории
+    // По умолчанию (includeDescendants=true) ищем товары в категории И во всех ее подкатегориях,
+    // ?includeDescendants=false - только товары, лежащие непосредственно в категории
     const categoryId = req.query.categoryId;
+    const includeDescendants = req.query.includeDescendants !== 'false';
     let categoryFilter = {};
     if (categoryId) {
-        // TODO: Если нужна полная иерархия, нужно найти ID всех подкатегорий
-        // const descendantIds = await getAllDescendantIds(categoryId); // Потребуется вспомогательная функция
-        // categoryFilter = { categoryId: { $in: [categoryId, ...descendantIds] } };
-        // Пока фильтруем только по прямому ID
-        categoryFilter = { categoryId: categoryId };
-    }
-
-    // Фильтрация по поисковому запросу (простой поиск по имени)
-    const keyword = req.query.keyword
-        ? {
-              name: {
-                  $regex: req.query.keyword, // Используем регулярное выражение
-                  $options: 'i', // 'i' - нечувствительность к регистру
-              },
-          }
-        : {};
+        if (includeDescendants) {
+            const descendantIds = await getDescendantIds(categoryId, categories);
+            categoryFilter = { categoryId: { $in: [categoryId, ...descendantIds] } };
+        } else {
+            categoryFilter = { categoryId: categoryId };
+        }
+    }
+
+    // Полнотекстовый поиск по названию, категории и описанию (текстовый индекс с весами)
+    // В отличие от $regex, спецсимволы в запросе не интерпретируются и индекс используется всегда
+    const textFilter = keyword ? { $text: { $search: keyword } } : {};
+
+    // Фильтр по цене (границы приходят в валюте ответа, цены в БД - в базовой валюте)
+    const priceFilter = {};
+    if (minPrice !== undefined) priceFilter.$gte = Number(minPrice) / req.conversion.rate;
+    if (maxPrice !== undefined) priceFilter.$lte = Number(maxPrice) / req.conversion.rate;
 
     // Объединяем все фильтры
-    const filter = { ...keyword, ...categoryFilter };
+    // Архивные товары и товары из архивных категорий в публичный каталог не попадают
+    const filter = { ...textFilter, ...categoryFilter, archivedAt: null };
+    if (Object.keys(priceFilter).length > 0) filter.price = priceFilter;
+    if (req.query.inStock === 'true') filter.stock = { $gt: 0 };
+    if (req.query.onSale === 'true') {
+        // Есть старая цена у товара или хотя бы у одного из вариантов - товар со скидкой
+        filter.$or = [{ oldPrice: { $ne: null } }, { variants: { $elemMatch: { oldPrice: { $ne: null } } } }];
+    }
+    const archivedCategoryIds = categories.filter(category => category.archivedAt).map(category => category._id);
+    if (archivedCategoryIds.length > 0) {
+        filter.$and = [{ categoryId: { $nin: archivedCategoryIds } }];
+    }
+
+    // Сортировка: явно заданная, иначе при поиске - по релевантности, иначе - новые сначала
+    let sortOrder = SORT_OPTIONS[sort] || SORT_OPTIONS.newest;
+    let projection = {};
+    if (keyword) {
+        projection = { score: { $meta: 'textScore' } };
+        if (!sort) sortOrder = { score: { $meta: 'textScore' } };
+    }
 
     // Считаем общее количество товаров, подходящих под фильтры
     const count = await Product.countDocuments(filter);
 
     // Находим товары для текущей страницы с фильтрами и сортировкой
-    const products = await Product.find(filter)
+    const products = await Product.find(filter, projection)
         .populate('categoryId', 'name') // Добавляем имя категории
+        .sort({ ...sortOrder, _id: 1 }) // _id - для стабильного порядка между страницами
         .limit(pageSize) // Ограничиваем количество на странице
-        .skip(pageSize * (page - 1)) // Пропускаем товары предыдущих страниц
-        .sort({ createdAt: -1 }); // Сортируем по дате создания (или 'name' для алфавитного)
+        .skip(pageSize * (page - 1)); // Пропускаем товары предыдущих страниц
+
+    // Каждому товару добавляем полный путь категории (например, Brawl Stars > Гемы)
+    const productsWithPath = await Promise.all(products.map(product => withCategoryPath(product, categories, req.conversion)));
 
     // Отправляем товары, номер страницы и общее количество страниц
     res.json({
-        products,
+        products: productsWithPath,
         page,
         pages: Math.ceil(count / pageSize), // Общее количество страниц
+        pageSize,
+        currency: req.conversion.currency, // Валюта цен в pricing
         count // Общее количество найденных товаров
     });
 });
 
 // @desc    Получить товар по ID
 // @route   GET /api/products/:id
-// @access  Public
+// @access  Public (архивные товары тоже возвращаются - на них ссылаются старые заказы)
 exports.getProductById = asyncHandler(async (req, res) => {
     const product = await Product.findById(req.params.id).populate('categoryId', 'name');
 
     if (product) {
-        res.json(product);
+        const categories = await loadCategories();
+        const productObject = await withCategoryPath(product, categories, req.conversion);
+        // Итоговые поля оформления с учетом категорий - по ним клиент строит форму заказа
+        productObject.resolvedCheckoutFields = await resolveCheckoutFields(product, categories);
+        res.json(productObject);
     } else {
         res.status(404);
         throw new Error('Товар не найден');
@@ -84,23 +219,32 @@ exports.createProduct = asyncHandler(async (req, res) => {
         stock = 0,
         categoryId,
         oldPrice = null,
+        variants, // Необязательный массив вариантов [{ label, price, oldPrice, stock }]
+        checkoutFields, // Необязательный массив полей оформления [{ key, label, type, required, ... }]
     } = req.body;
 
+    // Варианты (фасовки): если заданы, цена и остаток товара вычисляются по ним
+    const parsedVariants = variants !== undefined ? parseVariants(res, variants) : [];
+    const parsedCheckoutFields = checkoutFields !== undefined ? parseCheckoutFields(res, checkoutFields) : [];
+    const hasVariants = parsedVariants.length > 0;
+
     // --- Валидация ---
-    if (!name || !price || !categoryId) {
+    if (!name || (!price && !hasVariants) || !categoryId) {
         res.status(400);
-        throw new Error('Пожалуйста, укажите название, цену и категорию товара.');
+        throw new Error('Пожалуйста, укажите название, цену (или варианты) и категорию товара.');
     }
-    if (isNaN(price) || price <= 0) {
+    if (hasVariants) {
+        // Цена, старая цена и остаток товара задаются только через варианты
+    } else if (isNaN(price) || price <= 0) {
         res.status(400); throw new Error('Цена должна быть положительным числом.');
     }
-    if (isNaN(stock) || stock < 0) {
+    if (!hasVariants && (isNaN(stock) || stock < 0)) {
         res.status(400); throw new Error('Остаток не может быть отрицательным.');
     }
-    if (oldPrice !== null && (isNaN(oldPrice) || oldPrice < 0)) {
+    if (!hasVariants && oldPrice !== null && (isNaN(oldPrice) || oldPrice < 0)) {
         res.status(400); throw new Error('Старая цена должна быть числом не меньше 0.');
     }
-     if (oldPrice !== null && oldPrice <= price) {
+     if (!hasVariants && oldPrice !== null && oldPrice <= price) {
         res.status(400); throw new Error('Старая цена должна быть больше текущей цены.');
     }
 
@@ -110,6 +254,10 @@ exports.createProduct = asyncHandler(async (req, res) => {
         res.status(400);
         throw new Error(`Категория с ID ${categoryId} не найдена.`);
     }
+    if (categoryExists.archivedAt) {
+        res.status(400);
+        throw new Error(`Категория '${categoryExists.name}' находится в архиве. Восстановите ее или выберите другую.`);
+    }
     // --- Конец валидации ---
 
     // Создаем новый товар
@@ -122,6 +270,8 @@ exports.createProduct = asyncHandler(async (req, res) => {
         stock: Number(stock),
         categoryId,
         oldPrice: oldPrice ? Number(oldPrice) : null,
+        variants: parsedVariants, // Для товара с вариантами price/oldPrice/stock пересчитаются при сохранении
+        checkoutFields: parsedCheckoutFields,
         // Поля rating, numReviews будут обновляться отдельно (например, при добавлении отзыва)
     });
 
@@ -141,6 +291,8 @@ exports.updateProduct = asyncHandler(async (req, res) => {
         stock,
         categoryId,
         oldPrice,
+        variants, // Если передан - задает новый список вариантов (существующие указываются по _id)
+        checkoutFields, // Если передан - полностью заменяет список полей оформления
     } = req.body;
     const productId = req.params.id;
 
@@ -152,6 +304,13 @@ exports.updateProduct = asyncHandler(async (req, res) => {
     }
 
     // --- Валидация входных данных (если они переданы) ---
+    const parsedVariants = variants !== undefined ? parseVariants(res, variants) : null;
+    const parsedCheckoutFields = checkoutFields !== undefined ? parseCheckoutFields(res, checkoutFields) : null;
+    const hasVariants = parsedVariants ? parsedVariants.length > 0 : product.variants.length > 0;
+    if (hasVariants && (price !== undefined || stock !== undefined || oldPrice !== undefined)) {
+        res.status(400);
+        throw new Error('У товара есть варианты: цена, старая цена и остаток задаются через variants.');
+    }
     if (price !== undefined && (isNaN(price) || price <= 0)) {
         res.status(400); throw new Error('Цена должна быть положительным числом.');
     }
@@ -161,10 +320,10 @@ exports.updateProduct = asyncHandler(async (req, res) => {
     const currentPrice = price !== undefined ? Number(price) : product.price;
     const currentOldPrice = oldPrice !== undefined ? (oldPrice ? Number(oldPrice) : null) : product.oldPrice;
 
-    if (currentOldPrice !== null && (isNaN(currentOldPrice) || currentOldPrice < 0)) {
+    if (!hasVariants && currentOldPrice !== null && (isNaN(currentOldPrice) || currentOldPrice < 0)) {
         res.status(400); throw new Error('Старая цена должна быть числом не меньше 0.');
     }
-    if (currentOldPrice !== null && currentOldPrice <= currentPrice) {
+    if (!hasVariants && currentOldPrice !== null && currentOldPrice <= currentPrice) {
          res.status(400); throw new Error('Старая цена должна быть больше текущей цены.');
     }
     if (categoryId) {
@@ -172,6 +331,10 @@ exports.updateProduct = asyncHandler(async (req, res) => {
         if (!categoryExists) {
             res.status(400);
             throw new Error(`Категория с ID ${categoryId} не найдена.`);
+        }
+        if (categoryExists.archivedAt) {
+            res.status(400);
+            throw new Error(`Категория '${categoryExists.name}' находится в архиве. Восстановите ее или выберите другую.`);
         }
          product.categoryId = categoryId; // Обновляем категорию только если проверка прошла
     }
@@ -185,16 +348,90 @@ exports.updateProduct = asyncHandler(async (req, res) => {
     product.image = image !== undefined ? image : product.image;
     product.stock = stock !== undefined ? Number(stock) : product.stock;
     product.oldPrice = oldPrice !== undefined ? (oldPrice ? Number(oldPrice) : null) : product.oldPrice;
+    if (parsedCheckoutFields) {
+        product.checkoutFields = parsedCheckoutFields;
+    }
     // Поля user, rating, numReviews обычно не меняются здесь
 
     const updatedProduct = await product.save();
+
+    // Варианты обновляются отдельной атомарной операцией, а не через save():
+    // иначе остатки, списанные параллельными заказами, были бы перезаписаны прочитанными значениями
+    if (parsedVariants) {
+        await Product.updateVariants(product, parsedVariants);
+        return res.json(await Product.findById(productId));
+    }
+
     res.json(updatedProduct);
 });
 
-// @desc    Удалить товар
+// @desc    Получить архивные товары (для админ-панели)
+// @route   GET /api/products/archived
+// @access  Private/Admin
+exports.getArchivedProducts = asyncHandler(async (req, res) => {
+    const products = await Product.find({ archivedAt: { $ne: null } })
+        .populate('categoryId', 'name archivedAt')
+        .populate('archivedBy', 'firstName username')
+        .sort({ archivedAt: -1 }); // Сначала недавно архивированные
+    res.json(products);
+});
+
+// @desc    Отправить товар в архив (мягкое удаление)
 // @route   DELETE /api/products/:id
 // @access  Private/Admin
-exports.deleteProduct = asyncHandler(async (req, res) => {
+exports.archiveProduct = asyncHandler(async (req, res) => {
+    const product = await Product.findById(req.params.id);
+
+    if (!product) {
+        res.status(404);
+        throw new Error('Товар не найден');
+    }
+    if (product.archivedAt) {
+        res.status(400);
+        throw new Error(`Товар "${product.name}" уже находится в архиве.`);
+    }
+
+    // Товар остается в БД: заказы и отзывы продолжают на него ссылаться
+    product.archivedAt = new Date();
+    product.archivedBy = req.user.id;
+    await product.save();
+
+    res.json({ message: `Товар "${product.name}" перемещен в архив.`, product });
+});
+
+// @desc    Восстановить товар из архива
+// @route   PUT /api/products/:id/restore
+// @access  Private/Admin
+exports.restoreProduct = asyncHandler(async (req, res) => {
+    const product = await Product.findById(req.params.id);
+
+    if (!product) {
+        res.status(404);
+        throw new Error('Товар не найден');
+    }
+    if (!product.archivedAt) {
+        res.status(400);
+        throw new Error(`Товар "${product.name}" не находится в архиве.`);
+    }
+
+    // Товар в архивной категории все равно не будет виден в каталоге - сначала нужно восстановить категорию
+    const category = await Category.findById(product.categoryId).select('name archivedAt');
+    if (category && category.archivedAt) {
+        res.status(400);
+        throw new Error(`Категория '${category.name}' находится в архиве. Сначала восстановите ее или перенесите товар в другую категорию.`);
+    }
+
+    product.archivedAt = null;
+    product.archivedBy = null;
+    await product.save();
+
+    res.json({ message: `Товар "${product.name}" восстановлен из архива.`, product });
+});
+
+// @desc    Окончательно удалить товар (только из архива)
+// @route   DELETE /api/products/:id/purge
+// @access  Private/Admin
+exports.purgeProduct = asyncHandler(async (req, res) => {
     const productId = req.params.id;
 
     const product = await Product.findById(productId);
@@ -204,6 +441,11 @@ exports.deleteProduct = asyncHandler(async (req, res) => {
         throw new Error('Товар не найден');
     }
 
+    // Окончательное удаление - только для товаров, которые уже в архиве
+    if (!product.archivedAt) {
+        res.status(400);
+        throw new Error(`Товар "${product.name}" не находится в архиве. Сначала отправьте его в архив.`);
+    }
     // --- Критически важная проверка: нет ли товара в активных заказах ---
     const activeOrdersExist = await Order.findOne({
         'items.productId': productId, // Ищем товар в массиве items
@@ -223,5 +465,13 @@ exports.deleteProduct = asyncHandler(async (req, res) => {
     // Удаление самого товара
     await product.deleteOne(); // Или Product.findByIdAndDelete(productId);
 
-    res.json({ message: `Товар "${product.name}" и ${reviewDeleteResult.deletedCount} связанных отзывов удалены.` });
+    res.json({ message: `Товар "${product.name}" и ${reviewDeleteResult.deletedCount} связанных отзывов удалены окончательно.` });
+});
+
+// @desc    Пересинхронизировать поисковые данные товаров (название категории для текстового индекса)
+// @route   POST /api/products/reindex
+// @access  Private/Admin
+exports.reindexProducts = asyncHandler(async (req, res) => {
+    const modified = await Product.syncCategoryNames();
+    res.json({ message: 'Поисковые данные товаров обновлены.', modified });
 });
\ No newline at end of file
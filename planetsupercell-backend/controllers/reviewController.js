@@ -31,7 +31,7 @@ exports.createReview = async (req, res) => {
         // 3. Проверка заказа и права на отзыв
         const order = await Order.findOne({
             _id: orderId,
-            userId: userId, // Заказ должен принадлежать текущему пользователю
+            user: userId, // Заказ должен принадлежать текущему пользователю
             status: 'completed', // Заказ должен быть выполнен
             'items.productId': productId // Заказ должен содержать этот товар
         });
@@ -40,9 +40,10 @@ exports.createReview = async (req, res) => {
             return res.status(403).json({ message: 'Невозможно оставить отзыв. Вы не покупали этот товар или заказ не завершен.' });
         }
 
-        // 4. Проверка, не был ли уже оставлен отзыв ИМЕННО ПО ЭТОМУ ЗАКАЗУ
-        if (order.reviewSubmitted) {
-             return res.status(400).json({ message: 'Вы уже оставили отзыв для этого заказа.' });
+        // 4. Проверка, не был ли уже оставлен отзыв на ЭТОТ ТОВАР В РАМКАХ ЭТОГО ЗАКАЗА
+        const orderItem = order.items.find(item => item.productId.toString() === productId.toString());
+        if (orderItem.reviewSubmitted) {
+             return res.status(400).json({ message: 'Вы уже оставили отзыв на этот товар по данному заказу.' });
         }
 
         // 5. Проверка, не оставлял ли пользователь отзыв на ЭТОТ товар РАНЕЕ (по другому заказу)
@@ -63,17 +64,23 @@ exports.createReview = async (req, res) => {
             order: orderId,
             rating: Number(rating),
             text: text || '', // Текст опционален
+            status: 'pending', // Отзыв станет виден после одобрения модератором
         });
 
         const createdReview = await review.save();
 
-        // 7. Пометить заказ как "отзыв оставлен"
-        order.reviewSubmitted = true;
+        // 7. Пометить позицию заказа как "отзыв оставлен"
+        // (если товар встречается в заказе несколькими строками - помечаем все)
+        order.items.forEach(item => {
+            if (item.productId.toString() === productId.toString()) {
+                item.reviewSubmitted = true;
+            }
+        });
+        // Общий флаг заказа - когда отзывы оставлены на все товары
+        order.reviewSubmitted = order.items.every(item => item.reviewSubmitted);
         await order.save();
 
-        // 8. (Опционально) Обновить средний рейтинг товара
-        // Эта логика может быть вынесена в метод модели Product или выполняться здесь
-        // await updateProductRating(productId); // Понадобится отдельная функция
+        // Рейтинг товара здесь не пересчитывается: отзыв учитывается только после одобрения (см. approveReviews)
 
         res.status(201).json(createdReview);
 
@@ -86,6 +93,64 @@ exports.createReview = async (req, res) => {
     }
 };
 
+// @desc    Получить товары из выполненных заказов пользователя, ожидающие отзыва
+// @route   GET /api/reviews/pending
+// @access  Private
+exports.getPendingReviews = async (req, res) => {
+    const userId = req.user.id;
+
+    try {
+        // 1. Выполненные заказы пользователя, в которых есть позиции без отзыва (сначала новые).
+        // $elemMatch обязателен: условие { 'items.reviewSubmitted': { $ne: true } } отбросило бы заказ,
+        // если отзыв оставлен хотя бы на одну из его позиций.
+        const orders = await Order.find({
+            user: userId,
+            status: 'completed',
+            items: { $elemMatch: { reviewSubmitted: { $ne: true } } }
+        })
+            .select('items createdAt updatedAt')
+            .sort({ createdAt: -1 });
+
+        // 2. Товары, на которые пользователь уже оставлял отзыв (один пользователь = один отзыв на товар)
+        const reviewedProductIds = new Set(
+            (await Review.distinct('product', { user: userId })).map(id => id.toString())
+        );
+
+        // 3. Собираем список без повторов: если товар покупался несколько раз, берем самый свежий заказ
+        const pending = new Map();
+        for (const order of orders) {
+            for (const item of order.items) {
+                const productKey = item.productId.toString();
+                if (item.reviewSubmitted || reviewedProductIds.has(productKey) || pending.has(productKey)) {
+                    continue;
+                }
+                pending.set(productKey, {
+                    productId: item.productId,
+                    orderId: order._id,
+                    name: item.name,
+                    image: item.image,
+                    orderedAt: order.createdAt,
+                    completedAt: order.updatedAt,
+                });
+            }
+        }
+
+        // 4. Убираем товары, которые удалены из каталога или отправлены в архив (на них нельзя оставить отзыв)
+        const existingProductIds = new Set(
+            (await Product.find({ _id: { $in: Array.from(pending.keys()) }, archivedAt: null }).select('_id'))
+                .map(product => product._id.toString())
+        );
+        const items = Array.from(pending.values())
+            .filter(item => existingProductIds.has(item.productId.toString()));
+
+        res.json(items);
+
+    } catch (error) {
+        console.error('Ошибка при получении товаров, ожидающих отзыва:', error);
+        res.status(500).json({ message: 'Внутренняя ошибка сервера при получении товаров для отзыва.' });
+    }
+};
+
 // @desc    Получить все отзывы для конкретного товара
 // @route   GET /api/reviews?productId=...
 // @access  Public
@@ -97,7 +162,8 @@ exports.getProductReviews = async (req, res) => {
     }
 
     try {
-        const reviews = await Review.find({ product: productId })
+        // Покупателям показываем только одобренные отзывы
+        const reviews = await Review.find({ product: productId, ...Review.PUBLISHED_FILTER })
             .populate('user', 'firstName username') // Загружаем имя и юзернейм автора
             .sort({ createdAt: -1 }); // Сначала новые
 
@@ -109,23 +175,113 @@ exports.getProductReviews = async (req, res) => {
     }
 };
 
-// @desc    Получить ВСЕ отзывы (для админ-панели)
-// @route   GET /api/reviews
+// @desc    Получить ВСЕ отзывы (для админ-панели, с фильтром по статусу и пагинацией)
+// @route   GET /api/reviews?status=pending&pageNumber=1&pageSize=20
 // @access  Private/Admin
 exports.getAllReviews = async (req, res) => {
+    const validStatuses = ['pending', 'approved', 'rejected'];
+    const status = req.query.status;
+
+    if (status && !validStatuses.includes(status)) {
+        return res.status(400).json({ message: `Неверный статус. Допустимые значения: ${validStatuses.join(', ')}.` });
+    }
+
+    // Пагинация: размер страницы настраивается, но не больше MAX_PAGE_SIZE
+    const MAX_PAGE_SIZE = 100;
+    const pageSize = Math.min(Math.max(parseInt(req.query.pageSize, 10) || 20, 1), MAX_PAGE_SIZE);
+    const page = Math.max(parseInt(req.query.pageNumber, 10) || 1, 1);
+
+    // Старые отзывы без поля status считаются одобренными
+    const filter = {};
+    if (status === 'approved') {
+        Object.assign(filter, Review.PUBLISHED_FILTER);
+    } else if (status) {
+        filter.status = status;
+    }
+
     try {
-        const reviews = await Review.find({})
+        const count = await Review.countDocuments(filter);
+        const reviews = await Review.find(filter)
             .populate('user', 'firstName username telegramId') // Добавляем больше инфо об авторе
             .populate('product', 'name') // Добавляем имя товара
-            .sort({ createdAt: -1 });
-
-        res.json(reviews);
+            .populate('moderatedBy', 'firstName username') // Кто модерировал
+            .sort({ createdAt: -1 })
+            .limit(pageSize)
+            .skip(pageSize * (page - 1));
+
+        res.json({
+            reviews,
+            page,
+            pages: Math.ceil(count / pageSize),
+            count
+        });
     } catch (error) {
         console.error('Ошибка при получении всех отзывов:', error);
         res.status(500).json({ message: 'Внутренняя ошибка сервера при получении всех отзывов.' });
     }
 };
 
+// --- Общая логика массовой модерации ---
+// Меняет статус переданных отзывов и пересчитывает рейтинг затронутых товаров
+const moderateReviews = async (req, res, newStatus) => {
+    const { ids, reason } = req.body;
+
+    if (!Array.isArray(ids) || ids.length === 0) {
+        return res.status(400).json({ message: 'Необходимо передать массив ID отзывов (ids).' });
+    }
+    if (newStatus === 'rejected' && !reason) {
+        return res.status(400).json({ message: 'Укажите причину отклонения (reason).' });
+    }
+
+    try {
+        // Запоминаем товары до обновления, чтобы пересчитать их рейтинг
+        const productIds = await Review.distinct('product', { _id: { $in: ids } });
+        if (productIds.length === 0) {
+            return res.status(404).json({ message: 'Отзывы с указанными ID не найдены.' });
+        }
+
+        const result = await Review.updateMany(
+            { _id: { $in: ids } },
+            {
+                $set: {
+                    status: newStatus,
+                    rejectionReason: newStatus === 'rejected' ? reason : '',
+                    moderatedBy: req.user.id,
+                    moderatedAt: new Date(),
+                }
+            }
+        );
+
+        // Одобрение или отклонение меняет набор учитываемых отзывов - пересчитываем рейтинги
+        for (const productId of productIds) {
+            await Review.calculateAverageRating(productId);
+        }
+
+        res.json({
+            message: newStatus === 'approved' ? 'Отзывы одобрены.' : 'Отзывы отклонены.',
+            matched: result.matchedCount,
+            modified: result.modifiedCount
+        });
+
+    } catch (error) {
+        console.error(`Ошибка при модерации отзывов (${newStatus}):`, error);
+        if (error.name === 'CastError') {
+            return res.status(400).json({ message: 'Некорректный ID отзыва в списке.' });
+        }
+        res.status(500).json({ message: 'Внутренняя ошибка сервера при модерации отзывов.' });
+    }
+};
+
+// @desc    Одобрить отзывы (массово)
+// @route   PUT /api/reviews/approve
+// @access  Private/Admin
+exports.approveReviews = (req, res) => moderateReviews(req, res, 'approved');
+
+// @desc    Отклонить отзывы с указанием причины (массово)
+// @route   PUT /api/reviews/reject
+// @access  Private/Admin
+exports.rejectReviews = (req, res) => moderateReviews(req, res, 'rejected');
+
 // @desc    Удалить отзыв (только админ)
 // @route   DELETE /api/reviews/:id
 // @access  Private/Admin
@@ -144,10 +300,13 @@ exports.deleteReview = async (req, res) => {
 
         await review.deleteOne(); // Или Review.findByIdAndDelete(reviewId);
 
-        // Опционально: Сбросить флаг в заказе, чтобы пользователь мог оставить отзыв снова?
+        // Опционально: Сбросить флаг позиции в заказе, чтобы пользователь мог оставить отзыв снова?
         // Решите, нужна ли эта логика. Если админ удалил спам, возможно, не стоит сбрасывать.
         /*
         if (order) {
+            order.items.forEach(item => {
+                if (item.productId.toString() === review.product.toString()) item.reviewSubmitted = false;
+            });
             order.reviewSubmitted = false;
             await order.save();
             console.log(`Флаг reviewSubmitted сброшен для заказа ${order._id}`);
@@ -156,8 +315,8 @@ exports.deleteReview = async (req, res) => {
         }
         */
 
-        // (Опционально) Обновить средний рейтинг товара после удаления
-        // await updateProductRating(review.product);
+        // Обновить средний рейтинг товара после удаления
+        await Review.calculateAverageRating(review.product);
 
         res.json({ message: 'Отзыв успешно удален.' });
 
@@ -171,24 +330,19 @@ exports.deleteReview = async (req, res) => {
 };
 
 
-// --- Вспомогательная функция для обновления рейтинга (если нужна) ---
-/*
-async function updateProductRating(productId) {
+// @desc    Пересчитать рейтинги всех товаров по отзывам
+// @route   POST /api/reviews/recalculate-ratings
+// @access  Private/Admin
+exports.recalculateRatings = async (req, res) => {
     try {
-        const reviews = await Review.find({ product: productId });
-        const numReviews = reviews.length;
-        const averageRating = numReviews > 0
-            ? reviews.reduce((acc, item) => item.rating + acc, 0) / numReviews
-            : 0;
-
-        await Product.findByIdAndUpdate(productId, {
-            rating: averageRating, // Предполагается, что у Product есть поле rating
-            numReviews: numReviews   // И поле numReviews
+        const result = await Review.recalculateAllRatings();
+        console.log(`Пересчет рейтингов каталога: товаров с отзывами - ${result.productsWithReviews}, сброшено - ${result.productsReset}`);
+        res.json({
+            message: 'Рейтинги товаров пересчитаны.',
+            ...result
         });
-        console.log(`Рейтинг для товара ${productId} обновлен: ${averageRating.toFixed(1)} (${numReviews} отзывов)`);
     } catch (error) {
-        console.error(`Ошибка при обновлении рейтинга товара ${productId}:`, error);
-        // Эту ошибку не стоит отправлять пользователю, она фоновая
+        console.error('Ошибка при пересчете рейтингов товаров:', error);
+        res.status(500).json({ message: 'Внутренняя ошибка сервера при пересчете рейтингов.' });
     }
-}
-*/
\ No newline at end of file
+};
\ No newline at end of file
@@ -0,0 +1,29 @@
+// Файл: controllers/telegramController.js
+// Назначение: Обработка вебхука Telegram-бота.
+
+const { isValidWebhookSecret } = require('../services/telegramApi');
+const { handleUpdate, isPaymentUpdate } = require('../services/telegramBot');
+const { handleWebhook } = require('../services/paymentService');
+
+// @desc    Вебхук Telegram-бота (команды, inline-кнопки, оплата Stars)
+// @route   POST /api/telegram/webhook
+// @access  Public (подлинность проверяется заголовком X-Telegram-Bot-Api-Secret-Token)
+exports.telegramWebhook = async (req, res) => {
+    if (!isValidWebhookSecret(req)) {
+        console.warn('Вебхук Telegram отклонен: неверный секретный токен.');
+        return res.status(401).json({ message: 'Неверный секретный токен.' });
+    }
+
+    const update = req.body || {};
+    try {
+        // Оплата Stars обрабатывается платежным провайдером, остальное - ботом
+        const result = isPaymentUpdate(update)
+            ? await handleWebhook('telegram-stars', req)
+            : await handleUpdate(update);
+        res.json({ ok: true, result });
+    } catch (error) {
+        // Отвечаем 200, иначе Telegram будет повторять update и задержит следующие
+        console.error(`Ошибка обработки update ${update.update_id} от Telegram:`, error);
+        res.json({ ok: false });
+    }
+};
\ No newline at end of file
@@ -0,0 +1,246 @@
+// Файл: controllers/userController.js
+// Назначение: Обработка API запросов управления пользователями: поиск, просмотр, блокировка, роли и сессии.
+
+const asyncHandler = require('express-async-handler'); // Обработчик для async функций
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Order = require('../models/Order');
+const Review = require('../models/Review');
+const { PERMISSIONS, ROLE_PERMISSIONS, ROLES, DEFAULT_ROLE, getPermissions, hasPermission } = require('../config/roles');
+const { listActiveSessions, revokeUserSessions } = require('../services/sessionService');
+const { EMPTY_ORDER_STATS, getUsersOrderStats, blockUser, unblockUser, getBlockedFilter } = require('../services/userService');
+const { maskOrderCheckoutFields } = require('../utils/checkoutFields');
+
+// Поля пользователя, которые видны в списке
+const USER_LIST_FIELDS = 'telegramId firstName lastName username role roleUpdatedAt languageCode currency blockedAt blockedUntil blockReason createdAt';
+// Сколько последних заказов и отзывов показывать в карточке пользователя
+const USER_DETAIL_LIMIT = 50;
+
+// Пользователь для ответа: поля модели + вычисляемый признак блокировки
+const toUserResponse = (user, stats) => ({
+    ...user.toObject(),
+    isBlocked: user.isBlocked(),
+    ...(stats ? { stats } : {}),
+});
+
+// --- Загрузка пользователя по ID из URL (404, если не найден) ---
+const findUserOr404 = async (req, res) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        res.status(404);
+        throw new Error('Пользователь не найден (неверный формат ID).');
+    }
+    const user = await User.findById(req.params.id);
+    if (!user) {
+        res.status(404);
+        throw new Error('Пользователь не найден.');
+    }
+    return user;
+};
+
+// @desc    Получить список ролей и прав
+// @route   GET /api/users/roles
+// @access  Private (право users:manage)
+exports.getRoles = asyncHandler(async (req, res) => {
+    res.json({
+        roles: ROLES.map(role => ({ role, permissions: ROLE_PERMISSIONS[role] })),
+        permissions: Object.entries(PERMISSIONS).map(([permission, description]) => ({ permission, description })),
+    });
+});
+
+// @desc    Получить пользователей с количеством заказов и суммой покупок (фильтры, поиск, пагинация)
+// @route   GET /api/users?role=support&staff=true&blocked=true&keyword=...&pageNumber=1&pageSize=20
+// @access  Private (право users:read)
+// staff=true - только сотрудники (все роли, кроме покупателя); blocked=true|false - только (не)заблокированные сейчас
+// keyword - часть имени или юзернейма (можно с @) либо точный Telegram ID
+exports.getUsers = asyncHandler(async (req, res) => {
+    const { role, staff, blocked, keyword } = req.query;
+
+    if (role && !ROLES.includes(role)) {
+        res.status(400);
+        throw new Error(`Неизвестная роль "${role}". Допустимые значения: ${ROLES.join(', ')}.`);
+    }
+
+    // Пагинация: размер страницы настраивается, но не больше MAX_PAGE_SIZE
+    const MAX_PAGE_SIZE = 100;
+    const pageSize = Math.min(Math.max(parseInt(req.query.pageSize, 10) || 20, 1), MAX_PAGE_SIZE);
+    const page = Math.max(parseInt(req.query.pageNumber, 10) || 1, 1);
+
+    const filter = {};
+    if (role) {
+        filter.role = role;
+    } else if (staff === 'true') {
+        filter.role = { $ne: DEFAULT_ROLE };
+    }
+    if (blocked === 'true' || blocked === 'false') {
+        Object.assign(filter, getBlockedFilter(blocked === 'true'));
+    }
+    if (keyword) {
+        // Поиск по имени, юзернейму или точному Telegram ID
+        const search = String(keyword).trim().replace(/^@/, '');
+        const pattern = new RegExp(search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+        // $and, т.к. фильтр блокировки тоже может содержать $or
+        filter.$and = [{ $or: [{ firstName: pattern }, { lastName: pattern }, { username: pattern }] }];
+        if (/^\d+$/.test(search)) filter.$and[0].$or.push({ telegramId: Number(search) });
+    }
+
+    const count = await User.countDocuments(filter);
+    const users = await User.find(filter)
+        .select(USER_LIST_FIELDS)
+        .sort({ createdAt: -1 })
+        .limit(pageSize)
+        .skip(pageSize * (page - 1));
+
+    // Количество заказов и сумма покупок - одним запросом для всей страницы
+    const stats = await getUsersOrderStats(users.map(user => user._id));
+
+    res.json({
+        users: users.map(user => toUserResponse(user, stats.get(user._id.toString()) || EMPTY_ORDER_STATS)),
+        page,
+        pages: Math.ceil(count / pageSize),
+        count,
+    });
+});
+
+// @desc    Получить пользователя с заказами и отзывами
+// @route   GET /api/users/:id
+// @access  Private (право users:read)
+exports.getUserById = asyncHandler(async (req, res) => {
+    const user = await findUserOr404(req, res);
+    await user.populate('blockedBy roleUpdatedBy', 'firstName username');
+
+    const [stats, orders, reviews] = await Promise.all([
+        getUsersOrderStats([user._id]),
+        Order.find({ user: user._id }).sort({ createdAt: -1 }).limit(USER_DETAIL_LIMIT),
+        Review.find({ user: user._id })
+            .populate('product', 'name')
+            .sort({ createdAt: -1 })
+            .limit(USER_DETAIL_LIMIT),
+    ]);
+
+    res.json({
+        ...toUserResponse(user, stats.get(user._id.toString()) || EMPTY_ORDER_STATS),
+        // Данные покупателя в заказах (тег игрока и т.п.) полностью видны только с правом orders:read
+        orders: hasPermission(req.user, 'orders:read') ? orders : orders.map(maskOrderCheckoutFields),
+        reviews,
+    });
+});
+
+// @desc    Заблокировать пользователя
+// @route   PUT /api/users/:id/block
+// @access  Private (право users:block; сотрудников может блокировать только право users:manage)
+// Тело: { reason: 'Спам', until?: '2026-12-31T00:00:00Z' | null (бессрочно), cancelPendingOrders?: true }
+exports.blockUserById = asyncHandler(async (req, res) => {
+    const { reason, until, cancelPendingOrders } = req.body;
+
+    if (!reason || !String(reason).trim()) {
+        res.status(400);
+        throw new Error('Укажите причину блокировки (reason).');
+    }
+    let blockedUntil = null;
+    if (until) {
+        blockedUntil = new Date(until);
+        if (isNaN(blockedUntil.getTime()) || blockedUntil <= new Date()) {
+            res.status(400);
+            throw new Error('Дата окончания блокировки (until) должна быть корректной датой в будущем.');
+        }
+    }
+    if (req.params.id === req.user.id) {
+        res.status(400);
+        throw new Error('Нельзя заблокировать самого себя.');
+    }
+
+    const user = await findUserOr404(req, res);
+    if (getPermissions(user).length > 0 && !hasPermission(req.user, 'users:manage')) {
+        res.status(403);
+        throw new Error('Доступ запрещен: блокировать сотрудников может только владелец (право users:manage).');
+    }
+
+    const result = await blockUser(user, {
+        reason: String(reason).trim(),
+        until: blockedUntil,
+        blockedBy: req.user._id,
+        cancelPendingOrders: Boolean(cancelPendingOrders),
+    });
+
+    res.json({
+        user: toUserResponse(result.user),
+        revokedSessions: result.revokedSessions,
+        cancelledOrders: result.cancelledOrders,
+        failedOrders: result.failedOrders, // Заказы, которые не удалось отменить (с причиной)
+    });
+});
+
+// @desc    Разблокировать пользователя
+// @route   DELETE /api/users/:id/block
+// @access  Private (право users:block; сотрудников - право users:manage)
+exports.unblockUserById = asyncHandler(async (req, res) => {
+    const user = await findUserOr404(req, res);
+    if (getPermissions(user).length > 0 && !hasPermission(req.user, 'users:manage')) {
+        res.status(403);
+        throw new Error('Доступ запрещен: разблокировать сотрудников может только владелец (право users:manage).');
+    }
+    if (!user.blockedAt) {
+        res.status(400);
+        throw new Error('Пользователь не заблокирован.');
+    }
+
+    await unblockUser(user, { unblockedBy: req.user._id });
+    res.json(toUserResponse(user));
+});
+
+// @desc    Назначить пользователю роль (в том числе снять роль - назначить buyer)
+// @route   PUT /api/users/:id/role
+// @access  Private (право users:manage)
+// Тело: { role: 'manager' }
+exports.updateUserRole = asyncHandler(async (req, res) => {
+    const { role } = req.body;
+
+    if (!ROLES.includes(role)) {
+        res.status(400);
+        throw new Error(`Неизвестная роль "${role}". Допустимые значения: ${ROLES.join(', ')}.`);
+    }
+    // Свою роль менять нельзя: так владелец не сможет случайно лишить магазин последнего владельца
+    if (req.params.id === req.user.id) {
+        res.status(400);
+        throw new Error('Нельзя изменить собственную роль.');
+    }
+
+    const user = await findUserOr404(req, res);
+
+    const previousRole = user.role;
+    user.role = role;
+    user.roleUpdatedBy = req.user.id;
+    user.roleUpdatedAt = new Date();
+    await user.save();
+
+    console.log(`Роль пользователя ${user._id} (TG ID: ${user.telegramId}) изменена: ${previousRole} -> ${role} (изменил ${req.user.id})`);
+    res.json({
+        _id: user._id,
+        telegramId: user.telegramId,
+        firstName: user.firstName,
+        username: user.username,
+        role: user.role,
+        permissions: getPermissions(user),
+        roleUpdatedAt: user.roleUpdatedAt,
+    });
+});
+
+// @desc    Получить активные сессии пользователя
+// @route   GET /api/users/:id/sessions
+// @access  Private (право users:manage)
+exports.getUserSessions = asyncHandler(async (req, res) => {
+    const user = await findUserOr404(req, res);
+    const sessions = await listActiveSessions(user._id);
+    res.json(sessions);
+});
+
+// @desc    Принудительно завершить все сессии пользователя
+// @route   DELETE /api/users/:id/sessions
+// @access  Private (право users:manage)
+exports.revokeUserSessionsByAdmin = asyncHandler(async (req, res) => {
+    const user = await findUserOr404(req, res);
+
+    const revokedCount = await revokeUserSessions(user._id, { revokedBy: req.user._id, reason: 'admin' });
+    console.log(`Сессии пользователя ${user._id} (TG ID: ${user.telegramId}) завершены администратором ${req.user.id}: ${revokedCount}`);
+    res.json({ message: `Завершено сессий: ${revokedCount}.`, revokedCount });
+});
\ No newline at end of file
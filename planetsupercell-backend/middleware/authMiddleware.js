@@ -1,9 +1,11 @@
 // Файл: middleware/authMiddleware.js
-// Назначение: Middleware для защиты роутов Express.js, требующих аутентификации и/или прав администратора.
+// Назначение: Middleware для защиты роутов Express.js, требующих аутентификации и/или прав доступа.
 
 const jwt = require('jsonwebtoken');
 const asyncHandler = require('express-async-handler'); // Для обработки ошибок в async функциях
 const User = require('../models/User'); // Импортируем модель пользователя для получения данных
+const { hasPermission } = require('../config/roles');
+const { isSessionActive } = require('../services/sessionService');
 require('dotenv').config(); // Убедимся, что переменные окружения загружены
 
 const JWT_SECRET = process.env.JWT_SECRET;
@@ -25,33 +27,56 @@ const protect = asyncHandler(async (req, res, next) => {
             // jwt.verify выбросит ошибку, если токен невалиден или истек
             const decoded = jwt.verify(token, JWT_SECRET);
 
-            // 4. Находим пользователя в БД по ID из токена
+            // 4. Проверяем, что сессия токена не отозвана (выход, выход везде, отзыв администратором).
+            //    Токены без ID сессии (выпущенные до появления сессий) не принимаются.
+            if (!decoded.sid || !(await isSessionActive(decoded.sid))) {
+                const sessionError = new Error('Session revoked');
+                sessionError.name = 'SessionRevokedError';
+                throw sessionError;
+            }
+            req.sessionId = decoded.sid;
+
+            // 5. Находим пользователя в БД по ID из токена
             //    decoded.user.id - это _id пользователя из НАШЕЙ базы данных (записанный при создании токена)
             //    Исключаем поле пароля (-password), если оно есть в модели User
             req.user = await User.findById(decoded.user.id).select('-password');
 
-            // 5. Проверка, найден ли пользователь (на случай, если юзера удалили, а токен еще жив)
+            // 6. Проверка, найден ли пользователь (на случай, если юзера удалили, а токен еще жив)
             if (!req.user) {
                  console.warn(`Auth Warning: User with ID ${decoded.user.id} from token not found in DB.`);
                  res.status(401); // Используем 401, т.к. аутентификация по сути не удалась
                  throw new Error('Не авторизован, пользователь не найден');
             }
 
-            // 6. Если все успешно, передаем управление следующему middleware или обработчику роута
+            // 7. Заблокированный пользователь не может пользоваться API, даже если сессия еще не завершена
+            if (req.user.isBlocked()) {
+                const blockedError = new Error(req.user.getBlockMessage());
+                blockedError.name = 'UserBlockedError';
+                throw blockedError;
+            }
+
+            // 8. Если все успешно, передаем управление следующему middleware или обработчику роута
             next();
 
         } catch (error) {
             console.error('Ошибка верификации токена:', error.message);
+            if (error.name === 'UserBlockedError') {
+                res.status(403); // 403 Forbidden - пользователь известен, но доступ ему закрыт
+                throw new Error(error.message);
+            }
             res.status(401); // 401 Unauthorized - токен невалиден или ошибка
             // Можно детализировать ошибку в зависимости от error.name (например, TokenExpiredError)
             if (error.name === 'TokenExpiredError') {
                 throw new Error('Не авторизован, срок действия токена истек');
             }
+            if (error.name === 'SessionRevokedError') {
+                throw new Error('Не авторизован, сессия завершена');
+            }
             throw new Error('Не авторизован, неверный токен');
         }
     }
 
-    // 7. Если заголовок Authorization отсутствует или имеет неверный формат
+    // 9. Если заголовок Authorization отсутствует или имеет неверный формат
     if (!token) {
         res.status(401);
         throw new Error('Не авторизован, токен отсутствует');
@@ -59,18 +84,43 @@ const protect = asyncHandler(async (req, res, next) => {
 });
 
 
-// --- Middleware для проверки прав администратора ---
+// --- Middleware для необязательной аутентификации ---
+// Для публичных роутов, ответ которых зависит от пользователя (например, валюта цен в каталоге).
+// Если передан валидный токен, добавляет req.user; при отсутствии или ошибке токена запрос
+// продолжается как анонимный (без 401).
+const optionalAuth = asyncHandler(async (req, res, next) => {
+    if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
+        try {
+            const decoded = jwt.verify(req.headers.authorization.split(' ')[1], JWT_SECRET);
+            // Токен отозванной сессии - запрос анонимный
+            req.user = decoded.sid && await isSessionActive(decoded.sid)
+                ? await User.findById(decoded.user.id).select('-password')
+                : null;
+            // Заблокированный пользователь на публичных роутах - тоже анонимный
+            if (req.user && req.user.isBlocked()) req.user = null;
+        } catch (error) {
+            req.user = null; // Невалидный токен на публичном роуте не считаем ошибкой
+        }
+    }
+    next();
+});
+
+
+// --- Middleware для проверки прав доступа ---
+// Использование: router.put('/:id', protect, authorize('catalog:write'), handler)
+// Если передано несколько прав, нужны ВСЕ. Права ролей описаны в config/roles.js.
 // ВАЖНО: Этот middleware должен вызываться ПОСЛЕ middleware 'protect',
 // так как он ожидает, что req.user уже был добавлен и проверен.
-const admin = (req, res, next) => {
-    // Проверяем, существует ли объект пользователя в запросе И является ли он админом
-    if (req.user && req.user.isAdmin) {
-        next(); // Пользователь - админ, пропускаем дальше
+// Роль читается из БД при каждом запросе (в protect), поэтому снятие роли действует сразу, без перевыпуска токена.
+const authorize = (...permissions) => (req, res, next) => {
+    const missing = permissions.filter(permission => !hasPermission(req.user, permission));
+    if (req.user && missing.length === 0) {
+        next(); // Все права есть, пропускаем дальше
     } else {
         res.status(403); // 403 Forbidden - пользователь аутентифицирован, но не имеет прав
-        throw new Error('Доступ запрещен: требуются права администратора.');
+        throw new Error(`Доступ запрещен: требуются права ${missing.join(', ')}.`);
     }
 };
 
-// --- Экспортируем оба middleware ---
-module.exports = { protect, admin };
\ No newline at end of file
+// --- Экспортируем middleware ---
+module.exports = { protect, optionalAuth, authorize };
\ No newline at end of file
@@ -0,0 +1,23 @@
+// Файл: middleware/currencyMiddleware.js
+// Назначение: Определение валюты, в которой показываются цены в ответе.
+
+const asyncHandler = require('express-async-handler');
+const { getConversion, getRequestCurrency } = require('../services/currencyService');
+
+// --- Middleware: валюта запроса ---
+// Валюта берется из ?currency=..., затем из настроек пользователя (req.user, поэтому ставится
+// ПОСЛЕ protect или optionalAuth), иначе - базовая. Результат кладется в req.conversion:
+// { currency, rate, rounding, convert(amount) }. Неподдерживаемая валюта или валюта без курса - 400.
+const resolveCurrency = asyncHandler(async (req, res, next) => {
+    try {
+        req.conversion = await getConversion(getRequestCurrency(req));
+    } catch (error) {
+        if (error.name === 'CurrencyError') {
+            res.status(error.statusCode);
+        }
+        throw error;
+    }
+    next();
+});
+
+module.exports = { resolveCurrency };
\ No newline at end of file
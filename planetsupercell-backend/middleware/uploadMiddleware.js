@@ -0,0 +1,94 @@
+// Файл: middleware/uploadMiddleware.js
+// Назначение: Middleware на основе multer для приема скриншотов оплаты (multipart/form-data).
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const multer = require('multer');
+
+// --- Каталог для скриншотов ---
+// ВАЖНО: Скриншоты хранятся ВНЕ публичной папки 'uploads', которая раздается через express.static.
+// Получить файл можно только через защищенный роут GET /api/orders/:id/screenshot
+// (владелец заказа или админ).
+const SCREENSHOTS_DIR = path.join(__dirname, '..', 'private_uploads', 'screenshots');
+
+// Допустимые MIME-типы и соответствующие им расширения файлов
+const ALLOWED_MIME_TYPES = {
+    'image/jpeg': '.jpg',
+    'image/png': '.png',
+    'image/webp': '.webp',
+};
+
+// Максимальный размер скриншота (по умолчанию 5 МБ, можно переопределить в .env)
+const MAX_SCREENSHOT_SIZE = parseInt(process.env.MAX_SCREENSHOT_SIZE_MB, 10) * 1024 * 1024 || 5 * 1024 * 1024;
+
+// --- Настройка хранилища ---
+const storage = multer.diskStorage({
+    // Каталог создается при первой загрузке, а не при подключении модуля:
+    // require не должен трогать файловую систему (тесты, скрипты обслуживания)
+    destination: (req, file, cb) => {
+        fs.mkdir(SCREENSHOTS_DIR, { recursive: true }, (err) => cb(err, SCREENSHOTS_DIR));
+    },
+    // Имя файла генерируется случайно: оригинальное имя от клиента НЕ используется,
+    // чтобы исключить подбор путей и перезапись чужих файлов
+    filename: (req, file, cb) => {
+        const randomName = crypto.randomBytes(16).toString('hex');
+        cb(null, `${randomName}${ALLOWED_MIME_TYPES[file.mimetype]}`);
+    },
+});
+
+// --- Фильтр файлов по MIME-типу ---
+const fileFilter = (req, file, cb) => {
+    if (ALLOWED_MIME_TYPES[file.mimetype]) {
+        cb(null, true);
+    } else {
+        const error = new Error(`Недопустимый тип файла: ${file.mimetype}. Разрешены: ${Object.keys(ALLOWED_MIME_TYPES).join(', ')}.`);
+        error.statusCode = 400;
+        cb(error);
+    }
+};
+
+const upload = multer({
+    storage,
+    fileFilter,
+    limits: {
+        fileSize: MAX_SCREENSHOT_SIZE,
+        files: 1, // Только один скриншот на заказ
+    },
+});
+
+// --- Middleware для поля 'screenshot' с понятными сообщениями об ошибках ---
+// Ошибки multer (превышение размера, лишние файлы) превращаем в 400 вместо 500.
+const uploadScreenshot = (req, res, next) => {
+    upload.single('screenshot')(req, res, (err) => {
+        if (!err) {
+            return next();
+        }
+        if (err instanceof multer.MulterError) {
+            if (err.code === 'LIMIT_FILE_SIZE') {
+                return res.status(400).json({ message: `Файл слишком большой. Максимальный размер: ${Math.round(MAX_SCREENSHOT_SIZE / 1024 / 1024)} МБ.` });
+            }
+            return res.status(400).json({ message: `Ошибка загрузки файла: ${err.message}` });
+        }
+        if (err.statusCode === 400) {
+            return res.status(400).json({ message: err.message });
+        }
+        next(err);
+    });
+};
+
+// --- Удаление загруженного файла (например, если заказ не удалось создать) ---
+const removeUploadedFile = (file) => {
+    if (!file || !file.path) return;
+    fs.unlink(file.path, (err) => {
+        if (err) {
+            console.error(`Не удалось удалить файл ${file.path}:`, err.message);
+        }
+    });
+};
+
+// --- Полный путь к скриншоту по имени файла, сохраненному в заказе ---
+// path.basename защищает от выхода за пределы каталога, даже если в БД попало что-то лишнее
+const getScreenshotFullPath = (fileName) => path.join(SCREENSHOTS_DIR, path.basename(fileName));
+
+module.exports = { uploadScreenshot, removeUploadedFile, getScreenshotFullPath };
\ No newline at end of file
@@ -0,0 +1,66 @@
+// Файл: models/Cart.js
+// Назначение: Определяет схему и модель Mongoose для серверной корзины покупателя.
+
+const mongoose = require('mongoose');
+
+// --- Под-схема позиции корзины ---
+// Цена в корзине НЕ фиксируется: при каждом чтении корзина пересчитывается по актуальным данным Product.
+// lastSeenPrice - цена, которую покупатель видел в последний раз; по ней определяется, что цена выросла.
+const CartItemSchema = new mongoose.Schema({
+    productId: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true,
+        ref: 'Product',
+    },
+    // Вариант товара (фасовка), если у товара есть варианты
+    variantId: {
+        type: mongoose.Schema.Types.ObjectId,
+        default: null,
+    },
+    quantity: {
+        type: Number,
+        required: true,
+        min: 1,
+    },
+    // Значения полей оформления (тег игрока и т.п.), заполненные заранее: { key: value }
+    fields: {
+        type: Map,
+        of: String,
+        default: {},
+    },
+    // Последняя цена, показанная покупателю
+    lastSeenPrice: {
+        type: Number,
+        default: null,
+    },
+    addedAt: {
+        type: Date,
+        default: Date.now,
+    },
+});
+
+const CartSchema = new mongoose.Schema(
+    {
+        // Владелец корзины (у каждого пользователя одна корзина)
+        user: {
+            type: mongoose.Schema.Types.ObjectId,
+            required: true,
+            ref: 'User',
+            unique: true,
+        },
+        items: [CartItemSchema],
+        // Блокировка на время оформления заказа из корзины (см. checkoutCart).
+        // Пока срок не истек, второе оформление той же корзины отклоняется.
+        checkoutLockedUntil: {
+            type: Date,
+            default: null,
+        },
+    },
+    {
+        timestamps: true, // Добавляет createdAt и updatedAt
+    }
+);
+
+const Cart = mongoose.model('Cart', CartSchema);
+
+module.exports = Cart;
\ No newline at end of file
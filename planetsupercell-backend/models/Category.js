@@ -2,6 +2,7 @@
 // Назначение: Определяет схему и модель Mongoose для категорий товаров.
 
 const mongoose = require('mongoose');
+const CheckoutFieldSchema = require('./CheckoutFieldSchema');
 
 const CategorySchema = new mongoose.Schema(
     {
@@ -29,6 +30,23 @@ const CategorySchema = new mongoose.Schema(
             trim: true,
             default: '',
         },
+        // Поля оформления заказа, общие для всех товаров категории и ее подкатегорий
+        // (например, "Тег игрока" для всей категории Brawl Stars)
+        checkoutFields: [CheckoutFieldSchema],
+        // --- Архивация (мягкое удаление) ---
+        // Архивная категория скрыта из публичных списков, но остается в БД, поэтому товары из старых
+        // заказов по-прежнему показывают свою категорию. Администратор может восстановить ее или удалить окончательно.
+        // Вместе с категорией архивируются все ее подкатегории, а товары в них скрываются из каталога.
+        archivedAt: {
+            type: Date,
+            default: null, // null - категория активна
+        },
+        // Кто отправил в архив
+        archivedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            default: null,
+        },
         // --- Дополнительные поля (если нужны) ---
         // Например, порядок сортировки, флаг активности и т.д.
         // sortOrder: { type: Number, default: 0 },
@@ -57,6 +75,8 @@ const CategorySchema = new mongoose.Schema(
 CategorySchema.index({ parentId: 1 });
 // Индекс по имени - для поиска или сортировки по имени
 CategorySchema.index({ name: 1 });
+// Индекс по дате архивации (для отбора активных/архивных категорий)
+CategorySchema.index({ archivedAt: 1 });
 
 
 // --- Middleware (Предосторожности перед удалением - ОПЦИОНАЛЬНО) ---
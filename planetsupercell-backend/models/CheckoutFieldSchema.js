@@ -0,0 +1,66 @@
+// Файл: models/CheckoutFieldSchema.js
+// Назначение: Под-схема поля оформления заказа (данные покупателя, нужные для выполнения заказа).
+// Используется в моделях Product и Category - это не отдельная модель.
+
+const mongoose = require('mongoose');
+
+// Пример: для товаров Brawl Stars администратор задает поле
+// { key: 'playerTag', label: 'Тег игрока', type: 'text', required: true, validator: 'supercellPlayerTag' }
+// Поля категории наследуются всеми товарами в ней и в ее подкатегориях,
+// поле товара с тем же key переопределяет поле категории.
+const CheckoutFieldSchema = new mongoose.Schema({
+    // Ключ поля, под которым покупатель передает значение (латиница, цифры, _)
+    key: {
+        type: String,
+        required: [true, 'Ключ поля обязателен.'],
+        trim: true,
+        match: [/^[a-zA-Z][a-zA-Z0-9_]{0,49}$/, 'Ключ поля: латинские буквы, цифры и _, начиная с буквы.'],
+    },
+    // Подпись поля, которую видит покупатель ("Тег игрока", "Email Supercell ID")
+    label: {
+        type: String,
+        required: [true, 'Подпись поля обязательна.'],
+        trim: true,
+    },
+    // Тип поля
+    type: {
+        type: String,
+        enum: ['text', 'email', 'number', 'select'],
+        default: 'text',
+    },
+    // Обязательно ли поле
+    required: {
+        type: Boolean,
+        default: false,
+    },
+    // Регулярное выражение для проверки значения (опционально)
+    pattern: {
+        type: String,
+        default: '',
+    },
+    // Встроенный валидатор (опционально)
+    validator: {
+        type: String,
+        enum: [
+            'none',
+            'supercellPlayerTag', // Тег игрока Supercell (#2PP...)
+            'supercellIdEmail',   // Email аккаунта Supercell ID
+        ],
+        default: 'none',
+    },
+    // Допустимые значения для type: 'select' (например, регионы/серверы)
+    options: {
+        type: [String],
+        default: [],
+    },
+    // Подсказка для покупателя
+    placeholder: {
+        type: String,
+        trim: true,
+        default: '',
+    },
+}, {
+    _id: false
+});
+
+module.exports = CheckoutFieldSchema;
\ No newline at end of file
@@ -0,0 +1,105 @@
+// Файл: models/Coupon.js
+// Назначение: Определяет схему и модель Mongoose для промокодов (купонов) на скидку.
+
+const mongoose = require('mongoose');
+
+const CouponSchema = new mongoose.Schema(
+    {
+        // Код, который вводит покупатель (хранится в верхнем регистре)
+        code: {
+            type: String,
+            required: [true, 'Код купона обязателен.'],
+            unique: true,
+            uppercase: true,
+            trim: true,
+            match: [/^[A-Z0-9_-]{3,32}$/, 'Код купона: 3-32 символа (латиница, цифры, _ и -).'],
+        },
+        // Описание акции (для админ-панели)
+        description: {
+            type: String,
+            trim: true,
+            default: '',
+        },
+        // Тип скидки: процент от суммы подходящих товаров или фиксированная сумма
+        discountType: {
+            type: String,
+            enum: ['percent', 'fixed'],
+            required: [true, 'Тип скидки обязателен.'],
+        },
+        // Размер скидки: проценты (1-100) или сумма в рублях
+        value: {
+            type: Number,
+            required: [true, 'Размер скидки обязателен.'],
+            min: [0.01, 'Размер скидки должен быть больше 0.'],
+        },
+        // Максимальная сумма скидки для процентного купона (null - без ограничения)
+        maxDiscountAmount: {
+            type: Number,
+            min: 0,
+            default: null,
+        },
+        // Минимальная сумма заказа (до скидки), с которой действует купон
+        minOrderAmount: {
+            type: Number,
+            min: 0,
+            default: 0,
+        },
+        // --- Область действия ---
+        // Если оба списка пусты, купон действует на весь заказ.
+        // Иначе скидка считается только от товаров из списка и товаров из указанных категорий (включая подкатегории).
+        productIds: [{
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Product',
+        }],
+        categoryIds: [{
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Category',
+        }],
+        // --- Срок действия (null - без ограничения) ---
+        validFrom: {
+            type: Date,
+            default: null,
+        },
+        validUntil: {
+            type: Date,
+            default: null,
+        },
+        // --- Ограничения использования ---
+        // Сколько раз купон можно использовать всего (null - без ограничения)
+        usageLimit: {
+            type: Number,
+            min: 1,
+            default: null,
+        },
+        // Сколько раз купон может использовать один покупатель (null - без ограничения)
+        perUserLimit: {
+            type: Number,
+            min: 1,
+            default: 1,
+        },
+        // Сколько раз купон использован сейчас (возврат заказа уменьшает счетчик)
+        usedCount: {
+            type: Number,
+            min: 0,
+            default: 0,
+        },
+        // Ручное выключение купона без удаления
+        isActive: {
+            type: Boolean,
+            default: true,
+        },
+        // Кто создал купон
+        createdBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            default: null,
+        },
+    },
+    {
+        timestamps: true, // Добавляет createdAt и updatedAt
+    }
+);
+
+const Coupon = mongoose.model('Coupon', CouponSchema);
+
+module.exports = Coupon;
\ No newline at end of file
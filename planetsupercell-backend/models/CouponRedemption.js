@@ -0,0 +1,51 @@
+// Файл: models/CouponRedemption.js
+// Назначение: Определяет схему и модель Mongoose для использований купонов (одна запись - один заказ).
+
+const mongoose = require('mongoose');
+
+// Запись создается при оформлении заказа с купоном. По активным записям (releasedAt: null)
+// считается лимит использований на одного покупателя. При возврате заказа запись "освобождается",
+// и покупатель может применить купон снова.
+const CouponRedemptionSchema = new mongoose.Schema(
+    {
+        coupon: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Coupon',
+            required: true,
+        },
+        user: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: true,
+        },
+        order: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Order',
+            required: true,
+        },
+        // Сумма скидки, полученная по купону в этом заказе
+        discountAmount: {
+            type: Number,
+            min: 0,
+            default: 0,
+        },
+        // Когда использование было возвращено (возврат заказа). null - использование действует
+        releasedAt: {
+            type: Date,
+            default: null,
+        },
+    },
+    {
+        timestamps: true, // Добавляет createdAt и updatedAt
+    }
+);
+
+// --- Индексы ---
+// Один заказ - не больше одного использования купона
+CouponRedemptionSchema.index({ order: 1 }, { unique: true });
+// Для подсчета использований купона покупателем
+CouponRedemptionSchema.index({ coupon: 1, user: 1, releasedAt: 1 });
+
+const CouponRedemption = mongoose.model('CouponRedemption', CouponRedemptionSchema);
+
+module.exports = CouponRedemption;
\ No newline at end of file
@@ -0,0 +1,51 @@
+// Файл: models/CurrencyRate.js
+// Назначение: Определяет схему и модель Mongoose для курсов валют, которые задает администратор.
+
+const mongoose = require('mongoose');
+const { SUPPORTED_CURRENCIES } = require('../config/currencies');
+
+// Курс хранится как "сколько единиц валюты за 1 единицу базовой валюты".
+// Например, при базовой валюте RUB: { currency: 'KZT', rate: 5.4 } - 1 RUB = 5.4 KZT.
+const CurrencyRateSchema = new mongoose.Schema(
+    {
+        currency: {
+            type: String,
+            required: true,
+            unique: true,
+            uppercase: true,
+            enum: SUPPORTED_CURRENCIES,
+        },
+        rate: {
+            type: Number,
+            required: [true, 'Курс обязателен.'],
+            min: [0.000001, 'Курс должен быть больше 0.'],
+        },
+        // --- Округление пересчитанных цен ---
+        // null - используется правило по умолчанию для валюты (DEFAULT_ROUNDING в config/currencies.js)
+        // Шаг округления: 0.01 - до копеек/центов, 1 - до целых, 10 - до десятков
+        roundingStep: {
+            type: Number,
+            min: [0.01, 'Шаг округления не может быть меньше 0.01.'],
+            default: null,
+        },
+        // Способ округления: round - математическое, ceil - вверх, floor - вниз
+        roundingMode: {
+            type: String,
+            enum: ['round', 'ceil', 'floor'],
+            default: null,
+        },
+        // Кто последним изменил курс
+        updatedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            default: null,
+        },
+    },
+    {
+        timestamps: true, // Добавляет createdAt и updatedAt (updatedAt - когда курс был изменен)
+    }
+);
+
+const CurrencyRate = mongoose.model('CurrencyRate', CurrencyRateSchema);
+
+module.exports = CurrencyRate;
\ No newline at end of file
@@ -0,0 +1,80 @@
+// Файл: models/NotificationOutbox.js
+// Назначение: Определяет схему и модель Mongoose для очереди исходящих Telegram-уведомлений (outbox).
+
+const mongoose = require('mongoose');
+
+// Каждое уведомление сначала сохраняется в эту коллекцию, а затем отправляется.
+// Если отправка не удалась (Telegram недоступен, лимиты и т.п.), запись остается в статусе 'pending'
+// и будет отправлена повторно фоновым обработчиком (services/notificationService.js).
+const NotificationOutboxSchema = new mongoose.Schema(
+    {
+        // ID чата Telegram получателя (для личных сообщений совпадает с telegramId пользователя)
+        chatId: {
+            type: Number,
+            required: true,
+        },
+        // Текст сообщения (HTML-разметка Telegram)
+        text: {
+            type: String,
+            required: true,
+        },
+        // Тип уведомления (для статистики и отладки)
+        type: {
+            type: String,
+            enum: ['order-status', 'admin-new-order', 'other'],
+            default: 'other',
+        },
+        // Связанный заказ (если есть)
+        order: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Order',
+            default: null,
+        },
+        // Статус доставки
+        status: {
+            type: String,
+            enum: [
+                'pending', // Ожидает отправки (в том числе повторной)
+                'sent',    // Успешно отправлено
+                'failed',  // Отправка окончательно не удалась (исчерпаны попытки или бот заблокирован)
+            ],
+            default: 'pending',
+        },
+        // Количество сделанных попыток отправки
+        attempts: {
+            type: Number,
+            default: 0,
+        },
+        // Когда можно сделать следующую попытку
+        nextAttemptAt: {
+            type: Date,
+            default: Date.now,
+        },
+        // Блокировка записи на время отправки, чтобы два обработчика не отправили одно сообщение дважды
+        lockedUntil: {
+            type: Date,
+            default: null,
+        },
+        // Текст последней ошибки
+        lastError: {
+            type: String,
+            default: '',
+        },
+        // Когда сообщение было доставлено
+        sentAt: {
+            type: Date,
+            default: null,
+        },
+    },
+    {
+        timestamps: true, // Добавляет createdAt и updatedAt
+    }
+);
+
+// --- Индексы ---
+// Для выборки уведомлений, готовых к отправке
+NotificationOutboxSchema.index({ status: 1, nextAttemptAt: 1 });
+
+const NotificationOutbox = mongoose.model('NotificationOutbox', NotificationOutboxSchema);
+
+module.exports = NotificationOutbox;
\ No newline at end of file
@@ -12,6 +12,16 @@ const OrderItemSchema = new mongoose.Schema({
         required: true,
         ref: 'Product', // Ссылка на модель Product
     },
+    // Вариант товара (фасовка), если у товара есть варианты
+    variantId: {
+        type: mongoose.Schema.Types.ObjectId,
+        default: null,
+    },
+    // Название варианта на момент заказа ("80 гемов")
+    variantLabel: {
+        type: String,
+        default: '',
+    },
     // Название товара на момент заказа (для истории, т.к. название в Product может измениться)
     name: {
         type: String,
@@ -34,14 +44,172 @@ const OrderItemSchema = new mongoose.Schema({
         type: String,
         default: '', // По умолчанию пусто
     },
+    // Данные покупателя для выполнения заказа (тег игрока, email Supercell ID и т.п.),
+    // проверенные по полям оформления товара. Видны полностью только администраторам.
+    checkoutFields: [{
+        _id: false,
+        key: { type: String, required: true },
+        label: { type: String, default: '' },
+        value: { type: String, required: true },
+    }],
     // Флаг, показывающий, был ли оставлен отзыв именно на ЭТОТ товар В РАМКАХ ЭТОГО ЗАКАЗА
-    // Можно использовать, если хотите разрешить оставлять отзывы на каждый товар в заказе отдельно
-    // reviewSubmitted: { type: Boolean, default: false } // Пока не используем, используем общий флаг заказа
+    // Позволяет оставить отдельный отзыв на каждый товар многопозиционного заказа
+    reviewSubmitted: {
+        type: Boolean,
+        default: false,
+    },
 }, {
     _id: false // Не создаем отдельный _id для каждого элемента в массиве items
 });
 
 
+// --- Под-схема для записи истории смены статусов ---
+// Каждая смена статуса (включая создание заказа) добавляет одну запись в массив statusHistory
+const StatusHistorySchema = new mongoose.Schema({
+    // Новый статус
+    status: {
+        type: String,
+        required: true,
+    },
+    // Предыдущий статус (null для первой записи при создании заказа)
+    fromStatus: {
+        type: String,
+        default: null,
+    },
+    // Кто сменил статус (null - системное действие)
+    changedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null,
+    },
+    // Когда был сменен статус
+    changedAt: {
+        type: Date,
+        default: Date.now,
+    },
+    // Комментарий к смене статуса (опционально)
+    comment: {
+        type: String,
+        trim: true,
+        default: '',
+    },
+}, {
+    _id: false
+});
+
+
+// --- Под-схема скидки по купону ---
+// Снимок условий купона на момент заказа и распределение скидки по позициям
+const DiscountSchema = new mongoose.Schema({
+    couponId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Coupon',
+        required: true,
+    },
+    // Код купона на момент заказа
+    code: {
+        type: String,
+        required: true,
+    },
+    discountType: {
+        type: String,
+        enum: ['percent', 'fixed'],
+        required: true,
+    },
+    // Размер скидки по условиям купона (проценты или сумма)
+    value: {
+        type: Number,
+        required: true,
+    },
+    // Сумма позиций, на которые распространяется купон
+    eligibleAmount: {
+        type: Number,
+        default: 0,
+    },
+    // Итоговая сумма скидки
+    discountAmount: {
+        type: Number,
+        required: true,
+        min: 0,
+    },
+    // Скидка по каждой подходящей позиции
+    items: [{
+        _id: false,
+        productId: { type: mongoose.Schema.Types.ObjectId, ref: 'Product' },
+        variantId: { type: mongoose.Schema.Types.ObjectId, default: null },
+        amount: { type: Number, default: 0 },
+    }],
+}, {
+    _id: false
+});
+
+
+// --- Под-схема оплаты заказа ---
+// Заполняется платежным провайдером (services/payments). Для ручной оплаты (скриншот) - provider: 'manual'.
+const PaymentSchema = new mongoose.Schema({
+    // Платежный провайдер ('manual', 'mock', ...)
+    provider: {
+        type: String,
+        default: 'manual',
+    },
+    // Статус оплаты (независимо от статуса заказа)
+    status: {
+        type: String,
+        enum: [
+            'awaiting', // Ожидает оплаты
+            'paid',     // Оплачено (подтверждено вебхуком провайдера)
+            'failed',   // Оплата не прошла, можно оплатить снова
+            'refunded', // Деньги возвращены через провайдера
+        ],
+        default: 'awaiting',
+    },
+    // ID счета у провайдера (по нему вебхук находит заказ)
+    invoiceId: {
+        type: String,
+        default: null,
+    },
+    // Ссылка на оплату для покупателя
+    paymentUrl: {
+        type: String,
+        default: '',
+    },
+    // Сумма и валюта счета (в валюте провайдера)
+    amount: {
+        type: Number,
+        default: null,
+    },
+    currency: {
+        type: String,
+        default: null,
+    },
+    // ID платежа у провайдера (нужен для возврата)
+    chargeId: {
+        type: String,
+        default: null,
+    },
+    paidAt: {
+        type: Date,
+        default: null,
+    },
+    // ID возврата у провайдера
+    refundId: {
+        type: String,
+        default: null,
+    },
+    refundedAt: {
+        type: Date,
+        default: null,
+    },
+    // Последняя ошибка (не удалось создать счет, сумма не совпала, возврат не прошел и т.п.)
+    lastError: {
+        type: String,
+        default: '',
+    },
+}, {
+    _id: false
+});
+
+
 // --- Основная схема Заказа ---
 const OrderSchema = new mongoose.Schema(
     {
@@ -53,34 +221,75 @@ const OrderSchema = new mongoose.Schema(
         },
         // Массив заказанных товаров (использует под-схему OrderItemSchema)
         items: [OrderItemSchema],
-        // Общая сумма заказа (рассчитывается при создании)
+        // Сумма товаров до скидки
+        subtotalAmount: {
+            type: Number,
+            min: 0,
+            default: null, // null у заказов, оформленных до появления купонов (там totalAmount без скидки)
+        },
+        // Скидка по купону (null - заказ без купона)
+        discount: {
+            type: DiscountSchema,
+            default: null,
+        },
+        // Общая сумма заказа к оплате (сумма товаров минус скидка, рассчитывается при создании)
         totalAmount: {
             type: Number,
             required: true,
             min: 0,
         },
+        // --- Валюта заказа ---
+        // totalAmount всегда хранится в базовой валюте. Если покупатель оформил заказ в другой валюте,
+        // сохраняются курс на момент заказа и сумма в этой валюте: convertedTotalAmount = округление(totalAmount * exchangeRate)
+        currency: {
+            type: String,
+            default: null, // null у заказов, оформленных до появления валют (базовая валюта)
+        },
+        exchangeRate: {
+            type: Number,
+            default: 1,
+        },
+        // Сумма к оплате в валюте заказа (с округлением по правилу валюты)
+        convertedTotalAmount: {
+            type: Number,
+            default: null,
+        },
         // Статус заказа
         status: {
             type: String,
             required: true,
             enum: [ // Перечисление допустимых статусов
-                'pending',        // Ожидает оплаты (если оплата не сразу) - пока не используется у вас
-                'paid-pending',   // Оплачен, ожидает проверки админом
+                'pending',        // Ожидает оплаты через платежного провайдера (переводится в 'processing' вебхуком об оплате)
+                'paid-pending',   // Оплачен вручную (скриншот), ожидает проверки админом
                 'processing',     // Заказ в обработке/выполнении
                 'completed',      // Заказ успешно выполнен
                 'refunded',       // Заказ отменен/возвращен
                 // Можно добавить другие статусы, если нужно, например 'shipped', 'failed'
             ],
             default: 'paid-pending', // Статус по умолчанию при создании
+            // Допустимые переходы между статусами описаны в services/orderStatusService.js
+        },
+        // История смены статусов (кто, когда, из какого статуса и с каким комментарием)
+        statusHistory: [StatusHistorySchema],
+        // Блокировка на время смены статуса: пока она действует, другой запрос не может менять статус
+        // (services/orderStatusService.js). null - статус сейчас никто не меняет.
+        statusLockedUntil: {
+            type: Date,
+            default: null,
+        },
+        // Оплата заказа (провайдер, счет, статус оплаты)
+        payment: {
+            type: PaymentSchema,
+            default: () => ({}),
         },
-        // Путь к файлу скриншота оплаты на сервере (если используется multer)
-        // Или можно хранить Data URL, но это менее эффективно и имеет ограничения по размеру
+        // Имя файла скриншота оплаты (сгенерировано uploadMiddleware, файл лежит в private_uploads/screenshots)
+        // Отдается только через GET /api/orders/:id/screenshot владельцу заказа или админу
         screenshotPath: {
             type: String,
             default: null, // По умолчанию null
         },
-        // Флаг, указывающий, оставил ли пользователь отзыв ПО ЭТОМУ ЗАКАЗУ
-        // (Упрощенный вариант: один отзыв на весь заказ. Можно усложнить до отзыва на каждый item)
+        // Флаг, указывающий, что отзывы оставлены на ВСЕ товары этого заказа
+        // (Выставляется автоматически, когда у всех items установлен reviewSubmitted)
         reviewSubmitted: {
             type: Boolean,
             default: false, // По умолчанию отзыв не оставлен
@@ -104,6 +313,8 @@ const OrderSchema = new mongoose.Schema(
 OrderSchema.index({ user: 1, createdAt: -1 });
 // Индекс по статусу - для быстрой фильтрации заказов по статусу в админке
 OrderSchema.index({ status: 1 });
+// Индекс по счету провайдера - для поиска заказа при обработке вебхука об оплате
+OrderSchema.index({ 'payment.provider': 1, 'payment.invoiceId': 1 }, { sparse: true });
 
 // --- Создание и экспорт модели ---
 const Order = mongoose.model('Order', OrderSchema);
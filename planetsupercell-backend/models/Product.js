@@ -2,6 +2,37 @@
 // Назначение: Определяет схему и модель Mongoose для товаров магазина.
 
 const mongoose = require('mongoose');
+const CheckoutFieldSchema = require('./CheckoutFieldSchema');
+
+// --- Под-схема варианта товара (фасовки) ---
+// Например, товар "Гемы" с вариантами 30 / 80 / 170 / 360 / 950 / 2000 шт.
+// У каждого варианта своя цена, старая цена и остаток. _id варианта сохраняется в позиции заказа.
+const VariantSchema = new mongoose.Schema({
+    // Название варианта, которое видит покупатель ("80 гемов")
+    label: {
+        type: String,
+        required: [true, 'Название варианта обязательно.'],
+        trim: true,
+    },
+    // Цена варианта
+    price: {
+        type: Number,
+        required: [true, 'Цена варианта обязательна.'],
+        min: [0.01, 'Цена варианта должна быть больше 0.'],
+    },
+    // Старая цена варианта (для отображения скидки)
+    oldPrice: {
+        type: Number,
+        min: [0, 'Старая цена не может быть отрицательной.'],
+        default: null,
+    },
+    // Остаток варианта на складе
+    stock: {
+        type: Number,
+        min: [0, 'Остаток не может быть отрицательным.'],
+        default: 0,
+    },
+});
 
 const ProductSchema = new mongoose.Schema(
     {
@@ -23,6 +54,13 @@ const ProductSchema = new mongoose.Schema(
             required: [true, 'Категория товара обязательна.'], // Сделаем категорию обязательной
             ref: 'Category', // Ссылка на модель Category
         },
+        // Название категории (копия из Category для полнотекстового поиска)
+        // Заполняется автоматически при сохранении товара и обновляется при переименовании категории
+        categoryName: {
+            type: String,
+            trim: true,
+            default: '',
+        },
         // Описание товара
         description: {
             type: String,
@@ -35,6 +73,7 @@ const ProductSchema = new mongoose.Schema(
             default: '',
         },
         // Текущая цена товара
+        // Для товара с вариантами - минимальная цена среди вариантов (вычисляется автоматически)
         price: {
             type: Number,
             required: [true, 'Цена товара обязательна.'],
@@ -56,14 +95,26 @@ const ProductSchema = new mongoose.Schema(
             //     'Старая цена должна быть больше текущей цены.'
             // ]
         },
+        // Максимальная цена (для товара с вариантами - верхняя граница диапазона цен, иначе равна price)
+        maxPrice: {
+            type: Number,
+            default: null,
+        },
+        // Варианты товара (фасовки). Если массив не пуст, price, maxPrice, oldPrice и stock
+        // товара вычисляются по вариантам, а заказ должен указывать конкретный вариант.
+        variants: [VariantSchema],
+        // Поля, которые покупатель заполняет при оформлении (тег игрока, email Supercell ID, сервер).
+        // Дополняют и переопределяют поля категорий, в которые входит товар (utils/checkoutFields.js).
+        checkoutFields: [CheckoutFieldSchema],
         // Количество товара на складе
+        // Для товара с вариантами - сумма остатков всех вариантов (поддерживается автоматически)
         stock: {
             type: Number,
             required: [true, 'Остаток на складе обязателен.'],
             min: [0, 'Остаток не может быть отрицательным.'],
             default: 0,
         },
-        // --- Поля для рейтинга (обновляются при добавлении/удалении отзывов) ---
+        // --- Поля для рейтинга (пересчитываются Review.calculateAverageRating при добавлении/удалении отзывов) ---
         // Средний рейтинг товара
         rating: {
             type: Number,
@@ -79,6 +130,26 @@ const ProductSchema = new mongoose.Schema(
             default: 0,     // По умолчанию 0
             min: 0,
         },
+        // Количество проданных единиц (для сортировки "популярные")
+        // Увеличивается при оформлении заказа и уменьшается при возврате (services/stockService.js)
+        soldCount: {
+            type: Number,
+            default: 0,
+            min: 0,
+        },
+        // --- Архивация (мягкое удаление) ---
+        // Архивный товар скрыт из публичных списков, но остается в БД, поэтому ссылки из заказов
+        // и отзывов продолжают работать. Администратор может восстановить его или удалить окончательно.
+        archivedAt: {
+            type: Date,
+            default: null, // null - товар активен
+        },
+        // Кто отправил в архив
+        archivedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            default: null,
+        },
         // --- Дополнительные поля (если нужны) ---
         // Например, бренд, характеристики, артикул и т.д.
         // brand: { type: String },
@@ -99,9 +170,147 @@ ProductSchema.index({ name: 1 });
 ProductSchema.index({ categoryId: 1 });
 // Индекс по цене (для сортировки/фильтрации по цене)
 ProductSchema.index({ price: 1 });
-// Текстовый индекс для полнотекстового поиска (опционально)
-// ProductSchema.index({ name: 'text', description: 'text' });
+// Индекс по дате архивации (для отбора активных/архивных товаров)
+ProductSchema.index({ archivedAt: 1 });
+// Текстовый индекс для полнотекстового поиска с весами:
+// совпадение в названии важнее, чем в названии категории, а оно - важнее, чем в описании
 // Использование: Product.find({ $text: { $search: "ключевое слово" } })
+ProductSchema.index(
+    { name: 'text', categoryName: 'text', description: 'text' },
+    {
+        name: 'ProductTextIndex',
+        weights: { name: 10, categoryName: 5, description: 2 },
+        default_language: 'russian', // Стемминг для русского языка (гемы/гемов)
+    }
+);
+// Индексы для сортировок каталога
+ProductSchema.index({ rating: -1, numReviews: -1 });
+ProductSchema.index({ soldCount: -1 });
+
+
+// --- Middleware: сводные цена и остаток по вариантам ---
+// Поля price/maxPrice/oldPrice/stock товара остаются "плоскими", чтобы фильтры и сортировки каталога
+// работали одинаково для товаров с вариантами и без них.
+ProductSchema.pre('save', function (next) {
+    if (this.variants && this.variants.length > 0) {
+        const cheapest = this.variants.reduce((min, variant) => (variant.price < min.price ? variant : min));
+        this.price = cheapest.price;
+        this.oldPrice = cheapest.oldPrice || null;
+        this.maxPrice = Math.max(...this.variants.map(variant => variant.price));
+        this.stock = this.variants.reduce((sum, variant) => sum + (variant.stock || 0), 0);
+    } else {
+        this.maxPrice = this.price;
+    }
+    next();
+});
+
+// --- Middleware: заполнение categoryName перед сохранением ---
+ProductSchema.pre('save', async function (next) {
+    if (!this.isNew && !this.isModified('categoryId')) {
+        return next();
+    }
+    try {
+        const category = await mongoose.model('Category').findById(this.categoryId).select('name');
+        this.categoryName = category ? category.name : '';
+        next();
+    } catch (error) {
+        next(error);
+    }
+});
+
+// --- Статический метод: пересинхронизация categoryName у всех товаров ---
+// Нужен для товаров, созданных до появления поля, или после ручных правок в БД
+ProductSchema.statics.syncCategoryNames = async function () {
+    const categories = await mongoose.model('Category').find({}).select('name');
+    if (categories.length === 0) return 0;
+
+    const result = await this.bulkWrite(categories.map(category => ({
+        updateMany: {
+            filter: { categoryId: category._id },
+            update: { $set: { categoryName: category.name } },
+        },
+    })));
+    return result.modifiedCount;
+};
+
+// --- Статический метод: обновление вариантов без перезаписи остатков ---
+// Массив variants нельзя просто сохранить целиком: reserveStock/releaseStock меняют остатки через $inc,
+// и запись прочитанной ранее копии затерла бы продажи, прошедшие между чтением и сохранением.
+// Поэтому одно атомарное обновление (pipeline) удаляет отсутствующие варианты, обновляет существующие
+// по _id, добавляет новые и пересчитывает сводные цену и остаток по актуальным данным.
+// loadedProduct - товар в том виде, в каком его прочитал контроллер; variants - результат parseVariants.
+// Остаток существующего варианта меняется на разницу между новым значением и прочитанным,
+// поэтому параллельные резервы сохраняются (остаток не опускается ниже 0).
+ProductSchema.statics.updateVariants = async function (loadedProduct, variants) {
+    const loadedStock = new Map(loadedProduct.variants.map(variant => [variant._id.toString(), variant.stock || 0]));
+    const isExisting = (variant) => variant._id && loadedStock.has(variant._id.toString());
+    const existing = variants.filter(isExisting);
+
+    // Новые значения существующего варианта ($literal - чтобы строки вида "$..." не считались путями полей)
+    const updatedFields = (variant) => {
+        const fields = {
+            label: { $literal: variant.label },
+            price: { $literal: variant.price },
+            oldPrice: { $literal: variant.oldPrice },
+        };
+        if (variant.stock !== undefined) {
+            const delta = variant.stock - loadedStock.get(variant._id.toString());
+            fields.stock = { $max: [0, { $add: ['$$v.stock', delta] }] };
+        }
+        return fields;
+    };
+    const keptVariants = {
+        $map: {
+            input: {
+                $filter: {
+                    input: { $ifNull: ['$variants', []] },
+                    as: 'v',
+                    cond: { $in: ['$$v._id', existing.map(variant => new mongoose.Types.ObjectId(String(variant._id)))] },
+                },
+            },
+            as: 'v',
+            in: existing.length === 0 ? '$$v' : {
+                $switch: {
+                    branches: existing.map(variant => ({
+                        case: { $eq: ['$$v._id', new mongoose.Types.ObjectId(String(variant._id))] },
+                        then: { $mergeObjects: ['$$v', updatedFields(variant)] },
+                    })),
+                    default: '$$v',
+                },
+            },
+        },
+    };
+    const addedVariants = variants.filter(variant => !isExisting(variant)).map(variant => ({
+        _id: new mongoose.Types.ObjectId(),
+        label: variant.label,
+        price: variant.price,
+        oldPrice: variant.oldPrice,
+        stock: variant.stock !== undefined ? variant.stock : 0,
+    }));
+
+    // Сводные поля - так же, как в pre('save'): минимальная цена, старая цена самого дешевого варианта,
+    // максимальная цена и сумма остатков. Без вариантов поля товара не меняются.
+    const hasVariants = { $gt: [{ $size: '$variants' }, 0] };
+    const cheapest = {
+        $reduce: {
+            input: '$variants',
+            initialValue: { $arrayElemAt: ['$variants', 0] },
+            in: { $cond: [{ $lt: ['$$this.price', '$$value.price'] }, '$$this', '$$value'] },
+        },
+    };
+
+    return this.updateOne({ _id: loadedProduct._id }, [
+        { $set: { variants: { $concatArrays: [keptVariants, { $literal: addedVariants }] } } },
+        {
+            $set: {
+                price: { $cond: [hasVariants, { $min: '$variants.price' }, '$price'] },
+                maxPrice: { $cond: [hasVariants, { $max: '$variants.price' }, '$price'] },
+                oldPrice: { $cond: [hasVariants, { $let: { vars: { cheapest }, in: { $ifNull: ['$$cheapest.oldPrice', null] } } }, '$oldPrice'] },
+                stock: { $cond: [hasVariants, { $sum: '$variants.stock' }, '$stock'] },
+            },
+        },
+    ]);
+};
 
 
 // --- Создание и экспорт модели ---
@@ -41,6 +41,33 @@ const ReviewSchema = new mongoose.Schema(
             trim: true,     // Удалять пробелы по краям
             default: '',    // По умолчанию пустая строка, если текст не оставлен
         },
+        // --- Модерация ---
+        // Статус модерации: новый отзыв не виден покупателям и не влияет на рейтинг, пока его не одобрят
+        status: {
+            type: String,
+            enum: [
+                'pending',  // Ожидает модерации
+                'approved', // Одобрен - виден всем и учитывается в рейтинге товара
+                'rejected', // Отклонен модератором
+            ],
+            default: 'pending',
+        },
+        // Причина отклонения (заполняется при status: 'rejected')
+        rejectionReason: {
+            type: String,
+            trim: true,
+            default: '',
+        },
+        // Кто и когда принял решение по отзыву
+        moderatedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            default: null,
+        },
+        moderatedAt: {
+            type: Date,
+            default: null,
+        },
         // Поля createdAt и updatedAt будут добавлены автоматически благодаря опции timestamps
     },
     {
@@ -62,29 +89,30 @@ ReviewSchema.index({ product: 1, createdAt: -1 });
 // Индекс по заказу - может быть полезен для связи с заказом, но используется реже
 ReviewSchema.index({ order: 1 });
 
+// Индекс по статусу и дате - для очереди модерации в админке
+ReviewSchema.index({ status: 1, createdAt: -1 });
 
-// --- Статические методы или Middleware (опционально) ---
 
-// Например, можно добавить middleware 'post save' или 'post remove' для автоматического
-// пересчета среднего рейтинга у связанного товара (Product).
-// Это более продвинутая техника, требующая добавления полей rating и numReviews в модель Product.
+// --- Фильтр опубликованных отзывов ---
+// Отзывы, созданные до появления модерации, не имеют поля status и считаются одобренными
+// (условие { $in: [..., null] } совпадает и с отсутствующим полем).
+const PUBLISHED_FILTER = { status: { $in: ['approved', null] } };
+ReviewSchema.statics.PUBLISHED_FILTER = PUBLISHED_FILTER;
 
-/* Пример логики для обновления рейтинга товара ПОСЛЕ сохранения отзыва:
-ReviewSchema.post('save', async function() {
-    // 'this' ссылается на сохраненный документ Review
-    await this.constructor.calculateAverageRating(this.product);
-});
+// --- Статические методы для пересчета рейтинга товаров ---
+// Поля rating и numReviews в модели Product - денормализованные значения (учитываются только одобренные отзывы).
+// Контроллер вызывает calculateAverageRating после создания, удаления или модерации отзыва.
+// (Хуки post('save') здесь не используются: удаление через deleteMany/findByIdAndUpdate их не вызывает.)
 
-// И ПОСЛЕ удаления отзыва
-ReviewSchema.post('remove', async function() {
-    await this.constructor.calculateAverageRating(this.product);
-});
+// Округление среднего рейтинга до одного знака после запятой (4.666 -> 4.7)
+const roundRating = (value) => Math.round(value * 10) / 10;
 
-// Статический метод для модели Review для вычисления рейтинга
+// Пересчет рейтинга и количества отзывов для одного товара
 ReviewSchema.statics.calculateAverageRating = async function(productId) {
     try {
         const stats = await this.aggregate([
-            { $match: { product: productId } }, // Найти все отзывы для этого продукта
+            // aggregate не приводит типы автоматически, поэтому явно преобразуем ID в ObjectId
+            { $match: { product: new mongoose.Types.ObjectId(String(productId)), ...PUBLISHED_FILTER } }, // Одобренные отзывы этого продукта
             {
                 $group: {
                     _id: '$product',             // Сгруппировать по ID продукта
@@ -94,25 +122,54 @@ ReviewSchema.statics.calculateAverageRating = async function(productId) {
             }
         ]);
 
-        // Обновить документ Product соответствующими значениями
-        if (stats.length > 0) {
-            await mongoose.model('Product').findByIdAndUpdate(productId, {
-                rating: stats[0].avgRating,
-                numReviews: stats[0].numReviews
-            });
-        } else {
-            // Если отзывов нет, сбросить рейтинг
-            await mongoose.model('Product').findByIdAndUpdate(productId, {
-                rating: 0,
-                numReviews: 0
-            });
-        }
-         console.log(`Рейтинг для товара ${productId} обновлен.`);
+        // Обновить документ Product соответствующими значениями (или сбросить, если отзывов нет)
+        const update = stats.length > 0
+            ? { rating: roundRating(stats[0].avgRating), numReviews: stats[0].numReviews }
+            : { rating: 0, numReviews: 0 };
+
+        await mongoose.model('Product').findByIdAndUpdate(productId, update);
+        console.log(`Рейтинг для товара ${productId} обновлен: ${update.rating} (${update.numReviews} отзывов).`);
+        return update;
     } catch (err) {
+        // Ошибка фоновая, пользователю ее не отправляем
         console.error(`Ошибка при пересчете рейтинга для товара ${productId}:`, err);
+        return null;
+    }
+};
+
+// Полный пересчет рейтингов для всего каталога (одна агрегация + пакетное обновление)
+// Возвращает количество товаров с отзывами и количество сброшенных в 0
+ReviewSchema.statics.recalculateAllRatings = async function() {
+    const Product = mongoose.model('Product');
+
+    const stats = await this.aggregate([
+        { $match: PUBLISHED_FILTER },
+        {
+            $group: {
+                _id: '$product',
+                numReviews: { $sum: 1 },
+                avgRating: { $avg: '$rating' }
+            }
+        }
+    ]);
+
+    if (stats.length > 0) {
+        await Product.bulkWrite(stats.map(stat => ({
+            updateOne: {
+                filter: { _id: stat._id },
+                update: { $set: { rating: roundRating(stat.avgRating), numReviews: stat.numReviews } },
+            },
+        })));
     }
+
+    // Товары без отзывов - сбрасываем рейтинг
+    const resetResult = await Product.updateMany(
+        { _id: { $nin: stats.map(stat => stat._id) } },
+        { $set: { rating: 0, numReviews: 0 } }
+    );
+
+    return { productsWithReviews: stats.length, productsReset: resetResult.modifiedCount };
 };
-*/
 
 
 // --- Создание и экспорт модели ---
@@ -0,0 +1,83 @@
+// Файл: models/Session.js
+// Назначение: Определяет схему и модель Mongoose для сессий пользователей (refresh-токены и устройства).
+
+const mongoose = require('mongoose');
+
+// Сессия создается при каждом входе. Access-токен (JWT) живет недолго и содержит ID сессии,
+// поэтому отзыв сессии сразу закрывает доступ: protect проверяет, что сессия активна.
+// Refresh-токен хранится только в виде хеша и меняется при каждом обновлении (ротация).
+const SessionSchema = new mongoose.Schema(
+    {
+        user: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: true,
+        },
+        // SHA-256 текущего refresh-токена
+        refreshTokenHash: {
+            type: String,
+            required: true,
+        },
+        // SHA-256 предыдущего refresh-токена: если его предъявят снова, токен был украден -
+        // сессия отзывается целиком
+        previousRefreshTokenHash: {
+            type: String,
+            default: null,
+        },
+        // Способ входа
+        authMethod: {
+            type: String,
+            enum: ['webapp', 'login-widget'],
+            default: 'webapp',
+        },
+        // Информация об устройстве (из заголовков запроса при входе и последнем обновлении)
+        userAgent: {
+            type: String,
+            default: '',
+        },
+        ip: {
+            type: String,
+            default: '',
+        },
+        // Когда сессия последний раз обновляла токены
+        lastUsedAt: {
+            type: Date,
+            default: Date.now,
+        },
+        // Срок действия refresh-токена (продлевается при каждом обновлении)
+        expiresAt: {
+            type: Date,
+            required: true,
+        },
+        // Отзыв сессии
+        revokedAt: {
+            type: Date,
+            default: null,
+        },
+        revokedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            default: null,
+        },
+        revokeReason: {
+            type: String,
+            enum: ['logout', 'logout-all', 'admin', 'blocked', 'refresh-token-reuse', null],
+            default: null,
+        },
+    },
+    {
+        timestamps: true, // Добавляет createdAt (момент входа) и updatedAt
+    }
+);
+
+// --- Индексы ---
+SessionSchema.index({ refreshTokenHash: 1 }, { unique: true });
+SessionSchema.index({ previousRefreshTokenHash: 1 }, { sparse: true });
+// Для списка сессий пользователя и массового отзыва
+SessionSchema.index({ user: 1, revokedAt: 1 });
+// Истекшие сессии удаляются автоматически (через неделю после истечения - для истории входов)
+SessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+const Session = mongoose.model('Session', SessionSchema);
+
+module.exports = Session;
\ No newline at end of file
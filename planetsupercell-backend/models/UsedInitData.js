@@ -0,0 +1,47 @@
+// Файл: models/UsedInitData.js
+// Назначение: Определяет схему и модель Mongoose для уже использованных при входе initData Telegram
+// и данных Login Widget (защита от повтора).
+
+const mongoose = require('mongoose');
+
+// При каждом успешном входе сохраняется hash из initData. Повторный вход с тем же initData
+// (например, перехваченным) отклоняется по уникальному индексу.
+// Хранить запись дольше срока действия initData не нужно: устаревший initData и так будет отклонен,
+// поэтому MongoDB удаляет запись по TTL-индексу в момент expiresAt.
+const UsedInitDataSchema = new mongoose.Schema(
+    {
+        // Подпись initData (hash) - однозначно определяет набор данных
+        hash: {
+            type: String,
+            required: true,
+        },
+        // query_id из initData (есть, если Mini App открыт через inline-кнопку или меню бота) - для отладки
+        queryId: {
+            type: String,
+            default: null,
+        },
+        // Telegram ID пользователя, который вошел с этим initData
+        telegramId: {
+            type: Number,
+            default: null,
+        },
+        // Когда запись можно удалить (auth_date + максимальный возраст initData)
+        expiresAt: {
+            type: Date,
+            required: true,
+        },
+    },
+    {
+        timestamps: true, // Добавляет createdAt (момент использования) и updatedAt
+    }
+);
+
+// --- Индексы ---
+// Один initData - один вход
+UsedInitDataSchema.index({ hash: 1 }, { unique: true });
+// Автоматическое удаление устаревших записей
+UsedInitDataSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const UsedInitData = mongoose.model('UsedInitData', UsedInitDataSchema);
+
+module.exports = UsedInitData;
\ No newline at end of file
@@ -2,6 +2,8 @@
 // Назначение: Определяет схему и модель Mongoose для пользователей приложения.
 
 const mongoose = require('mongoose');
+const { SUPPORTED_CURRENCIES } = require('../config/currencies');
+const { ROLES, DEFAULT_ROLE } = require('../config/roles');
 // const bcrypt = require('bcryptjs'); // Раскомментируйте, если будете добавлять пароль
 
 const UserSchema = new mongoose.Schema(
@@ -33,11 +35,44 @@ const UserSchema = new mongoose.Schema(
             // unique: true, // Можно сделать уникальным, если нужно, но у пользователей может не быть юзернейма
             // sparse: true // Нужно добавить sparse: true, если поле unique, но не required
         },
-        // Флаг, указывающий, является ли пользователь администратором
-        isAdmin: {
-            type: Boolean,
-            required: true, // Обязательное поле
-            default: false, // По умолчанию пользователь не является админом
+        // Роль пользователя: определяет права доступа к служебным роутам (см. config/roles.js)
+        role: {
+            type: String,
+            enum: ROLES,
+            default: DEFAULT_ROLE, // По умолчанию - обычный покупатель
+            index: true,
+        },
+        // Кто и когда последним менял роль
+        roleUpdatedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            default: null,
+        },
+        roleUpdatedAt: {
+            type: Date,
+            default: null,
+        },
+        // --- Блокировка ---
+        // Заблокированный пользователь не может войти и пользоваться API (см. isBlocked ниже)
+        blockedAt: {
+            type: Date,
+            default: null, // null - не заблокирован
+        },
+        // До какого момента действует блокировка (null - бессрочно)
+        blockedUntil: {
+            type: Date,
+            default: null,
+        },
+        blockReason: {
+            type: String,
+            trim: true,
+            maxlength: 500,
+            default: '',
+        },
+        blockedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            default: null,
         },
         // --- Поля для стандартной аутентификации (если нужна) ---
         // Если вы захотите добавить возможность входа по email/паролю (например, для админа через веб-интерфейс),
@@ -56,9 +91,21 @@ const UserSchema = new mongoose.Schema(
         },
         */
 
+        // Язык интерфейса Telegram пользователя (language_code из initData), используется для уведомлений
+        languageCode: {
+            type: String,
+            trim: true,
+            default: 'ru',
+        },
+        // Валюта, в которой пользователь видит цены (null - базовая валюта магазина)
+        currency: {
+            type: String,
+            uppercase: true,
+            enum: [...SUPPORTED_CURRENCIES, null],
+            default: null,
+        },
         // --- Дополнительные поля (если нужны) ---
-        // Например, язык пользователя, дата последней активности и т.д.
-        // languageCode: { type: String, default: 'ru' },
+        // Например, дата последней активности и т.д.
         // lastActivityAt: { type: Date, default: Date.now }
 
         // Поля createdAt и updatedAt будут добавлены автоматически
@@ -120,6 +167,21 @@ UserSchema.methods.matchPassword = async function (enteredPassword) {
 */
 
 
+// --- Заблокирован ли пользователь сейчас ---
+// Блокировка с истекшим сроком (blockedUntil в прошлом) больше не действует, снимать ее вручную не нужно
+UserSchema.methods.isBlocked = function () {
+    return Boolean(this.blockedAt) && (!this.blockedUntil || this.blockedUntil > new Date());
+};
+
+// --- Текст отказа для заблокированного пользователя (вход, API, обновление токенов, бот) ---
+UserSchema.methods.getBlockMessage = function () {
+    const until = this.blockedUntil
+        ? `до ${this.blockedUntil.toLocaleString('ru-RU', { timeZone: 'UTC' })} (UTC)`
+        : 'бессрочно';
+    return `Ваш аккаунт заблокирован ${until}.${this.blockReason ? ` Причина: ${this.blockReason}` : ''}`;
+};
+
+
 // --- Создание и экспорт модели ---
 const User = mongoose.model('User', UserSchema);
 
@@ -1,9 +1,40 @@
 // Файл: routes/auth.js
 const express = require('express');
 const router = express.Router();
-const { verifyTelegramAuth } = require('../controllers/authController');
+const {
+    verifyTelegramAuth,
+    verifyTelegramLogin,
+    refreshTokens,
+    logout,
+    logoutAll,
+    getMySessions,
+    revokeMySession,
+    updatePreferences,
+} = require('../controllers/authController');
+const { protect } = require('../middleware/authMiddleware');
 
 // POST /api/auth/telegram - Роут для верификации данных от Telegram
 router.post('/telegram', verifyTelegramAuth);
 
+// POST /api/auth/telegram-login - Вход через Telegram Login Widget (браузерная админ-панель)
+router.post('/telegram-login', verifyTelegramLogin);
+
+// POST /api/auth/refresh - Обновить access-токен по refresh-токену { refreshToken }
+router.post('/refresh', refreshTokens);
+
+// POST /api/auth/logout - Выйти (завершить текущую сессию)
+router.post('/logout', protect, logout);
+
+// POST /api/auth/logout-all - Выйти на всех устройствах { keepCurrent? }
+router.post('/logout-all', protect, logoutAll);
+
+// GET /api/auth/sessions - Активные сессии (устройства) пользователя
+router.get('/sessions', protect, getMySessions);
+
+// DELETE /api/auth/sessions/:id - Завершить одну из своих сессий
+router.delete('/sessions/:id', protect, revokeMySession);
+
+// PUT /api/auth/preferences - Настройки пользователя, например валюта цен (нужен логин)
+router.put('/preferences', protect, updatePreferences);
+
 module.exports = router;
\ No newline at end of file
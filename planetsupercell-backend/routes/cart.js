@@ -0,0 +1,36 @@
+// Файл: routes/cart.js
+const express = require('express');
+const router = express.Router();
+const {
+    getCart,
+    addCartItem,
+    updateCartItem,
+    removeCartItem,
+    clearCart,
+    checkoutCart
+} = require('../controllers/cartController');
+const { protect } = require('../middleware/authMiddleware');
+const { resolveCurrency } = require('../middleware/currencyMiddleware'); // Валюта цен (?currency=... или настройка пользователя)
+const { uploadScreenshot } = require('../middleware/uploadMiddleware'); // multer для скриншотов оплаты
+
+// GET /api/cart - Получить корзину с пересчетом цен и предупреждениями (нужен логин)
+router.get('/', protect, resolveCurrency, getCart);
+
+// DELETE /api/cart - Очистить корзину
+router.delete('/', protect, clearCart);
+
+// POST /api/cart/items - Добавить товар в корзину
+router.post('/items', protect, resolveCurrency, addCartItem);
+
+// PUT /api/cart/items/:itemId - Изменить количество/поля позиции
+router.put('/items/:itemId', protect, resolveCurrency, updateCartItem);
+
+// DELETE /api/cart/items/:itemId - Удалить позицию
+router.delete('/items/:itemId', protect, resolveCurrency, removeCartItem);
+
+// POST /api/cart/checkout - Оформить заказ из корзины
+// Принимает multipart/form-data: файл 'screenshot' и необязательное поле 'couponCode'
+// Заказ оформляется в валюте ?currency=... или из настроек пользователя
+router.post('/checkout', protect, resolveCurrency, uploadScreenshot, checkoutCart);
+
+module.exports = router;
\ No newline at end of file
@@ -3,26 +3,48 @@ const express = require('express');
 const router = express.Router();
 const {
     getAllCategories,
+    getCategoryTree,
+    getCategoryBreadcrumbs,
     getCategoryById,
     createCategory,
     updateCategory,
-    deleteCategory
+    getArchivedCategories,
+    archiveCategory,
+    restoreCategory,
+    purgeCategory
 } = require('../controllers/categoryController');
-const { protect, admin } = require('../middleware/authMiddleware');
+const { protect, authorize } = require('../middleware/authMiddleware');
 
 // GET /api/categories - Получить все категории (публично)
 router.get('/', getAllCategories);
 
+// GET /api/categories/archived - Архивные категории (право catalog:write)
+router.get('/archived', protect, authorize('catalog:write'), getArchivedCategories);
+
+// GET /api/categories/tree - Вложенное дерево категорий с количеством товаров (?root=<id> - поддерево) (публично)
+// ВАЖНО: объявлен до '/:id', иначе 'tree' будет воспринят как ID
+router.get('/tree', getCategoryTree);
+
+// GET /api/categories/:id/path - Путь от корня до категории для "хлебных крошек" (публично)
+router.get('/:id/path', getCategoryBreadcrumbs);
+
 // GET /api/categories/:id - Получить категорию по ID (публично)
 router.get('/:id', getCategoryById);
 
-// POST /api/categories - Создать категорию (только админ)
-router.post('/', protect, admin, createCategory);
+// POST /api/categories - Создать категорию (право catalog:write)
+router.post('/', protect, authorize('catalog:write'), createCategory);
+
+// PUT /api/categories/:id - Обновить категорию (право catalog:write)
+router.put('/:id', protect, authorize('catalog:write'), updateCategory);
+
+// DELETE /api/categories/:id - Отправить категорию и ее подкатегории в архив (право catalog:write)
+router.delete('/:id', protect, authorize('catalog:write'), archiveCategory);
 
-// PUT /api/categories/:id - Обновить категорию (только админ)
-router.put('/:id', protect, admin, updateCategory);
+// PUT /api/categories/:id/restore?subtree=true - Восстановить категорию (и подкатегории) из архива (право catalog:write)
+router.put('/:id/restore', protect, authorize('catalog:write'), restoreCategory);
 
-// DELETE /api/categories/:id - Удалить категорию (только админ)
-router.delete('/:id', protect, admin, deleteCategory);
+// DELETE /api/categories/:id/purge?mode=...&dryRun=true - Окончательно удалить архивную категорию в выбранном режиме
+// (cascade | reassign-to-parent | reassign-to:<id> | refuse-if-not-empty), dryRun - только предпросмотр (право catalog:write)
+router.delete('/:id/purge', protect, authorize('catalog:write'), purgeCategory);
 
 module.exports = router;
\ No newline at end of file
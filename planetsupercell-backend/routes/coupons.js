@@ -0,0 +1,32 @@
+// Файл: routes/coupons.js
+const express = require('express');
+const router = express.Router();
+const {
+    validateCoupon,
+    getAllCoupons,
+    getCouponById,
+    createCoupon,
+    updateCoupon,
+    deleteCoupon
+} = require('../controllers/couponController');
+const { protect, authorize } = require('../middleware/authMiddleware');
+
+// POST /api/coupons/validate - Проверить купон и рассчитать скидку для корзины
+router.post('/validate', protect, validateCoupon);
+
+// GET /api/coupons - Получить все купоны (?active=true|false) (право coupons:write)
+router.get('/', protect, authorize('coupons:write'), getAllCoupons);
+
+// GET /api/coupons/:id - Получить купон с историей использований (право coupons:write)
+router.get('/:id', protect, authorize('coupons:write'), getCouponById);
+
+// POST /api/coupons - Создать купон (право coupons:write)
+router.post('/', protect, authorize('coupons:write'), createCoupon);
+
+// PUT /api/coupons/:id - Обновить купон (право coupons:write)
+router.put('/:id', protect, authorize('coupons:write'), updateCoupon);
+
+// DELETE /api/coupons/:id - Удалить неиспользованный купон (право coupons:write)
+router.delete('/:id', protect, authorize('coupons:write'), deleteCoupon);
+
+module.exports = router;
\ No newline at end of file
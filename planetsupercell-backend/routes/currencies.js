@@ -0,0 +1,13 @@
+// Файл: routes/currencies.js
+const express = require('express');
+const router = express.Router();
+const { getCurrencies, setCurrencyRate } = require('../controllers/currencyController');
+const { protect, authorize, optionalAuth } = require('../middleware/authMiddleware');
+
+// GET /api/currencies - Базовая валюта и курсы (с правом currencies:write - еще и кто их менял)
+router.get('/', optionalAuth, getCurrencies);
+
+// PUT /api/currencies/:currency - Задать курс и округление (право currencies:write)
+router.put('/:currency', protect, authorize('currencies:write'), setCurrencyRate);
+
+module.exports = router;
\ No newline at end of file
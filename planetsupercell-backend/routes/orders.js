@@ -6,25 +6,37 @@ const {
     getMyOrders,
     getAllOrders,
     getOrderById,
+    getOrderScreenshot,
+    uploadOrderScreenshot,
+    payOrder,
     updateOrderStatus
 } = require('../controllers/orderController');
-const { protect, admin } = require('../middleware/authMiddleware');
-// const upload = require('../middleware/uploadMiddleware'); // Если вы создали middleware для multer
+const { protect, authorize } = require('../middleware/authMiddleware');
+const { uploadScreenshot } = require('../middleware/uploadMiddleware'); // multer для скриншотов оплаты
 
 // POST /api/orders - Создать заказ (нужен логин)
-// Если используете multer: router.post('/', protect, upload.single('screenshot'), createOrder);
-router.post('/', protect, createOrder); // Без multer, если path передается в body
+// Принимает multipart/form-data: поле 'items' (JSON-строка), 'paymentProvider' и файл 'screenshot' (для ручной оплаты)
+router.post('/', protect, uploadScreenshot, createOrder);
 
 // GET /api/orders/my - Получить свои заказы (нужен логин)
 router.get('/my', protect, getMyOrders);
 
-// GET /api/orders - Получить все заказы (только админ)
-router.get('/', protect, admin, getAllOrders);
+// GET /api/orders - Получить все заказы (право orders:read)
+router.get('/', protect, authorize('orders:read'), getAllOrders);
 
 // GET /api/orders/:id - Получить заказ по ID (нужен логин, проверка прав внутри контроллера)
 router.get('/:id', protect, getOrderById);
 
-// PUT /api/orders/:id/status - Обновить статус заказа (только админ)
-router.put('/:id/status', protect, admin, updateOrderStatus);
+// GET /api/orders/:id/screenshot - Скриншот оплаты (только владелец заказа или право orders:read)
+router.get('/:id/screenshot', protect, getOrderScreenshot);
+
+// POST /api/orders/:id/screenshot - Загрузить скриншот оплаты к заказу, ожидающему оплаты (только владелец заказа)
+router.post('/:id/screenshot', protect, uploadScreenshot, uploadOrderScreenshot);
+
+// POST /api/orders/:id/pay - Выставить счет на оплату через провайдера (только владелец заказа)
+router.post('/:id/pay', protect, payOrder);
+
+// PUT /api/orders/:id/status - Обновить статус заказа (право orders:update)
+router.put('/:id/status', protect, authorize('orders:update'), updateOrderStatus);
 
 module.exports = router;
\ No newline at end of file
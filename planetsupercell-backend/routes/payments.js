@@ -0,0 +1,21 @@
+// Файл: routes/payments.js
+const express = require('express');
+const router = express.Router();
+const {
+    getPaymentProviders,
+    paymentWebhook,
+    simulateMockPayment
+} = require('../controllers/paymentController');
+const { protect } = require('../middleware/authMiddleware');
+
+// GET /api/payments/providers - Доступные способы оплаты
+router.get('/providers', getPaymentProviders);
+
+// POST /api/payments/mock/simulate - Имитация оплаты тестовым провайдером (только при ENABLE_MOCK_PAYMENTS=true)
+// ВАЖНО: объявлен до '/:provider/webhook'
+router.post('/mock/simulate', protect, simulateMockPayment);
+
+// POST /api/payments/:provider/webhook - Вебхук провайдера (подпись проверяется провайдером)
+router.post('/:provider/webhook', paymentWebhook);
+
+module.exports = router;
\ No newline at end of file
@@ -6,23 +6,43 @@ const {
     getProductById,
     createProduct,
     updateProduct,
-    deleteProduct
+    getArchivedProducts,
+    archiveProduct,
+    restoreProduct,
+    purgeProduct,
+    reindexProducts
 } = require('../controllers/productController');
-const { protect, admin } = require('../middleware/authMiddleware');
+const { protect, authorize, optionalAuth } = require('../middleware/authMiddleware');
+const { resolveCurrency } = require('../middleware/currencyMiddleware');
 
-// GET /api/products - Получить все товары (с ?keyword=...&categoryId=...&pageNumber=...)
-router.get('/', getAllProducts);
+// GET /api/products - Получить все товары
+// (?keyword=...&categoryId=...&includeDescendants=...&minPrice=...&maxPrice=...&inStock=true&onSale=true&sort=...&pageNumber=...&pageSize=...&currency=...)
+// Токен необязателен: если он передан, цены показываются в валюте из настроек пользователя
+router.get('/', optionalAuth, resolveCurrency, getAllProducts);
+
+// GET /api/products/archived - Архивные товары (право catalog:write)
+// ВАЖНО: объявлен до '/:id', иначе 'archived' будет воспринят как ID
+router.get('/archived', protect, authorize('catalog:write'), getArchivedProducts);
 
 // GET /api/products/:id - Получить товар по ID
-router.get('/:id', getProductById);
+router.get('/:id', optionalAuth, resolveCurrency, getProductById);
+
+// POST /api/products/reindex - Обновить поисковые данные всех товаров (право catalog:write)
+router.post('/reindex', protect, authorize('catalog:write'), reindexProducts);
+
+// POST /api/products - Создать товар (право catalog:write)
+router.post('/', protect, authorize('catalog:write'), createProduct);
+
+// PUT /api/products/:id - Обновить товар (право catalog:write)
+router.put('/:id', protect, authorize('catalog:write'), updateProduct);
 
-// POST /api/products - Создать товар (только админ)
-router.post('/', protect, admin, createProduct);
+// DELETE /api/products/:id - Отправить товар в архив (право catalog:write)
+router.delete('/:id', protect, authorize('catalog:write'), archiveProduct);
 
-// PUT /api/products/:id - Обновить товар (только админ)
-router.put('/:id', protect, admin, updateProduct);
+// PUT /api/products/:id/restore - Восстановить товар из архива (право catalog:write)
+router.put('/:id/restore', protect, authorize('catalog:write'), restoreProduct);
 
-// DELETE /api/products/:id - Удалить товар (только админ)
-router.delete('/:id', protect, admin, deleteProduct);
+// DELETE /api/products/:id/purge - Окончательно удалить архивный товар (право catalog:write)
+router.delete('/:id/purge', protect, authorize('catalog:write'), purgeProduct);
 
 module.exports = router;
\ No newline at end of file
@@ -3,35 +3,43 @@ const express = require('express');
 const router = express.Router();
 const {
     createReview,
+    getPendingReviews,
     getProductReviews,
     getAllReviews,
-    deleteReview
+    deleteReview,
+    approveReviews,
+    rejectReviews,
+    recalculateRatings
 } = require('../controllers/reviewController');
-const { protect, admin } = require('../middleware/authMiddleware');
+const { protect, authorize } = require('../middleware/authMiddleware');
 
 // POST /api/reviews - Создать отзыв (нужен логин)
 router.post('/', protect, createReview);
 
+// GET /api/reviews/pending - Товары из выполненных заказов, ожидающие отзыва (нужен логин)
+router.get('/pending', protect, getPendingReviews);
+
 // GET /api/reviews?productId=... - Получить отзывы товара (публично)
-// GET /api/reviews - Получить все отзывы (только админ)
-router.get('/', getProductReviews); // Этот роут обработает и ?productId=...
-                                   // Логику для /api/reviews (все отзывы) нужно вынести или добавить проверку прав в getProductReviews
-                                   // Лучше так:
-// router.get('/', getProductReviews); // Оставим для ?productId=...
-// router.get('/all', protect, admin, getAllReviews); // Отдельный роут для админа
-
-// Или объединить с проверкой прав в одном контроллере (пример ниже)
+// GET /api/reviews?status=pending&pageNumber=... - Получить все отзывы с фильтром и пагинацией (право reviews:moderate)
+// Один путь обслуживает оба случая: с productId - публичный список, без него - админский
 router.get('/', (req, res, next) => { // Промежуточный обработчик для выбора контроллера
     if (req.query.productId) {
         return getProductReviews(req, res, next); // Если есть productId, вызываем getProductReviews
-    } else {
-        // Если нет productId, считаем, что это запрос на все отзывы - проверяем права админа
-        return protect(req, res, () => { admin(req, res, () => getAllReviews(req, res, next)) });
     }
-});
+    next(); // Иначе это запрос на все отзывы - дальше проверяются права модератора
+}, protect, authorize('reviews:moderate'), getAllReviews);
+
+
+// PUT /api/reviews/approve - Одобрить отзывы { ids: [...] } (право reviews:moderate)
+router.put('/approve', protect, authorize('reviews:moderate'), approveReviews);
+
+// PUT /api/reviews/reject - Отклонить отзывы { ids: [...], reason } (право reviews:moderate)
+router.put('/reject', protect, authorize('reviews:moderate'), rejectReviews);
 
+// POST /api/reviews/recalculate-ratings - Пересчитать рейтинги всех товаров (право reviews:moderate)
+router.post('/recalculate-ratings', protect, authorize('reviews:moderate'), recalculateRatings);
 
-// DELETE /api/reviews/:id - Удалить отзыв (только админ)
-router.delete('/:id', protect, admin, deleteReview);
+// DELETE /api/reviews/:id - Удалить отзыв (право reviews:moderate)
+router.delete('/:id', protect, authorize('reviews:moderate'), deleteReview);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,9 @@
+// Файл: routes/telegram.js
+const express = require('express');
+const router = express.Router();
+const { telegramWebhook } = require('../controllers/telegramController');
+
+// POST /api/telegram/webhook - Вебхук бота (setWebhook с secret_token = TELEGRAM_WEBHOOK_SECRET)
+router.post('/webhook', telegramWebhook);
+
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,40 @@
+// Файл: routes/users.js
+const express = require('express');
+const router = express.Router();
+const {
+    getRoles,
+    getUsers,
+    getUserById,
+    blockUserById,
+    unblockUserById,
+    updateUserRole,
+    getUserSessions,
+    revokeUserSessionsByAdmin,
+} = require('../controllers/userController');
+const { protect, authorize } = require('../middleware/authMiddleware');
+
+// GET /api/users/roles - Роли и права, которые они дают (право users:manage)
+router.get('/roles', protect, authorize('users:manage'), getRoles);
+
+// GET /api/users - Пользователи с количеством заказов и суммой покупок, фильтры и поиск (право users:read)
+router.get('/', protect, authorize('users:read'), getUsers);
+
+// GET /api/users/:id - Пользователь с заказами и отзывами (право users:read)
+router.get('/:id', protect, authorize('users:read'), getUserById);
+
+// PUT /api/users/:id/block - Заблокировать { reason, until?, cancelPendingOrders? } (право users:block)
+router.put('/:id/block', protect, authorize('users:block'), blockUserById);
+
+// DELETE /api/users/:id/block - Разблокировать (право users:block)
+router.delete('/:id/block', protect, authorize('users:block'), unblockUserById);
+
+// PUT /api/users/:id/role - Назначить или снять роль { role } (право users:manage)
+router.put('/:id/role', protect, authorize('users:manage'), updateUserRole);
+
+// GET /api/users/:id/sessions - Активные сессии пользователя (право users:manage)
+router.get('/:id/sessions', protect, authorize('users:manage'), getUserSessions);
+
+// DELETE /api/users/:id/sessions - Принудительно завершить все сессии пользователя (право users:manage)
+router.delete('/:id/sessions', protect, authorize('users:manage'), revokeUserSessionsByAdmin);
+
+module.exports = router;
\ No newline at end of file
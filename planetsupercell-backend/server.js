@@ -7,6 +7,7 @@ const dotenv = require('dotenv');
 const cors = require('cors');
 const path = require('path'); // Встроенный модуль Node.js для работы с путями
 const connectDB = require('./config/db'); // Наш модуль для подключения к MongoDB
+const { startOutboxWorker } = require('./services/notificationService'); // Повторная отправка Telegram-уведомлений
 
 // --- Загрузка переменных окружения ---
 // Загружает переменные из файла .env в process.env
@@ -34,7 +35,8 @@ app.use(cors());
 // Позволяет Express разбирать тело входящих запросов
 // - express.json(): для парсинга JSON тел (например, от fetch с Content-Type: application/json)
 //   Увеличим лимит, если планируете передавать большие Data URL (хотя загрузка файлов через multer лучше)
-app.use(express.json({ limit: '10mb' }));
+//   Исходное тело сохраняется в req.rawBody - по нему платежные провайдеры проверяют подпись вебхуков
+app.use(express.json({ limit: '10mb', verify: (req, res, buf) => { req.rawBody = buf; } }));
 // - express.urlencoded(): для парсинга тел, закодированных как URL (например, из HTML форм)
 app.use(express.urlencoded({ extended: false, limit: '10mb' }));
 
@@ -49,13 +51,21 @@ app.get('/api', (req, res) => {
 // Указываем Express использовать соответствующие файлы роутов для запросов,
 // начинающихся с указанного префикса.
 app.use('/api/auth', require('./routes/auth'));          // Маршруты аутентификации
+app.use('/api/users', require('./routes/users'));        // Маршруты управления пользователями и ролями
 app.use('/api/categories', require('./routes/categories'));// Маршруты категорий
 app.use('/api/products', require('./routes/products'));    // Маршруты товаров
 app.use('/api/orders', require('./routes/orders'));        // Маршруты заказов
 app.use('/api/reviews', require('./routes/reviews'));      // Маршруты отзывов
+app.use('/api/coupons', require('./routes/coupons'));      // Маршруты купонов (промокодов)
+app.use('/api/cart', require('./routes/cart'));            // Маршруты серверной корзины
+app.use('/api/currencies', require('./routes/currencies'));// Маршруты валют и курсов
+app.use('/api/payments', require('./routes/payments'));    // Вебхуки платежных провайдеров
+app.use('/api/telegram', require('./routes/telegram'));    // Вебхук Telegram-бота
 
 // --- Раздача Статических Файлов (для Загруженных Изображений) ---
-// Делаем папку 'uploads' доступной публично по URL '/uploads'
+// Делаем папку 'uploads' доступной публично по URL '/uploads' (изображения товаров и категорий)
+// ВАЖНО: Скриншоты оплаты сюда НЕ попадают - они хранятся в 'private_uploads'
+// и отдаются только через защищенный роут GET /api/orders/:id/screenshot
 // __dirname - это текущая директория, где находится server.js
 // path.join используется для создания корректного пути независимо от ОС
 const uploadsPath = path.join(__dirname, '/uploads');
@@ -112,4 +122,7 @@ app.listen(PORT, () => {
     console.log(`API доступен по адресу: http://localhost:${PORT}/api`);
     console.log(`Статические файлы из /uploads доступны по адресу: http://localhost:${PORT}/uploads`);
     console.log('------------------------------------------');
+
+    // Запускаем фоновую отправку уведомлений, которые не удалось доставить сразу
+    startOutboxWorker();
 });
\ No newline at end of file
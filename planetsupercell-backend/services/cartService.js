@@ -0,0 +1,139 @@
+// Файл: services/cartService.js
+// Назначение: Серверная корзина - пересчет по актуальным данным товаров и предупреждения для покупателя.
+
+const Cart = require('../models/Cart');
+const Product = require('../models/Product');
+const Category = require('../models/Category');
+
+// --- Типы предупреждений по позиции корзины ---
+// price-increased    - цена выросла с момента, когда покупатель видел ее в последний раз
+// out-of-stock       - товара (варианта) нет в наличии
+// insufficient-stock - в наличии меньше, чем в корзине
+// unavailable        - товар снят с продажи (удален, в архиве) или выбранный вариант больше не существует
+
+// --- Корзина пользователя (создается при первом обращении) ---
+// Создание через upsert атомарно: два одновременных первых запроса получат одну и ту же корзину,
+// а не ошибку уникального индекса по user.
+const getOrCreateCart = (userId) => Cart.findOneAndUpdate(
+    { user: userId },
+    { $setOnInsert: { items: [] } },
+    { upsert: true, new: true }
+);
+
+// --- Пересчет корзины по актуальным данным Product ---
+// conversion - валюта ответа (req.conversion из middleware resolveCurrency)
+// Возвращает объект для ответа клиенту:
+//   { items: [{ _id, productId, variantId, name, variantLabel, image, quantity, price, lineTotal, stock, fields, available, warnings,
+//               pricing: { price, lineTotal } }],
+//     warnings: [...], subtotalAmount, itemsCount, updatedAt, pricing: { currency, rate, subtotalAmount } }
+// price, lineTotal и subtotalAmount - в базовой валюте, pricing - в валюте ответа.
+// lastSeenPrice позиций обновляется и сохраняется: предупреждение о росте цены показывается один раз.
+const priceCart = async (cart, conversion) => {
+    const productIds = cart.items.map(item => item.productId);
+    const products = await Product.find({ _id: { $in: productIds } });
+    const archivedCategoryIds = new Set(
+        (await Category.find({ _id: { $in: products.map(p => p.categoryId) }, archivedAt: { $ne: null } }).select('_id'))
+            .map(category => category._id.toString())
+    );
+    const productMap = new Map(products.map(product => [product._id.toString(), product]));
+
+    let subtotalAmount = 0;
+    let pricesChanged = false;
+    const allWarnings = [];
+
+    const items = cart.items.map((item) => {
+        const product = productMap.get(item.productId.toString());
+        const warnings = [];
+        const addWarning = (type, message, extra = {}) => {
+            const warning = { type, message, itemId: item._id, productId: item.productId, variantId: item.variantId, ...extra };
+            warnings.push(warning);
+            allWarnings.push(warning);
+        };
+
+        const view = {
+            _id: item._id,
+            productId: item.productId,
+            variantId: item.variantId,
+            name: product ? product.name : '',
+            variantLabel: '',
+            image: product ? product.image : '',
+            quantity: item.quantity,
+            price: null,
+            lineTotal: 0,
+            stock: 0,
+            fields: Object.fromEntries(item.fields || []),
+            available: false,
+            warnings,
+            pricing: { price: null, lineTotal: 0 },
+        };
+
+        // Товар снят с продажи?
+        const isProductAvailable = product && !product.archivedAt && !archivedCategoryIds.has(product.categoryId.toString());
+        const variant = isProductAvailable && item.variantId ? product.variants.id(item.variantId) : null;
+        const isVariantValid = isProductAvailable && (product.variants.length > 0 ? Boolean(variant) : !item.variantId);
+        if (!isProductAvailable || !isVariantValid) {
+            addWarning('unavailable', product
+                ? `Товар "${product.name}" больше недоступен для заказа. Удалите его из корзины.`
+                : 'Товар больше не существует. Удалите его из корзины.');
+            return view;
+        }
+
+        const price = variant ? variant.price : product.price;
+        const stock = variant ? variant.stock : product.stock;
+        const displayName = variant ? `${product.name} (${variant.label})` : product.name;
+
+        view.variantLabel = variant ? variant.label : '';
+        view.price = price;
+        view.lineTotal = price * item.quantity;
+        view.stock = stock;
+        view.available = true;
+        view.pricing = { price: conversion.convert(price), lineTotal: conversion.convert(view.lineTotal) };
+        subtotalAmount += view.lineTotal;
+
+        if (item.lastSeenPrice !== null && price > item.lastSeenPrice) {
+            const oldPrice = conversion.convert(item.lastSeenPrice);
+            const newPrice = conversion.convert(price);
+            addWarning('price-increased', `Цена товара "${displayName}" выросла: ${oldPrice} → ${newPrice} ${conversion.currency}.`, {
+                oldPrice,
+                newPrice,
+                currency: conversion.currency,
+            });
+        }
+        if (stock === 0) {
+            addWarning('out-of-stock', `Товара "${displayName}" нет в наличии.`, { availableStock: 0 });
+        } else if (stock < item.quantity) {
+            addWarning('insufficient-stock', `Товара "${displayName}" в наличии только ${stock} шт.`, { availableStock: stock });
+        }
+
+        if (item.lastSeenPrice !== price) {
+            item.lastSeenPrice = price;
+            pricesChanged = true;
+        }
+        return view;
+    });
+
+    // Покупатель увидел актуальные цены - запоминаем их
+    if (pricesChanged) {
+        await cart.save();
+    }
+
+    subtotalAmount = Math.round(subtotalAmount * 100) / 100;
+    return {
+        items,
+        warnings: allWarnings,
+        subtotalAmount,
+        itemsCount: cart.items.reduce((sum, item) => sum + item.quantity, 0),
+        updatedAt: cart.updatedAt || null,
+        pricing: { currency: conversion.currency, rate: conversion.rate, subtotalAmount: conversion.convert(subtotalAmount) },
+    };
+};
+
+// --- Позиции корзины в формате оформления заказа (services/orderService.js) ---
+const toOrderItems = (cart) => cart.items.map(item => ({
+    productId: item.productId,
+    variantId: item.variantId,
+    quantity: item.quantity,
+    fields: Object.fromEntries(item.fields || []),
+}));
+
+module.exports = { getOrCreateCart, priceCart, toOrderItems };
\ No newline at end of file
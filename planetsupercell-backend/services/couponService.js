@@ -0,0 +1,242 @@
+// Файл: services/couponService.js
+// Назначение: Проверка купонов, расчет скидки, учет и возврат использований.
+
+const Coupon = require('../models/Coupon');
+const CouponRedemption = require('../models/CouponRedemption');
+const Product = require('../models/Product');
+const { loadCategories, getDescendantIds } = require('../utils/categoryTree');
+const { BASE_CURRENCY } = require('../config/currencies');
+
+// --- Создание ошибки купона с HTTP-статусом и деталями для ответа клиенту ---
+const createCouponError = (message, statusCode, details = {}) => {
+    const error = new Error(message);
+    error.name = 'CouponError';
+    error.statusCode = statusCode;
+    error.details = details;
+    return error;
+};
+
+// Округление денежной суммы до копеек
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+// --- Поиск купона по коду ---
+const findCouponByCode = async (code) => {
+    const normalizedCode = String(code || '').trim().toUpperCase();
+    if (!normalizedCode) {
+        throw createCouponError('Не указан код купона.', 400);
+    }
+    const coupon = await Coupon.findOne({ code: normalizedCode });
+    if (!coupon) {
+        throw createCouponError(`Купон "${normalizedCode}" не найден.`, 404, { couponCode: normalizedCode });
+    }
+    return coupon;
+};
+
+// --- Проверка условий купона (без учета состава заказа) ---
+// subtotal - сумма заказа до скидки
+const checkCouponConditions = async (coupon, userId, subtotal) => {
+    const now = new Date();
+    const details = { couponCode: coupon.code };
+
+    if (!coupon.isActive) {
+        throw createCouponError(`Купон "${coupon.code}" не действует.`, 400, details);
+    }
+    if (coupon.validFrom && coupon.validFrom > now) {
+        throw createCouponError(`Купон "${coupon.code}" начнет действовать ${coupon.validFrom.toLocaleDateString('ru-RU')}.`, 400, details);
+    }
+    if (coupon.validUntil && coupon.validUntil < now) {
+        throw createCouponError(`Срок действия купона "${coupon.code}" истек.`, 400, details);
+    }
+    if (subtotal < coupon.minOrderAmount) {
+        throw createCouponError(
+            `Купон "${coupon.code}" действует для заказов от ${coupon.minOrderAmount.toFixed(2)} ${BASE_CURRENCY}.`,
+            400,
+            { ...details, minOrderAmount: coupon.minOrderAmount }
+        );
+    }
+    if (coupon.usageLimit !== null && coupon.usedCount >= coupon.usageLimit) {
+        throw createCouponError(`Лимит использований купона "${coupon.code}" исчерпан.`, 400, details);
+    }
+    if (coupon.perUserLimit !== null && userId) {
+        const userRedemptions = await CouponRedemption.countDocuments({ coupon: coupon._id, user: userId, releasedAt: null });
+        if (userRedemptions >= coupon.perUserLimit) {
+            throw createCouponError(`Вы уже использовали купон "${coupon.code}" максимальное число раз.`, 400, details);
+        }
+    }
+};
+
+// --- Расчет скидки по позициям заказа ---
+// items - массив { productId, variantId?, categoryId, price, quantity }
+// Возвращает разбивку скидки:
+//   { couponId, code, discountType, value, eligibleAmount, discountAmount, items: [{ productId, variantId, amount }] }
+const calculateDiscount = async (coupon, items, categories = null) => {
+    // Какие позиции подпадают под купон
+    let isEligible = () => true;
+    if (coupon.productIds.length > 0 || coupon.categoryIds.length > 0) {
+        const allCategories = categories || await loadCategories();
+        const productIds = new Set(coupon.productIds.map(id => id.toString()));
+        const categoryIds = new Set();
+        for (const categoryId of coupon.categoryIds) {
+            categoryIds.add(categoryId.toString());
+            (await getDescendantIds(categoryId, allCategories)).forEach(id => categoryIds.add(id.toString()));
+        }
+        isEligible = (item) => productIds.has(item.productId.toString())
+            || (item.categoryId && categoryIds.has(item.categoryId.toString()));
+    }
+
+    const eligibleItems = items.filter(isEligible);
+    const eligibleAmount = roundMoney(eligibleItems.reduce((sum, item) => sum + item.price * item.quantity, 0));
+    if (eligibleAmount <= 0) {
+        throw createCouponError(`Купон "${coupon.code}" не действует на товары в заказе.`, 400, { couponCode: coupon.code });
+    }
+
+    let discountAmount = coupon.discountType === 'percent'
+        ? eligibleAmount * Math.min(coupon.value, 100) / 100
+        : coupon.value;
+    if (coupon.discountType === 'percent' && coupon.maxDiscountAmount !== null) {
+        discountAmount = Math.min(discountAmount, coupon.maxDiscountAmount);
+    }
+    discountAmount = roundMoney(Math.min(discountAmount, eligibleAmount)); // Скидка не больше суммы товаров
+
+    // Распределяем скидку по позициям пропорционально их сумме (остаток от округления - на последнюю позицию)
+    let distributed = 0;
+    const itemDiscounts = eligibleItems.map((item, index) => {
+        const amount = index === eligibleItems.length - 1
+            ? roundMoney(discountAmount - distributed)
+            : roundMoney(discountAmount * (item.price * item.quantity) / eligibleAmount);
+        distributed = roundMoney(distributed + amount);
+        return { productId: item.productId, variantId: item.variantId || null, amount };
+    });
+
+    return {
+        couponId: coupon._id,
+        code: coupon.code,
+        discountType: coupon.discountType,
+        value: coupon.value,
+        eligibleAmount,
+        discountAmount,
+        items: itemDiscounts,
+    };
+};
+
+// --- Полная проверка купона для заказа ---
+// Возвращает { coupon, discount } или выбрасывает CouponError
+const applyCoupon = async (code, userId, items, categories = null) => {
+    const coupon = await findCouponByCode(code);
+    const subtotal = roundMoney(items.reduce((sum, item) => sum + item.price * item.quantity, 0));
+    await checkCouponConditions(coupon, userId, subtotal);
+    const discount = await calculateDiscount(coupon, items, categories);
+    return { coupon, discount };
+};
+
+// --- Предварительный расчет скидки для корзины (без списания использования) ---
+// items - массив { productId, variantId?, quantity } в том виде, в каком его присылает клиент
+const previewCoupon = async (code, userId, items) => {
+    const products = await Product.find({ _id: { $in: items.map(item => item.productId) }, archivedAt: null });
+    const productMap = new Map(products.map(product => [product._id.toString(), product]));
+
+    const pricedItems = [];
+    for (const item of items) {
+        const product = productMap.get(String(item.productId));
+        if (!product) continue; // Недоступные товары в расчет не попадают (их отсеет оформление заказа)
+        const variant = item.variantId && product.variants.length > 0 ? product.variants.id(item.variantId) : null;
+        pricedItems.push({
+            productId: product._id,
+            variantId: variant ? variant._id : null,
+            categoryId: product.categoryId,
+            price: variant ? variant.price : product.price,
+            quantity: Number(item.quantity) || 1,
+        });
+    }
+    if (pricedItems.length === 0) {
+        throw createCouponError('В корзине нет товаров, к которым можно применить купон.', 400);
+    }
+
+    const { discount } = await applyCoupon(code, userId, pricedItems);
+    const subtotalAmount = roundMoney(pricedItems.reduce((sum, item) => sum + item.price * item.quantity, 0));
+    return {
+        subtotalAmount,
+        discount,
+        totalAmount: roundMoney(subtotalAmount - discount.discountAmount),
+    };
+};
+
+// --- Учет использования купона при оформлении заказа ---
+// Счетчик usedCount увеличивается условным атомарным обновлением (только если лимит не исчерпан),
+// поэтому два покупателя не могут одновременно занять последнее использование.
+const redeemCoupon = async (coupon, userId, orderId, discountAmount) => {
+    const updated = await Coupon.findOneAndUpdate(
+        {
+            _id: coupon._id,
+            isActive: true,
+            $or: [{ usageLimit: null }, { $expr: { $lt: ['$usedCount', '$usageLimit'] } }],
+        },
+        { $inc: { usedCount: 1 } },
+        { new: true }
+    );
+    if (!updated) {
+        throw createCouponError(`Лимит использований купона "${coupon.code}" исчерпан.`, 400, { couponCode: coupon.code });
+    }
+
+    // Если запись не создалась, cancelRedemption ее не найдет - использование возвращается здесь
+    try {
+        await CouponRedemption.create({ coupon: coupon._id, user: userId, order: orderId, discountAmount });
+    } catch (createError) {
+        await Coupon.updateOne({ _id: coupon._id, usedCount: { $gt: 0 } }, { $inc: { usedCount: -1 } });
+        throw createError;
+    }
+
+    // Лимит на покупателя проверяем после записи: если параллельный заказ того же покупателя
+    // успел занять последнее использование, отменяем свое
+    if (coupon.perUserLimit !== null) {
+        const userRedemptions = await CouponRedemption.countDocuments({ coupon: coupon._id, user: userId, releasedAt: null });
+        if (userRedemptions > coupon.perUserLimit) {
+            await cancelRedemption(orderId);
+            throw createCouponError(`Вы уже использовали купон "${coupon.code}" максимальное число раз.`, 400, { couponCode: coupon.code });
+        }
+    }
+};
+
+// --- Отмена использования (заказ не удалось сохранить) ---
+// В отличие от releaseCouponUsage запись удаляется полностью
+const cancelRedemption = async (orderId) => {
+    const redemption = await CouponRedemption.findOneAndDelete({ order: orderId });
+    if (redemption && !redemption.releasedAt) {
+        await Coupon.updateOne({ _id: redemption.coupon, usedCount: { $gt: 0 } }, { $inc: { usedCount: -1 } });
+    }
+};
+
+// --- Возврат использования купона (возврат заказа) ---
+// Запись "освобождается" атомарно, поэтому повторный вызов ничего не изменит
+const releaseCouponUsage = async (orderId) => {
+    const redemption = await CouponRedemption.findOneAndUpdate(
+        { order: orderId, releasedAt: null },
+        { $set: { releasedAt: new Date() } }
+    );
+    if (redemption) {
+        await Coupon.updateOne({ _id: redemption.coupon, usedCount: { $gt: 0 } }, { $inc: { usedCount: -1 } });
+        console.log(`  - Возвращено использование купона ${redemption.coupon} (заказ ${orderId})`);
+    }
+};
+
+// --- Повторный учет использования (отмена возврата заказа) ---
+// Лимиты здесь не проверяются: это решение администратора по уже оформленному заказу
+const restoreCouponUsage = async (orderId) => {
+    const redemption = await CouponRedemption.findOneAndUpdate(
+        { order: orderId, releasedAt: { $ne: null } },
+        { $set: { releasedAt: null } }
+    );
+    if (redemption) {
+        await Coupon.updateOne({ _id: redemption.coupon }, { $inc: { usedCount: 1 } });
+        console.log(`  - Снова учтено использование купона ${redemption.coupon} (заказ ${orderId})`);
+    }
+};
+
+module.exports = {
+    applyCoupon,
+    previewCoupon,
+    redeemCoupon,
+    cancelRedemption,
+    releaseCouponUsage,
+    restoreCouponUsage,
+};
\ No newline at end of file
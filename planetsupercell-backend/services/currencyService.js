@@ -0,0 +1,84 @@
+// Файл: services/currencyService.js
+// Назначение: Пересчет цен из базовой валюты в валюту покупателя по курсам администратора.
+
+const CurrencyRate = require('../models/CurrencyRate');
+const { BASE_CURRENCY, SUPPORTED_CURRENCIES, DEFAULT_ROUNDING } = require('../config/currencies');
+
+const RATES_CACHE_TTL_MS = 60 * 1000; // Курсы читаются почти в каждом запросе каталога - кэшируем на минуту
+
+let ratesCache = null;       // Map: код валюты -> { rate, roundingStep, roundingMode }
+let ratesCacheExpiresAt = 0;
+
+// --- Создание ошибки валюты с HTTP-статусом ---
+const createCurrencyError = (message, statusCode, details = {}) => {
+    const error = new Error(message);
+    error.name = 'CurrencyError';
+    error.statusCode = statusCode;
+    error.details = details;
+    return error;
+};
+
+// --- Загрузка курсов (с кэшем) ---
+const loadRates = async () => {
+    if (ratesCache && Date.now() < ratesCacheExpiresAt) {
+        return ratesCache;
+    }
+    const rates = await CurrencyRate.find().lean();
+    ratesCache = new Map(rates.map(rate => [rate.currency, rate]));
+    ratesCacheExpiresAt = Date.now() + RATES_CACHE_TTL_MS;
+    return ratesCache;
+};
+
+// --- Сброс кэша (после изменения курса администратором) ---
+const invalidateRatesCache = () => {
+    ratesCache = null;
+};
+
+// --- Округление по правилу валюты ---
+const roundAmount = (amount, { step, mode }) => {
+    const decimals = Math.max(0, -Math.floor(Math.log10(step)));
+    const rounded = Math[mode](Math.round((amount / step) * 1e6) / 1e6) * step; // 1e6 гасит ошибки float (1.15 / 0.01)
+    return Number(rounded.toFixed(decimals));
+};
+
+// --- Параметры пересчета в валюту ---
+// Возвращает { currency, rate, rounding: { step, mode }, convert(amount) }.
+// Для базовой валюты курс равен 1, а цены не округляются (остаются как в каталоге).
+// Выбрасывает CurrencyError, если валюта не поддерживается или курс для нее не задан.
+const getConversion = async (currencyCode) => {
+    const currency = String(currencyCode || BASE_CURRENCY).toUpperCase();
+
+    if (!SUPPORTED_CURRENCIES.includes(currency)) {
+        throw createCurrencyError(
+            `Валюта "${currency}" не поддерживается. Доступные валюты: ${SUPPORTED_CURRENCIES.join(', ')}.`,
+            400,
+            { supportedCurrencies: SUPPORTED_CURRENCIES }
+        );
+    }
+    if (currency === BASE_CURRENCY) {
+        return { currency, rate: 1, rounding: null, convert: (amount) => amount };
+    }
+
+    const rateInfo = (await loadRates()).get(currency);
+    if (!rateInfo) {
+        throw createCurrencyError(`Курс валюты ${currency} еще не задан. Выберите другую валюту.`, 400, { currency });
+    }
+    const rounding = {
+        step: rateInfo.roundingStep || DEFAULT_ROUNDING[currency].step,
+        mode: rateInfo.roundingMode || DEFAULT_ROUNDING[currency].mode,
+    };
+    return {
+        currency,
+        rate: rateInfo.rate,
+        rounding,
+        convert: (amount) => (amount === null || amount === undefined ? amount : roundAmount(amount * rateInfo.rate, rounding)),
+    };
+};
+
+// --- Валюта запроса ---
+// Приоритет: параметр ?currency=..., затем настройка пользователя (если он авторизован), затем базовая валюта
+const getRequestCurrency = (req) => (req.query && req.query.currency)
+    || (req.user && req.user.currency)
+    || BASE_CURRENCY;
+
+module.exports = { getConversion, getRequestCurrency, invalidateRatesCache, roundAmount };
\ No newline at end of file
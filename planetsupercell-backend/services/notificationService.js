@@ -0,0 +1,221 @@
+// Файл: services/notificationService.js
+// Назначение: Telegram-уведомления покупателям и администратору с надежной доставкой через outbox.
+
+require('dotenv').config(); // Убедимся, что переменные окружения загружены
+const NotificationOutbox = require('../models/NotificationOutbox');
+const { sendMessage } = require('./telegramApi');
+const { BASE_CURRENCY } = require('../config/currencies');
+
+// --- Настройки повторной отправки ---
+const MAX_ATTEMPTS = 8;                  // После стольких неудач уведомление помечается как 'failed'
+const BASE_RETRY_DELAY_MS = 30 * 1000;   // Первая пауза перед повтором - 30 секунд, далее удваивается
+const MAX_RETRY_DELAY_MS = 60 * 60 * 1000; // Но не больше часа
+const LOCK_DURATION_MS = 60 * 1000;      // Сколько запись считается "занятой" обработчиком
+const BATCH_SIZE = 20;                   // Сколько уведомлений обрабатывать за один проход
+
+// --- Тексты уведомлений на поддерживаемых языках ---
+// Язык берется из languageCode пользователя (приходит из Telegram), по умолчанию - русский
+const DEFAULT_LANGUAGE = 'ru';
+const MESSAGES = {
+    ru: {
+        statuses: {
+            'pending': 'ожидает оплаты',
+            'paid-pending': 'оплачен, ожидает проверки',
+            'processing': 'в обработке',
+            'completed': 'выполнен',
+            'refunded': 'отменен, средства возвращены',
+        },
+        orderStatusChanged: (orderId, status) => `📦 Статус вашего заказа <b>#${orderId}</b> изменен: <b>${status}</b>.`,
+        comment: (text) => `💬 Комментарий: ${text}`,
+    },
+    en: {
+        statuses: {
+            'pending': 'awaiting payment',
+            'paid-pending': 'paid, awaiting confirmation',
+            'processing': 'processing',
+            'completed': 'completed',
+            'refunded': 'cancelled, refunded',
+        },
+        orderStatusChanged: (orderId, status) => `📦 Your order <b>#${orderId}</b> status has changed: <b>${status}</b>.`,
+        comment: (text) => `💬 Comment: ${text}`,
+    },
+    uk: {
+        statuses: {
+            'pending': 'очікує оплати',
+            'paid-pending': 'оплачено, очікує перевірки',
+            'processing': 'в обробці',
+            'completed': 'виконано',
+            'refunded': 'скасовано, кошти повернуто',
+        },
+        orderStatusChanged: (orderId, status) => `📦 Статус вашого замовлення <b>#${orderId}</b> змінено: <b>${status}</b>.`,
+        comment: (text) => `💬 Коментар: ${text}`,
+    },
+};
+
+// --- Выбор набора текстов по коду языка Telegram ('ru', 'en-US', 'uk' и т.п.) ---
+const getMessages = (languageCode) => {
+    const lang = (languageCode || '').toLowerCase().split('-')[0];
+    return MESSAGES[lang] || MESSAGES[DEFAULT_LANGUAGE];
+};
+
+// --- Экранирование пользовательского текста для HTML-разметки Telegram ---
+const escapeHtml = (text) => String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+
+// --- ID чата администратора для уведомлений о новых заказах ---
+const getAdminChatId = () => {
+    const chatId = parseInt(process.env.TELEGRAM_ADMIN_CHAT_ID || process.env.ADMIN_TELEGRAM_ID, 10);
+    return isNaN(chatId) ? null : chatId;
+};
+
+// --- Пауза перед следующей попыткой (экспоненциальная) ---
+const getRetryDelay = (attempts, retryAfterSeconds) => {
+    if (retryAfterSeconds) {
+        return retryAfterSeconds * 1000; // Telegram сам сказал, сколько ждать (429)
+    }
+    return Math.min(BASE_RETRY_DELAY_MS * 2 ** (attempts - 1), MAX_RETRY_DELAY_MS);
+};
+
+// --- Попытка доставки одной записи outbox ---
+const deliver = async (notification) => {
+    const attempts = notification.attempts + 1;
+    try {
+        await sendMessage(notification.chatId, notification.text);
+        await NotificationOutbox.updateOne(
+            { _id: notification._id },
+            { $set: { status: 'sent', sentAt: new Date(), attempts, lockedUntil: null, lastError: '' } }
+        );
+    } catch (error) {
+        // 400/403 - повтор не поможет (чат не найден, бот заблокирован пользователем)
+        const isPermanent = error.errorCode === 400 || error.errorCode === 403;
+        const isExhausted = attempts >= MAX_ATTEMPTS;
+        const status = isPermanent || isExhausted ? 'failed' : 'pending';
+
+        console.error(`Не удалось отправить уведомление ${notification._id} в чат ${notification.chatId} (попытка ${attempts}): ${error.message}`);
+        await NotificationOutbox.updateOne(
+            { _id: notification._id },
+            {
+                $set: {
+                    status,
+                    attempts,
+                    lockedUntil: null,
+                    lastError: error.message,
+                    nextAttemptAt: new Date(Date.now() + getRetryDelay(attempts, error.retryAfter)),
+                },
+            }
+        );
+    }
+};
+
+// --- Постановка уведомления в очередь и немедленная попытка отправки ---
+// Запрос клиента не ждет ответа Telegram: ошибки доставки обрабатываются через повторные попытки.
+const enqueueNotification = async ({ chatId, text, type = 'other', order = null }) => {
+    if (!chatId) return null;
+
+    const notification = await NotificationOutbox.create({
+        chatId,
+        text,
+        type,
+        order,
+        lockedUntil: new Date(Date.now() + LOCK_DURATION_MS), // Сразу занимаем запись для первой попытки
+    });
+
+    deliver(notification).catch((error) => {
+        console.error(`Ошибка при первой попытке отправки уведомления ${notification._id}:`, error);
+    });
+
+    return notification;
+};
+
+// --- Уведомление покупателя о смене статуса заказа ---
+// user - документ пользователя (нужны telegramId и languageCode)
+const notifyOrderStatusChanged = async (order, user, newStatus, comment = '') => {
+    if (!user || !user.telegramId) return null;
+
+    const messages = getMessages(user.languageCode);
+    const lines = [messages.orderStatusChanged(order._id, messages.statuses[newStatus] || newStatus)];
+    if (comment) {
+        lines.push(messages.comment(escapeHtml(comment)));
+    }
+
+    return enqueueNotification({
+        chatId: user.telegramId,
+        text: lines.join('\n'),
+        type: 'order-status',
+        order: order._id,
+    });
+};
+
+// --- Уведомление администратора о новом заказе ---
+const notifyAdminNewOrder = async (order, user) => {
+    const chatId = getAdminChatId();
+    if (!chatId) {
+        console.warn('Уведомление о новом заказе не отправлено: TELEGRAM_ADMIN_CHAT_ID (или ADMIN_TELEGRAM_ID) не задан в .env');
+        return null;
+    }
+
+    const buyer = user ? escapeHtml(user.username ? `@${user.username}` : user.firstName || user.telegramId) : '—';
+    // Под каждой позицией - данные для выполнения (тег игрока и т.п.), администратору они нужны полностью
+    const itemsList = order.items
+        .map(item => [
+            `• ${escapeHtml(item.variantLabel ? `${item.name} (${item.variantLabel})` : item.name)} × ${item.quantity} = ${(item.price * item.quantity).toFixed(2)}`,
+            ...(item.checkoutFields || []).map(field => `   ${escapeHtml(field.label || field.key)}: <code>${escapeHtml(field.value)}</code>`),
+        ].join('\n'))
+        .join('\n');
+
+    const text = [
+        `🛒 Новый заказ <b>#${order._id}</b>`,
+        `Покупатель: ${buyer}`,
+        itemsList,
+        ...(order.discount ? [`Купон: ${escapeHtml(order.discount.code)} (−${order.discount.discountAmount.toFixed(2)} ${BASE_CURRENCY})`] : []),
+        `Сумма: <b>${order.totalAmount.toFixed(2)} ${BASE_CURRENCY}</b>`,
+        ...(order.currency && order.currency !== BASE_CURRENCY
+            ? [`К оплате: <b>${order.convertedTotalAmount} ${order.currency}</b> (курс ${order.exchangeRate})`]
+            : []),
+        order.payment && order.payment.provider !== 'manual'
+            ? `Оплата: ${escapeHtml(order.payment.provider)} (ожидается подтверждение от провайдера)`
+            : `Скриншот: ${order.screenshotPath ? 'загружен' : 'не загружен'}`,
+    ].join('\n');
+
+    return enqueueNotification({ chatId, text, type: 'admin-new-order', order: order._id });
+};
+
+// --- Обработка очереди: повторная отправка уведомлений, срок которых наступил ---
+const processOutbox = async () => {
+    for (let i = 0; i < BATCH_SIZE; i++) {
+        const now = new Date();
+        // Атомарно "забираем" одну запись, чтобы параллельные обработчики не взяли ее же
+        const notification = await NotificationOutbox.findOneAndUpdate(
+            {
+                status: 'pending',
+                nextAttemptAt: { $lte: now },
+                $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }],
+            },
+            { $set: { lockedUntil: new Date(now.getTime() + LOCK_DURATION_MS) } },
+            { new: true, sort: { nextAttemptAt: 1 } }
+        );
+        if (!notification) break; // Очередь пуста
+        await deliver(notification);
+    }
+};
+
+// --- Запуск фонового обработчика очереди ---
+const startOutboxWorker = (intervalMs = 30 * 1000) => {
+    const timer = setInterval(() => {
+        processOutbox().catch((error) => console.error('Ошибка обработки очереди уведомлений:', error.message));
+    }, intervalMs);
+    timer.unref(); // Не мешаем процессу завершиться
+    return timer;
+};
+
+module.exports = {
+    escapeHtml,
+    getMessages,
+    enqueueNotification,
+    notifyOrderStatusChanged,
+    notifyAdminNewOrder,
+    processOutbox,
+    startOutboxWorker,
+};
\ No newline at end of file
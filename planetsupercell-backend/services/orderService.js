@@ -0,0 +1,257 @@
+// Файл: services/orderService.js
+// Назначение: Оформление заказа - расчет цен, проверка полей, купон, резервирование товаров и сохранение.
+// Используется при оформлении из запроса (POST /api/orders) и из сохраненной корзины (POST /api/cart/checkout).
+
+const Order = require('../models/Order');
+const Product = require('../models/Product');
+const Category = require('../models/Category');
+const { reserveStock, releaseStock } = require('./stockService');
+const { applyCoupon, redeemCoupon, cancelRedemption } = require('./couponService');
+const { notifyAdminNewOrder } = require('./notificationService');
+const { getConversion } = require('./currencyService');
+const { getProvider } = require('./payments');
+const { createInvoiceForOrder } = require('./paymentService');
+const { loadCategories } = require('../utils/categoryTree');
+const { resolveCheckoutFields, validateCheckoutValues } = require('../utils/checkoutFields');
+
+// --- Создание ошибки оформления заказа с HTTP-статусом и деталями для ответа клиенту ---
+const createOrderError = (message, statusCode, details = {}) => {
+    const error = new Error(message);
+    error.name = 'OrderError';
+    error.statusCode = statusCode;
+    error.details = details;
+    return error;
+};
+
+// --- Проверка и нормализация позиций заказа ---
+// items - массив { productId, variantId?, quantity, fields? }
+// variantId - ID варианта (фасовки) для товаров с вариантами,
+// fields - значения полей оформления товара (тег игрока, email Supercell ID и т.п.)
+const normalizeOrderItems = (items) => {
+    // Проверяем наличие товаров в запросе
+    if (!Array.isArray(items) || items.length === 0) {
+        throw createOrderError('Корзина пуста. Невозможно создать заказ.', 400);
+    }
+    // Количество каждой позиции - целое положительное число
+    const invalidItem = items.find(item => !item || !item.productId || !Number.isInteger(Number(item.quantity)) || Number(item.quantity) < 1);
+    if (invalidItem) {
+        throw createOrderError('Каждый товар в заказе должен содержать productId и целое количество не меньше 1.', 400);
+    }
+    return items.map(item => ({
+        productId: String(item.productId),
+        variantId: item.variantId ? String(item.variantId) : null,
+        quantity: Number(item.quantity),
+        fields: item.fields || {},
+    }));
+};
+
+// --- Оформление заказа ---
+// user    - документ пользователя (req.user)
+// items   - позиции заказа (см. normalizeOrderItems)
+// options - { couponCode: код купона, currency: валюта заказа (по умолчанию базовая),
+//             paymentProvider: способ оплаты (по умолчанию 'manual' - скриншот),
+//             screenshotFileName: имя загруженного файла скриншота оплаты }
+// Возвращает сохраненный заказ. Выбрасывает OrderError, StockError, CouponError, CurrencyError, PaymentError или ошибку Mongoose.
+// При любой ошибке зарезервированные товары и использование купона откатываются.
+const placeOrder = async (user, items, { couponCode = null, currency = null, paymentProvider = 'manual', screenshotFileName = null } = {}) => {
+    const userId = user.id;
+    const orderItemsInput = normalizeOrderItems(items);
+    // Курс фиксируется в заказе, чтобы сумму можно было проверить и после изменения курса
+    const conversion = await getConversion(currency);
+    // Способ оплаты определяет начальный статус: ручная оплата ждет скриншот, остальные - вебхука
+    const provider = getProvider(paymentProvider || 'manual');
+    if (!provider.requiresScreenshot && screenshotFileName) {
+        throw createOrderError(`Для способа оплаты "${provider.title}" скриншот не нужен.`, 400);
+    }
+
+    // Позиции, зарезервированные на складе (нужны для отката, если заказ не удастся сохранить)
+    let reservedItems = [];
+    // ID заказа, для которого учтено использование купона (для отката)
+    let redeemedOrderId = null;
+
+    try {
+        // 1. Получение актуальных данных о товарах из БД (цены, названия)
+        // Остатки здесь НЕ проверяем: снимок мог устареть, проверка выполняется атомарно в reserveStock
+        const productIds = orderItemsInput.map(item => item.productId);
+        // Архивные товары и товары из архивных категорий заказать нельзя - для покупателя их "нет"
+        const productsFromDB = await Product.find({ _id: { $in: productIds }, archivedAt: null });
+        const archivedCategoryIds = new Set(
+            (await Category.find({ _id: { $in: productsFromDB.map(p => p.categoryId) }, archivedAt: { $ne: null } }).select('_id'))
+                .map(category => category._id.toString())
+        );
+
+        // Создаем Map для быстрого доступа к продуктам по ID
+        const productMap = new Map(productsFromDB
+            .filter(p => !archivedCategoryIds.has(p.categoryId.toString()))
+            .map(p => [p._id.toString(), p]));
+
+        // Категории нужны для вычисления полей оформления, унаследованных от категорий товара
+        const categories = await loadCategories();
+
+        let totalAmount = 0;
+        const orderItems = []; // Массив для хранения обработанных товаров заказа
+        const pricedItems = []; // Те же позиции с категорией товара - для расчета скидки
+
+        // Перебираем товары из запроса для проверки и расчета суммы
+        for (const item of orderItemsInput) {
+            const product = productMap.get(item.productId);
+
+            // Проверка: Найден ли товар?
+            if (!product) {
+                throw createOrderError(`Товар с ID ${item.productId} не найден.`, 404, { productId: item.productId });
+            }
+
+            // Проверка варианта: у товара с вариантами покупатель должен выбрать конкретный вариант
+            let variant = null;
+            if (product.variants.length > 0) {
+                variant = item.variantId ? product.variants.id(item.variantId) : null;
+                if (!variant) {
+                    throw createOrderError(
+                        item.variantId
+                            ? `Вариант ${item.variantId} товара "${product.name}" не найден.`
+                            : `Выберите вариант товара "${product.name}".`,
+                        400,
+                        { productId: product._id, variants: product.variants.map(v => ({ _id: v._id, label: v.label })) }
+                    );
+                }
+            } else if (item.variantId) {
+                throw createOrderError(`У товара "${product.name}" нет вариантов.`, 400, { productId: product._id });
+            }
+
+            // Проверка полей оформления (тег игрока и т.п.) по правилам товара и его категорий
+            const checkoutFields = await resolveCheckoutFields(product, categories);
+            const { values: checkoutValues, errors: fieldErrors } = validateCheckoutValues(checkoutFields, item.fields);
+            if (fieldErrors.length > 0) {
+                throw createOrderError(
+                    `Проверьте данные для товара "${product.name}": ${fieldErrors.map(e => e.message).join(' ')}`,
+                    400,
+                    { productId: product._id, fieldErrors }
+                );
+            }
+
+            // Цена берется из варианта (если он есть) или из товара - всегда актуальная из БД
+            const price = variant ? variant.price : product.price;
+
+            // Добавляем товар в массив заказа и считаем сумму
+            orderItems.push({
+                productId: product._id,
+                variantId: variant ? variant._id : null,
+                variantLabel: variant ? variant.label : '',
+                name: product.name,
+                quantity: item.quantity,
+                price, // Берем актуальную цену из БД
+                image: product.image || '', // Сохраняем ссылку на изображение
+                checkoutFields: checkoutValues,
+            });
+            totalAmount += price * item.quantity;
+            // categoryId нужен только для расчета скидки по купону, в заказ не сохраняется
+            pricedItems.push({ productId: product._id, variantId: variant ? variant._id : null, categoryId: product.categoryId, price, quantity: item.quantity });
+        }
+
+        // Купон: проверка условий и расчет скидки (использование учитывается после резервирования товаров)
+        const subtotalAmount = totalAmount;
+        let coupon = null;
+        let discount = null;
+        if (couponCode) {
+            ({ coupon, discount } = await applyCoupon(couponCode, userId, pricedItems, categories));
+            totalAmount = Math.round((subtotalAmount - discount.discountAmount) * 100) / 100;
+        }
+
+        // 2. Создание объекта заказа
+        const order = new Order({
+            user: userId,
+            items: orderItems,
+            subtotalAmount,
+            discount,
+            totalAmount: totalAmount,
+            currency: conversion.currency,
+            exchangeRate: conversion.rate,
+            convertedTotalAmount: conversion.convert(totalAmount),
+            status: provider.initialOrderStatus,
+            statusHistory: [{ status: provider.initialOrderStatus, changedBy: userId, comment: 'Заказ создан' }],
+            payment: { provider: provider.name },
+            // Сохраняем только сгенерированное имя файла, а не полный путь на диске
+            screenshotPath: screenshotFileName
+            // reviewSubmitted по умолчанию false (как в модели)
+        });
+
+        // Скриншот загружен вместе с заказом - заказ сразу ждет проверки администратором
+        if (provider.requiresScreenshot && screenshotFileName) {
+            order.status = 'paid-pending';
+            order.statusHistory.push({ status: 'paid-pending', fromStatus: provider.initialOrderStatus, changedBy: userId, comment: 'Скриншот оплаты загружен' });
+        }
+
+        // Проверяем заказ по схеме ДО списания, чтобы не трогать склад ради заведомо невалидного заказа
+        await order.validate();
+
+        // 3. Резервирование остатков на складе (ВАЖНО: делать ПЕРЕД сохранением заказа)
+        // reserveStock списывает каждую позицию условным атомарным обновлением (только если остатка хватает)
+        // и работает по принципу "все или ничего": при нехватке любого товара уже списанное возвращается.
+        reservedItems = await reserveStock(orderItems);
+
+        // 3.1. Учет использования купона (атомарно, с проверкой общего лимита и лимита на покупателя)
+        if (coupon) {
+            await redeemCoupon(coupon, userId, order._id, discount.discountAmount);
+            redeemedOrderId = order._id;
+        }
+
+        // 4. Сохранение заказа в БД
+        // Если сохранение не удалось, резерв возвращается на склад в блоке catch
+        const createdOrder = await order.save();
+        reservedItems = []; // Заказ сохранен - резерв и купон больше не откатываем
+        redeemedOrderId = null;
+
+        // --- Оповещение Админа через Telegram ---
+        // Ошибки отправки не влияют на результат: уведомление останется в очереди и будет отправлено повторно
+        notifyAdminNewOrder(createdOrder, user).catch((notifyError) => {
+            console.error(`Не удалось поставить в очередь уведомление о заказе ${createdOrder._id}:`, notifyError);
+        });
+
+        // 5. Счет у платежного провайдера (если он нужен).
+        // Заказ уже сохранен: если счет создать не удалось, покупатель повторит оплату через POST /api/orders/:id/pay
+        if (!provider.requiresScreenshot) {
+            try {
+                return await createInvoiceForOrder(createdOrder, provider.name);
+            } catch (invoiceError) {
+                console.error(`Не удалось создать счет для заказа ${createdOrder._id}:`, invoiceError.message);
+                return Order.findById(createdOrder._id);
+            }
+        }
+
+        return createdOrder;
+
+    } catch (error) {
+        // Откат резерва, если товары уже были списаны, а заказ не сохранился
+        if (reservedItems.length > 0) {
+            console.warn('Откат резерва товаров из-за ошибки при создании заказа...');
+            await releaseStock(reservedItems);
+        }
+        // Откат использования купона
+        if (redeemedOrderId) {
+            await cancelRedemption(redeemedOrderId).catch((couponError) => {
+                console.error(`Не удалось отменить использование купона для заказа ${redeemedOrderId}:`, couponError);
+            });
+        }
+        throw error;
+    }
+};
+
+// --- Ответ клиенту по ошибке оформления заказа ---
+// Возвращает { statusCode, body } для известных ошибок или null для непредвиденных (500)
+const getPlaceOrderErrorResponse = (error) => {
+    // Позиция не найдена/некорректна, товара недостаточно на складе, купон не подходит,
+    // валюта недоступна или способ оплаты не поддерживается
+    if (['OrderError', 'StockError', 'CouponError', 'CurrencyError', 'PaymentError'].includes(error.name)) {
+        return { statusCode: error.statusCode, body: { message: error.message, ...error.details } };
+    }
+    // Если ошибка валидации Mongoose
+    if (error.name === 'ValidationError') {
+        return { statusCode: 400, body: { message: `Ошибка валидации данных заказа: ${error.message}` } };
+    }
+    if (error.name === 'CastError') {
+        return { statusCode: 400, body: { message: 'Некорректный ID товара в заказе.' } };
+    }
+    return null;
+};
+
+module.exports = { normalizeOrderItems, placeOrder, getPlaceOrderErrorResponse };
\ No newline at end of file
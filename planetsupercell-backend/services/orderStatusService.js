@@ -0,0 +1,248 @@
+// Файл: services/orderStatusService.js
+// Назначение: Машина состояний статусов заказа - допустимые переходы, побочные эффекты и история изменений.
+
+const Order = require('../models/Order');
+const { reserveStock, releaseStock } = require('./stockService');
+const { releaseCouponUsage, restoreCouponUsage } = require('./couponService');
+const { getProvider, refundOrderPayment } = require('./payments');
+const { notifyOrderStatusChanged } = require('./notificationService');
+
+// Сколько действует блокировка смены статуса. Если процесс упал посреди перехода,
+// после этого срока статус снова можно менять.
+const STATUS_LOCK_DURATION_MS = 2 * 60 * 1000;
+
+// --- Граф допустимых переходов ---
+// Ключ - текущий статус, значение - статусы, в которые из него можно перейти.
+// Любой переход, которого нет в этом списке, запрещен (например, completed -> pending).
+const ORDER_STATUS_TRANSITIONS = {
+    'pending':      ['paid-pending', 'processing', 'refunded'],             // Ожидает оплаты
+    'paid-pending': ['pending', 'processing', 'completed', 'refunded'],     // Оплачен, ждет проверки
+    'processing':   ['completed', 'refunded'],                              // В работе
+    'completed':    ['refunded'],                                           // Выполнен (возможен только возврат)
+    'refunded':     ['paid-pending', 'processing'],                         // Отмена возврата (товар снова списывается)
+};
+
+// --- Побочные эффекты переходов ---
+// apply выполняется после захвата перехода (см. changeOrderStatus) и до сохранения нового статуса,
+// revert - если следующий эффект или сохранение статуса не удались. Эффект выбирается по условию на пару (from, to).
+const TRANSITION_EFFECTS = [
+    {
+        // "Оплачен, ждет проверки" при оплате скриншотом - только если скриншот загружен
+        name: 'require-screenshot',
+        matches: (from, to) => to === 'paid-pending',
+        apply: async (order) => {
+            const providerName = (order.payment && order.payment.provider) || 'manual';
+            if (getProvider(providerName).requiresScreenshot && !order.screenshotPath) {
+                throw createStatusError('Покупатель еще не загрузил скриншот оплаты. Заказ нельзя отправить на проверку оплаты.', 400);
+            }
+        },
+        revert: async () => {},
+    },
+    {
+        // Отмена возврата невозможна, если деньги уже вернул платежный провайдер
+        name: 'payment-refunded-guard',
+        matches: (from, to) => from === 'refunded' && to !== 'refunded',
+        apply: async (order) => {
+            if (order.payment && order.payment.status === 'refunded') {
+                throw createStatusError('Оплата этого заказа уже возвращена покупателю через платежного провайдера. Оформите новый заказ.', 400);
+            }
+        },
+        revert: async () => {},
+    },
+    {
+        // Возврат: товары возвращаются на склад
+        name: 'return-stock',
+        matches: (from, to) => to === 'refunded' && from !== 'refunded',
+        apply: async (order) => {
+            const notReleased = await releaseStock(stockItemsOf(order));
+            if (notReleased.length > 0) {
+                console.warn(`Заказ ${order._id}: ${notReleased.length} поз. не возвращены на склад (товар или вариант удален), остаток нужно проверить вручную.`);
+            }
+        },
+        revert: (order) => reserveStock(stockItemsOf(order)),
+    },
+    {
+        // Отмена возврата: товары снова списываются со склада (только если их хватает)
+        name: 're-reserve-stock',
+        matches: (from, to) => from === 'refunded' && to !== 'refunded',
+        apply: (order) => reserveStock(stockItemsOf(order)),
+        revert: (order) => releaseStock(stockItemsOf(order)),
+    },
+    {
+        // Возврат: использование купона возвращается покупателю и в общий лимит
+        name: 'release-coupon',
+        matches: (from, to) => to === 'refunded' && from !== 'refunded',
+        apply: (order) => releaseCouponUsage(order._id),
+        revert: (order) => restoreCouponUsage(order._id),
+    },
+    {
+        // Отмена возврата: использование купона снова учитывается
+        name: 'restore-coupon',
+        matches: (from, to) => from === 'refunded' && to !== 'refunded',
+        apply: (order) => restoreCouponUsage(order._id),
+        revert: (order) => releaseCouponUsage(order._id),
+    },
+    {
+        // Возврат: деньги возвращаются через платежного провайдера (если заказ оплачен через него).
+        // Идет последним, т.к. не может быть отменен: при ошибке предыдущих эффектов до возврата не дойдет.
+        name: 'refund-payment',
+        matches: (from, to) => to === 'refunded' && from !== 'refunded',
+        apply: (order) => refundOrderPayment(order),
+        revert: async (order) => {
+            console.error(`Заказ ${order._id}: оплата уже возвращена провайдером, отменить возврат невозможно.`);
+        },
+    },
+];
+
+// Позиции заказа в формате, который понимает stockService
+const stockItemsOf = (order) => order.items.map(item => ({
+    productId: item.productId,
+    variantId: item.variantId || null,
+    quantity: item.quantity,
+}));
+
+// --- Создание ошибки смены статуса с HTTP-статусом ---
+const createStatusError = (message, statusCode, details = {}) => {
+    const error = new Error(message);
+    error.name = 'OrderStatusError';
+    error.statusCode = statusCode;
+    error.details = details;
+    return error;
+};
+
+// --- Проверка, разрешен ли переход ---
+const canTransition = (from, to) => (ORDER_STATUS_TRANSITIONS[from] || []).includes(to);
+
+// --- Смена статуса заказа ---
+// order     - документ Order (текущий статус берется из него)
+// newStatus - целевой статус
+// options   - { changedBy: ID пользователя, сменившего статус (null - система), comment: комментарий }
+// Возвращает обновленный документ заказа. Выбрасывает OrderStatusError (400/409), StockError или PaymentError.
+// 409 - статус уже изменен или прямо сейчас меняется другим запросом.
+const changeOrderStatus = async (order, newStatus, { changedBy = null, comment = '' } = {}) => {
+    const oldStatus = order.status;
+
+    if (!ORDER_STATUS_TRANSITIONS[newStatus]) {
+        throw createStatusError(`Неизвестный статус "${newStatus}". Допустимые значения: ${Object.keys(ORDER_STATUS_TRANSITIONS).join(', ')}.`, 400);
+    }
+    if (oldStatus === newStatus) {
+        throw createStatusError(`Заказ уже находится в статусе "${newStatus}".`, 400);
+    }
+    if (!canTransition(oldStatus, newStatus)) {
+        throw createStatusError(
+            `Переход из статуса "${oldStatus}" в "${newStatus}" запрещен. Допустимые переходы: ${ORDER_STATUS_TRANSITIONS[oldStatus].join(', ') || 'нет'}.`,
+            400,
+            { allowedStatuses: ORDER_STATUS_TRANSITIONS[oldStatus] }
+        );
+    }
+
+    // 1. Захват перехода: заказ блокируется, только если он все еще в статусе oldStatus и его статус
+    // сейчас никто не меняет. Из двух одновременных запросов (например, два администратора нажали "Возврат")
+    // эффекты применит только тот, чей захват прошел; второй получит 409, ничего не тронув на складе.
+    const now = new Date();
+    const lockedUntil = new Date(now.getTime() + STATUS_LOCK_DURATION_MS);
+    const claimedOrder = await Order.findOneAndUpdate(
+        {
+            _id: order._id,
+            status: oldStatus,
+            $or: [{ statusLockedUntil: null }, { statusLockedUntil: { $lte: now } }],
+        },
+        { $set: { statusLockedUntil: lockedUntil } },
+        { new: true }
+    );
+    if (!claimedOrder) {
+        throw createStatusError('Статус заказа был изменен другим запросом. Обновите данные и повторите попытку.', 409);
+    }
+
+    // 2. Побочные эффекты перехода (склад и т.п.). При ошибке примененные эффекты отменяются,
+    // а блокировка снимается - заказ остается в прежнем статусе.
+    const effects = TRANSITION_EFFECTS.filter(effect => effect.matches(oldStatus, newStatus));
+    const appliedEffects = [];
+    try {
+        for (const effect of effects) {
+            console.log(`Заказ ${order._id}: ${oldStatus} -> ${newStatus}, эффект '${effect.name}'...`);
+            await effect.apply(claimedOrder);
+            appliedEffects.push(effect);
+        }
+    } catch (effectError) {
+        await revertEffects(claimedOrder, appliedEffects);
+        await releaseStatusLock(order._id, lockedUntil);
+        throw effectError;
+    }
+
+    // 3. Сохранение статуса и записи истории со снятием блокировки.
+    // Условие на lockedUntil: статус сохраняет только владелец блокировки (она могла истечь и достаться другому запросу).
+    let updatedOrder;
+    try {
+        updatedOrder = await Order.findOneAndUpdate(
+            { _id: order._id, statusLockedUntil: lockedUntil },
+            {
+                $set: { status: newStatus, statusLockedUntil: null },
+                $push: {
+                    statusHistory: {
+                        status: newStatus,
+                        fromStatus: oldStatus,
+                        changedBy,
+                        changedAt: new Date(),
+                        comment: comment || '',
+                    },
+                },
+            },
+            { new: true, runValidators: true }
+        );
+    } catch (saveError) {
+        await revertEffects(claimedOrder, appliedEffects);
+        await releaseStatusLock(order._id, lockedUntil);
+        throw saveError;
+    }
+
+    if (!updatedOrder) {
+        await revertEffects(claimedOrder, appliedEffects);
+        throw createStatusError('Смена статуса заняла слишком много времени и была прервана. Обновите данные и повторите попытку.', 409);
+    }
+
+    return updatedOrder;
+};
+
+// --- Смена статуса заказа по ID с уведомлением покупателя ---
+// Общая логика для админ-панели (PUT /api/orders/:id/status) и кнопок бота.
+// Возвращает обновленный заказ или null, если заказ не найден.
+const updateOrderStatusById = async (orderId, newStatus, { changedBy = null, comment = '' } = {}) => {
+    const order = await Order.findById(orderId).populate('user', 'telegramId languageCode');
+    if (!order) return null;
+
+    // Проверка перехода, побочные эффекты (склад, купон, возврат оплаты) и запись в историю
+    const updatedOrder = await changeOrderStatus(order, newStatus, { changedBy, comment });
+
+    // --- Оповещение Пользователя через Telegram (на его языке) ---
+    if (order.user && order.user.telegramId) {
+        notifyOrderStatusChanged(updatedOrder, order.user, newStatus, comment).catch((notifyError) => {
+            console.error(`Не удалось поставить в очередь уведомление для заказа ${orderId}:`, notifyError);
+        });
+    }
+
+    return updatedOrder;
+};
+
+// --- Снятие блокировки смены статуса (только своей) ---
+const releaseStatusLock = async (orderId, lockedUntil) => {
+    try {
+        await Order.updateOne({ _id: orderId, statusLockedUntil: lockedUntil }, { $set: { statusLockedUntil: null } });
+    } catch (unlockError) {
+        console.error(`Заказ ${orderId}: не удалось снять блокировку смены статуса:`, unlockError);
+    }
+};
+
+// --- Откат примененных эффектов в обратном порядке ---
+const revertEffects = async (order, appliedEffects) => {
+    for (const effect of [...appliedEffects].reverse()) {
+        try {
+            console.warn(`Заказ ${order._id}: откат эффекта '${effect.name}'...`);
+            await effect.revert(order);
+        } catch (revertError) {
+            console.error(`Заказ ${order._id}: не удалось откатить эффект '${effect.name}':`, revertError);
+        }
+    }
+};
+
+module.exports = { ORDER_STATUS_TRANSITIONS, canTransition, changeOrderStatus, updateOrderStatusById };
\ No newline at end of file
@@ -0,0 +1,201 @@
+// Файл: services/paymentService.js
+// Назначение: Оплата заказов через провайдеров - создание счета и обработка вебхуков об оплате.
+
+const Order = require('../models/Order');
+const Product = require('../models/Product');
+const Category = require('../models/Category');
+const { getProvider, createPaymentError } = require('./payments');
+const { changeOrderStatus } = require('./orderStatusService');
+const { notifyOrderStatusChanged } = require('./notificationService');
+
+// Статусы оплаты, при которых можно (повторно) выставить счет
+const PAYABLE_PAYMENT_STATUSES = ['awaiting', 'failed'];
+
+// --- Создание счета для заказа ---
+// Сохраняет данные счета в order.payment и возвращает обновленный заказ.
+// Если провайдер не смог создать счет, ошибка сохраняется в payment.lastError и пробрасывается дальше.
+const createInvoiceForOrder = async (order, providerName = order.payment.provider) => {
+    const provider = getProvider(providerName);
+
+    if (order.status !== 'pending') {
+        throw createPaymentError(`Заказ в статусе "${order.status}" не ожидает оплаты.`, 400);
+    }
+    if (order.payment && !PAYABLE_PAYMENT_STATUSES.includes(order.payment.status)) {
+        throw createPaymentError(`Оплата заказа уже в статусе "${order.payment.status}".`, 400);
+    }
+
+    let invoice;
+    try {
+        invoice = await provider.createInvoice(order);
+    } catch (invoiceError) {
+        await Order.updateOne({ _id: order._id }, { $set: { 'payment.lastError': invoiceError.message } });
+        throw createPaymentError(`Не удалось создать счет через "${provider.title}": ${invoiceError.message}`, 502, { provider: provider.name });
+    }
+
+    return Order.findByIdAndUpdate(
+        order._id,
+        {
+            $set: {
+                'payment.provider': provider.name,
+                'payment.status': 'awaiting',
+                'payment.invoiceId': invoice ? invoice.invoiceId : null,
+                'payment.paymentUrl': invoice ? invoice.paymentUrl || '' : '',
+                'payment.amount': invoice ? invoice.amount : null,
+                'payment.currency': invoice ? invoice.currency : null,
+                'payment.lastError': '',
+            },
+        },
+        { new: true }
+    );
+};
+
+// --- Заказ оплачен (подтвержденное событие провайдера) ---
+// Повторный вебхук о той же оплате ничего не меняет (оплата отмечается условным атомарным обновлением).
+// Возвращает { order, duplicate }.
+const markOrderPaid = async (provider, event) => {
+    const order = await Order.findOne({ 'payment.provider': provider.name, 'payment.invoiceId': event.invoiceId });
+    if (!order) {
+        throw createPaymentError(`Заказ для счета ${event.invoiceId} не найден.`, 404);
+    }
+
+    // Сумма и валюта должны совпадать со счетом
+    if (Number(event.amount) !== order.payment.amount || (event.currency && event.currency !== order.payment.currency)) {
+        const message = `Сумма оплаты ${event.amount} ${event.currency || ''} не совпадает со счетом (${order.payment.amount} ${order.payment.currency}).`;
+        await Order.updateOne({ _id: order._id }, { $set: { 'payment.lastError': message } });
+        throw createPaymentError(message, 400, { orderId: order._id });
+    }
+
+    const paidOrder = await Order.findOneAndUpdate(
+        { _id: order._id, 'payment.status': { $in: PAYABLE_PAYMENT_STATUSES } },
+        { $set: { 'payment.status': 'paid', 'payment.paidAt': new Date(), 'payment.chargeId': event.chargeId || null, 'payment.lastError': '' } },
+        { new: true }
+    ).populate('user', 'telegramId languageCode');
+    if (!paidOrder) {
+        return { order, duplicate: true }; // Эта оплата уже обработана
+    }
+
+    // Заказ больше не ждет оплаты (например, отменен администратором) - деньги нужно вернуть вручную
+    if (paidOrder.status !== 'pending') {
+        const message = `Оплата получена, но заказ уже в статусе "${paidOrder.status}". Требуется проверка администратором.`;
+        console.warn(`Заказ ${paidOrder._id}: ${message}`);
+        await Order.updateOne({ _id: paidOrder._id }, { $set: { 'payment.lastError': message } });
+        return { order: paidOrder, duplicate: false };
+    }
+
+    const comment = `Оплата получена (${provider.title})`;
+    const updatedOrder = await changeOrderStatus(paidOrder, 'processing', { changedBy: null, comment });
+
+    notifyOrderStatusChanged(updatedOrder, paidOrder.user, 'processing', comment).catch((notifyError) => {
+        console.error(`Не удалось поставить в очередь уведомление об оплате заказа ${paidOrder._id}:`, notifyError);
+    });
+
+    return { order: updatedOrder, duplicate: false };
+};
+
+// --- Оплата не прошла ---
+// Заказ остается в 'pending': покупатель может оплатить его снова (POST /api/orders/:id/pay)
+const markPaymentFailed = async (provider, event) => {
+    const order = await Order.findOneAndUpdate(
+        { 'payment.provider': provider.name, 'payment.invoiceId': event.invoiceId, 'payment.status': 'awaiting' },
+        { $set: { 'payment.status': 'failed', 'payment.lastError': event.reason || 'Оплата отклонена провайдером.' } },
+        { new: true }
+    );
+    return { order, duplicate: !order };
+};
+
+// --- Проверка заказа перед списанием денег (pre-checkout) ---
+// Провайдер спрашивает, можно ли принять оплату. Проверяется, что заказ все еще ждет оплаты,
+// сумма совпадает со счетом, а каждая позиция (товар и выбранный вариант) все еще продается.
+// Остаток заново не сравнивается с количеством: товары списаны со склада при оформлении (stockService.reserveStock)
+// и возвращаются только при переводе заказа в 'refunded', а такой заказ не пройдет проверку статуса.
+// Текущий остаток после списания может быть и нулевым - это не повод отклонять уже зарезервированную оплату.
+// Возвращает { order, ok, errorMessage }
+const checkOrderBeforePayment = async (provider, event) => {
+    const order = await Order.findOne({ 'payment.provider': provider.name, 'payment.invoiceId': event.invoiceId });
+
+    if (!order) {
+        return { order: null, ok: false, errorMessage: 'Заказ не найден.' };
+    }
+    if (order.status !== 'pending' || !PAYABLE_PAYMENT_STATUSES.includes(order.payment.status)) {
+        return { order, ok: false, errorMessage: 'Заказ больше не ожидает оплаты.' };
+    }
+    if (Number(event.amount) !== order.payment.amount || event.currency !== order.payment.currency) {
+        return { order, ok: false, errorMessage: 'Сумма счета изменилась. Откройте оплату заново.' };
+    }
+
+    // Те же правила доступности, что и при оформлении заказа (services/orderService.js)
+    const products = await Product.find({ _id: { $in: order.items.map(item => item.productId) }, archivedAt: null })
+        .select('categoryId variants');
+    const archivedCategoryIds = new Set(
+        (await Category.find({ _id: { $in: products.map(p => p.categoryId) }, archivedAt: { $ne: null } }).select('_id'))
+            .map(category => category._id.toString())
+    );
+    const productMap = new Map(products
+        .filter(product => !archivedCategoryIds.has(product.categoryId.toString()))
+        .map(product => [product._id.toString(), product]));
+
+    const unavailableItem = order.items.find((item) => {
+        const product = productMap.get(item.productId.toString());
+        return !product || (item.variantId && !product.variants.id(item.variantId));
+    });
+    if (unavailableItem) {
+        const name = unavailableItem.variantLabel ? `${unavailableItem.name} (${unavailableItem.variantLabel})` : unavailableItem.name;
+        return { order, ok: false, errorMessage: `Товар "${name}" больше не продается. Оформите заказ заново.` };
+    }
+
+    return { order, ok: true, errorMessage: '' };
+};
+
+// --- Ответ провайдеру на pre-checkout ---
+const handlePreCheckout = async (provider, event) => {
+    const { order, ok, errorMessage } = await checkOrderBeforePayment(provider, event);
+    if (!ok) {
+        console.warn(`Оплата счета ${event.invoiceId} отклонена до списания: ${errorMessage}`);
+    }
+    if (provider.answerPreCheckout) {
+        await provider.answerPreCheckout(event, ok, errorMessage);
+    }
+    return { order, duplicate: false, ok };
+};
+
+// --- Обработка вебхука провайдера ---
+// req - запрос Express (нужны req.rawBody, req.headers и req.body)
+// Возвращает { event, orderId, duplicate, accepted?, error? }.
+// Выбрасывает PaymentError только для неизвестного провайдера (400) и неверной подписи (401).
+// Подлинный вебхук, который не удалось применить (сумма не совпала, заказ не найден и т.п.), не считается
+// ошибкой запроса: иначе провайдер (в том числе Telegram) будет бесконечно повторять его и задерживать следующие.
+// Причина попадает в результат (error), в лог и, если заказ найден, в payment.lastError.
+const handleWebhook = async (providerName, req) => {
+    const provider = getProvider(providerName);
+
+    if (!provider.verifyWebhook(req)) {
+        throw createPaymentError('Неверная подпись вебхука.', 401);
+    }
+
+    const event = await provider.parseWebhook(req);
+    let result = { order: null, duplicate: false };
+    try {
+        if (event.event === 'paid') {
+            result = await markOrderPaid(provider, event);
+        } else if (event.event === 'failed') {
+            result = await markPaymentFailed(provider, event);
+        } else if (event.event === 'pre-checkout') {
+            result = await handlePreCheckout(provider, event);
+        }
+    } catch (error) {
+        if (!['PaymentError', 'OrderStatusError', 'StockError', 'TelegramApiError'].includes(error.name)) {
+            throw error;
+        }
+        console.error(`Вебхук ${provider.name} (${event.event}, счет ${event.invoiceId}) не применен: ${error.message}`);
+        return { event: event.event, orderId: error.details && error.details.orderId ? error.details.orderId : null, duplicate: false, error: error.message };
+    }
+
+    return {
+        event: event.event,
+        orderId: result.order ? result.order._id : null,
+        duplicate: result.duplicate,
+        ...(result.ok !== undefined ? { accepted: result.ok } : {}), // Ответ на pre-checkout
+    };
+};
+
+module.exports = { createInvoiceForOrder, handleWebhook };
\ No newline at end of file
@@ -0,0 +1,110 @@
+// Файл: services/payments/index.js
+// Назначение: Реестр платежных провайдеров и общие операции с оплатой заказа.
+//
+// --- Интерфейс провайдера ---
+// Провайдер - объект со следующими полями и методами:
+//   name                 - идентификатор ('manual', 'mock', ...), используется в URL вебхука и в Order.payment.provider
+//   title                - название для покупателя и администратора
+//   requiresScreenshot   - true, если оплата подтверждается скриншотом, который проверяет администратор
+//                          (без скриншота заказ не может перейти в 'paid-pending')
+//   initialOrderStatus   - статус нового заказа ('pending' - ждет вебхука об оплате, 'paid-pending' - ждет проверки)
+//   createInvoice(order) - создает счет; возвращает { invoiceId, paymentUrl, amount, currency } или null (счет не нужен)
+//   verifyWebhook(req)   - проверяет подпись вебхука (req.rawBody, req.headers); возвращает true/false
+//   parseWebhook(req)    - разбирает вебхук; возвращает событие { event: 'paid' | 'failed' | 'pre-checkout' | 'ignored',
+//                          invoiceId, amount, currency, chargeId }
+//   refund(order)        - возвращает деньги по оплаченному заказу; возвращает { refundId }
+//   answerPreCheckout(event, ok, errorMessage) - (необязательно) ответ провайдеру на запрос подтверждения
+//                          перед списанием денег (событие 'pre-checkout', например, в Telegram Stars)
+// Провайдер регистрируется через registerProvider (см. подключение встроенных провайдеров внизу файла).
+
+const Order = require('../../models/Order');
+
+const providers = new Map();
+
+// --- Создание ошибки оплаты с HTTP-статусом ---
+const createPaymentError = (message, statusCode, details = {}) => {
+    const error = new Error(message);
+    error.name = 'PaymentError';
+    error.statusCode = statusCode;
+    error.details = details;
+    return error;
+};
+
+// --- Регистрация провайдера ---
+const registerProvider = (provider) => {
+    providers.set(provider.name, provider);
+};
+
+// --- Получение провайдера по имени (PaymentError 400, если его нет) ---
+const getProvider = (name) => {
+    const provider = providers.get(name);
+    if (!provider) {
+        throw createPaymentError(
+            `Способ оплаты "${name}" не поддерживается. Доступные: ${Array.from(providers.keys()).join(', ')}.`,
+            400,
+            { providers: Array.from(providers.keys()) }
+        );
+    }
+    return provider;
+};
+
+// --- Включен ли тестовый провайдер 'mock' ---
+// Только явно: ENABLE_MOCK_PAYMENTS=true. Через него можно "оплатить" заказ без денег, поэтому NODE_ENV не учитывается.
+const isMockPaymentsEnabled = () => process.env.ENABLE_MOCK_PAYMENTS === 'true';
+
+// --- Список провайдеров (для клиента) ---
+const listProviders = () => Array.from(providers.values()).map(provider => ({
+    name: provider.name,
+    title: provider.title,
+    requiresScreenshot: provider.requiresScreenshot,
+}));
+
+// --- Возврат денег по заказу через провайдера ---
+// Вызывается эффектом перехода в 'refunded' (services/orderStatusService.js).
+// Ничего не делает, если заказ не был оплачен через провайдера (например, ручная оплата - деньги возвращает администратор).
+const refundOrderPayment = async (order) => {
+    const payment = order.payment;
+    if (!payment || payment.status !== 'paid') return null;
+
+    const provider = getProvider(payment.provider);
+    let result;
+    try {
+        result = await provider.refund(order);
+    } catch (refundError) {
+        await Order.updateOne({ _id: order._id }, { $set: { 'payment.lastError': refundError.message } });
+        throw createPaymentError(
+            `Не удалось вернуть оплату через "${provider.title}": ${refundError.message}`,
+            502,
+            { provider: provider.name }
+        );
+    }
+
+    await Order.updateOne(
+        { _id: order._id },
+        { $set: { 'payment.status': 'refunded', 'payment.refundId': result.refundId || null, 'payment.refundedAt': new Date(), 'payment.lastError': '' } }
+    );
+    console.log(`  - Оплата заказа ${order._id} возвращена через ${provider.name}`);
+    return result;
+};
+
+module.exports = {
+    createPaymentError,
+    registerProvider,
+    getProvider,
+    listProviders,
+    isMockPaymentsEnabled,
+    refundOrderPayment,
+};
+
+// --- Встроенные провайдеры ---
+// Подключаются после module.exports: провайдеры могут использовать функции этого модуля
+registerProvider(require('./manualProvider'));
+registerProvider(require('./telegramStarsProvider'));
+// Тестовый провайдер подключается только по флагу и только с собственным секретом подписи вебхуков:
+// без MOCK_PAYMENT_SECRET сервер не запустится, чтобы подпись нельзя было подделать
+if (isMockPaymentsEnabled()) {
+    if (!process.env.MOCK_PAYMENT_SECRET) {
+        throw new Error('ENABLE_MOCK_PAYMENTS=true, но MOCK_PAYMENT_SECRET не задан в .env. Задайте секрет или отключите тестовую оплату.');
+    }
+    registerProvider(require('./mockProvider'));
+}
\ No newline at end of file
@@ -0,0 +1,23 @@
+// Файл: services/payments/manualProvider.js
+// Назначение: Ручная оплата - покупатель переводит деньги и загружает скриншот, администратор проверяет его.
+
+const manualProvider = {
+    name: 'manual',
+    title: 'Перевод со скриншотом',
+    requiresScreenshot: true,
+    // Заказ ждет скриншот: с ним (при оформлении или позже, POST /api/orders/:id/screenshot)
+    // заказ переходит в 'paid-pending' и ждет проверки администратором
+    initialOrderStatus: 'pending',
+
+    // Счет не создается: реквизиты для перевода покупатель видит в приложении
+    createInvoice: async () => null,
+
+    // Вебхуков нет - оплату подтверждает администратор сменой статуса заказа
+    verifyWebhook: () => false,
+    parseWebhook: () => ({ event: 'ignored' }),
+
+    // Деньги возвращает администратор вручную
+    refund: async () => ({ refundId: null }),
+};
+
+module.exports = manualProvider;
\ No newline at end of file
@@ -0,0 +1,72 @@
+// Файл: services/payments/mockProvider.js
+// Назначение: Тестовый платежный провайдер - позволяет пройти весь сценарий оплаты без внешних сервисов.
+//
+// Подключается только при ENABLE_MOCK_PAYMENTS=true (см. services/payments/index.js).
+// Вебхук подписывается HMAC-SHA256 от тела запроса с секретом MOCK_PAYMENT_SECRET (заголовок X-Mock-Signature).
+// Чтобы "оплатить" счет локально, используйте POST /api/payments/mock/simulate { orderId, status: 'paid' | 'failed' }
+// (доступен при том же флаге) или отправьте подписанный вебхук сами:
+//   POST /api/payments/mock/webhook { invoiceId, status: 'paid', amount, currency, paymentId }
+
+const crypto = require('crypto');
+const { BASE_CURRENCY } = require('../../config/currencies');
+
+// Наличие секрета проверяется при подключении провайдера
+const getSecret = () => process.env.MOCK_PAYMENT_SECRET;
+
+// --- Подпись тела вебхука ---
+const signPayload = (rawBody) => crypto.createHmac('sha256', getSecret()).update(rawBody).digest('hex');
+
+// --- Сборка подписанного вебхука (для имитации оплаты) ---
+// Возвращает { rawBody, body, signature }
+const buildWebhook = (payment, status = 'paid') => {
+    const body = {
+        invoiceId: payment.invoiceId,
+        status,
+        amount: payment.amount,
+        currency: payment.currency,
+        paymentId: `mock_pay_${crypto.randomBytes(6).toString('hex')}`,
+    };
+    const rawBody = Buffer.from(JSON.stringify(body));
+    return { rawBody, body, signature: signPayload(rawBody) };
+};
+
+const mockProvider = {
+    name: 'mock',
+    title: 'Тестовая оплата',
+    requiresScreenshot: false,
+    initialOrderStatus: 'pending',
+
+    createInvoice: async (order) => {
+        const invoiceId = `mock_${order._id}_${crypto.randomBytes(4).toString('hex')}`;
+        return {
+            invoiceId,
+            paymentUrl: `mock://pay/${invoiceId}`,
+            amount: order.convertedTotalAmount !== null && order.convertedTotalAmount !== undefined ? order.convertedTotalAmount : order.totalAmount,
+            currency: order.currency || BASE_CURRENCY,
+        };
+    },
+
+    verifyWebhook: (req) => {
+        const signature = String(req.headers['x-mock-signature'] || '');
+        if (!req.rawBody || !/^[0-9a-f]{64}$/.test(signature)) return false;
+        const expected = signPayload(req.rawBody);
+        return crypto.timingSafeEqual(Buffer.from(signature, 'hex'), Buffer.from(expected, 'hex'));
+    },
+
+    parseWebhook: (req) => {
+        const { invoiceId, status, amount, currency, paymentId } = req.body || {};
+        return {
+            event: status === 'paid' ? 'paid' : status === 'failed' ? 'failed' : 'ignored',
+            invoiceId,
+            amount: Number(amount),
+            currency,
+            chargeId: paymentId || null,
+        };
+    },
+
+    refund: async () => ({ refundId: `mock_refund_${crypto.randomBytes(6).toString('hex')}` }),
+
+    buildWebhook,
+};
+
+module.exports = mockProvider;
\ No newline at end of file
@@ -0,0 +1,111 @@
+// Файл: services/payments/telegramStarsProvider.js
+// Назначение: Оплата заказов в Telegram Stars (валюта XTR) через Bot API.
+//
+// Сценарий оплаты:
+//   1. createInvoice - бот создает ссылку на счет (createInvoiceLink), Web App открывает ее через openInvoice.
+//   2. Telegram присылает на вебхук update с pre_checkout_query - нужно ответить answerPreCheckoutQuery за 10 секунд
+//      (services/paymentService.js проверяет заказ, резерв товаров и сумму).
+//   3. После списания Stars приходит message.successful_payment - заказ отмечается оплаченным,
+//      telegram_payment_charge_id сохраняется в payment.chargeId (он нужен для возврата).
+//   4. Возврат - refundStarPayment (вызывается при переводе заказа в 'refunded').
+//
+// Update'ы об оплате приходят на общий вебхук бота POST /api/telegram/webhook и передаются сюда
+// (напрямую можно использовать POST /api/payments/telegram-stars/webhook). Подлинность - по заголовку
+// X-Telegram-Bot-Api-Secret-Token, совпадающему с TELEGRAM_WEBHOOK_SECRET (secret_token в setWebhook).
+
+const crypto = require('crypto');
+const User = require('../../models/User');
+const { callTelegram, isValidWebhookSecret } = require('../telegramApi');
+
+const STARS_CURRENCY = 'XTR';
+
+// --- Стоимость одной звезды в базовой валюте (например, 1.5 RUB) ---
+const getStarPrice = () => {
+    const starPrice = parseFloat(process.env.TELEGRAM_STAR_PRICE);
+    if (isNaN(starPrice) || starPrice <= 0) {
+        throw new Error('TELEGRAM_STAR_PRICE (стоимость 1 звезды в базовой валюте) не задан в .env');
+    }
+    return starPrice;
+};
+
+// --- Сумма заказа в звездах (округление вверх, минимум 1) ---
+const toStars = (amount) => Math.max(1, Math.ceil(amount / getStarPrice()));
+
+const telegramStarsProvider = {
+    name: 'telegram-stars',
+    title: 'Telegram Stars',
+    requiresScreenshot: false,
+    initialOrderStatus: 'pending',
+
+    createInvoice: async (order) => {
+        const amount = toStars(order.totalAmount);
+        // payload возвращается в pre_checkout_query и successful_payment - по нему находится заказ
+        const invoiceId = `order:${order._id}:${crypto.randomBytes(4).toString('hex')}`;
+        const title = `Заказ #${order._id}`.slice(0, 32);
+        const description = order.items
+            .map(item => (item.variantLabel ? `${item.name} (${item.variantLabel}) × ${item.quantity}` : `${item.name} × ${item.quantity}`))
+            .join(', ')
+            .slice(0, 255);
+
+        const paymentUrl = await callTelegram('createInvoiceLink', {
+            title,
+            description: description || title,
+            payload: invoiceId,
+            currency: STARS_CURRENCY, // Для Stars provider_token не передается
+            prices: [{ label: title, amount }],
+        });
+
+        return { invoiceId, paymentUrl, amount, currency: STARS_CURRENCY };
+    },
+
+    verifyWebhook: isValidWebhookSecret,
+
+    parseWebhook: (req) => {
+        const update = req.body || {};
+
+        if (update.pre_checkout_query) {
+            const query = update.pre_checkout_query;
+            return {
+                event: 'pre-checkout',
+                queryId: query.id,
+                invoiceId: query.invoice_payload,
+                amount: query.total_amount,
+                currency: query.currency,
+            };
+        }
+
+        const payment = update.message && update.message.successful_payment;
+        if (payment) {
+            return {
+                event: 'paid',
+                invoiceId: payment.invoice_payload,
+                amount: payment.total_amount,
+                currency: payment.currency,
+                chargeId: payment.telegram_payment_charge_id,
+            };
+        }
+
+        return { event: 'ignored' }; // Остальные update'ы к оплате не относятся
+    },
+
+    // --- Ответ на pre_checkout_query ---
+    // ok: false отменяет оплату, errorMessage покупатель увидит в Telegram
+    answerPreCheckout: (event, ok, errorMessage = '') => callTelegram('answerPreCheckoutQuery', ok
+        ? { pre_checkout_query_id: event.queryId, ok: true }
+        : { pre_checkout_query_id: event.queryId, ok: false, error_message: errorMessage }),
+
+    refund: async (order) => {
+        const userId = order.user && order.user._id ? order.user._id : order.user;
+        const user = await User.findById(userId).select('telegramId');
+        if (!user) {
+            throw new Error('Покупатель заказа не найден.');
+        }
+        await callTelegram('refundStarPayment', {
+            user_id: user.telegramId,
+            telegram_payment_charge_id: order.payment.chargeId,
+        });
+        return { refundId: order.payment.chargeId };
+    },
+};
+
+module.exports = telegramStarsProvider;
\ No newline at end of file
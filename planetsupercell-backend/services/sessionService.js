@@ -0,0 +1,192 @@
+// Файл: services/sessionService.js
+// Назначение: Сессии пользователей - выдача короткоживущих access-токенов, ротация refresh-токенов и отзыв.
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+require('dotenv').config(); // Убедимся, что переменные окружения загружены
+const Session = require('../models/Session');
+const User = require('../models/User');
+
+// --- Настройки ---
+const JWT_SECRET = process.env.JWT_SECRET;
+// Срок действия access-токена (формат jsonwebtoken: '15m', '1h' или число секунд)
+const ACCESS_TOKEN_TTL = process.env.JWT_ACCESS_TTL || '15m';
+// Срок действия refresh-токена в днях (отсчитывается от последнего обновления)
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30;
+
+// --- Коды причин отказа (поле code в ответе API) ---
+const SESSION_ERROR_CODES = {
+    REFRESH_TOKEN_MISSING: 'refresh-token-missing', // refresh-токен не передан
+    REFRESH_TOKEN_INVALID: 'refresh-token-invalid', // Токен не найден (неверный или сессия удалена)
+    REFRESH_TOKEN_REUSED: 'refresh-token-reused',   // Предъявлен уже замененный токен - сессия отозвана
+    SESSION_REVOKED: 'session-revoked',             // Сессия отозвана (выход, выход везде, администратор)
+    SESSION_EXPIRED: 'session-expired',             // Истек срок действия refresh-токена
+    SESSION_NOT_FOUND: 'session-not-found',         // Нет такой сессии у пользователя
+    USER_BLOCKED: 'user-blocked',                   // Пользователь заблокирован (код совпадает с отказом во входе)
+};
+
+// --- Создание ошибки сессии с HTTP-статусом и кодом причины ---
+const createSessionError = (message, statusCode, code, details = {}) => {
+    const error = new Error(message);
+    error.name = 'SessionError';
+    error.statusCode = statusCode;
+    error.details = { code, ...details };
+    return error;
+};
+
+// --- Вспомогательные функции ---
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+const generateRefreshToken = () => crypto.randomBytes(48).toString('base64url');
+const getRefreshExpiry = () => new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+// Информация об устройстве из запроса
+const getDeviceInfo = (req) => ({
+    userAgent: String(req.headers['user-agent'] || '').slice(0, 500),
+    ip: req.ip || '',
+});
+
+// --- Выпуск access-токена для сессии ---
+// sid - ID сессии: по нему protect проверяет, что сессия не отозвана
+const signAccessToken = (user, session) => jwt.sign(
+    {
+        user: {
+            id: user._id, // Используем ID из НАШЕЙ базы данных
+            role: user.role, // Только для информации: права проверяются по роли из БД при каждом запросе
+        },
+        sid: session._id,
+    },
+    JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+);
+
+// Ответ с парой токенов (общий для входа и обновления)
+const buildTokens = (user, session, refreshToken) => {
+    const accessToken = signAccessToken(user, session);
+    return {
+        token: accessToken,
+        accessTokenExpiresAt: new Date(jwt.decode(accessToken).exp * 1000),
+        refreshToken,
+        refreshTokenExpiresAt: session.expiresAt,
+        sessionId: session._id,
+    };
+};
+
+// --- Создание сессии при входе ---
+// Возвращает { token, accessTokenExpiresAt, refreshToken, refreshTokenExpiresAt, sessionId }
+const createSession = async (user, req, authMethod = 'webapp') => {
+    const refreshToken = generateRefreshToken();
+    const session = await Session.create({
+        user: user._id,
+        refreshTokenHash: hashToken(refreshToken),
+        authMethod,
+        ...getDeviceInfo(req),
+        expiresAt: getRefreshExpiry(),
+    });
+    return buildTokens(user, session, refreshToken);
+};
+
+// --- Обновление токенов по refresh-токену (с ротацией) ---
+// Старый refresh-токен становится недействительным. Если его предъявят еще раз, значит, токен
+// утек (им уже воспользовались) - сессия отзывается, и войти придется заново на всех копиях.
+// Возвращает { user, tokens }.
+const refreshSession = async (refreshToken, req) => {
+    if (!refreshToken || typeof refreshToken !== 'string') {
+        throw createSessionError('Ошибка: refresh-токен не предоставлен.', 400, SESSION_ERROR_CODES.REFRESH_TOKEN_MISSING);
+    }
+    const tokenHash = hashToken(refreshToken);
+    const now = new Date();
+
+    // Ротация одной атомарной операцией: два параллельных обновления одним токеном не пройдут оба
+    const newRefreshToken = generateRefreshToken();
+    const session = await Session.findOneAndUpdate(
+        { refreshTokenHash: tokenHash, revokedAt: null, expiresAt: { $gt: now } },
+        {
+            $set: {
+                refreshTokenHash: hashToken(newRefreshToken),
+                previousRefreshTokenHash: tokenHash,
+                lastUsedAt: now,
+                expiresAt: getRefreshExpiry(),
+                ...getDeviceInfo(req),
+            },
+        },
+        { new: true }
+    );
+
+    if (!session) {
+        // Разбираемся, почему токен не подошел
+        const reused = await Session.findOne({ previousRefreshTokenHash: tokenHash });
+        if (reused) {
+            if (!reused.revokedAt) {
+                console.warn(`Сессия ${reused._id}: повторное использование refresh-токена, сессия отозвана.`);
+                await revokeSession(reused._id, { reason: 'refresh-token-reuse' });
+            }
+            throw createSessionError('Сессия отозвана: refresh-токен уже использовался. Войдите заново.', 401, SESSION_ERROR_CODES.REFRESH_TOKEN_REUSED);
+        }
+        const existing = await Session.findOne({ refreshTokenHash: tokenHash }).select('revokedAt expiresAt');
+        if (existing && existing.revokedAt) {
+            throw createSessionError('Сессия отозвана. Войдите заново.', 401, SESSION_ERROR_CODES.SESSION_REVOKED);
+        }
+        if (existing) {
+            throw createSessionError('Срок действия сессии истек. Войдите заново.', 401, SESSION_ERROR_CODES.SESSION_EXPIRED);
+        }
+        throw createSessionError('Ошибка: неверный refresh-токен.', 401, SESSION_ERROR_CODES.REFRESH_TOKEN_INVALID);
+    }
+
+    const user = await User.findById(session.user);
+    if (!user) {
+        throw createSessionError('Ошибка: пользователь сессии не найден.', 401, SESSION_ERROR_CODES.REFRESH_TOKEN_INVALID);
+    }
+    // Заблокированному пользователю новые токены не выдаются, а сессия завершается - так же, как при входе.
+    // blockUser и так завершает сессии, но блокировку могли выставить и в обход него.
+    if (user.isBlocked()) {
+        await revokeSession(session._id, { reason: 'blocked' });
+        throw createSessionError(user.getBlockMessage(), 403, SESSION_ERROR_CODES.USER_BLOCKED, {
+            blockReason: user.blockReason,
+            blockedUntil: user.blockedUntil,
+        });
+    }
+
+    return { user, tokens: buildTokens(user, session, newRefreshToken) };
+};
+
+// --- Проверка, что сессия активна (для protect) ---
+const isSessionActive = async (sessionId) => Boolean(await Session.exists({
+    _id: sessionId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+}));
+
+// --- Отзыв одной сессии ---
+// Возвращает true, если сессия была активна и отозвана
+const revokeSession = async (sessionId, { revokedBy = null, reason = 'logout' } = {}) => {
+    const result = await Session.updateOne(
+        { _id: sessionId, revokedAt: null },
+        { $set: { revokedAt: new Date(), revokedBy, revokeReason: reason } }
+    );
+    return result.modifiedCount > 0;
+};
+
+// --- Отзыв всех активных сессий пользователя ---
+// exceptSessionId - сессия, которую нужно оставить (например, текущая). Возвращает количество отозванных.
+const revokeUserSessions = async (userId, { revokedBy = null, reason = 'logout-all', exceptSessionId = null } = {}) => {
+    const filter = { user: userId, revokedAt: null };
+    if (exceptSessionId) filter._id = { $ne: exceptSessionId };
+    const result = await Session.updateMany(filter, { $set: { revokedAt: new Date(), revokedBy, revokeReason: reason } });
+    return result.modifiedCount;
+};
+
+// --- Активные сессии пользователя (для списка устройств) ---
+const listActiveSessions = (userId) => Session.find({ user: userId, revokedAt: null, expiresAt: { $gt: new Date() } })
+    .select('authMethod userAgent ip createdAt lastUsedAt expiresAt')
+    .sort({ lastUsedAt: -1 });
+
+module.exports = {
+    SESSION_ERROR_CODES,
+    createSessionError,
+    createSession,
+    refreshSession,
+    isSessionActive,
+    revokeSession,
+    revokeUserSessions,
+    listActiveSessions,
+};
\ No newline at end of file
@@ -0,0 +1,128 @@
+// Файл: services/stockService.js
+// Назначение: Атомарное резервирование и возврат остатков товаров на складе.
+
+const Product = require('../models/Product');
+
+// --- Создание ошибки резервирования с HTTP-статусом и деталями для ответа клиенту ---
+const createStockError = (message, statusCode, details = {}) => {
+    const error = new Error(message);
+    error.name = 'StockError';
+    error.statusCode = statusCode;
+    error.details = details;
+    return error;
+};
+
+// --- Объединение позиций с одинаковым товаром (и вариантом) ---
+// Если клиент прислал один и тот же товар несколькими строками, резервируем его одной операцией,
+// иначе каждая строка по отдельности могла бы пройти проверку остатка.
+// items - массив { productId, variantId?, quantity }; variantId указывается для товаров с вариантами (фасовками)
+const mergeItems = (items) => {
+    const merged = new Map();
+    for (const item of items) {
+        const variantId = item.variantId || null;
+        const key = `${item.productId}:${variantId || ''}`;
+        const existing = merged.get(key);
+        if (existing) {
+            existing.quantity += item.quantity;
+        } else {
+            merged.set(key, { productId: item.productId, variantId, quantity: item.quantity });
+        }
+    }
+    return Array.from(merged.values());
+};
+
+// --- Возврат товаров на склад ---
+// items - массив { productId, variantId?, quantity }. Ошибки логируются, но не прерывают возврат остальных позиций.
+// Для варианта возвращается и остаток варианта, и общий остаток товара (сумма по вариантам).
+// Возвращает массив позиций, которые вернуть не удалось (товар или вариант удален, ошибка БД).
+const releaseStock = async (items) => {
+    const notReleased = [];
+    for (const item of items) {
+        const itemLabel = `товара ${item.productId}${item.variantId ? ` (вариант ${item.variantId})` : ''}`;
+        try {
+            const filter = item.variantId
+                ? { _id: item.productId, 'variants._id': item.variantId }
+                : { _id: item.productId };
+            const increment = item.variantId
+                ? { 'variants.$.stock': item.quantity, stock: item.quantity, soldCount: -item.quantity }
+                : { stock: item.quantity, soldCount: -item.quantity };
+            // soldCount уменьшаем вместе с возвратом остатка (продажа отменена)
+            const result = await Product.updateOne(filter, { $inc: increment });
+            if (result.modifiedCount === 0) {
+                // Товар или вариант удален после оформления заказа - возвращать остаток некуда
+                console.error(`  - Не удалось вернуть ${item.quantity} шт. ${itemLabel} на склад: товар или вариант не найден`);
+                notReleased.push(item);
+                continue;
+            }
+            // ...но не ниже 0: у заказов, оформленных до появления счетчика, продажи в нем не учтены
+            await Product.updateOne({ _id: item.productId, soldCount: { $lt: 0 } }, { $set: { soldCount: 0 } });
+            console.log(`  - Возвращено ${item.quantity} шт. ${itemLabel} на склад`);
+        } catch (releaseError) {
+            console.error(`  - Ошибка возврата ${itemLabel} на склад:`, releaseError);
+            notReleased.push(item);
+        }
+    }
+    return notReleased;
+};
+
+// --- Резервирование (списание) товаров со склада по принципу "все или ничего" ---
+// Для каждой позиции выполняется условное обновление: остаток уменьшается, ТОЛЬКО если его хватает
+// (проверка и списание происходят одной атомарной операцией MongoDB, поэтому два покупателя
+// не могут одновременно забрать последний товар).
+// Для товаров с вариантами условие проверяется по остатку конкретного варианта.
+// Если хотя бы одна позиция не прошла, уже списанные позиции возвращаются на склад и выбрасывается ошибка.
+// Возвращает массив фактически зарезервированных позиций (нужен для отката при ошибке сохранения заказа).
+const reserveStock = async (items) => {
+    const reserved = [];
+
+    for (const item of mergeItems(items)) {
+        const filter = item.variantId
+            ? { _id: item.productId, variants: { $elemMatch: { _id: item.variantId, stock: { $gte: item.quantity } } } }
+            : { _id: item.productId, stock: { $gte: item.quantity } };
+        const decrement = item.variantId
+            ? { 'variants.$.stock': -item.quantity, stock: -item.quantity, soldCount: item.quantity }
+            : { stock: -item.quantity, soldCount: item.quantity };
+
+        let updated;
+        try {
+            updated = await Product.findOneAndUpdate(
+                filter,
+                { $inc: decrement },
+                { new: true, projection: { _id: 1, name: 1, stock: 1 } }
+            );
+        } catch (dbError) {
+            await releaseStock(reserved);
+            throw dbError;
+        }
+
+        if (!updated) {
+            // Откатываем то, что успели списать
+            await releaseStock(reserved);
+
+            // Узнаем актуальный остаток для понятного сообщения
+            const product = await Product.findById(item.productId).select('name stock variants');
+            const variant = product && item.variantId ? product.variants.id(item.variantId) : null;
+            if (!product || (item.variantId && !variant)) {
+                throw createStockError(
+                    item.variantId ? `Вариант ${item.variantId} товара ${item.productId} не найден.` : `Товар с ID ${item.productId} не найден.`,
+                    404,
+                    { productId: item.productId, variantId: item.variantId }
+                );
+            }
+            const name = variant ? `${product.name} (${variant.label})` : product.name;
+            const availableStock = variant ? variant.stock : product.stock;
+            throw createStockError(
+                `Недостаточно товара "${name}" на складе. Доступно: ${availableStock}, запрошено: ${item.quantity}.`,
+                400,
+                { productId: product._id, variantId: item.variantId, availableStock }
+            );
+        }
+
+        reserved.push(item);
+        console.log(`Уменьшен остаток для товара ${updated.name}${item.variantId ? ` (вариант ${item.variantId})` : ''} на ${item.quantity} (осталось всего: ${updated.stock})`);
+    }
+
+    return reserved;
+};
+
+module.exports = { reserveStock, releaseStock, mergeItems };
\ No newline at end of file
@@ -0,0 +1,91 @@
+// Файл: services/telegramApi.js
+// Назначение: Минимальный клиент Telegram Bot API с подменяемым транспортом.
+
+const crypto = require('crypto');
+require('dotenv').config(); // Убедимся, что переменные окружения загружены
+
+// --- Базовый адрес Bot API ---
+// Можно переопределить через TELEGRAM_API_URL, например, чтобы указать локальный тестовый сервер,
+// имитирующий Bot API (http://localhost:8081).
+const DEFAULT_API_URL = 'https://api.telegram.org';
+
+// --- Ошибка вызова Bot API ---
+// errorCode     - код ошибки Telegram (400, 403, 429 и т.д.) или null при сетевой ошибке
+// retryAfter    - сколько секунд подождать перед повтором (приходит вместе с 429 Too Many Requests)
+const createTelegramError = (message, errorCode = null, retryAfter = null) => {
+    const error = new Error(message);
+    error.name = 'TelegramApiError';
+    error.errorCode = errorCode;
+    error.retryAfter = retryAfter;
+    return error;
+};
+
+// --- Транспорт по умолчанию: HTTP POST с JSON телом через встроенный fetch (Node.js 18+) ---
+// Транспорт - это функция (method, params) => Promise<ответ Bot API в виде { ok, result, ... }>
+const httpTransport = async (method, params) => {
+    const token = process.env.TELEGRAM_BOT_TOKEN;
+    if (!token) {
+        throw createTelegramError('TELEGRAM_BOT_TOKEN не найден в .env');
+    }
+    const baseUrl = (process.env.TELEGRAM_API_URL || DEFAULT_API_URL).replace(/\/+$/, '');
+
+    let response;
+    try {
+        response = await fetch(`${baseUrl}/bot${token}/${method}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(params || {}),
+        });
+    } catch (networkError) {
+        throw createTelegramError(`Сетевая ошибка при вызове ${method}: ${networkError.message}`);
+    }
+
+    try {
+        return await response.json();
+    } catch (parseError) {
+        throw createTelegramError(`Некорректный ответ Bot API на ${method} (HTTP ${response.status})`, response.status);
+    }
+};
+
+let transport = httpTransport;
+
+// --- Подмена транспорта (например, в тестах или для отладки) ---
+// Передайте null, чтобы вернуть транспорт по умолчанию.
+const setTelegramTransport = (customTransport) => {
+    transport = customTransport || httpTransport;
+};
+
+// --- Вызов метода Bot API ---
+// Возвращает поле result из ответа или выбрасывает TelegramApiError
+const callTelegram = async (method, params = {}) => {
+    const data = await transport(method, params);
+
+    if (!data || !data.ok) {
+        const description = (data && data.description) || 'Неизвестная ошибка Bot API';
+        const retryAfter = data && data.parameters ? data.parameters.retry_after || null : null;
+        throw createTelegramError(`${method}: ${description}`, data ? data.error_code || null : null, retryAfter);
+    }
+
+    return data.result;
+};
+
+// --- Отправка текстового сообщения ---
+const sendMessage = (chatId, text, extra = {}) => callTelegram('sendMessage', {
+    chat_id: chatId,
+    text,
+    parse_mode: 'HTML',
+    disable_web_page_preview: true,
+    ...extra,
+});
+
+// --- Проверка секрета вебхука ---
+// Telegram передает secret_token из setWebhook в заголовке X-Telegram-Bot-Api-Secret-Token.
+// Без TELEGRAM_WEBHOOK_SECRET в .env вебхук не принимается вовсе.
+const isValidWebhookSecret = (req) => {
+    const secret = process.env.TELEGRAM_WEBHOOK_SECRET;
+    const received = String(req.headers['x-telegram-bot-api-secret-token'] || '');
+    if (!secret || received.length !== secret.length) return false;
+    return crypto.timingSafeEqual(Buffer.from(received), Buffer.from(secret));
+};
+
+module.exports = { callTelegram, sendMessage, setTelegramTransport, isValidWebhookSecret };
\ No newline at end of file
@@ -0,0 +1,216 @@
+// Файл: services/telegramAuthService.js
+// Назначение: Проверка данных входа через Telegram (initData Web App и Login Widget) - подпись, срок действия
+// и защита от повторного использования.
+
+const crypto = require('crypto');
+require('dotenv').config(); // Убедимся, что переменные окружения загружены
+const UsedInitData = require('../models/UsedInitData');
+
+// --- Настройки ---
+// Максимальный возраст initData (по auth_date) в секундах. По умолчанию - сутки.
+const DEFAULT_INIT_DATA_MAX_AGE_SECONDS = 24 * 60 * 60;
+// Допустимое расхождение часов сервера и Telegram (auth_date "из будущего")
+const CLOCK_SKEW_SECONDS = 60;
+
+const getInitDataMaxAge = () => {
+    const maxAge = parseInt(process.env.TELEGRAM_INIT_DATA_MAX_AGE, 10);
+    return maxAge > 0 ? maxAge : DEFAULT_INIT_DATA_MAX_AGE_SECONDS;
+};
+// Максимальный возраст данных Login Widget. По умолчанию совпадает с initData.
+const getLoginWidgetMaxAge = () => {
+    const maxAge = parseInt(process.env.TELEGRAM_LOGIN_MAX_AGE, 10);
+    return maxAge > 0 ? maxAge : getInitDataMaxAge();
+};
+
+// --- Коды причин отказа (поле code в ответе API) ---
+const AUTH_ERROR_CODES = {
+    INIT_DATA_MISSING: 'init-data-missing',     // initData (или данные Login Widget) не переданы
+    HASH_MISSING: 'hash-missing',               // В initData нет подписи
+    HASH_INVALID: 'hash-invalid',               // Подпись не совпадает (данные подделаны или другой бот)
+    AUTH_DATE_INVALID: 'auth-date-invalid',     // auth_date отсутствует, некорректен или из будущего
+    AUTH_DATE_EXPIRED: 'auth-date-expired',     // initData старше допустимого возраста
+    REPLAYED: 'init-data-replayed',             // Этот initData уже использовался для входа
+    USER_MISSING: 'user-missing',               // В initData нет данных пользователя
+    STAFF_ONLY: 'staff-only',                   // Вход через Login Widget разрешен только сотрудникам
+    USER_BLOCKED: 'user-blocked',               // Пользователь заблокирован
+};
+
+// --- Создание ошибки аутентификации с HTTP-статусом и кодом причины ---
+const createAuthError = (message, statusCode, code, details = {}) => {
+    const error = new Error(message);
+    error.name = 'TelegramAuthError';
+    error.statusCode = statusCode;
+    error.details = { code, ...details };
+    return error;
+};
+
+// --- Сравнение подписей за постоянное время ---
+// Обычное === завершается на первом несовпадающем символе, и по времени ответа можно подбирать подпись
+const safeCompareHex = (expected, received) => {
+    const expectedBuffer = Buffer.from(expected, 'hex');
+    const receivedBuffer = Buffer.from(String(received), 'hex');
+    // Buffer.from отбрасывает не-hex символы, поэтому длину проверяем и у исходной строки
+    if (String(received).length !== expected.length || receivedBuffer.length !== expectedBuffer.length) {
+        return false;
+    }
+    return crypto.timingSafeEqual(expectedBuffer, receivedBuffer);
+};
+
+// --- Проверка подписи ---
+// Алгоритм из документации Telegram: data_check_string - все поля, кроме hash,
+// отсортированные по ключу в формате key=value через \n, подписанные HMAC-SHA256.
+// entries - массив [ключ, значение]; secretKey зависит от источника данных (см. ниже)
+const isValidHash = (entries, hash, secretKey) => {
+    const dataCheckString = entries
+        .filter(([key]) => key !== 'hash')
+        .map(([key, value]) => `${key}=${value}`)
+        .sort()
+        .join('\n');
+
+    const calculatedHash = crypto.createHmac('sha256', secretKey).update(dataCheckString).digest('hex');
+    return safeCompareHex(calculatedHash, hash);
+};
+
+// initData Web App: ключ - HMAC-SHA256 токена бота с ключом "WebAppData"
+const getInitDataSecretKey = (botToken) => crypto.createHmac('sha256', 'WebAppData').update(botToken).digest();
+
+// Login Widget: ключ - SHA-256 токена бота
+const getLoginWidgetSecretKey = (botToken) => crypto.createHash('sha256').update(botToken).digest();
+
+// --- Проверка срока действия по auth_date (секунды Unix) ---
+// Возвращает дату auth_date
+const checkAuthDate = (rawAuthDate, maxAgeSeconds) => {
+    const authDate = parseInt(rawAuthDate, 10);
+    const nowSeconds = Math.floor(Date.now() / 1000);
+
+    if (!/^\d+$/.test(String(rawAuthDate || '')) || authDate > nowSeconds + CLOCK_SKEW_SECONDS) {
+        throw createAuthError('Ошибка: некорректная дата авторизации (auth_date).', 401, AUTH_ERROR_CODES.AUTH_DATE_INVALID);
+    }
+    if (nowSeconds - authDate > maxAgeSeconds) {
+        throw createAuthError(
+            'Ошибка: данные авторизации устарели. Откройте приложение заново.',
+            401,
+            AUTH_ERROR_CODES.AUTH_DATE_EXPIRED,
+            { maxAgeSeconds }
+        );
+    }
+    return new Date(authDate * 1000);
+};
+
+// --- Отметка данных входа как использованных ---
+// Используется и для initData, и для Login Widget (подписи разных источников не пересекаются).
+// Уникальный индекс по hash делает проверку и отметку одной атомарной операцией:
+// из двух одновременных входов с одним initData пройдет только один.
+const markInitDataUsed = async ({ hash, queryId, telegramId, authDate, maxAgeSeconds }) => {
+    try {
+        await UsedInitData.create({
+            hash,
+            queryId,
+            telegramId,
+            expiresAt: new Date(authDate.getTime() + maxAgeSeconds * 1000),
+        });
+    } catch (error) {
+        if (error.code === 11000) {
+            throw createAuthError(
+                'Ошибка: эти данные авторизации уже использованы. Войдите заново.',
+                401,
+                AUTH_ERROR_CODES.REPLAYED
+            );
+        }
+        throw error;
+    }
+};
+
+// --- Полная проверка initData ---
+// Порядок важен: сначала подпись (чтобы не хранить записи для поддельных данных), затем срок, затем повтор.
+// Возвращает { user, authDate, queryId } - user в формате Telegram (id, first_name, username, language_code...).
+// Выбрасывает TelegramAuthError (400/401) с кодом причины в details.code.
+const verifyInitData = async (initData, botToken) => {
+    if (!initData || typeof initData !== 'string') {
+        throw createAuthError('Ошибка: initData не предоставлены.', 400, AUTH_ERROR_CODES.INIT_DATA_MISSING);
+    }
+
+    const params = new URLSearchParams(initData);
+    const hash = params.get('hash');
+    if (!hash) {
+        throw createAuthError('Ошибка: в initData отсутствует подпись (hash).', 401, AUTH_ERROR_CODES.HASH_MISSING);
+    }
+    if (!isValidHash(Array.from(params.entries()), hash, getInitDataSecretKey(botToken))) {
+        console.warn('Попытка входа с невалидной подписью initData.');
+        throw createAuthError('Ошибка: Невалидные данные аутентификации.', 401, AUTH_ERROR_CODES.HASH_INVALID);
+    }
+
+    const maxAgeSeconds = getInitDataMaxAge();
+    const authDate = checkAuthDate(params.get('auth_date'), maxAgeSeconds);
+
+    let user = null;
+    try {
+        user = JSON.parse(params.get('user'));
+    } catch (parseError) {
+        user = null;
+    }
+    if (!user || !user.id) {
+        console.error('Ошибка парсинга user из initData:', params.get('user'));
+        throw createAuthError('Ошибка: Не удалось извлечь данные пользователя из initData.', 400, AUTH_ERROR_CODES.USER_MISSING);
+    }
+
+    const queryId = params.get('query_id') || null;
+    await markInitDataUsed({ hash, queryId, telegramId: user.id, authDate, maxAgeSeconds });
+
+    return { user, authDate, queryId };
+};
+
+// --- Полная проверка данных Telegram Login Widget ---
+// payload - объект, который виджет передает в data-onauth (id, first_name, last_name, username, photo_url, auth_date, hash).
+// Поля подписываются все, кроме hash, поэтому фронтенд должен передать объект без изменений.
+// Повторно использовать те же данные тоже нельзя: для нового входа фронтенд снова вызывает виджет.
+// Возвращает { user, authDate } - user в том же формате, что и в initData (id, first_name, ...).
+const verifyLoginWidget = async (payload, botToken) => {
+    if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+        throw createAuthError('Ошибка: данные Telegram Login Widget не предоставлены.', 400, AUTH_ERROR_CODES.INIT_DATA_MISSING);
+    }
+
+    const { hash } = payload;
+    if (!hash) {
+        throw createAuthError('Ошибка: в данных Login Widget отсутствует подпись (hash).', 401, AUTH_ERROR_CODES.HASH_MISSING);
+    }
+    // Значения приходят в JSON (id и auth_date - числами), а подписываются как строки
+    const entries = Object.entries(payload)
+        .filter(([, value]) => value !== undefined && value !== null)
+        .map(([key, value]) => [key, String(value)]);
+    if (!isValidHash(entries, hash, getLoginWidgetSecretKey(botToken))) {
+        console.warn('Попытка входа с невалидной подписью Login Widget.');
+        throw createAuthError('Ошибка: Невалидные данные аутентификации.', 401, AUTH_ERROR_CODES.HASH_INVALID);
+    }
+
+    const maxAgeSeconds = getLoginWidgetMaxAge();
+    const authDate = checkAuthDate(payload.auth_date, maxAgeSeconds);
+
+    const telegramId = parseInt(payload.id, 10);
+    if (!telegramId) {
+        throw createAuthError('Ошибка: Не удалось извлечь данные пользователя из данных Login Widget.', 400, AUTH_ERROR_CODES.USER_MISSING);
+    }
+
+    await markInitDataUsed({ hash: String(hash), queryId: null, telegramId, authDate, maxAgeSeconds });
+
+    return {
+        user: {
+            id: telegramId,
+            first_name: payload.first_name,
+            last_name: payload.last_name,
+            username: payload.username,
+            // language_code виджет не передает
+        },
+        authDate,
+    };
+};
+
+module.exports = {
+    AUTH_ERROR_CODES,
+    createAuthError,
+    verifyInitData,
+    verifyLoginWidget,
+    safeCompareHex,
+    checkAuthDate,
+    markInitDataUsed,
+};
\ No newline at end of file
@@ -0,0 +1,235 @@
+// Файл: services/telegramBot.js
+// Назначение: Обработка update'ов Telegram-бота - команды покупателей и сотрудников, inline-кнопки смены статуса.
+//
+// handleUpdate принимает update в том виде, в каком его присылает Telegram, и отвечает через services/telegramApi.js.
+// Чтобы воспроизвести записанный update без обращения к Telegram, подмените транспорт:
+//   setTelegramTransport(async (method, params) => { console.log(method, params); return { ok: true, result: true }; });
+//   await handleUpdate(require('./recorded-update.json'));
+
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const User = require('../models/User');
+const { callTelegram, sendMessage } = require('./telegramApi');
+const { canTransition, updateOrderStatusById } = require('./orderStatusService');
+const { escapeHtml, getMessages } = require('./notificationService');
+const { maskValue } = require('../utils/checkoutFields');
+const { hasPermission } = require('../config/roles');
+
+const ORDERS_LIST_LIMIT = 10;  // Сколько заказов показывать в /orders
+const PENDING_LIST_LIMIT = 10; // Сколько заказов показывать в /pending
+
+// Статусы, в которые сотрудник с правом orders:update может перевести заказ кнопками
+const ADMIN_BUTTON_STATUSES = ['processing', 'completed', 'refunded'];
+const BUTTON_LABELS = {
+    'processing': '⚙️ В работу',
+    'completed': '✅ Выполнен',
+    'refunded': '↩️ Возврат',
+};
+const CALLBACK_PREFIX = 'status'; // callback_data: status:<orderId>:<newStatus>
+
+// --- Тексты ответов ---
+const HELP_TEXT = [
+    'Команды:',
+    '/orders - ваши последние заказы',
+    '/order &lt;номер&gt; - подробности заказа',
+].join('\n');
+const STAFF_HELP_TEXT = [
+    '',
+    'Команды сотрудника:',
+    '/pending - заказы, ожидающие проверки оплаты',
+].join('\n');
+const UNKNOWN_USER_TEXT = 'Вы еще не заходили в магазин. Откройте приложение, чтобы оформить первый заказ.';
+
+// --- Краткая строка заказа для списков ---
+const formatOrderLine = (order, messages) => `• <code>${order._id}</code> - ${order.totalAmount.toFixed(2)}, `
+    + `${escapeHtml(messages.statuses[order.status] || order.status)} (${order.createdAt.toLocaleDateString('ru-RU')})`;
+
+// --- Подробности заказа ---
+// Данные покупателя (тег игрока и т.п.) полностью видит только сотрудник с правом orders:read, как и в API
+const formatOrderDetails = (order, messages, isStaff) => {
+    const lines = [
+        `📦 Заказ <code>${order._id}</code>`,
+        `Статус: <b>${escapeHtml(messages.statuses[order.status] || order.status)}</b>`,
+    ];
+    if (isStaff && order.user && order.user.telegramId) {
+        lines.push(`Покупатель: ${escapeHtml(order.user.username ? `@${order.user.username}` : order.user.firstName || order.user.telegramId)}`);
+    }
+    for (const item of order.items) {
+        lines.push(`• ${escapeHtml(item.variantLabel ? `${item.name} (${item.variantLabel})` : item.name)} × ${item.quantity} = ${(item.price * item.quantity).toFixed(2)}`);
+        for (const field of item.checkoutFields || []) {
+            lines.push(`   ${escapeHtml(field.label || field.key)}: <code>${escapeHtml(isStaff ? field.value : maskValue(field.value))}</code>`);
+        }
+    }
+    if (order.discount) {
+        lines.push(`Купон: ${escapeHtml(order.discount.code)} (−${order.discount.discountAmount.toFixed(2)})`);
+    }
+    lines.push(`Сумма: <b>${order.totalAmount.toFixed(2)}</b>`);
+    return lines.join('\n');
+};
+
+// --- Inline-кнопки смены статуса (только допустимые переходы и только для права orders:update) ---
+const buildStatusKeyboard = (order, user) => {
+    if (!hasPermission(user, 'orders:update')) return undefined;
+    const buttons = ADMIN_BUTTON_STATUSES
+        .filter(status => canTransition(order.status, status))
+        .map(status => ({ text: BUTTON_LABELS[status], callback_data: `${CALLBACK_PREFIX}:${order._id}:${status}` }));
+    return buttons.length > 0 ? { inline_keyboard: [buttons] } : undefined;
+};
+
+// --- Команды ---
+
+// /start, /help
+const handleHelp = async (chatId, user) => sendMessage(chatId, hasPermission(user, 'orders:read') ? HELP_TEXT + STAFF_HELP_TEXT : HELP_TEXT);
+
+// /orders - последние заказы покупателя
+const handleOrders = async (chatId, user) => {
+    const orders = await Order.find({ user: user._id }).sort({ createdAt: -1 }).limit(ORDERS_LIST_LIMIT);
+    if (orders.length === 0) {
+        return sendMessage(chatId, 'У вас пока нет заказов.');
+    }
+    const messages = getMessages(user.languageCode);
+    return sendMessage(chatId, ['Ваши заказы:', ...orders.map(order => formatOrderLine(order, messages))].join('\n'));
+};
+
+// /order <id> - подробности заказа (своего; сотрудник - любого, с кнопками смены статуса при праве orders:update)
+const handleOrder = async (chatId, user, orderId) => {
+    if (!orderId || !/^[0-9a-fA-F]{24}$/.test(orderId)) {
+        return sendMessage(chatId, 'Укажите номер заказа: /order &lt;номер&gt;');
+    }
+    const order = await Order.findById(orderId).populate('user', 'telegramId firstName username');
+    const isStaff = hasPermission(user, 'orders:read');
+    if (!order || (!isStaff && (!order.user || order.user._id.toString() !== user._id.toString()))) {
+        return sendMessage(chatId, 'Заказ не найден.');
+    }
+    const extra = isStaff ? { reply_markup: buildStatusKeyboard(order, user) } : {};
+    return sendMessage(chatId, formatOrderDetails(order, getMessages(user.languageCode), isStaff), extra);
+};
+
+// /pending - заказы, ожидающие проверки оплаты (право orders:read)
+// Каждый заказ отправляется отдельным сообщением со своими кнопками
+const handlePending = async (chatId, user) => {
+    if (!hasPermission(user, 'orders:read')) {
+        return sendMessage(chatId, 'Команда доступна только сотрудникам магазина.');
+    }
+    const orders = await Order.find({ status: 'paid-pending' })
+        .populate('user', 'telegramId firstName username')
+        .sort({ createdAt: 1 }) // Сначала самые старые - их проверяем первыми
+        .limit(PENDING_LIST_LIMIT);
+    if (orders.length === 0) {
+        return sendMessage(chatId, 'Заказов, ожидающих проверки, нет.');
+    }
+
+    const messages = getMessages(user.languageCode);
+    const total = await Order.countDocuments({ status: 'paid-pending' });
+    await sendMessage(chatId, `Ожидают проверки: ${total}${total > orders.length ? ` (показаны первые ${orders.length})` : ''}`);
+    for (const order of orders) {
+        await sendMessage(chatId, formatOrderDetails(order, messages, true), { reply_markup: buildStatusKeyboard(order, user) });
+    }
+};
+
+const COMMANDS = {
+    '/start': { handler: handleHelp, allowUnknownUser: true },
+    '/help': { handler: handleHelp, allowUnknownUser: true },
+    '/orders': { handler: handleOrders },
+    '/order': { handler: handleOrder },
+    '/pending': { handler: handlePending },
+};
+
+// --- Текстовое сообщение с командой ---
+const handleMessage = async (message) => {
+    const text = (message.text || '').trim();
+    if (!text.startsWith('/')) return 'ignored';
+
+    const [rawCommand, ...args] = text.split(/\s+/);
+    const commandName = rawCommand.split('@')[0].toLowerCase(); // /orders@MyShopBot -> /orders
+    const command = COMMANDS[commandName];
+    const chatId = message.chat.id;
+
+    const user = await User.findOne({ telegramId: message.from.id });
+    // Заблокированному пользователю бот отвечает так же, как API (middleware protect)
+    if (user && user.isBlocked()) {
+        await sendMessage(chatId, escapeHtml(user.getBlockMessage()));
+        return 'blocked';
+    }
+    if (!command) {
+        await sendMessage(chatId, `Неизвестная команда.\n\n${HELP_TEXT}`);
+        return 'unknown-command';
+    }
+    if (!user && !command.allowUnknownUser) {
+        await sendMessage(chatId, UNKNOWN_USER_TEXT);
+        return 'unknown-user';
+    }
+
+    await command.handler(chatId, user, ...args);
+    return commandName;
+};
+
+// --- Нажатие inline-кнопки смены статуса ---
+const handleCallbackQuery = async (query) => {
+    const answer = (text) => callTelegram('answerCallbackQuery', { callback_query_id: query.id, text, show_alert: true });
+
+    // Некорректный ID заказа отсекается здесь: иначе CastError уйдет наружу, и кнопка останется "висеть" без ответа
+    const [prefix, orderId, newStatus] = String(query.data || '').split(':');
+    if (prefix !== CALLBACK_PREFIX || !mongoose.isValidObjectId(orderId) || !newStatus) {
+        await answer('Неизвестное действие.');
+        return 'unknown-callback';
+    }
+
+    const staff = await User.findOne({ telegramId: query.from.id });
+    if (staff && staff.isBlocked()) {
+        await answer(staff.getBlockMessage().slice(0, 200));
+        return 'blocked';
+    }
+    if (!hasPermission(staff, 'orders:update')) {
+        await answer('Доступ запрещен: требуются права orders:update.');
+        return 'forbidden';
+    }
+
+    let updatedOrder;
+    try {
+        // Та же логика, что и в PUT /api/orders/:id/status: проверка перехода, эффекты, история, уведомление
+        updatedOrder = await updateOrderStatusById(orderId, newStatus, { changedBy: staff._id, comment: 'Изменено через Telegram-бота' });
+    } catch (error) {
+        if (['OrderStatusError', 'StockError', 'PaymentError'].includes(error.name)) {
+            await answer(error.message.slice(0, 200)); // Текст ответа на callback ограничен 200 символами
+            return 'rejected';
+        }
+        throw error;
+    }
+    if (!updatedOrder) {
+        await answer('Заказ не найден.');
+        return 'not-found';
+    }
+
+    await callTelegram('answerCallbackQuery', { callback_query_id: query.id, text: `Статус изменен: ${newStatus}` });
+
+    // Обновляем сообщение с заказом: новый статус и кнопки для следующих переходов
+    if (query.message) {
+        await updatedOrder.populate('user', 'telegramId firstName username');
+        await callTelegram('editMessageText', {
+            chat_id: query.message.chat.id,
+            message_id: query.message.message_id,
+            text: formatOrderDetails(updatedOrder, getMessages(staff.languageCode), true),
+            parse_mode: 'HTML',
+            reply_markup: buildStatusKeyboard(updatedOrder, staff) || { inline_keyboard: [] },
+        });
+    }
+    return 'status-changed';
+};
+
+// --- Обработка одного update ---
+// Возвращает строку с описанием результата (для логов и проверки записанных update'ов)
+const handleUpdate = async (update) => {
+    if (update.callback_query) {
+        return handleCallbackQuery(update.callback_query);
+    }
+    if (update.message && update.message.text) {
+        return handleMessage(update.message);
+    }
+    return 'ignored';
+};
+
+// --- Относится ли update к оплате (Telegram Stars) ---
+const isPaymentUpdate = (update) => Boolean(update.pre_checkout_query || (update.message && update.message.successful_payment));
+
+module.exports = { handleUpdate, isPaymentUpdate };
\ No newline at end of file
@@ -0,0 +1,97 @@
+// Файл: services/userService.js
+// Назначение: Управление пользователями - статистика покупок, блокировка и разблокировка.
+
+const Order = require('../models/Order');
+const { updateOrderStatusById } = require('./orderStatusService');
+const { revokeUserSessions } = require('./sessionService');
+
+// Статусы заказов, которые учитываются в сумме покупок (оплаченные и не возвращенные)
+const SPENT_ORDER_STATUSES = ['paid-pending', 'processing', 'completed'];
+
+// --- Статистика заказов пользователей ---
+// userIds - массив ID пользователей. Возвращает Map: ID пользователя (строка) -> { orderCount, totalSpent }
+// totalSpent - в базовой валюте магазина
+const getUsersOrderStats = async (userIds) => {
+    const stats = await Order.aggregate([
+        { $match: { user: { $in: userIds } } },
+        {
+            $group: {
+                _id: '$user',
+                orderCount: { $sum: 1 },
+                totalSpent: { $sum: { $cond: [{ $in: ['$status', SPENT_ORDER_STATUSES] }, '$totalAmount', 0] } },
+                lastOrderAt: { $max: '$createdAt' },
+            },
+        },
+    ]);
+    return new Map(stats.map(stat => [stat._id.toString(), {
+        orderCount: stat.orderCount,
+        totalSpent: Math.round(stat.totalSpent * 100) / 100,
+        lastOrderAt: stat.lastOrderAt,
+    }]));
+};
+
+const EMPTY_ORDER_STATS = { orderCount: 0, totalSpent: 0, lastOrderAt: null };
+
+// --- Блокировка пользователя ---
+// user    - документ User
+// options - { reason, until: Date|null (null - бессрочно), blockedBy: ID сотрудника, cancelPendingOrders: boolean }
+// Все сессии пользователя завершаются сразу. При cancelPendingOrders неоплаченные заказы (pending)
+// переводятся в refunded через машину состояний: товары возвращаются на склад, купоны освобождаются.
+// Возвращает { user, revokedSessions, cancelledOrders: [ID], failedOrders: [{ orderId, message }] }
+const blockUser = async (user, { reason = '', until = null, blockedBy = null, cancelPendingOrders = false } = {}) => {
+    user.blockedAt = new Date();
+    user.blockedUntil = until;
+    user.blockReason = reason;
+    user.blockedBy = blockedBy;
+    await user.save();
+
+    const revokedSessions = await revokeUserSessions(user._id, { revokedBy: blockedBy, reason: 'blocked' });
+    console.log(`Пользователь ${user._id} (TG ID: ${user.telegramId}) заблокирован ${until ? `до ${until.toISOString()}` : 'бессрочно'} (заблокировал ${blockedBy}), завершено сессий: ${revokedSessions}`);
+
+    const cancelledOrders = [];
+    const failedOrders = [];
+    if (cancelPendingOrders) {
+        const pendingOrders = await Order.find({ user: user._id, status: 'pending' }).select('_id');
+        for (const order of pendingOrders) {
+            try {
+                await updateOrderStatusById(order._id, 'refunded', {
+                    changedBy: blockedBy,
+                    comment: reason ? `Заказ отменен: аккаунт заблокирован. ${reason}` : 'Заказ отменен: аккаунт заблокирован.',
+                });
+                cancelledOrders.push(order._id);
+            } catch (error) {
+                // Одна неудача (например, заказ уже изменили) не отменяет блокировку и остальные заказы
+                console.error(`Не удалось отменить заказ ${order._id} заблокированного пользователя ${user._id}:`, error.message);
+                failedOrders.push({ orderId: order._id, message: error.message });
+            }
+        }
+    }
+
+    return { user, revokedSessions, cancelledOrders, failedOrders };
+};
+
+// --- Разблокировка пользователя ---
+const unblockUser = async (user, { unblockedBy = null } = {}) => {
+    user.blockedAt = null;
+    user.blockedUntil = null;
+    user.blockReason = '';
+    user.blockedBy = null;
+    await user.save();
+    console.log(`Пользователь ${user._id} (TG ID: ${user.telegramId}) разблокирован (разблокировал ${unblockedBy})`);
+    return user;
+};
+
+// --- Фильтр заблокированных (или не заблокированных) сейчас пользователей ---
+const getBlockedFilter = (isBlocked) => {
+    const now = new Date();
+    const blocked = { blockedAt: { $ne: null }, $or: [{ blockedUntil: null }, { blockedUntil: { $gt: now } }] };
+    return isBlocked ? blocked : { $nor: [blocked] };
+};
+
+module.exports = {
+    EMPTY_ORDER_STATS,
+    getUsersOrderStats,
+    blockUser,
+    unblockUser,
+    getBlockedFilter,
+};
\ No newline at end of file
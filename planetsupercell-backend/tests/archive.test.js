@@ -0,0 +1,192 @@
+// Файл: tests/archive.test.js
+// Назначение: Тесты архивации (мягкого удаления) товаров и категорий, восстановления и окончательного удаления.
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const Category = require('../models/Category');
+const Product = require('../models/Product');
+const Order = require('../models/Order');
+const { getAllProducts, archiveProduct, restoreProduct, purgeProduct } = require('../controllers/productController');
+const { getAllCategories, getCategoryTree, archiveCategory, restoreCategory } = require('../controllers/categoryController');
+const { createOrder: placeOrder } = require('../controllers/orderController');
+const { getPendingReviews } = require('../controllers/reviewController');
+const { connectTestDb, clearTestDb, disconnectTestDb, createUser, createCategory, createProduct } = require('./helpers/db');
+const { callHandler, callWithCurrency } = require('./helpers/http');
+
+describe('Архив товаров и категорий', () => {
+    let admin;
+
+    before(connectTestDb);
+    after(disconnectTestDb);
+    beforeEach(async () => {
+        await clearTestDb();
+        admin = await createUser();
+    });
+
+    const adminRequest = (handler, id, fields = {}) => callHandler(handler, {
+        user: { id: admin._id.toString() },
+        params: { id: id.toString() },
+        ...fields,
+    });
+
+    const catalogNames = async (query = {}) => {
+        const res = await callWithCurrency(getAllProducts, { query });
+        return res.body.products.map(product => product.name).sort();
+    };
+
+    describe('Товары', () => {
+        it('архивный товар скрыт из каталога, но остается в БД', async () => {
+            const product = await createProduct({ name: 'Архивный' });
+            await createProduct({ name: 'Активный', categoryId: product.categoryId });
+
+            const res = await adminRequest(archiveProduct, product._id);
+
+            assert.equal(res.statusCode, 200);
+            assert.deepEqual(await catalogNames(), ['Активный']);
+
+            const stored = await Product.findById(product._id);
+            assert.ok(stored.archivedAt);
+            assert.equal(stored.archivedBy.toString(), admin._id.toString());
+        });
+
+        it('не архивирует товар повторно', async () => {
+            const product = await createProduct({ archivedAt: new Date() });
+
+            const res = await adminRequest(archiveProduct, product._id);
+
+            assert.equal(res.statusCode, 400);
+        });
+
+        it('восстанавливает товар из архива', async () => {
+            const product = await createProduct({ name: 'Возвращенный', archivedAt: new Date() });
+
+            const res = await adminRequest(restoreProduct, product._id);
+
+            assert.equal(res.statusCode, 200);
+            assert.deepEqual(await catalogNames(), ['Возвращенный']);
+        });
+
+        it('не восстанавливает товар, пока его категория в архиве', async () => {
+            const category = await createCategory({ archivedAt: new Date() });
+            const product = await createProduct({ categoryId: category._id, archivedAt: new Date() });
+
+            const res = await adminRequest(restoreProduct, product._id);
+
+            assert.equal(res.statusCode, 400);
+            assert.ok((await Product.findById(product._id)).archivedAt);
+        });
+
+        it('окончательно удаляет только архивный товар', async () => {
+            const active = await createProduct();
+            const archived = await createProduct({ archivedAt: new Date() });
+
+            const refused = await adminRequest(purgeProduct, active._id);
+            const purged = await adminRequest(purgeProduct, archived._id);
+
+            assert.equal(refused.statusCode, 400);
+            assert.equal(purged.statusCode, 200);
+            assert.ok(await Product.exists({ _id: active._id }));
+            assert.equal(await Product.exists({ _id: archived._id }), null);
+        });
+
+        it('не дает заказать архивный товар', async () => {
+            const buyer = await createUser();
+            const product = await createProduct({ archivedAt: new Date() });
+
+            const res = await callHandler(placeOrder, {
+                user: { id: buyer._id.toString() },
+                body: { items: [{ productId: product._id.toString(), quantity: 1 }] },
+            });
+
+            assert.equal(res.statusCode, 404);
+            assert.equal(await Order.countDocuments(), 0);
+            assert.equal((await Product.findById(product._id)).stock, 10);
+        });
+
+        it('не предлагает оставить отзыв на архивный товар', async () => {
+            const buyer = await createUser();
+            const product = await createProduct({ archivedAt: new Date() });
+            await Order.create({
+                user: buyer._id,
+                items: [{ productId: product._id, name: product.name, quantity: 1, price: product.price }],
+                totalAmount: product.price,
+                status: 'completed',
+            });
+
+            const res = await callHandler(getPendingReviews, { user: { id: buyer._id.toString() } });
+
+            assert.deepEqual(res.body, []);
+        });
+    });
+
+    describe('Категории', () => {
+        // Игры -> Supercell -> Brawl Stars, по товару в каждой категории
+        const createHierarchy = async () => {
+            const games = await createCategory({ name: 'Игры' });
+            const supercell = await createCategory({ name: 'Supercell', parentId: games._id });
+            const brawl = await createCategory({ name: 'Brawl Stars', parentId: supercell._id });
+            await createProduct({ name: 'Игра', categoryId: games._id });
+            await createProduct({ name: 'Набор Supercell', categoryId: supercell._id });
+            await createProduct({ name: 'Brawl Pass', categoryId: brawl._id });
+            return { games, supercell, brawl };
+        };
+
+        it('архивирует категорию вместе с подкатегориями и скрывает их товары', async () => {
+            const { supercell, brawl } = await createHierarchy();
+
+            const res = await adminRequest(archiveCategory, supercell._id);
+
+            assert.equal(res.statusCode, 200);
+            assert.equal(res.body.archivedCategories, 2);
+
+            const [archivedParent, archivedChild] = await Promise.all([Category.findById(supercell._id), Category.findById(brawl._id)]);
+            assert.equal(archivedParent.archivedAt.getTime(), archivedChild.archivedAt.getTime());
+
+            const categories = await callHandler(getAllCategories, {});
+            assert.deepEqual(categories.body.map(category => category.name), ['Игры']);
+
+            const tree = await callHandler(getCategoryTree, {});
+            assert.deepEqual(tree.body[0].children, []);
+            assert.equal(tree.body[0].totalProductCount, 1);
+
+            assert.deepEqual(await catalogNames(), ['Игра']);
+        });
+
+        it('не восстанавливает подкатегорию, пока ее родитель в архиве', async () => {
+            const { supercell, brawl } = await createHierarchy();
+            await adminRequest(archiveCategory, supercell._id);
+
+            const res = await adminRequest(restoreCategory, brawl._id);
+
+            assert.equal(res.statusCode, 400);
+        });
+
+        it('восстанавливает только саму категорию или все поддерево с subtree=true', async () => {
+            const { supercell, brawl } = await createHierarchy();
+            await adminRequest(archiveCategory, supercell._id);
+
+            const single = await adminRequest(restoreCategory, supercell._id);
+            assert.equal(single.body.restoredCategories, 1);
+            assert.ok((await Category.findById(brawl._id)).archivedAt);
+            assert.deepEqual(await catalogNames(), ['Игра', 'Набор Supercell']);
+
+            await adminRequest(archiveCategory, supercell._id);
+            const subtree = await adminRequest(restoreCategory, supercell._id, { query: { subtree: 'true' } });
+            assert.equal(subtree.body.restoredCategories, 2);
+            assert.deepEqual(await catalogNames(), ['Brawl Pass', 'Игра', 'Набор Supercell']);
+        });
+
+        it('не дает заказать товар из архивной категории', async () => {
+            const buyer = await createUser();
+            const category = await createCategory({ archivedAt: new Date() });
+            const product = await createProduct({ categoryId: category._id });
+
+            const res = await callHandler(placeOrder, {
+                user: { id: buyer._id.toString() },
+                body: { items: [{ productId: product._id.toString(), quantity: 1 }] },
+            });
+
+            assert.equal(res.statusCode, 404);
+        });
+    });
+});
\ No newline at end of file
@@ -0,0 +1,137 @@
+// Файл: tests/cart.test.js
+// Назначение: Тесты серверной корзины - создание корзины при одновременных первых запросах и оформление заказа из корзины.
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const Cart = require('../models/Cart');
+const Order = require('../models/Order');
+const Product = require('../models/Product');
+const { addCartItem, checkoutCart } = require('../controllers/cartController');
+const { getOrCreateCart } = require('../services/cartService');
+const { connectTestDb, clearTestDb, disconnectTestDb, createUser, createProduct } = require('./helpers/db');
+const { callWithCurrency } = require('./helpers/http');
+
+describe('Корзина', () => {
+    before(connectTestDb);
+    after(disconnectTestDb);
+    beforeEach(clearTestDb);
+
+    it('создает одну корзину при одновременных первых обращениях', async () => {
+        const user = await createUser();
+
+        const carts = await Promise.all(Array.from({ length: 5 }, () => getOrCreateCart(user._id)));
+
+        assert.equal(new Set(carts.map(cart => cart._id.toString())).size, 1);
+        assert.equal(await Cart.countDocuments({ user: user._id }), 1);
+        assert.deepEqual(carts[0].items.toObject(), []);
+    });
+
+    it('возвращает существующую корзину с ее позициями', async () => {
+        const user = await createUser();
+        const product = await createProduct();
+        const cart = await getOrCreateCart(user._id);
+        cart.items.push({ productId: product._id, quantity: 2 });
+        await cart.save();
+
+        const loaded = await getOrCreateCart(user._id);
+
+        assert.equal(loaded._id.toString(), cart._id.toString());
+        assert.equal(loaded.items.length, 1);
+        assert.equal(loaded.items[0].quantity, 2);
+    });
+
+    describe('Оформление заказа из корзины', () => {
+        const asUser = (user, fields = {}) => ({ user: { id: user._id.toString(), firstName: user.firstName }, ...fields });
+
+        const addToCart = (user, product, quantity = 1) => callWithCurrency(addCartItem, asUser(user, {
+            body: { productId: product._id.toString(), quantity },
+        }));
+
+        const checkout = (user) => callWithCurrency(checkoutCart, asUser(user));
+
+        it('создает заказ и очищает оформленные позиции', async () => {
+            const user = await createUser();
+            const product = await createProduct({ stock: 5 });
+            await addToCart(user, product, 2);
+
+            const res = await checkout(user);
+
+            assert.equal(res.statusCode, 201);
+            assert.equal(res.body.items[0].quantity, 2);
+            assert.equal((await Cart.findOne({ user: user._id })).items.length, 0);
+            assert.equal((await Product.findById(product._id)).stock, 3);
+        });
+
+        it('при одновременном оформлении одной корзины создает только один заказ', async () => {
+            const user = await createUser();
+            const product = await createProduct({ stock: 5 });
+            await addToCart(user, product, 1);
+
+            const results = await Promise.all([checkout(user), checkout(user)]);
+
+            assert.deepEqual(results.map(res => res.statusCode).sort(), [201, 409]);
+            assert.equal(await Order.countDocuments(), 1);
+            assert.equal((await Product.findById(product._id)).stock, 4);
+        });
+
+        it('оставляет в корзине товар, добавленный во время оформления', async (t) => {
+            const user = await createUser();
+            const [ordered, addedLater] = await Promise.all([createProduct({ name: 'Первый' }), createProduct({ name: 'Второй' })]);
+            await addToCart(user, ordered);
+
+            // Покупатель добавляет товар в другой вкладке, пока заказ сохраняется
+            const originalSave = Order.prototype.save;
+            t.mock.method(Order.prototype, 'save', async function (...args) {
+                await addToCart(user, addedLater);
+                return originalSave.apply(this, args);
+            });
+
+            const res = await checkout(user);
+
+            assert.equal(res.statusCode, 201);
+            assert.deepEqual(res.body.items.map(item => item.name), ['Первый']);
+            const cart = await Cart.findOne({ user: user._id });
+            assert.deepEqual(cart.items.map(item => item.productId.toString()), [addedLater._id.toString()]);
+            assert.equal(cart.checkoutLockedUntil, null);
+        });
+
+        it('не оформляет корзину, пока не истекла блокировка другого оформления', async () => {
+            const user = await createUser();
+            const product = await createProduct();
+            await addToCart(user, product);
+            await Cart.updateOne({ user: user._id }, { $set: { checkoutLockedUntil: new Date(Date.now() + 60 * 1000) } });
+
+            const locked = await checkout(user);
+            assert.equal(locked.statusCode, 409);
+
+            await Cart.updateOne({ user: user._id }, { $set: { checkoutLockedUntil: new Date(Date.now() - 1000) } });
+            const expired = await checkout(user);
+            assert.equal(expired.statusCode, 201);
+        });
+
+        it('снимает блокировку, если корзина изменилась, и позволяет оформить ее повторно', async () => {
+            const user = await createUser();
+            const product = await createProduct({ price: 100 });
+            await addToCart(user, product);
+            await Product.updateOne({ _id: product._id }, { $set: { price: 150 } });
+
+            const changed = await checkout(user);
+            assert.equal(changed.statusCode, 409);
+            assert.equal(changed.body.cart.warnings.length, 1);
+            assert.equal((await Cart.findOne({ user: user._id })).checkoutLockedUntil, null);
+
+            const repeated = await checkout(user);
+            assert.equal(repeated.statusCode, 201);
+            assert.equal(repeated.body.totalAmount, 150);
+        });
+
+        it('отклоняет оформление пустой корзины', async () => {
+            const user = await createUser();
+            await getOrCreateCart(user._id);
+
+            const res = await checkout(user);
+
+            assert.equal(res.statusCode, 400);
+        });
+    });
+});
\ No newline at end of file
@@ -0,0 +1,183 @@
+// Файл: tests/categoryDeletion.test.js
+// Назначение: Тесты режимов окончательного удаления архивной категории, предпросмотра (dryRun) и защиты товаров из незавершенных заказов.
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Category = require('../models/Category');
+const Product = require('../models/Product');
+const Review = require('../models/Review');
+const { purgeCategory } = require('../controllers/categoryController');
+const { connectTestDb, clearTestDb, disconnectTestDb, createUser, createCategory, createProduct, createOrder } = require('./helpers/db');
+const { callHandler } = require('./helpers/http');
+
+const requestDelete = (category, query = {}) => callHandler(purgeCategory, {
+    params: { id: category._id.toString() },
+    query,
+});
+
+describe('Окончательное удаление категории', () => {
+    before(connectTestDb);
+    after(disconnectTestDb);
+    beforeEach(clearTestDb);
+
+    // Игры -> Supercell -> Brawl Stars, по товару в Supercell и Brawl Stars, отзыв на товар Brawl Stars.
+    // Supercell и Brawl Stars отправлены в архив одной операцией (удалять окончательно можно только архивные категории).
+    const createHierarchy = async () => {
+        const archivedAt = new Date();
+        const games = await createCategory({ name: 'Игры' });
+        const supercell = await createCategory({ name: 'Supercell', parentId: games._id, archivedAt });
+        const brawl = await createCategory({ name: 'Brawl Stars', parentId: supercell._id, archivedAt });
+        const supercellProduct = await createProduct({ name: 'Набор Supercell', categoryId: supercell._id });
+        const brawlProduct = await createProduct({ name: 'Brawl Pass', categoryId: brawl._id });
+        const author = await createUser();
+        await Review.create({
+            user: author._id,
+            product: brawlProduct._id,
+            order: new mongoose.Types.ObjectId(),
+            authorName: author.firstName,
+            rating: 5,
+        });
+        return { games, supercell, brawl, supercellProduct, brawlProduct };
+    };
+
+    it('по умолчанию отказывается удалять непустую категорию', async () => {
+        const { supercell } = await createHierarchy();
+
+        const res = await requestDelete(supercell);
+
+        assert.equal(res.statusCode, 409);
+        assert.ok(await Category.exists({ _id: supercell._id }));
+    });
+
+    it('не удаляет категорию, которая не находится в архиве', async () => {
+        const category = await createCategory();
+
+        const res = await requestDelete(category);
+
+        assert.equal(res.statusCode, 400);
+        assert.ok(await Category.exists({ _id: category._id }));
+    });
+
+    it('удаляет пустую категорию в режиме по умолчанию', async () => {
+        const empty = await createCategory({ archivedAt: new Date() });
+
+        const res = await requestDelete(empty);
+
+        assert.equal(res.statusCode, 200);
+        assert.equal(res.body.deletedCategories, 1);
+    });
+
+    it('в режиме cascade удаляет подкатегории, их товары и отзывы', async () => {
+        const { games, supercell } = await createHierarchy();
+
+        const res = await requestDelete(supercell, { mode: 'cascade' });
+
+        assert.equal(res.statusCode, 200);
+        assert.equal(res.body.deletedCategories, 2);
+        assert.equal(res.body.deletedProducts, 2);
+        assert.equal(res.body.deletedReviews, 1);
+        assert.deepEqual((await Category.find()).map(c => c._id.toString()), [games._id.toString()]);
+        assert.equal(await Product.countDocuments(), 0);
+        assert.equal(await Review.countDocuments(), 0);
+    });
+
+    it('в режиме reassign-to-parent переносит товары и подкатегории в родительскую категорию и возвращает их из архива', async () => {
+        const { games, supercell, brawl, supercellProduct } = await createHierarchy();
+
+        const res = await requestDelete(supercell, { mode: 'reassign-to-parent' });
+
+        assert.equal(res.statusCode, 200);
+        assert.equal(res.body.movedProducts, 1);
+        assert.equal(res.body.reparentedCategories, 1);
+        assert.equal((await Product.findById(supercellProduct._id)).categoryId.toString(), games._id.toString());
+        const movedChild = await Category.findById(brawl._id);
+        assert.equal(movedChild.parentId.toString(), games._id.toString());
+        assert.equal(movedChild.archivedAt, null);
+        assert.equal(res.body.restoredCategories, 1);
+        assert.equal(await Review.countDocuments(), 1);
+    });
+
+    it('в режиме reassign-to:<id> переносит содержимое в указанную категорию', async () => {
+        const { supercell, brawl, supercellProduct } = await createHierarchy();
+        const target = await createCategory({ name: 'Архив' });
+
+        const res = await requestDelete(supercell, { mode: `reassign-to:${target._id}` });
+
+        assert.equal(res.statusCode, 200);
+        assert.equal(res.body.targetCategory.name, 'Архив');
+        assert.equal((await Product.findById(supercellProduct._id)).categoryId.toString(), target._id.toString());
+        assert.equal((await Category.findById(brawl._id)).parentId.toString(), target._id.toString());
+    });
+
+    it('не переносит содержимое в собственную подкатегорию, архивную или несуществующую категорию', async () => {
+        const { supercell, brawl } = await createHierarchy();
+        const archivedTarget = await createCategory({ archivedAt: new Date() });
+
+        const intoChild = await requestDelete(supercell, { mode: `reassign-to:${brawl._id}` });
+        const intoArchived = await requestDelete(supercell, { mode: `reassign-to:${archivedTarget._id}` });
+        const intoMissing = await requestDelete(supercell, { mode: `reassign-to:${new mongoose.Types.ObjectId()}` });
+
+        assert.equal(intoChild.statusCode, 400);
+        assert.equal(intoArchived.statusCode, 400);
+        assert.equal(intoMissing.statusCode, 400);
+        assert.ok(await Category.exists({ _id: supercell._id }));
+    });
+
+    it('не переносит товары корневой категории в режиме reassign-to-parent', async () => {
+        const root = await createCategory({ archivedAt: new Date() });
+        await createProduct({ categoryId: root._id });
+
+        const res = await requestDelete(root, { mode: 'reassign-to-parent' });
+
+        assert.equal(res.statusCode, 400);
+    });
+
+    it('отклоняет неизвестный режим', async () => {
+        const category = await createCategory({ archivedAt: new Date() });
+
+        const res = await requestDelete(category, { mode: 'everything' });
+
+        assert.equal(res.statusCode, 400);
+    });
+
+    it('в режиме dryRun показывает план и ничего не удаляет', async () => {
+        const { supercell } = await createHierarchy();
+
+        const res = await requestDelete(supercell, { mode: 'cascade', dryRun: 'true' });
+
+        assert.equal(res.statusCode, 200);
+        assert.equal(res.body.dryRun, true);
+        assert.equal(res.body.canDelete, true);
+        assert.deepEqual(res.body.categoriesToDelete.map(c => c.name).sort(), ['Brawl Stars', 'Supercell']);
+        assert.deepEqual(res.body.productsToDelete.map(p => p.name).sort(), ['Brawl Pass', 'Набор Supercell']);
+        assert.equal(res.body.reviewsToDelete.length, 1);
+        assert.equal(await Category.countDocuments(), 3);
+        assert.equal(await Product.countDocuments(), 2);
+    });
+
+    it('запрещает каскадное удаление, если товары есть в незавершенных заказах', async () => {
+        const { supercell, brawlProduct } = await createHierarchy();
+        const buyer = await createUser();
+        const order = await createOrder({ user: buyer, product: brawlProduct, status: 'processing' });
+
+        const preview = await requestDelete(supercell, { mode: 'cascade', dryRun: 'true' });
+        assert.equal(preview.body.canDelete, false);
+        assert.deepEqual(preview.body.blockingOrders.map(o => o._id.toString()), [order._id.toString()]);
+
+        const res = await requestDelete(supercell, { mode: 'cascade' });
+        assert.equal(res.statusCode, 400);
+        assert.equal(await Product.countDocuments(), 2);
+    });
+
+    it('разрешает каскадное удаление, если заказы с товарами завершены', async () => {
+        const { supercell, brawlProduct } = await createHierarchy();
+        const buyer = await createUser();
+        await createOrder({ user: buyer, product: brawlProduct, status: 'completed' });
+
+        const res = await requestDelete(supercell, { mode: 'cascade' });
+
+        assert.equal(res.statusCode, 200);
+        assert.equal(res.body.deletedProducts, 2);
+    });
+});
\ No newline at end of file
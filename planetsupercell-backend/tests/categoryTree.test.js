@@ -0,0 +1,100 @@
+// Файл: tests/categoryTree.test.js
+// Назначение: Тесты дерева категорий с количеством товаров и пути до категории ("хлебные крошки").
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { getCategoryTree, getCategoryBreadcrumbs } = require('../controllers/categoryController');
+const { getDescendantIds } = require('../utils/categoryTree');
+const { connectTestDb, clearTestDb, disconnectTestDb, createCategory, createProduct } = require('./helpers/db');
+const { callHandler } = require('./helpers/http');
+
+describe('Дерево категорий', () => {
+    before(connectTestDb);
+    after(disconnectTestDb);
+    beforeEach(clearTestDb);
+
+    // Игры -> Supercell -> Brawl Stars, плюс отдельная корневая категория "Аксессуары"
+    const createHierarchy = async () => {
+        const games = await createCategory({ name: 'Игры' });
+        const supercell = await createCategory({ name: 'Supercell', parentId: games._id });
+        const brawl = await createCategory({ name: 'Brawl Stars', parentId: supercell._id });
+        const accessories = await createCategory({ name: 'Аксессуары' });
+        return { games, supercell, brawl, accessories };
+    };
+
+    it('строит вложенное дерево и считает товары в категории и ее потомках', async () => {
+        const { games, supercell, brawl } = await createHierarchy();
+        await createProduct({ categoryId: games._id });
+        await createProduct({ categoryId: supercell._id });
+        await createProduct({ categoryId: brawl._id });
+        await createProduct({ categoryId: brawl._id });
+
+        const res = await callHandler(getCategoryTree, {});
+
+        assert.equal(res.statusCode, 200);
+        assert.deepEqual(res.body.map(node => node.name), ['Аксессуары', 'Игры']);
+
+        const [accessoriesNode, gamesNode] = res.body;
+        assert.equal(accessoriesNode.totalProductCount, 0);
+        assert.equal(gamesNode.directProductCount, 1);
+        assert.equal(gamesNode.totalProductCount, 4);
+
+        const supercellNode = gamesNode.children[0];
+        assert.equal(supercellNode.name, 'Supercell');
+        assert.equal(supercellNode.directProductCount, 1);
+        assert.equal(supercellNode.totalProductCount, 3);
+        assert.equal(supercellNode.children[0].name, 'Brawl Stars');
+        assert.equal(supercellNode.children[0].totalProductCount, 2);
+    });
+
+    it('возвращает поддерево по параметру root', async () => {
+        const { supercell } = await createHierarchy();
+
+        const res = await callHandler(getCategoryTree, { query: { root: supercell._id.toString() } });
+
+        assert.equal(res.body.length, 1);
+        assert.equal(res.body[0].name, 'Supercell');
+        assert.deepEqual(res.body[0].children.map(node => node.name), ['Brawl Stars']);
+    });
+
+    it('возвращает 404 для несуществующего корня поддерева', async () => {
+        await createHierarchy();
+
+        const res = await callHandler(getCategoryTree, { query: { root: new mongoose.Types.ObjectId().toString() } });
+
+        assert.equal(res.error.message, 'Категория не найдена');
+        assert.equal(res.statusCode, 404);
+    });
+
+    it('возвращает путь от корня до категории', async () => {
+        const { brawl } = await createHierarchy();
+
+        const res = await callHandler(getCategoryBreadcrumbs, { params: { id: brawl._id.toString() } });
+
+        assert.equal(res.statusCode, 200);
+        assert.deepEqual(res.body.map(item => item.name), ['Игры', 'Supercell', 'Brawl Stars']);
+    });
+
+    it('возвращает 404 для пути несуществующей категории', async () => {
+        const res = await callHandler(getCategoryBreadcrumbs, { params: { id: new mongoose.Types.ObjectId().toString() } });
+
+        assert.equal(res.statusCode, 404);
+    });
+
+    it('находит всех потомков категории и не зацикливается на поврежденных данных', async () => {
+        const { games, supercell, brawl } = await createHierarchy();
+
+        const ids = await getDescendantIds(games._id);
+        assert.deepEqual(ids.map(String).sort(), [supercell._id, brawl._id].map(String).sort());
+
+        // Цикл в данных: Игры -> Supercell -> Brawl Stars -> Игры
+        const categories = [
+            { _id: games._id, name: games.name, parentId: brawl._id },
+            { _id: supercell._id, name: supercell.name, parentId: games._id },
+            { _id: brawl._id, name: brawl.name, parentId: supercell._id },
+        ];
+        const cyclicIds = await getDescendantIds(games._id, categories);
+        assert.equal(cyclicIds.length, 2);
+    });
+});
\ No newline at end of file
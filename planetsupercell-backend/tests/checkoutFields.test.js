@@ -0,0 +1,165 @@
+// Файл: tests/checkoutFields.test.js
+// Назначение: Тесты полей оформления заказа: схема полей, проверка значений, наследование от категорий и маскирование.
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const Order = require('../models/Order');
+const { createOrder, getMyOrders, getOrderById } = require('../controllers/orderController');
+const { loadCategories } = require('../utils/categoryTree');
+const {
+    normalizeCheckoutFields,
+    resolveCheckoutFields,
+    validateCheckoutValues,
+    maskValue,
+} = require('../utils/checkoutFields');
+const { connectTestDb, clearTestDb, disconnectTestDb, createUser, createCategory, createProduct } = require('./helpers/db');
+const { callHandler } = require('./helpers/http');
+
+const PLAYER_TAG_FIELD = { key: 'playerTag', label: 'Тег игрока', required: true, validator: 'supercellPlayerTag' };
+
+describe('Поля оформления заказа', () => {
+    describe('Схема полей', () => {
+        it('принимает корректный список полей', () => {
+            const { fields, error } = normalizeCheckoutFields([PLAYER_TAG_FIELD, { key: 'server', label: 'Сервер', type: 'select', options: ['EU', 'US'] }]);
+
+            assert.equal(error, undefined);
+            assert.equal(fields.length, 2);
+        });
+
+        it('отклоняет не массив, поле без подписи, повторяющийся ключ, неверное регулярное выражение и select без options', () => {
+            assert.ok(normalizeCheckoutFields({ key: 'playerTag' }).error);
+            assert.ok(normalizeCheckoutFields([{ key: 'playerTag' }]).error);
+            assert.ok(normalizeCheckoutFields([PLAYER_TAG_FIELD, PLAYER_TAG_FIELD]).error);
+            assert.ok(normalizeCheckoutFields([{ key: 'code', label: 'Код', pattern: '([' }]).error);
+            assert.ok(normalizeCheckoutFields([{ key: 'server', label: 'Сервер', type: 'select' }]).error);
+        });
+    });
+
+    describe('Проверка значений', () => {
+        it('нормализует тег игрока: добавляет #, переводит в верхний регистр и заменяет O на 0', () => {
+            const { values, errors } = validateCheckoutValues([PLAYER_TAG_FIELD], { playerTag: ' 2ppojccl ' });
+
+            assert.deepEqual(errors, []);
+            assert.deepEqual(values, [{ key: 'playerTag', label: 'Тег игрока', value: '#2PP0JCCL' }]);
+        });
+
+        it('сообщает об обязательном поле и некорректном теге игрока', () => {
+            const missing = validateCheckoutValues([PLAYER_TAG_FIELD], {});
+            const invalid = validateCheckoutValues([PLAYER_TAG_FIELD], { playerTag: '#ABC123' });
+
+            assert.deepEqual(missing.errors.map(e => e.key), ['playerTag']);
+            assert.deepEqual(invalid.errors.map(e => e.key), ['playerTag']);
+        });
+
+        it('проверяет email, число, select и регулярное выражение', () => {
+            const fields = [
+                { key: 'email', label: 'Email', type: 'email' },
+                { key: 'level', label: 'Уровень', type: 'number' },
+                { key: 'server', label: 'Сервер', type: 'select', options: ['EU', 'US'] },
+                { key: 'code', label: 'Код', pattern: '^[A-Z]{4}$' },
+            ];
+
+            const bad = validateCheckoutValues(fields, { email: 'нет', level: 'десять', server: 'ASIA', code: 'abcd' });
+            const good = validateCheckoutValues(fields, { email: 'a@b.co', level: '10', server: 'EU', code: 'ABCD' });
+
+            assert.deepEqual(bad.errors.map(e => e.key), ['email', 'level', 'server', 'code']);
+            assert.deepEqual(good.errors, []);
+            assert.equal(good.values.length, 4);
+        });
+
+        it('пропускает необязательные пустые поля и игнорирует неизвестные ключи', () => {
+            const { values, errors } = validateCheckoutValues([{ key: 'comment', label: 'Комментарий' }], { other: 'x' });
+
+            assert.deepEqual(values, []);
+            assert.deepEqual(errors, []);
+        });
+
+        it('не принимает слишком длинные значения', () => {
+            const { errors } = validateCheckoutValues([{ key: 'comment', label: 'Комментарий' }], { comment: 'x'.repeat(300) });
+
+            assert.equal(errors.length, 1);
+        });
+    });
+
+    describe('Маскирование', () => {
+        it('скрывает середину значения и имя ящика email', () => {
+            assert.equal(maskValue('#2PP0JCCL'), '#2***CL');
+            assert.equal(maskValue('player@mail.com'), 'pl***@mail.com');
+            assert.equal(maskValue('1234'), '****');
+        });
+    });
+
+    describe('Заказ', () => {
+        before(connectTestDb);
+        after(disconnectTestDb);
+        beforeEach(clearTestDb);
+
+        // Категория Brawl Stars требует тег игрока, товар дополнительно спрашивает email
+        const createBrawlProduct = async () => {
+            const category = await createCategory({ name: 'Brawl Stars', checkoutFields: [PLAYER_TAG_FIELD] });
+            return createProduct({
+                categoryId: category._id,
+                checkoutFields: [{ key: 'email', label: 'Email Supercell ID', validator: 'supercellIdEmail', required: true }],
+            });
+        };
+
+        const placeOrder = (buyer, product, fields) => callHandler(createOrder, {
+            user: { id: buyer._id.toString() },
+            body: { items: [{ productId: product._id.toString(), quantity: 1, fields }] },
+        });
+
+        it('наследует поля категорий, а поле товара переопределяет поле с тем же ключом', async () => {
+            const root = await createCategory({ name: 'Игры', checkoutFields: [{ key: 'server', label: 'Сервер', type: 'select', options: ['EU'] }] });
+            const category = await createCategory({ name: 'Brawl Stars', parentId: root._id, checkoutFields: [PLAYER_TAG_FIELD] });
+            const product = await createProduct({
+                categoryId: category._id,
+                checkoutFields: [{ key: 'playerTag', label: 'Тег аккаунта', required: false }],
+            });
+
+            const fields = await resolveCheckoutFields(product, await loadCategories());
+
+            assert.deepEqual(fields.map(field => `${field.key}:${field.label}`), ['server:Сервер', 'playerTag:Тег аккаунта']);
+        });
+
+        it('отклоняет заказ с неверными данными и не списывает товар', async () => {
+            const buyer = await createUser();
+            const product = await createBrawlProduct();
+
+            const res = await placeOrder(buyer, product, { playerTag: 'не тег' });
+
+            assert.equal(res.statusCode, 400);
+            assert.deepEqual(res.body.fieldErrors.map(e => e.key).sort(), ['email', 'playerTag']);
+            assert.equal(await Order.countDocuments(), 0);
+        });
+
+        it('сохраняет нормализованные данные, а покупателю показывает их замаскированными', async () => {
+            const buyer = await createUser();
+            const product = await createBrawlProduct();
+
+            const res = await placeOrder(buyer, product, { playerTag: '2pp0jccl', email: 'Player@Mail.com' });
+
+            assert.equal(res.statusCode, 201);
+            assert.deepEqual(res.body.items[0].checkoutFields.map(field => field.value), ['#2***CL', 'pl***@mail.com']);
+
+            const stored = await Order.findById(res.body._id);
+            assert.deepEqual(stored.items[0].checkoutFields.map(field => field.value), ['#2PP0JCCL', 'player@mail.com']);
+
+            const myOrders = await callHandler(getMyOrders, { user: { id: buyer._id.toString() } });
+            assert.equal(myOrders.body[0].items[0].checkoutFields[0].value, '#2***CL');
+        });
+
+        it('показывает данные покупателя полностью только сотруднику с правом orders:read', async () => {
+            const buyer = await createUser();
+            const manager = await createUser({ role: 'manager' });
+            const product = await createBrawlProduct();
+            const created = await placeOrder(buyer, product, { playerTag: '#2PP0JCCL', email: 'player@mail.com' });
+            const params = { id: created.body._id.toString() };
+
+            const asOwner = await callHandler(getOrderById, { user: { id: buyer._id.toString(), role: 'buyer' }, params });
+            const asManager = await callHandler(getOrderById, { user: { id: manager._id.toString(), role: 'manager' }, params });
+
+            assert.equal(asOwner.body.items[0].checkoutFields[0].value, '#2***CL');
+            assert.equal(asManager.body.items[0].checkoutFields[0].value, '#2PP0JCCL');
+        });
+    });
+});
\ No newline at end of file
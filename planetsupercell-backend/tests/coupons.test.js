@@ -0,0 +1,61 @@
+// Файл: tests/coupons.test.js
+// Назначение: Тесты учета использований купона при ошибках оформления заказа.
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Coupon = require('../models/Coupon');
+const CouponRedemption = require('../models/CouponRedemption');
+const Order = require('../models/Order');
+const Product = require('../models/Product');
+const { redeemCoupon } = require('../services/couponService');
+const { createOrder } = require('../controllers/orderController');
+const { connectTestDb, clearTestDb, disconnectTestDb, createUser, createProduct } = require('./helpers/db');
+const { callHandler } = require('./helpers/http');
+
+describe('Использование купона', () => {
+    before(connectTestDb);
+    after(disconnectTestDb);
+    beforeEach(clearTestDb);
+
+    const createCoupon = (fields = {}) => Coupon.create({ code: 'SALE10', discountType: 'percent', value: 10, usageLimit: 1, ...fields });
+
+    const failRedemptionOnce = (t) => {
+        t.mock.method(CouponRedemption, 'create', async () => {
+            throw new Error('Сбой записи использования купона');
+        }, { times: 1 });
+    };
+
+    it('возвращает использование в лимит, если запись об использовании не создалась', async (t) => {
+        const coupon = await createCoupon();
+        const user = await createUser();
+        failRedemptionOnce(t);
+
+        await assert.rejects(
+            redeemCoupon(coupon, user._id, new mongoose.Types.ObjectId(), 10),
+            { message: 'Сбой записи использования купона' }
+        );
+        assert.equal((await Coupon.findById(coupon._id)).usedCount, 0);
+
+        // Последнее использование не "потерялось" - купон по-прежнему можно применить
+        await redeemCoupon(coupon, user._id, new mongoose.Types.ObjectId(), 10);
+        assert.equal((await Coupon.findById(coupon._id)).usedCount, 1);
+    });
+
+    it('при ошибке оформления заказа возвращает и купон, и товар на склад', async (t) => {
+        await createCoupon();
+        const product = await createProduct({ stock: 3 });
+        const user = await createUser();
+        failRedemptionOnce(t);
+
+        const res = await callHandler(createOrder, {
+            user: { id: user._id.toString() },
+            body: { items: [{ productId: product._id.toString(), quantity: 1 }], couponCode: 'SALE10' },
+        });
+
+        assert.equal(res.statusCode, 500);
+        assert.equal((await Coupon.findOne({ code: 'SALE10' })).usedCount, 0);
+        assert.equal((await Product.findById(product._id)).stock, 3);
+        assert.equal(await Order.countDocuments(), 0);
+    });
+});
\ No newline at end of file
@@ -0,0 +1,147 @@
+// Файл: tests/currency.test.js
+// Назначение: Тесты пересчета цен в валюту покупателя: округление, курсы администратора и курс, зафиксированный в заказе.
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const CurrencyRate = require('../models/CurrencyRate');
+const Order = require('../models/Order');
+const Product = require('../models/Product');
+const { getConversion, invalidateRatesCache, roundAmount } = require('../services/currencyService');
+const { setCurrencyRate } = require('../controllers/currencyController');
+const { getProductById } = require('../controllers/productController');
+const { createOrder } = require('../controllers/orderController');
+const { connectTestDb, clearTestDb, disconnectTestDb, createUser, createProduct } = require('./helpers/db');
+const { callHandler, callWithCurrency } = require('./helpers/http');
+
+describe('Валюты', () => {
+    describe('Округление', () => {
+        it('округляет вверх до шага валюты', () => {
+            assert.equal(roundAmount(101.2, { step: 1, mode: 'ceil' }), 102);
+            assert.equal(roundAmount(541, { step: 10, mode: 'ceil' }), 550);
+            assert.equal(roundAmount(540, { step: 10, mode: 'ceil' }), 540);
+        });
+
+        it('округляет математически и вниз, в том числе до копеек', () => {
+            assert.equal(roundAmount(1.005, { step: 0.01, mode: 'round' }), 1.01);
+            assert.equal(roundAmount(12.345, { step: 0.01, mode: 'floor' }), 12.34);
+            assert.equal(roundAmount(545, { step: 10, mode: 'round' }), 550);
+        });
+
+        it('не округляет вверх из-за погрешности вычислений с плавающей точкой', () => {
+            assert.equal(roundAmount(1.15, { step: 0.01, mode: 'ceil' }), 1.15);
+            assert.equal(roundAmount(0.1 + 0.2, { step: 0.01, mode: 'ceil' }), 0.3);
+        });
+    });
+
+    describe('Курсы', () => {
+        before(connectTestDb);
+        after(disconnectTestDb);
+        beforeEach(async () => {
+            await clearTestDb();
+            invalidateRatesCache();
+        });
+
+        it('оставляет цены в базовой валюте без изменений', async () => {
+            const conversion = await getConversion('rub');
+
+            assert.equal(conversion.currency, 'RUB');
+            assert.equal(conversion.rate, 1);
+            assert.equal(conversion.convert(99.99), 99.99);
+        });
+
+        it('пересчитывает по курсу с правилом округления валюты по умолчанию', async () => {
+            await CurrencyRate.create({ currency: 'KZT', rate: 5.43 });
+            await CurrencyRate.create({ currency: 'USD', rate: 0.0109 });
+
+            const kzt = await getConversion('KZT');
+            const usd = await getConversion('USD');
+
+            assert.deepEqual(kzt.rounding, { step: 10, mode: 'ceil' });
+            assert.equal(kzt.convert(100), 550);
+            assert.equal(usd.convert(100), 1.09);
+            assert.equal(usd.convert(null), null);
+        });
+
+        it('применяет правило округления, заданное администратором', async () => {
+            await CurrencyRate.create({ currency: 'UAH', rate: 0.444, roundingStep: 0.01, roundingMode: 'floor' });
+
+            const conversion = await getConversion('UAH');
+
+            assert.equal(conversion.convert(100), 44.4);
+            assert.equal(conversion.convert(101), 44.84);
+        });
+
+        it('отклоняет неподдерживаемую валюту и валюту без курса', async () => {
+            await assert.rejects(getConversion('EUR'), { name: 'CurrencyError', statusCode: 400 });
+            await assert.rejects(getConversion('USD'), { name: 'CurrencyError', statusCode: 400 });
+        });
+
+        it('показывает новый курс сразу после его изменения администратором', async () => {
+            const manager = await createUser({ role: 'manager' });
+            const product = await createProduct({ price: 100 });
+            const setRate = (rate) => callHandler(setCurrencyRate, {
+                user: { id: manager._id.toString() },
+                params: { currency: 'usd' },
+                body: { rate },
+            });
+            const requestProduct = () => callWithCurrency(getProductById, {
+                params: { id: product._id.toString() },
+                query: { currency: 'USD' },
+            });
+
+            await setRate(0.01);
+            assert.equal((await requestProduct()).body.pricing.price, 1);
+
+            await setRate(0.02);
+            const res = await requestProduct();
+            assert.equal(res.body.price, 100);
+            assert.equal(res.body.pricing.price, 2);
+        });
+
+        it('не принимает курс базовой валюты и неположительный курс', async () => {
+            const manager = await createUser({ role: 'manager' });
+            const setRate = (currency, rate) => callHandler(setCurrencyRate, {
+                user: { id: manager._id.toString() },
+                params: { currency },
+                body: { rate },
+            });
+
+            assert.equal((await setRate('RUB', 2)).statusCode, 400);
+            assert.equal((await setRate('USD', 0)).statusCode, 400);
+            assert.equal(await CurrencyRate.countDocuments(), 0);
+        });
+
+        it('фиксирует в заказе валюту, курс и пересчитанную сумму', async () => {
+            await CurrencyRate.create({ currency: 'KZT', rate: 5.43 });
+            const buyer = await createUser();
+            const product = await createProduct({ price: 100 });
+
+            const res = await callHandler(createOrder, {
+                user: { id: buyer._id.toString() },
+                body: { items: [{ productId: product._id.toString(), quantity: 2 }], currency: 'KZT' },
+            });
+
+            assert.equal(res.statusCode, 201);
+            await CurrencyRate.updateOne({ currency: 'KZT' }, { rate: 6 });
+            const stored = await Order.findById(res.body._id);
+            assert.equal(stored.totalAmount, 200);
+            assert.equal(stored.currency, 'KZT');
+            assert.equal(stored.exchangeRate, 5.43);
+            assert.equal(stored.convertedTotalAmount, 1090);
+        });
+
+        it('не создает заказ в валюте без курса', async () => {
+            const buyer = await createUser();
+            const product = await createProduct();
+
+            const res = await callHandler(createOrder, {
+                user: { id: buyer._id.toString() },
+                body: { items: [{ productId: product._id.toString(), quantity: 1 }], currency: 'USD' },
+            });
+
+            assert.equal(res.statusCode, 400);
+            assert.equal(await Order.countDocuments(), 0);
+            assert.equal((await Product.findById(product._id)).stock, 10);
+        });
+    });
+});
\ No newline at end of file
@@ -0,0 +1,74 @@
+// Файл: tests/helpers/db.js
+// Назначение: Тестовая база данных MongoDB в памяти (mongodb-memory-server) и фабрики тестовых данных.
+
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const Category = require('../../models/Category');
+const Order = require('../../models/Order');
+const Product = require('../../models/Product');
+const User = require('../../models/User');
+
+let memoryServer = null;
+
+// --- Запуск MongoDB в памяти и подключение Mongoose ---
+// Индексы создаются заранее: от уникальных индексов зависят проверки в коде
+const connectTestDb = async () => {
+    memoryServer = await MongoMemoryServer.create();
+    await mongoose.connect(memoryServer.getUri());
+    await Promise.all(Object.values(mongoose.models).map(model => model.init()));
+};
+
+// --- Очистка всех коллекций между тестами ---
+const clearTestDb = async () => {
+    const collections = await mongoose.connection.db.collections();
+    await Promise.all(collections.map(collection => collection.deleteMany({})));
+};
+
+// --- Отключение и остановка MongoDB ---
+const disconnectTestDb = async () => {
+    await mongoose.disconnect();
+    if (memoryServer) {
+        await memoryServer.stop();
+        memoryServer = null;
+    }
+};
+
+// --- Фабрики тестовых данных ---
+let telegramIdCounter = 100000;
+
+const createUser = (fields = {}) => User.create({
+    telegramId: ++telegramIdCounter,
+    firstName: `Покупатель ${telegramIdCounter}`,
+    ...fields,
+});
+
+let categoryCounter = 0;
+
+const createCategory = (fields = {}) => Category.create({ name: `Категория ${++categoryCounter}`, ...fields });
+
+// Если владелец (user) или категория (categoryId) не указаны, они создаются
+const createProduct = async (fields = {}) => {
+    const owner = fields.user || (await createUser())._id;
+    const categoryId = fields.categoryId || (await createCategory())._id;
+    return Product.create({ name: 'Тестовый товар', price: 100, stock: 10, ...fields, user: owner, categoryId });
+};
+
+// Заказ одного товара в заданном статусе. Остаток товара не списывается - заказ считается уже оформленным.
+const createOrder = ({ user, product, quantity = 1, status = 'processing', ...fields }) => Order.create({
+    user: user._id,
+    items: [{ productId: product._id, name: product.name, quantity, price: product.price }],
+    totalAmount: product.price * quantity,
+    status,
+    statusHistory: [{ status }],
+    ...fields,
+});
+
+module.exports = {
+    connectTestDb,
+    clearTestDb,
+    disconnectTestDb,
+    createUser,
+    createCategory,
+    createProduct,
+    createOrder,
+};
\ No newline at end of file
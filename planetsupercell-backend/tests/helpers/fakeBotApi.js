@@ -0,0 +1,49 @@
+// Файл: tests/helpers/fakeBotApi.js
+// Назначение: Локальный HTTP-сервер, имитирующий Telegram Bot API (подключается через TELEGRAM_API_URL).
+
+const http = require('http');
+
+// --- Запуск сервера ---
+// Каждый запрос записывается в requests ({ token, method, params }).
+// Ответ берется из очереди respondWith(...), по умолчанию - { ok: true, result: {} }.
+const startFakeBotApi = async () => {
+    const requests = [];
+    const responses = [];
+
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', (chunk) => { body += chunk; });
+        req.on('end', () => {
+            const [, token, method] = req.url.match(/^\/bot([^/]+)\/(\w+)$/) || [];
+            requests.push({ token, method, params: body ? JSON.parse(body) : {} });
+
+            const { status, payload } = responses.shift() || { status: 200, payload: { ok: true, result: {} } };
+            res.writeHead(status, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(payload));
+        });
+    });
+
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    const { port } = server.address();
+
+    return {
+        url: `http://127.0.0.1:${port}`,
+        requests,
+        // Ответ Bot API на следующий запрос (например, ошибка 429 с retry_after)
+        respondWith: (payload, status = payload.ok ? 200 : payload.error_code) => responses.push({ status, payload }),
+        close: () => new Promise((resolve) => server.close(resolve)),
+    };
+};
+
+// --- Ожидание выполнения условия (доставка уведомлений идет в фоне) ---
+const waitFor = async (check, timeoutMs = 5000) => {
+    const startedAt = Date.now();
+    while (!(await check())) {
+        if (Date.now() - startedAt > timeoutMs) {
+            throw new Error('Условие не выполнилось за отведенное время');
+        }
+        await new Promise((resolve) => setTimeout(resolve, 10));
+    }
+};
+
+module.exports = { startFakeBotApi, waitFor };
\ No newline at end of file
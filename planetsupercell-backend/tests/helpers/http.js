@@ -0,0 +1,51 @@
+// Файл: tests/helpers/http.js
+// Назначение: Вызов обработчиков и middleware Express без HTTP-сервера (минимальные req/res).
+
+const { resolveCurrency } = require('../../middleware/currencyMiddleware');
+
+// --- Ответ, который запоминает статус и тело ---
+const createResponse = () => ({
+    statusCode: 200,
+    body: undefined,
+    headers: {},
+    status(code) {
+        this.statusCode = code;
+        return this;
+    },
+    json(body) {
+        this.body = body;
+        return this;
+    },
+    set(name, value) {
+        this.headers[name.toLowerCase()] = value;
+        return this;
+    },
+});
+
+// --- Вызов обработчика ---
+// Возвращает res; ошибка, переданная в next (asyncHandler), попадает в res.error,
+// а вызов next() без ошибки отмечается в res.nextCalled.
+const callHandler = async (handler, req = {}) => {
+    const res = createResponse();
+    res.error = null;
+    res.nextCalled = false;
+    const fullReq = { params: {}, query: {}, body: {}, headers: {}, ...req };
+    await handler(fullReq, res, (error) => {
+        if (error) res.error = error;
+        else res.nextCalled = true;
+    });
+    res.req = fullReq;
+    return res;
+};
+
+// --- Вызов обработчика после middleware resolveCurrency (как в маршрутах с ценами) ---
+// Если валюта не прошла проверку, возвращается ответ middleware, а обработчик не вызывается.
+const callWithCurrency = async (handler, req = {}) => {
+    const currencyRes = await callHandler(resolveCurrency, req);
+    if (!currencyRes.nextCalled) {
+        return currencyRes;
+    }
+    return callHandler(handler, currencyRes.req);
+};
+
+module.exports = { createResponse, callHandler, callWithCurrency };
\ No newline at end of file
@@ -0,0 +1,108 @@
+// Файл: tests/manualPayment.test.js
+// Назначение: Тесты ручной оплаты скриншотом: заказ ждет скриншот в 'pending' и уходит на проверку только с ним.
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Order = require('../models/Order');
+const { createOrder, uploadOrderScreenshot } = require('../controllers/orderController');
+const { changeOrderStatus } = require('../services/orderStatusService');
+const { connectTestDb, clearTestDb, disconnectTestDb, createUser, createProduct } = require('./helpers/db');
+const { callHandler } = require('./helpers/http');
+
+// Файл скриншота в том виде, в котором его кладет в req.file uploadScreenshot (multer)
+const createScreenshotFile = () => {
+    const filename = `screenshot-${Date.now()}-${Math.random().toString(16).slice(2)}.png`;
+    const filePath = path.join(os.tmpdir(), filename);
+    fs.writeFileSync(filePath, 'png');
+    return { filename, path: filePath };
+};
+
+describe('Ручная оплата скриншотом', () => {
+    let buyer;
+    let product;
+
+    before(connectTestDb);
+    after(disconnectTestDb);
+    beforeEach(async () => {
+        await clearTestDb();
+        buyer = await createUser();
+        product = await createProduct();
+    });
+
+    const placeOrder = (file) => callHandler(createOrder, {
+        user: { id: buyer._id.toString() },
+        body: { items: [{ productId: product._id.toString(), quantity: 1 }] },
+        file,
+    });
+
+    const uploadScreenshot = (user, order, file = createScreenshotFile()) => callHandler(uploadOrderScreenshot, {
+        user: { id: user._id.toString() },
+        params: { id: order._id.toString() },
+        file,
+    });
+
+    it('без скриншота создает заказ в статусе "pending" без счета у провайдера', async () => {
+        const res = await placeOrder();
+
+        assert.equal(res.statusCode, 201);
+        assert.equal(res.body.status, 'pending');
+        assert.equal(res.body.payment.provider, 'manual');
+        assert.equal(res.body.payment.invoiceId, null);
+        assert.equal(res.body.screenshotPath, null);
+    });
+
+    it('со скриншотом при оформлении сразу отправляет заказ на проверку', async () => {
+        const file = createScreenshotFile();
+
+        const res = await placeOrder(file);
+
+        assert.equal(res.statusCode, 201);
+        assert.equal(res.body.status, 'paid-pending');
+        assert.equal(res.body.screenshotPath, file.filename);
+        assert.deepEqual(res.body.statusHistory.map(entry => entry.status), ['pending', 'paid-pending']);
+        fs.rmSync(file.path, { force: true });
+    });
+
+    it('переводит заказ в "paid-pending", когда покупатель загружает скриншот позже', async () => {
+        const created = await placeOrder();
+        const file = createScreenshotFile();
+
+        const res = await uploadScreenshot(buyer, created.body, file);
+
+        assert.equal(res.statusCode, 200);
+        assert.equal(res.body.status, 'paid-pending');
+        const stored = await Order.findById(created.body._id);
+        assert.equal(stored.screenshotPath, file.filename);
+        assert.equal(stored.statusHistory[stored.statusHistory.length - 1].comment, 'Скриншот оплаты загружен');
+        fs.rmSync(file.path, { force: true });
+    });
+
+    it('не принимает скриншот от чужого покупателя, без файла и для заказа, который уже не ждет оплаты', async () => {
+        const created = await placeOrder();
+        const stranger = await createUser();
+
+        const foreign = await uploadScreenshot(stranger, created.body);
+        const withoutFile = await uploadScreenshot(buyer, created.body, null);
+        await Order.updateOne({ _id: created.body._id }, { $set: { status: 'processing' } });
+        const notPending = await uploadScreenshot(buyer, created.body);
+
+        assert.equal(foreign.statusCode, 403);
+        assert.equal(withoutFile.statusCode, 400);
+        assert.equal(notPending.statusCode, 400);
+        assert.equal((await Order.findById(created.body._id)).screenshotPath, null);
+    });
+
+    it('не дает администратору отправить на проверку заказ без скриншота', async () => {
+        const created = await placeOrder();
+        const order = await Order.findById(created.body._id);
+
+        await assert.rejects(changeOrderStatus(order, 'paid-pending'), { name: 'OrderStatusError', statusCode: 400 });
+
+        const unchanged = await Order.findById(order._id);
+        assert.equal(unchanged.status, 'pending');
+        assert.equal(unchanged.statusLockedUntil, null);
+    });
+});
\ No newline at end of file
@@ -0,0 +1,146 @@
+// Файл: tests/mockPayment.test.js
+// Назначение: Полный сценарий оплаты через тестового провайдера 'mock' без сети (счет -> подписанный вебхук -> заказ оплачен).
+
+process.env.ENABLE_MOCK_PAYMENTS = 'true';
+process.env.MOCK_PAYMENT_SECRET = 'test-mock-secret';
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { spawnSync } = require('child_process');
+const path = require('path');
+const Order = require('../models/Order');
+const Product = require('../models/Product');
+const { getProvider } = require('../services/payments');
+const { handleWebhook } = require('../services/paymentService');
+const { placeOrder } = require('../services/orderService');
+const { setTelegramTransport } = require('../services/telegramApi');
+const { simulateMockPayment } = require('../controllers/paymentController');
+const { connectTestDb, clearTestDb, disconnectTestDb, createUser, createProduct } = require('./helpers/db');
+const { waitFor } = require('./helpers/fakeBotApi');
+
+// Вебхук в том виде, в котором его получает обработчик из Express (rawBody, body, headers)
+const toWebhookRequest = ({ rawBody, body, signature }) => ({ rawBody, body, headers: { 'x-mock-signature': signature } });
+
+const callSimulate = async (user, body) => {
+    const res = {
+        statusCode: 200,
+        status(code) { this.statusCode = code; return this; },
+        json(payload) { this.body = payload; return this; },
+    };
+    await simulateMockPayment({ user: { id: user._id.toString(), role: user.role }, body }, res);
+    return res;
+};
+
+describe('Оплата через тестового провайдера', () => {
+    const sentMessages = [];
+
+    before(async () => {
+        await connectTestDb();
+        // Уведомления покупателю "отправляются" в память
+        setTelegramTransport(async (method, params) => {
+            sentMessages.push({ method, params });
+            return { ok: true, result: {} };
+        });
+    });
+    after(async () => {
+        setTelegramTransport(null);
+        await disconnectTestDb();
+    });
+    beforeEach(async () => {
+        await clearTestDb();
+        sentMessages.length = 0;
+    });
+
+    const placeMockOrder = async () => {
+        const product = await createProduct({ price: 250, stock: 3 });
+        const user = await createUser();
+        const order = await placeOrder(user, [{ productId: product._id, quantity: 2 }], { paymentProvider: 'mock' });
+        return { product, user, order };
+    };
+
+    it('выставляет счет и переводит заказ в обработку после подписанного вебхука', async () => {
+        const { product, user, order } = await placeMockOrder();
+
+        assert.equal(order.status, 'pending');
+        assert.equal(order.payment.provider, 'mock');
+        assert.equal(order.payment.status, 'awaiting');
+        assert.match(order.payment.invoiceId, /^mock_/);
+        assert.equal(order.payment.amount, 500);
+        assert.equal((await Product.findById(product._id)).stock, 1);
+
+        const result = await handleWebhook('mock', toWebhookRequest(getProvider('mock').buildWebhook(order.payment, 'paid')));
+
+        assert.equal(result.event, 'paid');
+        assert.equal(result.duplicate, false);
+        const paid = await Order.findById(order._id);
+        assert.equal(paid.status, 'processing');
+        assert.equal(paid.payment.status, 'paid');
+        assert.match(paid.payment.chargeId, /^mock_pay_/);
+        assert.deepEqual(paid.statusHistory.map(entry => entry.status), ['pending', 'processing']);
+
+        // Покупатель получил уведомление об оплате (отправляется в фоне)
+        await waitFor(() => sentMessages.some(message => message.params.chat_id === user.telegramId));
+    });
+
+    it('пропускает повторный вебхук о той же оплате', async () => {
+        const { order } = await placeMockOrder();
+        const webhook = toWebhookRequest(getProvider('mock').buildWebhook(order.payment, 'paid'));
+
+        await handleWebhook('mock', webhook);
+        const repeated = await handleWebhook('mock', webhook);
+
+        assert.equal(repeated.duplicate, true);
+        const paid = await Order.findById(order._id);
+        assert.equal(paid.statusHistory.length, 2);
+    });
+
+    it('отклоняет вебхук с неверной подписью', async () => {
+        const { order } = await placeMockOrder();
+        const webhook = getProvider('mock').buildWebhook(order.payment, 'paid');
+
+        await assert.rejects(
+            handleWebhook('mock', toWebhookRequest({ ...webhook, signature: 'f'.repeat(64) })),
+            { name: 'PaymentError', statusCode: 401 }
+        );
+        assert.equal((await Order.findById(order._id)).status, 'pending');
+    });
+
+    it('оставляет заказ ожидающим оплаты, если оплата не прошла', async () => {
+        const { order } = await placeMockOrder();
+
+        const result = await handleWebhook('mock', toWebhookRequest(getProvider('mock').buildWebhook(order.payment, 'failed')));
+
+        assert.equal(result.event, 'failed');
+        const updated = await Order.findById(order._id);
+        assert.equal(updated.status, 'pending');
+        assert.equal(updated.payment.status, 'failed');
+    });
+
+    it('имитирует оплату через POST /api/payments/mock/simulate только при включенном флаге', async () => {
+        const { user, order } = await placeMockOrder();
+
+        process.env.ENABLE_MOCK_PAYMENTS = 'false';
+        const disabled = await callSimulate(user, { orderId: order._id.toString() });
+        process.env.ENABLE_MOCK_PAYMENTS = 'true';
+        assert.equal(disabled.statusCode, 404);
+        assert.equal((await Order.findById(order._id)).status, 'pending');
+
+        const enabled = await callSimulate(user, { orderId: order._id.toString() });
+        assert.equal(enabled.statusCode, 200);
+        assert.equal(enabled.body.order.status, 'processing');
+    });
+
+    it('не запускается с ENABLE_MOCK_PAYMENTS=true без MOCK_PAYMENT_SECRET', () => {
+        const env = { ...process.env, ENABLE_MOCK_PAYMENTS: 'true' };
+        delete env.MOCK_PAYMENT_SECRET;
+
+        const child = spawnSync(process.execPath, ['-e', "require('./services/payments')"], {
+            cwd: path.join(__dirname, '..'),
+            env,
+            encoding: 'utf8',
+        });
+
+        assert.notEqual(child.status, 0);
+        assert.match(child.stderr, /MOCK_PAYMENT_SECRET не задан/);
+    });
+});
\ No newline at end of file
@@ -0,0 +1,118 @@
+// Файл: tests/notifications.test.js
+// Назначение: Тесты доставки уведомлений через outbox с локальным сервером вместо Telegram Bot API.
+
+process.env.TELEGRAM_BOT_TOKEN = '123456:TEST-TOKEN';
+process.env.TELEGRAM_ADMIN_CHAT_ID = '777';
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const NotificationOutbox = require('../models/NotificationOutbox');
+const { notifyOrderStatusChanged, notifyAdminNewOrder, processOutbox } = require('../services/notificationService');
+const { connectTestDb, clearTestDb, disconnectTestDb, createUser, createProduct, createOrder } = require('./helpers/db');
+const { startFakeBotApi, waitFor } = require('./helpers/fakeBotApi');
+
+describe('Уведомления через Bot API', () => {
+    let botApi;
+
+    before(async () => {
+        await connectTestDb();
+        botApi = await startFakeBotApi();
+        process.env.TELEGRAM_API_URL = botApi.url;
+    });
+    after(async () => {
+        await botApi.close();
+        await disconnectTestDb();
+    });
+    beforeEach(async () => {
+        await clearTestDb();
+        botApi.requests.length = 0;
+    });
+
+    // Уведомление покупателю о смене статуса; ждет завершения первой попытки доставки
+    const notifyBuyer = async (fields = {}) => {
+        const user = await createUser({ languageCode: 'en', ...fields });
+        const order = await createOrder({ user, product: await createProduct() });
+        const notification = await notifyOrderStatusChanged(order, user, 'completed', 'Спасибо <3');
+        await waitFor(async () => (await NotificationOutbox.findById(notification._id)).attempts > 0);
+        return { user, order, notification: await NotificationOutbox.findById(notification._id) };
+    };
+
+    // Повторная попытка "прямо сейчас" без ожидания паузы
+    const makeDue = (notification) => NotificationOutbox.updateOne({ _id: notification._id }, { $set: { nextAttemptAt: new Date() } });
+
+    it('отправляет sendMessage на языке покупателя и помечает уведомление отправленным', async () => {
+        const { user, order, notification } = await notifyBuyer();
+
+        assert.equal(notification.status, 'sent');
+        assert.equal(botApi.requests.length, 1);
+        const [request] = botApi.requests;
+        assert.equal(request.token, process.env.TELEGRAM_BOT_TOKEN);
+        assert.equal(request.method, 'sendMessage');
+        assert.equal(request.params.chat_id, user.telegramId);
+        assert.equal(request.params.parse_mode, 'HTML');
+        assert.match(request.params.text, new RegExp(`Your order <b>#${order._id}</b> status has changed: <b>completed</b>`));
+        // Комментарий администратора экранируется
+        assert.match(request.params.text, /Спасибо &lt;3/);
+    });
+
+    it('отправляет администратору уведомление о новом заказе', async () => {
+        const user = await createUser({ username: 'buyer' });
+        const order = await createOrder({ user, product: await createProduct({ name: 'Гемы' }), quantity: 2 });
+
+        const notification = await notifyAdminNewOrder(order, user);
+        await waitFor(async () => (await NotificationOutbox.findById(notification._id)).status === 'sent');
+
+        assert.equal(botApi.requests[0].params.chat_id, 777);
+        assert.match(botApi.requests[0].params.text, /Новый заказ <b>#/);
+        assert.match(botApi.requests[0].params.text, /@buyer/);
+        assert.match(botApi.requests[0].params.text, /Гемы × 2 = 200\.00/);
+    });
+
+    it('при 429 ждет retry_after и доставляет уведомление повторной попыткой', async () => {
+        botApi.respondWith({ ok: false, error_code: 429, description: 'Too Many Requests: retry after 42', parameters: { retry_after: 42 } });
+
+        const startedAt = Date.now();
+        const { notification } = await notifyBuyer();
+
+        assert.equal(notification.status, 'pending');
+        assert.equal(notification.attempts, 1);
+        assert.match(notification.lastError, /Too Many Requests/);
+        assert.ok(notification.nextAttemptAt.getTime() >= startedAt + 42 * 1000);
+
+        // Пауза еще не прошла - обработчик очереди не трогает запись
+        await processOutbox();
+        assert.equal(botApi.requests.length, 1);
+
+        await makeDue(notification);
+        await processOutbox();
+
+        const retried = await NotificationOutbox.findById(notification._id);
+        assert.equal(retried.status, 'sent');
+        assert.equal(retried.attempts, 2);
+        assert.equal(botApi.requests.length, 2);
+    });
+
+    it('не повторяет отправку, если бот заблокирован пользователем (403)', async () => {
+        botApi.respondWith({ ok: false, error_code: 403, description: 'Forbidden: bot was blocked by the user' });
+
+        const { notification } = await notifyBuyer();
+        assert.equal(notification.status, 'failed');
+
+        await makeDue(notification);
+        await processOutbox();
+        assert.equal(botApi.requests.length, 1);
+    });
+
+    it('оставляет уведомление в очереди при недоступном Bot API и отправляет его позже', async () => {
+        process.env.TELEGRAM_API_URL = 'http://127.0.0.1:1'; // Порт, на котором никто не слушает
+        const { notification } = await notifyBuyer();
+        process.env.TELEGRAM_API_URL = botApi.url;
+
+        assert.equal(notification.status, 'pending');
+        assert.match(notification.lastError, /Сетевая ошибка при вызове sendMessage/);
+
+        await makeDue(notification);
+        await processOutbox();
+        assert.equal((await NotificationOutbox.findById(notification._id)).status, 'sent');
+    });
+});
\ No newline at end of file
@@ -0,0 +1,244 @@
+// Файл: tests/orderStatus.test.js
+// Назначение: Тесты машины состояний заказа - допустимые переходы, история, одновременная смена статуса и возврат оплаты.
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const Order = require('../models/Order');
+const Product = require('../models/Product');
+const { registerProvider } = require('../services/payments');
+const { changeOrderStatus } = require('../services/orderStatusService');
+const { connectTestDb, clearTestDb, disconnectTestDb, createUser, createProduct, createOrder } = require('./helpers/db');
+
+// Тестовый провайдер: считает возвраты и держит каждый возврат "в полете", пока тест не отпустит его
+const refunds = [];
+let failNextRefund = false;
+let releaseRefund = () => {};
+registerProvider({
+    name: 'test-refund',
+    title: 'Тестовый возврат',
+    requiresScreenshot: false,
+    initialOrderStatus: 'pending',
+    createInvoice: async () => null,
+    verifyWebhook: () => false,
+    parseWebhook: () => ({ event: 'ignored' }),
+    refund: async (order) => {
+        refunds.push(String(order._id));
+        await new Promise((resolve) => { releaseRefund = resolve; });
+        if (failNextRefund) {
+            failNextRefund = false;
+            throw new Error('Провайдер недоступен');
+        }
+        return { refundId: `refund_${refunds.length}` };
+    },
+});
+
+// Ожидание, пока провайдер не получит запрос на возврат
+const waitForRefundCall = async () => {
+    while (refunds.length === 0) {
+        await new Promise((resolve) => setImmediate(resolve));
+    }
+};
+
+describe('Смена статуса заказа', () => {
+    before(connectTestDb);
+    after(disconnectTestDb);
+    beforeEach(clearTestDb);
+
+    const getStock = async (productId) => (await Product.findById(productId)).stock;
+
+    // Заказ на 2 шт. товара, остаток которого после оформления - 5 шт.
+    const setup = async (status = 'processing') => {
+        const product = await createProduct({ stock: 5 });
+        const order = await createOrder({ user: await createUser(), product, quantity: 2, status });
+        return { product, order };
+    };
+
+    it('сохраняет новый статус и запись истории', async () => {
+        const { order } = await setup('paid-pending');
+        const manager = await createUser({ role: 'manager' });
+
+        const updated = await changeOrderStatus(order, 'processing', { changedBy: manager._id, comment: 'Оплата проверена' });
+
+        assert.equal(updated.status, 'processing');
+        assert.equal(updated.statusLockedUntil, null);
+        const entry = updated.statusHistory[updated.statusHistory.length - 1];
+        assert.equal(entry.status, 'processing');
+        assert.equal(entry.fromStatus, 'paid-pending');
+        assert.equal(entry.changedBy.toString(), manager._id.toString());
+        assert.equal(entry.comment, 'Оплата проверена');
+    });
+
+    it('запрещает переход, которого нет в графе, и возвращает допустимые статусы', async () => {
+        const { order } = await setup('completed');
+
+        await assert.rejects(changeOrderStatus(order, 'processing'), (error) => {
+            assert.equal(error.name, 'OrderStatusError');
+            assert.equal(error.statusCode, 400);
+            assert.deepEqual(error.details.allowedStatuses, ['refunded']);
+            return true;
+        });
+        assert.equal((await Order.findById(order._id)).status, 'completed');
+    });
+
+    it('отклоняет неизвестный статус и переход в текущий статус', async () => {
+        const { order } = await setup();
+
+        await assert.rejects(changeOrderStatus(order, 'shipped'), { statusCode: 400 });
+        await assert.rejects(changeOrderStatus(order, 'processing'), { statusCode: 400 });
+    });
+
+    it('возвращает товар на склад при возврате и снова списывает при отмене возврата', async () => {
+        const { product, order } = await setup();
+
+        const refunded = await changeOrderStatus(order, 'refunded');
+        assert.equal(await getStock(product._id), 7);
+
+        await changeOrderStatus(refunded, 'processing');
+        assert.equal(await getStock(product._id), 5);
+    });
+
+    it('при двух одновременных возвратах возвращает товар на склад один раз', async () => {
+        const { product, order } = await setup();
+
+        const results = await Promise.allSettled([
+            changeOrderStatus(order, 'refunded'),
+            changeOrderStatus(order, 'refunded'),
+        ]);
+
+        assert.equal(results.filter(r => r.status === 'fulfilled').length, 1);
+        assert.equal(results.find(r => r.status === 'rejected').reason.statusCode, 409);
+        assert.equal(await getStock(product._id), 7);
+        assert.equal((await Order.findById(order._id)).statusHistory.length, 2);
+    });
+
+    it('не трогает склад, если статус заказа прямо сейчас меняет другой запрос', async () => {
+        const { product, order } = await setup();
+        await Order.updateOne({ _id: order._id }, { $set: { statusLockedUntil: new Date(Date.now() + 60 * 1000) } });
+
+        await assert.rejects(changeOrderStatus(order, 'refunded'), { name: 'OrderStatusError', statusCode: 409 });
+
+        assert.equal(await getStock(product._id), 5);
+        assert.equal((await Order.findById(order._id)).status, 'processing');
+    });
+
+    it('позволяет сменить статус после истечения блокировки упавшего запроса', async () => {
+        const { order } = await setup();
+        await Order.updateOne({ _id: order._id }, { $set: { statusLockedUntil: new Date(Date.now() - 1000) } });
+
+        const updated = await changeOrderStatus(order, 'completed');
+
+        assert.equal(updated.status, 'completed');
+    });
+
+    it('оставляет прежний статус и снимает блокировку, если товара для отмены возврата не хватает', async () => {
+        const { product, order } = await setup('refunded');
+        await Product.updateOne({ _id: product._id }, { $set: { stock: 1 } });
+
+        await assert.rejects(changeOrderStatus(order, 'processing'), { name: 'StockError', statusCode: 400 });
+
+        const unchanged = await Order.findById(order._id);
+        assert.equal(unchanged.status, 'refunded');
+        assert.equal(unchanged.statusLockedUntil, null);
+        assert.equal(await getStock(product._id), 1);
+
+        // Блокировка снята - другой переход сразу доступен
+        await Product.updateOne({ _id: product._id }, { $set: { stock: 5 } });
+        assert.equal((await changeOrderStatus(unchanged, 'processing')).status, 'processing');
+    });
+
+    it('отменяет эффекты и снимает блокировку, если статус не удалось сохранить', async (t) => {
+        const { product, order } = await setup();
+        const originalFindOneAndUpdate = Order.findOneAndUpdate;
+        let calls = 0;
+        // Первый вызов - захват перехода, второй - сохранение статуса (он и "падает")
+        t.mock.method(Order, 'findOneAndUpdate', function (...args) {
+            calls += 1;
+            if (calls === 2) throw new Error('Сбой записи статуса');
+            return originalFindOneAndUpdate.apply(this, args);
+        });
+
+        await assert.rejects(changeOrderStatus(order, 'refunded'), { message: 'Сбой записи статуса' });
+
+        const unchanged = await Order.findById(order._id);
+        assert.equal(unchanged.status, 'processing');
+        assert.equal(unchanged.statusLockedUntil, null);
+        assert.equal(await getStock(product._id), 5);
+    });
+
+    describe('Возврат оплаты через провайдера', () => {
+        beforeEach(() => {
+            refunds.length = 0;
+            failNextRefund = false;
+        });
+
+        const setupPaid = async () => {
+            const product = await createProduct({ stock: 5 });
+            const order = await createOrder({
+                user: await createUser(),
+                product,
+                quantity: 2,
+                payment: { provider: 'test-refund', status: 'paid', chargeId: 'charge_1' },
+            });
+            return { product, order };
+        };
+
+        it('возвращает деньги один раз при двух одновременных запросах на возврат', async () => {
+            const { product, order } = await setupPaid();
+
+            const pending = Promise.allSettled([changeOrderStatus(order, 'refunded'), changeOrderStatus(order, 'refunded')]);
+            await waitForRefundCall();
+            releaseRefund();
+            const results = await pending;
+
+            assert.equal(refunds.length, 1);
+            assert.deepEqual(results.map(result => result.status).sort(), ['fulfilled', 'rejected']);
+            assert.equal(results.find(result => result.status === 'rejected').reason.statusCode, 409);
+
+            const updated = await Order.findById(order._id);
+            assert.equal(updated.status, 'refunded');
+            assert.equal(updated.payment.status, 'refunded');
+            assert.equal(updated.payment.refundId, 'refund_1');
+            assert.equal(await getStock(product._id), 7);
+        });
+
+        it('не дает сменить статус заказа, пока идет возврат оплаты', async () => {
+            const { order } = await setupPaid();
+
+            const refund = changeOrderStatus(order, 'refunded');
+            await waitForRefundCall();
+            await assert.rejects(changeOrderStatus(order, 'completed'), { name: 'OrderStatusError', statusCode: 409 });
+            releaseRefund();
+            await refund;
+
+            assert.equal((await Order.findById(order._id)).status, 'refunded');
+        });
+
+        it('оставляет заказ оплаченным и откатывает склад, если провайдер не смог вернуть деньги', async () => {
+            const { product, order } = await setupPaid();
+            failNextRefund = true;
+
+            const refund = changeOrderStatus(order, 'refunded');
+            await waitForRefundCall();
+            releaseRefund();
+            await assert.rejects(refund, { name: 'PaymentError', statusCode: 502 });
+
+            const updated = await Order.findById(order._id);
+            assert.equal(updated.status, 'processing');
+            assert.equal(updated.statusLockedUntil, null);
+            assert.equal(updated.payment.status, 'paid');
+            assert.equal(updated.payment.lastError, 'Провайдер недоступен');
+            assert.equal(await getStock(product._id), 5);
+        });
+
+        it('не отменяет возврат, если деньги уже вернул провайдер', async () => {
+            const { order } = await setupPaid();
+            const refund = changeOrderStatus(order, 'refunded');
+            await waitForRefundCall();
+            releaseRefund();
+            const refunded = await refund;
+
+            await assert.rejects(changeOrderStatus(refunded, 'processing'), { name: 'OrderStatusError', statusCode: 400 });
+            assert.equal((await Order.findById(order._id)).status, 'refunded');
+        });
+    });
+});
\ No newline at end of file
@@ -0,0 +1,156 @@
+// Файл: tests/permissions.test.js
+// Назначение: Тесты ролей сотрудников и прав доступа на роутах (middleware authorize).
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const Category = require('../models/Category');
+const Order = require('../models/Order');
+const Product = require('../models/Product');
+const User = require('../models/User');
+const { hasPermission } = require('../config/roles');
+const { protect } = require('../middleware/authMiddleware');
+const orderRoutes = require('../routes/orders');
+const productRoutes = require('../routes/products');
+const categoryRoutes = require('../routes/categories');
+const userRoutes = require('../routes/users');
+const { connectTestDb, clearTestDb, disconnectTestDb, createUser, createCategory, createProduct, createOrder } = require('./helpers/db');
+const { createResponse } = require('./helpers/http');
+
+// --- Прогон цепочки middleware роута так же, как это делает Express ---
+// protect пропускается: пользователь из БД кладется в req.user тестом (как после успешной проверки токена).
+// Цепочка останавливается на первом обработчике, который не вызвал next (ответил или выбросил ошибку).
+const runRoute = async (router, method, routePath, user, req = {}) => {
+    const layer = router.stack.find(entry => entry.route && entry.route.path === routePath && entry.route.methods[method]);
+    assert.ok(layer, `Роут ${method.toUpperCase()} ${routePath} не найден`);
+
+    const fullReq = { params: {}, query: {}, body: {}, headers: {}, ...req, user: await User.findById(user._id) };
+    const res = createResponse();
+    res.error = null;
+    for (const { handle } of layer.route.stack.filter(entry => entry.handle !== protect)) {
+        let nextCalled = false;
+        try {
+            await handle(fullReq, res, (error) => {
+                if (error) res.error = error;
+                else nextCalled = true;
+            });
+        } catch (error) {
+            res.error = error;
+        }
+        if (!nextCalled) break;
+    }
+    return res;
+};
+
+describe('Роли и права доступа', () => {
+    before(connectTestDb);
+    after(disconnectTestDb);
+    beforeEach(clearTestDb);
+
+    it('дает каждой роли только ее права', () => {
+        assert.equal(hasPermission({ role: 'owner' }, 'users:manage'), true);
+        assert.equal(hasPermission({ role: 'manager' }, 'catalog:write'), true);
+        assert.equal(hasPermission({ role: 'manager' }, 'users:manage'), false);
+        assert.equal(hasPermission({ role: 'support' }, 'orders:read'), true);
+        assert.equal(hasPermission({ role: 'support' }, 'orders:update'), false);
+        assert.equal(hasPermission({ role: 'buyer' }, 'orders:read'), false);
+        // Неизвестная роль и отсутствие пользователя - права покупателя
+        assert.equal(hasPermission({ role: 'superuser' }, 'orders:read'), false);
+        assert.equal(hasPermission(null, 'orders:read'), false);
+    });
+
+    describe('Поддержка (support)', () => {
+        it('видит все заказы и чужой заказ целиком', async () => {
+            const support = await createUser({ role: 'support' });
+            const product = await createProduct();
+            const order = await createOrder({ user: await createUser(), product });
+            await createOrder({ user: await createUser(), product });
+
+            const list = await runRoute(orderRoutes, 'get', '/', support);
+            const single = await runRoute(orderRoutes, 'get', '/:id', support, { params: { id: order._id.toString() } });
+
+            assert.equal(list.statusCode, 200);
+            assert.equal(list.body.length, 2);
+            assert.equal(single.statusCode, 200);
+            assert.equal(single.body._id.toString(), order._id.toString());
+        });
+
+        it('получает 403 на изменение каталога и ничего не меняет', async () => {
+            const support = await createUser({ role: 'support' });
+            const category = await createCategory({ name: 'Игры' });
+            const product = await createProduct({ categoryId: category._id });
+
+            const createRes = await runRoute(productRoutes, 'post', '/', support, { body: { name: 'Новый', price: 1 } });
+            const updateRes = await runRoute(categoryRoutes, 'put', '/:id', support, { params: { id: category._id.toString() }, body: { name: 'Clash' } });
+            const archiveRes = await runRoute(productRoutes, 'delete', '/:id', support, { params: { id: product._id.toString() } });
+
+            assert.deepEqual([createRes.statusCode, updateRes.statusCode, archiveRes.statusCode], [403, 403, 403]);
+            assert.match(createRes.error.message, /catalog:write/);
+            assert.equal((await Category.findById(category._id)).name, 'Игры');
+            assert.equal(await Product.countDocuments(), 1);
+            assert.equal((await Product.findById(product._id)).archivedAt, null);
+        });
+
+        it('не может менять статус заказа', async () => {
+            const support = await createUser({ role: 'support' });
+            const order = await createOrder({ user: await createUser(), product: await createProduct(), status: 'paid-pending' });
+
+            const res = await runRoute(orderRoutes, 'put', '/:id/status', support, {
+                params: { id: order._id.toString() },
+                body: { status: 'processing' },
+            });
+
+            assert.equal(res.statusCode, 403);
+            assert.equal((await Order.findById(order._id)).status, 'paid-pending');
+        });
+    });
+
+    it('менеджер меняет каталог, а покупатель не видит чужие заказы', async () => {
+        const manager = await createUser({ role: 'manager' });
+        const buyer = await createUser();
+        const category = await createCategory({ name: 'Игры' });
+        const foreignOrder = await createOrder({ user: await createUser(), product: await createProduct() });
+
+        const rename = await runRoute(categoryRoutes, 'put', '/:id', manager, { params: { id: category._id.toString() }, body: { name: 'Clash' } });
+        const list = await runRoute(orderRoutes, 'get', '/', buyer);
+        const single = await runRoute(orderRoutes, 'get', '/:id', buyer, { params: { id: foreignOrder._id.toString() } });
+
+        assert.equal(rename.statusCode, 200);
+        assert.equal((await Category.findById(category._id)).name, 'Clash');
+        assert.equal(list.statusCode, 403);
+        assert.equal(single.statusCode, 403);
+    });
+
+    describe('Назначение ролей', () => {
+        it('владелец назначает и снимает роль, и права меняются сразу', async () => {
+            const owner = await createUser({ role: 'owner' });
+            const employee = await createUser();
+
+            const granted = await runRoute(userRoutes, 'put', '/:id/role', owner, { params: { id: employee._id.toString() }, body: { role: 'support' } });
+            assert.equal(granted.statusCode, 200);
+            assert.ok(granted.body.permissions.includes('orders:read'));
+            assert.equal((await runRoute(orderRoutes, 'get', '/', employee)).statusCode, 200);
+
+            await runRoute(userRoutes, 'put', '/:id/role', owner, { params: { id: employee._id.toString() }, body: { role: 'buyer' } });
+            assert.equal((await runRoute(orderRoutes, 'get', '/', employee)).statusCode, 403);
+
+            const stored = await User.findById(employee._id);
+            assert.equal(stored.roleUpdatedBy.toString(), owner._id.toString());
+        });
+
+        it('не дает менеджеру назначать роли, а владельцу - менять свою роль или задать неизвестную', async () => {
+            const owner = await createUser({ role: 'owner' });
+            const manager = await createUser({ role: 'manager' });
+            const buyer = await createUser();
+
+            const byManager = await runRoute(userRoutes, 'put', '/:id/role', manager, { params: { id: buyer._id.toString() }, body: { role: 'owner' } });
+            const ownRole = await runRoute(userRoutes, 'put', '/:id/role', owner, { params: { id: owner._id.toString() }, body: { role: 'buyer' } });
+            const unknownRole = await runRoute(userRoutes, 'put', '/:id/role', owner, { params: { id: buyer._id.toString() }, body: { role: 'admin' } });
+
+            assert.equal(byManager.statusCode, 403);
+            assert.equal(ownRole.statusCode, 400);
+            assert.equal(unknownRole.statusCode, 400);
+            assert.equal((await User.findById(buyer._id)).role, 'buyer');
+            assert.equal((await User.findById(owner._id)).role, 'owner');
+        });
+    });
+});
\ No newline at end of file
@@ -0,0 +1,67 @@
+// Файл: tests/productCategories.test.js
+// Назначение: Тесты фильтрации товаров по поддереву категорий и полного пути категории в ответе.
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { getAllProducts, getProductById } = require('../controllers/productController');
+const { connectTestDb, clearTestDb, disconnectTestDb, createCategory, createProduct } = require('./helpers/db');
+const { callWithCurrency } = require('./helpers/http');
+
+describe('Товары и иерархия категорий', () => {
+    before(connectTestDb);
+    after(disconnectTestDb);
+    beforeEach(clearTestDb);
+
+    // Brawl Stars -> Гемы, товар в каждой категории и один товар в посторонней категории
+    const createCatalog = async () => {
+        const brawl = await createCategory({ name: 'Brawl Stars' });
+        const gems = await createCategory({ name: 'Гемы', parentId: brawl._id });
+        const other = await createCategory({ name: 'Clash Royale' });
+        await createProduct({ name: 'Brawl Pass', categoryId: brawl._id });
+        await createProduct({ name: '30 гемов', categoryId: gems._id });
+        await createProduct({ name: 'Пропуск Royale', categoryId: other._id });
+        return { brawl, gems, other };
+    };
+
+    const productNames = (res) => res.body.products.map(product => product.name).sort();
+
+    it('по умолчанию включает товары из подкатегорий', async () => {
+        const { brawl } = await createCatalog();
+
+        const res = await callWithCurrency(getAllProducts, { query: { categoryId: brawl._id.toString() } });
+
+        assert.equal(res.statusCode, 200);
+        assert.equal(res.body.count, 2);
+        assert.deepEqual(productNames(res), ['30 гемов', 'Brawl Pass']);
+    });
+
+    it('с includeDescendants=false возвращает только товары самой категории', async () => {
+        const { brawl } = await createCatalog();
+
+        const res = await callWithCurrency(getAllProducts, {
+            query: { categoryId: brawl._id.toString(), includeDescendants: 'false' },
+        });
+
+        assert.deepEqual(productNames(res), ['Brawl Pass']);
+    });
+
+    it('добавляет к товарам в списке полный путь категории', async () => {
+        const { gems } = await createCatalog();
+
+        const res = await callWithCurrency(getAllProducts, { query: { categoryId: gems._id.toString() } });
+
+        assert.deepEqual(res.body.products[0].categoryPath.map(item => item.name), ['Brawl Stars', 'Гемы']);
+    });
+
+    it('добавляет полный путь категории к карточке товара', async () => {
+        const brawl = await createCategory({ name: 'Brawl Stars' });
+        const gems = await createCategory({ name: 'Гемы', parentId: brawl._id });
+        const product = await createProduct({ categoryId: gems._id });
+
+        const res = await callWithCurrency(getProductById, { params: { id: product._id.toString() } });
+
+        assert.equal(res.statusCode, 200);
+        assert.deepEqual(res.body.categoryPath.map(item => item.name), ['Brawl Stars', 'Гемы']);
+        assert.equal(res.body.categoryId.name, 'Гемы');
+    });
+});
\ No newline at end of file
@@ -0,0 +1,151 @@
+// Файл: tests/productSearch.test.js
+// Назначение: Тесты полнотекстового поиска, фильтров и сортировок каталога (GET /api/products).
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const Product = require('../models/Product');
+const { getAllProducts } = require('../controllers/productController');
+const { updateCategory } = require('../controllers/categoryController');
+const { reserveStock, releaseStock } = require('../services/stockService');
+const { connectTestDb, clearTestDb, disconnectTestDb, createUser, createCategory, createProduct } = require('./helpers/db');
+const { callHandler, callWithCurrency } = require('./helpers/http');
+
+const requestCatalog = (query) => callWithCurrency(getAllProducts, { query });
+const names = (res) => res.body.products.map(product => product.name);
+
+describe('Поиск и сортировка каталога', () => {
+    before(connectTestDb);
+    after(disconnectTestDb);
+    beforeEach(clearTestDb);
+
+    describe('Полнотекстовый поиск', () => {
+        it('ставит совпадение в названии выше совпадения в описании', async () => {
+            await createProduct({ name: 'Набор ресурсов', description: 'Внутри гемы и золото' });
+            await createProduct({ name: 'Гемы Brawl Stars' });
+            await createProduct({ name: 'Золото' });
+
+            const res = await requestCatalog({ keyword: 'гемы' });
+
+            assert.equal(res.statusCode, 200);
+            assert.equal(res.body.count, 2);
+            assert.deepEqual(names(res), ['Гемы Brawl Stars', 'Набор ресурсов']);
+        });
+
+        it('находит товар по названию категории', async () => {
+            const category = await createCategory({ name: 'Supercell' });
+            await createProduct({ name: 'Brawl Pass', categoryId: category._id });
+            await createProduct({ name: 'Золото' });
+
+            const res = await requestCatalog({ keyword: 'supercell' });
+
+            assert.deepEqual(names(res), ['Brawl Pass']);
+        });
+
+        it('обновляет название категории в товарах при переименовании категории', async () => {
+            const admin = await createUser();
+            const category = await createCategory({ name: 'Старое' });
+            const product = await createProduct({ categoryId: category._id });
+
+            await callHandler(updateCategory, {
+                user: { id: admin._id.toString() },
+                params: { id: category._id.toString() },
+                body: { name: 'Clash' },
+            });
+
+            assert.equal((await Product.findById(product._id)).categoryName, 'Clash');
+            assert.equal((await requestCatalog({ keyword: 'clash' })).body.count, 1);
+        });
+
+        it('не интерпретирует спецсимволы в запросе как регулярное выражение', async () => {
+            await createProduct({ name: 'Гемы' });
+
+            const res = await requestCatalog({ keyword: '.*(' });
+
+            assert.equal(res.statusCode, 200);
+            assert.equal(res.body.count, 0);
+        });
+
+        it('при явной сортировке упорядочивает результаты поиска по ней', async () => {
+            await createProduct({ name: 'Гемы', price: 300 });
+            await createProduct({ name: 'Дешевый набор', description: 'гемы', price: 50 });
+
+            const res = await requestCatalog({ keyword: 'гемы', sort: 'price_asc' });
+
+            assert.deepEqual(names(res), ['Дешевый набор', 'Гемы']);
+        });
+    });
+
+    describe('Фильтры', () => {
+        it('фильтрует по диапазону цены', async () => {
+            await createProduct({ name: 'Дешевый', price: 50 });
+            await createProduct({ name: 'Средний', price: 150 });
+            await createProduct({ name: 'Дорогой', price: 500 });
+
+            const res = await requestCatalog({ minPrice: '100', maxPrice: '200' });
+
+            assert.deepEqual(names(res), ['Средний']);
+        });
+
+        it('показывает только товары в наличии и со скидкой', async () => {
+            await createProduct({ name: 'Нет в наличии', stock: 0, oldPrice: 200 });
+            await createProduct({ name: 'Без скидки' });
+            await createProduct({ name: 'Со скидкой', oldPrice: 200 });
+
+            const inStock = await requestCatalog({ inStock: 'true', sort: 'price_asc' });
+            const onSale = await requestCatalog({ inStock: 'true', onSale: 'true' });
+
+            assert.equal(inStock.body.count, 2);
+            assert.deepEqual(names(onSale), ['Со скидкой']);
+        });
+
+        it('отклоняет неизвестную сортировку и нечисловую цену', async () => {
+            const badSort = await requestCatalog({ sort: 'cheapest' });
+            const badPrice = await requestCatalog({ minPrice: 'дешево' });
+
+            assert.equal(badSort.statusCode, 400);
+            assert.equal(badPrice.statusCode, 400);
+        });
+    });
+
+    describe('Сортировка и пагинация', () => {
+        it('сортирует по цене, рейтингу и популярности', async () => {
+            await createProduct({ name: 'A', price: 300, rating: 4, numReviews: 10, soldCount: 5 });
+            await createProduct({ name: 'B', price: 100, rating: 5, numReviews: 2, soldCount: 50 });
+            await createProduct({ name: 'C', price: 200, rating: 4, numReviews: 3, soldCount: 0 });
+
+            assert.deepEqual(names(await requestCatalog({ sort: 'price_asc' })), ['B', 'C', 'A']);
+            assert.deepEqual(names(await requestCatalog({ sort: 'price_desc' })), ['A', 'C', 'B']);
+            assert.deepEqual(names(await requestCatalog({ sort: 'rating' })), ['B', 'A', 'C']);
+            assert.deepEqual(names(await requestCatalog({ sort: 'popular' })), ['B', 'A', 'C']);
+        });
+
+        it('ограничивает размер страницы и не повторяет товары между страницами', async () => {
+            for (let i = 0; i < 5; i++) {
+                await createProduct({ name: `Товар ${i}`, price: 100 });
+            }
+
+            const clamped = await requestCatalog({ pageSize: '1000' });
+            assert.equal(clamped.body.pageSize, 48);
+
+            const first = await requestCatalog({ sort: 'price_asc', pageSize: '2' });
+            const second = await requestCatalog({ sort: 'price_asc', pageSize: '2', pageNumber: '2' });
+            const third = await requestCatalog({ sort: 'price_asc', pageSize: '2', pageNumber: '3' });
+            const all = [...names(first), ...names(second), ...names(third)];
+
+            assert.equal(first.body.pages, 3);
+            assert.equal(new Set(all).size, 5);
+        });
+
+        it('учитывает продажи при резервировании и возврате остатка', async () => {
+            const product = await createProduct({ stock: 10 });
+
+            await reserveStock([{ productId: product._id.toString(), quantity: 3 }]);
+            assert.equal((await Product.findById(product._id)).soldCount, 3);
+
+            await releaseStock([{ productId: product._id.toString(), quantity: 5 }]);
+            const released = await Product.findById(product._id);
+            assert.equal(released.soldCount, 0);
+            assert.equal(released.stock, 12);
+        });
+    });
+});
\ No newline at end of file
@@ -0,0 +1,147 @@
+// Файл: tests/reviewModeration.test.js
+// Назначение: Тесты модерации отзывов: массовое одобрение/отклонение, список для админки и публичный список.
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Review = require('../models/Review');
+const Product = require('../models/Product');
+const { approveReviews, rejectReviews, getAllReviews, getProductReviews } = require('../controllers/reviewController');
+const { connectTestDb, clearTestDb, disconnectTestDb, createUser, createProduct } = require('./helpers/db');
+const { callHandler } = require('./helpers/http');
+
+const moderate = (handler, admin, body) => callHandler(handler, { user: { id: admin._id.toString() }, body });
+
+describe('Модерация отзывов', () => {
+    before(connectTestDb);
+    after(disconnectTestDb);
+    beforeEach(clearTestDb);
+
+    // Отзывы разных покупателей на один товар (по умолчанию - ожидают модерации)
+    const createReviews = async (product, ratings, fields = {}) => {
+        const reviews = [];
+        for (const rating of ratings) {
+            const author = await createUser();
+            reviews.push(await Review.create({
+                user: author._id,
+                product: product._id,
+                order: new mongoose.Types.ObjectId(),
+                authorName: author.firstName,
+                rating,
+                ...fields,
+            }));
+        }
+        return reviews;
+    };
+
+    it('новый отзыв ожидает модерации и не учитывается в рейтинге', async () => {
+        const product = await createProduct();
+        await createReviews(product, [5]);
+        await Review.calculateAverageRating(product._id);
+
+        const res = await callHandler(getProductReviews, { query: { productId: product._id.toString() } });
+        const updatedProduct = await Product.findById(product._id);
+
+        assert.deepEqual(res.body, []);
+        assert.equal(updatedProduct.numReviews, 0);
+    });
+
+    it('массово одобряет отзывы и пересчитывает рейтинг товара', async () => {
+        const admin = await createUser();
+        const product = await createProduct();
+        const reviews = await createReviews(product, [5, 3, 1]);
+
+        const res = await moderate(approveReviews, admin, { ids: [reviews[0]._id, reviews[1]._id] });
+
+        assert.equal(res.statusCode, 200);
+        assert.equal(res.body.modified, 2);
+
+        const approved = await Review.findById(reviews[0]._id);
+        assert.equal(approved.status, 'approved');
+        assert.equal(approved.moderatedBy.toString(), admin._id.toString());
+        assert.ok(approved.moderatedAt);
+
+        const updatedProduct = await Product.findById(product._id);
+        assert.equal(updatedProduct.numReviews, 2);
+        assert.equal(updatedProduct.rating, 4);
+
+        const publicList = await callHandler(getProductReviews, { query: { productId: product._id.toString() } });
+        assert.equal(publicList.body.length, 2);
+    });
+
+    it('отклоняет отзывы только с указанием причины', async () => {
+        const admin = await createUser();
+        const product = await createProduct();
+        const [review] = await createReviews(product, [2]);
+
+        const withoutReason = await moderate(rejectReviews, admin, { ids: [review._id] });
+        assert.equal(withoutReason.statusCode, 400);
+
+        const res = await moderate(rejectReviews, admin, { ids: [review._id], reason: 'Спам' });
+        assert.equal(res.statusCode, 200);
+
+        const rejected = await Review.findById(review._id);
+        assert.equal(rejected.status, 'rejected');
+        assert.equal(rejected.rejectionReason, 'Спам');
+    });
+
+    it('снимает одобренный отзыв из рейтинга после отклонения', async () => {
+        const admin = await createUser();
+        const product = await createProduct();
+        const reviews = await createReviews(product, [5, 1], { status: 'approved' });
+        await Review.calculateAverageRating(product._id);
+
+        await moderate(rejectReviews, admin, { ids: [reviews[1]._id], reason: 'Не по теме' });
+
+        const updatedProduct = await Product.findById(product._id);
+        assert.equal(updatedProduct.numReviews, 1);
+        assert.equal(updatedProduct.rating, 5);
+    });
+
+    it('возвращает 400 без списка ID и 404 для несуществующих отзывов', async () => {
+        const admin = await createUser();
+
+        const empty = await moderate(approveReviews, admin, { ids: [] });
+        const missing = await moderate(approveReviews, admin, { ids: [new mongoose.Types.ObjectId()] });
+        const invalid = await moderate(approveReviews, admin, { ids: ['не-id'] });
+
+        assert.equal(empty.statusCode, 400);
+        assert.equal(missing.statusCode, 404);
+        assert.equal(invalid.statusCode, 400);
+    });
+
+    it('считает старые отзывы без статуса опубликованными', async () => {
+        const product = await createProduct();
+        const [review] = await createReviews(product, [4]);
+        await Review.collection.updateOne({ _id: review._id }, { $unset: { status: '' } });
+
+        const publicList = await callHandler(getProductReviews, { query: { productId: product._id.toString() } });
+        const adminList = await callHandler(getAllReviews, { query: { status: 'approved' } });
+
+        assert.equal(publicList.body.length, 1);
+        assert.equal(adminList.body.count, 1);
+    });
+
+    it('фильтрует список для админки по статусу и разбивает его на страницы', async () => {
+        const product = await createProduct();
+        await createReviews(product, [5, 4, 3]);
+        await createReviews(product, [2], { status: 'rejected', rejectionReason: 'Спам' });
+
+        const firstPage = await callHandler(getAllReviews, { query: { status: 'pending', pageSize: '2' } });
+        const secondPage = await callHandler(getAllReviews, { query: { status: 'pending', pageSize: '2', pageNumber: '2' } });
+        const rejected = await callHandler(getAllReviews, { query: { status: 'rejected' } });
+
+        assert.equal(firstPage.statusCode, 200);
+        assert.equal(firstPage.body.count, 3);
+        assert.equal(firstPage.body.pages, 2);
+        assert.equal(firstPage.body.reviews.length, 2);
+        assert.equal(secondPage.body.reviews.length, 1);
+        assert.equal(rejected.body.count, 1);
+    });
+
+    it('отклоняет неизвестный статус в фильтре', async () => {
+        const res = await callHandler(getAllReviews, { query: { status: 'deleted' } });
+
+        assert.equal(res.statusCode, 400);
+    });
+});
\ No newline at end of file
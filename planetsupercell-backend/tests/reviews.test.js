@@ -0,0 +1,87 @@
+// Файл: tests/reviews.test.js
+// Назначение: Тесты отзывов по позициям заказа и списка товаров, ожидающих отзыва (GET /api/reviews/pending).
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const Order = require('../models/Order');
+const { createReview, getPendingReviews } = require('../controllers/reviewController');
+const { connectTestDb, clearTestDb, disconnectTestDb, createUser, createProduct } = require('./helpers/db');
+const { callHandler } = require('./helpers/http');
+
+const requestPendingReviews = (user) => callHandler(getPendingReviews, { user: { id: user._id.toString() } });
+
+const postReview = (user, body) => callHandler(createReview, {
+    user: { id: user._id.toString(), firstName: user.firstName },
+    body,
+});
+
+describe('Отзывы по позициям заказа', () => {
+    before(connectTestDb);
+    after(disconnectTestDb);
+    beforeEach(clearTestDb);
+
+    // Выполненный заказ из двух товаров
+    const createCompletedOrder = async (user) => {
+        const [first, second] = await Promise.all([createProduct({ name: 'Первый' }), createProduct({ name: 'Второй' })]);
+        const order = await Order.create({
+            user: user._id,
+            items: [
+                { productId: first._id, name: first.name, quantity: 1, price: 100 },
+                { productId: second._id, name: second.name, quantity: 1, price: 100 },
+            ],
+            totalAmount: 200,
+            status: 'completed',
+        });
+        return { order, first, second };
+    };
+
+    it('показывает оба товара выполненного заказа без отзывов', async () => {
+        const user = await createUser();
+        await createCompletedOrder(user);
+
+        const res = await requestPendingReviews(user);
+
+        assert.equal(res.statusCode, 200);
+        assert.deepEqual(res.body.map(item => item.name).sort(), ['Второй', 'Первый']);
+    });
+
+    it('после отзыва на одну позицию продолжает показывать вторую', async () => {
+        const user = await createUser();
+        const { order, first } = await createCompletedOrder(user);
+
+        const review = await postReview(user, { productId: first._id.toString(), orderId: order._id.toString(), rating: 5 });
+        assert.equal(review.statusCode, 201);
+
+        const updatedOrder = await Order.findById(order._id);
+        assert.equal(updatedOrder.items[0].reviewSubmitted, true);
+        assert.equal(updatedOrder.reviewSubmitted, false);
+
+        const res = await requestPendingReviews(user);
+        assert.deepEqual(res.body.map(item => item.name), ['Второй']);
+    });
+
+    it('не принимает второй отзыв на ту же позицию', async () => {
+        const user = await createUser();
+        const { order, first } = await createCompletedOrder(user);
+        const body = { productId: first._id.toString(), orderId: order._id.toString(), rating: 4 };
+
+        await postReview(user, body);
+        const repeated = await postReview(user, body);
+
+        assert.equal(repeated.statusCode, 400);
+    });
+
+    it('не показывает товары из заказов, где отзывы оставлены на все позиции или заказ не выполнен', async () => {
+        const user = await createUser();
+        const product = await createProduct();
+        const item = { productId: product._id, name: product.name, quantity: 1, price: 100 };
+        await Order.create([
+            { user: user._id, items: [{ ...item, reviewSubmitted: true }], totalAmount: 100, status: 'completed' },
+            { user: user._id, items: [item], totalAmount: 100, status: 'processing' },
+        ]);
+
+        const res = await requestPendingReviews(user);
+
+        assert.deepEqual(res.body, []);
+    });
+});
\ No newline at end of file
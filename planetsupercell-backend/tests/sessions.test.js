@@ -0,0 +1,162 @@
+// Файл: tests/sessions.test.js
+// Назначение: Тесты сессий: ротация refresh-токенов, отзыв сессии при повторном использовании токена, выход и проверка сессии в protect.
+
+process.env.JWT_SECRET = 'test-jwt-secret';
+process.env.TELEGRAM_BOT_TOKEN = '123456:test-bot-token';
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+const { SESSION_ERROR_CODES, createSession, refreshSession } = require('../services/sessionService');
+const { refreshTokens, logout, logoutAll } = require('../controllers/authController');
+const { revokeUserSessionsByAdmin } = require('../controllers/userController');
+const { protect } = require('../middleware/authMiddleware');
+const { connectTestDb, clearTestDb, disconnectTestDb, createUser } = require('./helpers/db');
+const { callHandler } = require('./helpers/http');
+
+// Запрос, из которого сессия берет информацию об устройстве
+const deviceRequest = { headers: { 'user-agent': 'node-test' }, ip: '127.0.0.1' };
+
+// Проверка access-токена так же, как на защищенном роуте
+const authenticate = (token) => callHandler(protect, { headers: { authorization: `Bearer ${token}` } });
+
+// Проверяет, что промис отклонен SessionError с нужным HTTP-статусом и кодом причины
+const assertSessionError = (promise, statusCode, code) => assert.rejects(promise, (error) => {
+    assert.equal(error.name, 'SessionError');
+    assert.equal(error.statusCode, statusCode);
+    assert.equal(error.details.code, code);
+    return true;
+});
+
+describe('Сессии', () => {
+    let user;
+
+    before(connectTestDb);
+    after(disconnectTestDb);
+    beforeEach(async () => {
+        await clearTestDb();
+        user = await createUser();
+    });
+
+    it('выдает при входе пару токенов, и protect принимает access-токен сессии', async () => {
+        const tokens = await createSession(user, deviceRequest);
+
+        const res = await authenticate(tokens.token);
+
+        assert.equal(res.nextCalled, true);
+        assert.equal(res.req.user._id.toString(), user._id.toString());
+        assert.equal(res.req.sessionId, tokens.sessionId.toString());
+        const session = await Session.findById(tokens.sessionId);
+        assert.equal(session.userAgent, 'node-test');
+        assert.notEqual(session.refreshTokenHash, tokens.refreshToken); // Хранится только хеш
+    });
+
+    describe('Обновление токенов', () => {
+        it('заменяет refresh-токен новым в той же сессии', async () => {
+            const first = await createSession(user, deviceRequest);
+
+            const { user: refreshedUser, tokens: second } = await refreshSession(first.refreshToken, deviceRequest);
+            const { tokens: third } = await refreshSession(second.refreshToken, deviceRequest);
+
+            assert.equal(refreshedUser._id.toString(), user._id.toString());
+            assert.notEqual(second.refreshToken, first.refreshToken);
+            assert.equal(second.sessionId.toString(), first.sessionId.toString());
+            assert.equal(third.sessionId.toString(), first.sessionId.toString());
+            assert.equal((await authenticate(third.token)).nextCalled, true);
+            assert.equal(await Session.countDocuments(), 1);
+        });
+
+        it('отзывает сессию, если предъявлен уже замененный refresh-токен', async () => {
+            const first = await createSession(user, deviceRequest);
+            const { tokens: second } = await refreshSession(first.refreshToken, deviceRequest);
+
+            await assertSessionError(refreshSession(first.refreshToken, deviceRequest), 401, SESSION_ERROR_CODES.REFRESH_TOKEN_REUSED);
+
+            const session = await Session.findById(first.sessionId);
+            assert.ok(session.revokedAt);
+            assert.equal(session.revokeReason, 'refresh-token-reuse');
+            // Новый токен из той же сессии тоже больше не действует
+            await assertSessionError(refreshSession(second.refreshToken, deviceRequest), 401, SESSION_ERROR_CODES.SESSION_REVOKED);
+            assert.equal((await authenticate(second.token)).statusCode, 401);
+        });
+
+        it('отклоняет пустой, неизвестный и истекший refresh-токен', async () => {
+            const tokens = await createSession(user, deviceRequest);
+            const expired = await createSession(user, deviceRequest);
+            await Session.updateOne({ _id: expired.sessionId }, { $set: { expiresAt: new Date(Date.now() - 1000) } });
+
+            await assertSessionError(refreshSession(undefined, deviceRequest), 400, SESSION_ERROR_CODES.REFRESH_TOKEN_MISSING);
+            await assertSessionError(refreshSession(`${tokens.refreshToken}x`, deviceRequest), 401, SESSION_ERROR_CODES.REFRESH_TOKEN_INVALID);
+            await assertSessionError(refreshSession(expired.refreshToken, deviceRequest), 401, SESSION_ERROR_CODES.SESSION_EXPIRED);
+        });
+
+        it('возвращает клиенту код причины отказа', async () => {
+            const tokens = await createSession(user, deviceRequest);
+            await refreshSession(tokens.refreshToken, deviceRequest);
+
+            const res = await callHandler(refreshTokens, { ...deviceRequest, body: { refreshToken: tokens.refreshToken } });
+
+            assert.equal(res.statusCode, 401);
+            assert.equal(res.body.code, SESSION_ERROR_CODES.REFRESH_TOKEN_REUSED);
+        });
+    });
+
+    describe('Выход', () => {
+        it('завершает текущую сессию: access- и refresh-токены больше не принимаются', async () => {
+            const tokens = await createSession(user, deviceRequest);
+            const other = await createSession(user, deviceRequest);
+
+            const res = await callHandler(logout, { user, sessionId: tokens.sessionId });
+
+            assert.equal(res.statusCode, 200);
+            const rejected = await authenticate(tokens.token);
+            assert.equal(rejected.statusCode, 401);
+            assert.equal(rejected.error.message, 'Не авторизован, сессия завершена');
+            await assertSessionError(refreshSession(tokens.refreshToken, deviceRequest), 401, SESSION_ERROR_CODES.SESSION_REVOKED);
+            // Другие устройства не затронуты
+            assert.equal((await authenticate(other.token)).nextCalled, true);
+        });
+
+        it('выходит на всех устройствах, при keepCurrent оставляя текущее', async () => {
+            const current = await createSession(user, deviceRequest);
+            const phone = await createSession(user, deviceRequest);
+            const laptop = await createSession(user, deviceRequest);
+
+            const res = await callHandler(logoutAll, { user, sessionId: current.sessionId, body: { keepCurrent: true } });
+
+            assert.equal(res.body.revokedCount, 2);
+            assert.equal((await authenticate(current.token)).nextCalled, true);
+            assert.equal((await authenticate(phone.token)).statusCode, 401);
+            assert.equal((await authenticate(laptop.token)).statusCode, 401);
+
+            const all = await callHandler(logoutAll, { user, sessionId: current.sessionId, body: {} });
+
+            assert.equal(all.body.revokedCount, 1);
+            assert.equal((await authenticate(current.token)).statusCode, 401);
+        });
+
+        it('завершает все сессии пользователя по команде администратора', async () => {
+            const owner = await createUser({ role: 'owner' });
+            const tokens = await createSession(user, deviceRequest);
+
+            const res = await callHandler(revokeUserSessionsByAdmin, { user: owner, params: { id: user._id.toString() } });
+
+            assert.equal(res.body.revokedCount, 1);
+            assert.equal((await authenticate(tokens.token)).statusCode, 401);
+            const session = await Session.findById(tokens.sessionId);
+            assert.equal(session.revokeReason, 'admin');
+            assert.equal(session.revokedBy.toString(), owner._id.toString());
+        });
+    });
+
+    it('не принимает токен без ID сессии', async () => {
+        const legacyToken = jwt.sign({ user: { id: user._id, role: user.role } }, process.env.JWT_SECRET, { expiresIn: '7d' });
+
+        const res = await authenticate(legacyToken);
+
+        assert.equal(res.nextCalled, false);
+        assert.equal(res.statusCode, 401);
+        assert.equal(res.error.message, 'Не авторизован, сессия завершена');
+    });
+});
\ No newline at end of file
@@ -0,0 +1,137 @@
+// Файл: tests/stock.test.js
+// Назначение: Тесты атомарного резервирования остатков - гонка покупателей за последний товар и откат при ошибках.
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const Order = require('../models/Order');
+const Product = require('../models/Product');
+const { reserveStock } = require('../services/stockService');
+const { createOrder } = require('../controllers/orderController');
+const { connectTestDb, clearTestDb, disconnectTestDb, createUser, createProduct } = require('./helpers/db');
+const { callHandler } = require('./helpers/http');
+
+// POST /api/orders от имени покупателя
+const postOrder = (user, items) => callHandler(createOrder, { user: { id: user._id.toString() }, body: { items } });
+
+describe('Резервирование остатков', () => {
+    before(connectTestDb);
+    after(disconnectTestDb);
+    beforeEach(clearTestDb);
+
+    const getStock = async (productId) => (await Product.findById(productId)).stock;
+
+    describe('reserveStock', () => {
+        it('списывает последний товар только одному из параллельных покупателей', async () => {
+            const product = await createProduct({ stock: 1 });
+
+            const results = await Promise.allSettled([
+                reserveStock([{ productId: product._id, quantity: 1 }]),
+                reserveStock([{ productId: product._id, quantity: 1 }]),
+            ]);
+
+            assert.equal(results.filter(r => r.status === 'fulfilled').length, 1);
+            const rejected = results.find(r => r.status === 'rejected');
+            assert.equal(rejected.reason.name, 'StockError');
+            assert.equal(rejected.reason.statusCode, 400);
+            assert.equal(rejected.reason.details.availableStock, 0);
+            assert.equal(await getStock(product._id), 0);
+        });
+
+        it('не продает больше остатка при множестве одновременных резервов', async () => {
+            const product = await createProduct({ stock: 3 });
+
+            const results = await Promise.allSettled(
+                Array.from({ length: 8 }, () => reserveStock([{ productId: product._id, quantity: 1 }]))
+            );
+
+            assert.equal(results.filter(r => r.status === 'fulfilled').length, 3);
+            assert.equal(await getStock(product._id), 0);
+        });
+
+        it('возвращает уже списанные позиции, если следующей не хватает (все или ничего)', async () => {
+            const first = await createProduct({ stock: 5 });
+            const second = await createProduct({ stock: 5 });
+            const scarce = await createProduct({ stock: 1 });
+
+            await assert.rejects(
+                reserveStock([
+                    { productId: first._id, quantity: 2 },
+                    { productId: second._id, quantity: 3 },
+                    { productId: scarce._id, quantity: 2 },
+                ]),
+                { name: 'StockError', statusCode: 400 }
+            );
+
+            assert.equal(await getStock(first._id), 5);
+            assert.equal(await getStock(second._id), 5);
+            assert.equal(await getStock(scarce._id), 1);
+        });
+
+        it('объединяет повторяющиеся строки одного товара в одну проверку остатка', async () => {
+            const product = await createProduct({ stock: 3 });
+
+            await assert.rejects(
+                reserveStock([{ productId: product._id, quantity: 2 }, { productId: product._id, quantity: 2 }]),
+                { name: 'StockError' }
+            );
+            assert.equal(await getStock(product._id), 3);
+        });
+
+        it('сообщает 404, если товар удален', async () => {
+            const product = await createProduct();
+            await Product.deleteOne({ _id: product._id });
+
+            await assert.rejects(reserveStock([{ productId: product._id, quantity: 1 }]), { name: 'StockError', statusCode: 404 });
+        });
+    });
+
+    describe('POST /api/orders', () => {
+        it('при одновременном оформлении последнего товара создает ровно один заказ', async () => {
+            const product = await createProduct({ stock: 1 });
+            const [firstBuyer, secondBuyer] = await Promise.all([createUser(), createUser()]);
+
+            const responses = await Promise.all([
+                postOrder(firstBuyer, [{ productId: product._id.toString(), quantity: 1 }]),
+                postOrder(secondBuyer, [{ productId: product._id.toString(), quantity: 1 }]),
+            ]);
+
+            assert.deepEqual(responses.map(res => res.statusCode).sort(), [201, 400]);
+            assert.equal(await Order.countDocuments(), 1);
+            assert.equal(await getStock(product._id), 0);
+        });
+
+        it('не списывает ничего, если одной из позиций заказа не хватает', async () => {
+            const plenty = await createProduct({ stock: 10 });
+            const scarce = await createProduct({ stock: 1 });
+
+            const res = await postOrder(await createUser(), [
+                { productId: plenty._id.toString(), quantity: 4 },
+                { productId: scarce._id.toString(), quantity: 2 },
+            ]);
+
+            assert.equal(res.statusCode, 400);
+            assert.equal(res.body.availableStock, 1);
+            assert.equal(await Order.countDocuments(), 0);
+            assert.equal(await getStock(plenty._id), 10);
+            assert.equal(await getStock(scarce._id), 1);
+        });
+
+        it('возвращает резерв на склад, если заказ не удалось сохранить', async (t) => {
+            const first = await createProduct({ stock: 4 });
+            const second = await createProduct({ stock: 2 });
+            t.mock.method(Order.prototype, 'save', async () => {
+                throw new Error('Сбой записи заказа');
+            });
+
+            const res = await postOrder(await createUser(), [
+                { productId: first._id.toString(), quantity: 3 },
+                { productId: second._id.toString(), quantity: 2 },
+            ]);
+
+            assert.equal(res.statusCode, 500);
+            assert.equal(await Order.countDocuments(), 0);
+            assert.equal(await getStock(first._id), 4);
+            assert.equal(await getStock(second._id), 2);
+        });
+    });
+});
\ No newline at end of file
@@ -0,0 +1,285 @@
+// Файл: tests/telegramAuth.test.js
+// Назначение: Тесты проверки данных входа через Telegram (initData Web App и Login Widget): подпись, срок действия auth_date
+// и защита от повторного входа.
+
+process.env.TELEGRAM_BOT_TOKEN = '123456:test-bot-token';
+process.env.JWT_SECRET = 'test-jwt-secret';
+process.env.TELEGRAM_INIT_DATA_MAX_AGE = '3600';
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const UsedInitData = require('../models/UsedInitData');
+const User = require('../models/User');
+const {
+    AUTH_ERROR_CODES,
+    verifyInitData,
+    safeCompareHex,
+    checkAuthDate,
+    markInitDataUsed,
+    verifyLoginWidget,
+} = require('../services/telegramAuthService');
+const { verifyTelegramAuth, verifyTelegramLogin } = require('../controllers/authController');
+const { connectTestDb, clearTestDb, disconnectTestDb, createUser } = require('./helpers/db');
+const { createResponse } = require('./helpers/http');
+
+const BOT_TOKEN = process.env.TELEGRAM_BOT_TOKEN;
+const MAX_AGE_SECONDS = 3600;
+const nowSeconds = () => Math.floor(Date.now() / 1000);
+
+// Подпись так же, как ее считает Telegram: HMAC-SHA256 от data_check_string (см. isValidHash)
+const signFields = (fields, secretKey) => {
+    const dataCheckString = Object.entries(fields)
+        .map(([key, value]) => `${key}=${value}`)
+        .sort()
+        .join('\n');
+    return crypto.createHmac('sha256', secretKey).update(dataCheckString).digest('hex');
+};
+
+// initData Web App: ключ - HMAC-SHA256 токена бота с ключом "WebAppData"
+const signInitData = ({ authDate = nowSeconds(), user = { id: 424242, first_name: 'Иван' }, queryId = 'AAE-test', botToken = BOT_TOKEN } = {}) => {
+    const fields = { auth_date: String(authDate), query_id: queryId, user: JSON.stringify(user) };
+    const secretKey = crypto.createHmac('sha256', 'WebAppData').update(botToken).digest();
+    return new URLSearchParams({ ...fields, hash: signFields(fields, secretKey) }).toString();
+};
+
+// Данные Login Widget: ключ - SHA-256 токена бота; id и auth_date виджет отдает числами
+const signLoginWidget = ({ authDate = nowSeconds(), id = 424242, botToken = BOT_TOKEN, ...rest } = {}) => {
+    const fields = { id, first_name: 'Иван', username: 'ivan', auth_date: authDate, ...rest };
+    const secretKey = crypto.createHash('sha256').update(botToken).digest();
+    return { ...fields, hash: signFields(fields, secretKey) };
+};
+
+// --- Вызов обработчика входа ---
+// Токен подписывается асинхронно (jwt.sign с колбэком), поэтому ждем именно ответа, а не возврата из обработчика
+const callAuthHandler = (handler, body) => new Promise((resolve, reject) => {
+    const res = createResponse();
+    const json = res.json;
+    res.json = function (responseBody) {
+        json.call(this, responseBody);
+        resolve(this);
+        return this;
+    };
+    Promise.resolve(handler({ params: {}, query: {}, headers: {}, body }, res)).catch(reject);
+});
+
+// Проверяет, что промис отклонен TelegramAuthError с нужным HTTP-статусом и кодом причины
+const assertAuthError = (promise, statusCode, code) => assert.rejects(promise, (error) => {
+    assert.equal(error.name, 'TelegramAuthError');
+    assert.equal(error.statusCode, statusCode);
+    assert.equal(error.details.code, code);
+    return true;
+});
+
+describe('Проверка initData Telegram', () => {
+    describe('Сравнение подписей', () => {
+        const hash = 'a'.repeat(64);
+
+        it('принимает совпадающую подпись', () => {
+            assert.equal(safeCompareHex(hash, 'a'.repeat(64)), true);
+        });
+
+        it('отклоняет другую подпись, подпись другой длины и подпись с не-hex символами', () => {
+            assert.equal(safeCompareHex(hash, 'b'.repeat(64)), false);
+            assert.equal(safeCompareHex(hash, 'a'.repeat(62)), false);
+            // Buffer.from отбросил бы "zz" и сравнил бы только совпадающее начало
+            assert.equal(safeCompareHex(hash, `${'a'.repeat(62)}zz`), false);
+            assert.equal(safeCompareHex(hash, undefined), false);
+        });
+    });
+
+    describe('Срок действия auth_date', () => {
+        it('возвращает дату авторизации для свежих данных', () => {
+            const authDate = nowSeconds() - 60;
+
+            assert.deepEqual(checkAuthDate(String(authDate), MAX_AGE_SECONDS), new Date(authDate * 1000));
+        });
+
+        it('отклоняет устаревшие данные с кодом auth-date-expired', () => {
+            assert.throws(() => checkAuthDate(String(nowSeconds() - MAX_AGE_SECONDS - 1), MAX_AGE_SECONDS), (error) => {
+                assert.equal(error.statusCode, 401);
+                assert.equal(error.details.code, AUTH_ERROR_CODES.AUTH_DATE_EXPIRED);
+                assert.equal(error.details.maxAgeSeconds, MAX_AGE_SECONDS);
+                return true;
+            });
+        });
+
+        it('отклоняет auth_date из будущего и нечисловой auth_date с кодом auth-date-invalid', () => {
+            const isInvalidDate = (error) => error.details.code === AUTH_ERROR_CODES.AUTH_DATE_INVALID;
+
+            assert.throws(() => checkAuthDate(String(nowSeconds() + 3600), MAX_AGE_SECONDS), isInvalidDate);
+            assert.throws(() => checkAuthDate('17e8', MAX_AGE_SECONDS), isInvalidDate);
+            assert.throws(() => checkAuthDate(undefined, MAX_AGE_SECONDS), isInvalidDate);
+        });
+
+        it('допускает небольшое расхождение часов с Telegram', () => {
+            assert.doesNotThrow(() => checkAuthDate(String(nowSeconds() + 30), MAX_AGE_SECONDS));
+        });
+    });
+
+    describe('Вход', () => {
+        before(connectTestDb);
+        after(disconnectTestDb);
+        beforeEach(clearTestDb);
+
+        it('принимает подписанный initData и запоминает его', async () => {
+            const initData = signInitData();
+
+            const { user, queryId } = await verifyInitData(initData, BOT_TOKEN);
+
+            assert.equal(user.id, 424242);
+            assert.equal(queryId, 'AAE-test');
+            const used = await UsedInitData.findOne({ hash: new URLSearchParams(initData).get('hash') });
+            assert.equal(used.telegramId, 424242);
+        });
+
+        it('отклоняет пустой initData и initData без подписи', async () => {
+            const withoutHash = new URLSearchParams(signInitData());
+            withoutHash.delete('hash');
+
+            await assertAuthError(verifyInitData('', BOT_TOKEN), 400, AUTH_ERROR_CODES.INIT_DATA_MISSING);
+            await assertAuthError(verifyInitData(withoutHash.toString(), BOT_TOKEN), 401, AUTH_ERROR_CODES.HASH_MISSING);
+        });
+
+        it('отклоняет подделанные данные и данные, подписанные другим ботом, с кодом hash-invalid', async () => {
+            const tampered = new URLSearchParams(signInitData());
+            tampered.set('user', JSON.stringify({ id: 1, first_name: 'Злоумышленник' }));
+
+            await assertAuthError(verifyInitData(tampered.toString(), BOT_TOKEN), 401, AUTH_ERROR_CODES.HASH_INVALID);
+            await assertAuthError(verifyInitData(signInitData({ botToken: '654321:other-bot' }), BOT_TOKEN), 401, AUTH_ERROR_CODES.HASH_INVALID);
+            // Для поддельных данных записи об использовании не создаются
+            assert.equal(await UsedInitData.countDocuments(), 0);
+        });
+
+        it('отклоняет устаревший initData до отметки об использовании', async () => {
+            const initData = signInitData({ authDate: nowSeconds() - MAX_AGE_SECONDS - 60 });
+
+            await assertAuthError(verifyInitData(initData, BOT_TOKEN), 401, AUTH_ERROR_CODES.AUTH_DATE_EXPIRED);
+            assert.equal(await UsedInitData.countDocuments(), 0);
+        });
+
+        it('отклоняет повторный вход с тем же initData с кодом init-data-replayed', async () => {
+            const initData = signInitData();
+
+            await verifyInitData(initData, BOT_TOKEN);
+
+            await assertAuthError(verifyInitData(initData, BOT_TOKEN), 401, AUTH_ERROR_CODES.REPLAYED);
+        });
+
+        it('из двух одновременных входов с одним initData пропускает только один', async () => {
+            const initData = signInitData();
+
+            const results = await Promise.allSettled([verifyInitData(initData, BOT_TOKEN), verifyInitData(initData, BOT_TOKEN)]);
+
+            assert.deepEqual(results.map(result => result.status).sort(), ['fulfilled', 'rejected']);
+            assert.equal(results.find(result => result.status === 'rejected').reason.details.code, AUTH_ERROR_CODES.REPLAYED);
+            assert.equal(await UsedInitData.countDocuments(), 1);
+        });
+
+        it('отклоняет повторную отметку того же hash по уникальному индексу', async () => {
+            const record = { hash: 'f'.repeat(64), queryId: null, telegramId: 1, authDate: new Date(), maxAgeSeconds: MAX_AGE_SECONDS };
+
+            await markInitDataUsed(record);
+
+            await assertAuthError(markInitDataUsed(record), 401, AUTH_ERROR_CODES.REPLAYED);
+        });
+
+        it('возвращает клиенту код причины отказа и не создает пользователя', async () => {
+            const initData = signInitData();
+            const first = await callAuthHandler(verifyTelegramAuth, { initData });
+
+            const replayed = await callAuthHandler(verifyTelegramAuth, { initData });
+
+            assert.ok(first.body.token);
+            assert.equal(replayed.statusCode, 401);
+            assert.equal(replayed.body.code, AUTH_ERROR_CODES.REPLAYED);
+            assert.equal(await User.countDocuments(), 1);
+        });
+    });
+
+    describe('Вход через Login Widget', () => {
+        before(connectTestDb);
+        after(disconnectTestDb);
+        beforeEach(clearTestDb);
+
+        it('принимает подписанные данные виджета и возвращает пользователя в формате Telegram', async () => {
+            const payload = signLoginWidget({ photo_url: 'https://t.me/i/userpic/320/ivan.jpg' });
+
+            const { user, authDate } = await verifyLoginWidget(payload, BOT_TOKEN);
+
+            assert.deepEqual(user, { id: 424242, first_name: 'Иван', last_name: undefined, username: 'ivan' });
+            assert.equal(authDate.getTime(), payload.auth_date * 1000);
+        });
+
+        it('отклоняет подделанные данные и данные, подписанные ключом Web App, с кодом hash-invalid', async () => {
+            const tampered = { ...signLoginWidget(), id: 1 };
+            const fields = { id: 424242, first_name: 'Иван', auth_date: nowSeconds() };
+            const webAppKey = crypto.createHmac('sha256', 'WebAppData').update(BOT_TOKEN).digest();
+            const signedAsWebApp = { ...fields, hash: signFields(fields, webAppKey) };
+
+            await assertAuthError(verifyLoginWidget(tampered, BOT_TOKEN), 401, AUTH_ERROR_CODES.HASH_INVALID);
+            await assertAuthError(verifyLoginWidget(signedAsWebApp, BOT_TOKEN), 401, AUTH_ERROR_CODES.HASH_INVALID);
+            await assertAuthError(verifyLoginWidget(signLoginWidget({ botToken: '654321:other-bot' }), BOT_TOKEN), 401, AUTH_ERROR_CODES.HASH_INVALID);
+        });
+
+        it('отклоняет пустые данные, данные без подписи и устаревшие данные', async () => {
+            const withoutHash = signLoginWidget();
+            delete withoutHash.hash;
+
+            await assertAuthError(verifyLoginWidget(undefined, BOT_TOKEN), 400, AUTH_ERROR_CODES.INIT_DATA_MISSING);
+            await assertAuthError(verifyLoginWidget(withoutHash, BOT_TOKEN), 401, AUTH_ERROR_CODES.HASH_MISSING);
+            await assertAuthError(
+                verifyLoginWidget(signLoginWidget({ authDate: nowSeconds() - MAX_AGE_SECONDS - 60 }), BOT_TOKEN),
+                401,
+                AUTH_ERROR_CODES.AUTH_DATE_EXPIRED
+            );
+        });
+
+        it('не принимает одни и те же данные виджета дважды', async () => {
+            const payload = signLoginWidget();
+
+            await verifyLoginWidget(payload, BOT_TOKEN);
+
+            await assertAuthError(verifyLoginWidget(payload, BOT_TOKEN), 401, AUTH_ERROR_CODES.REPLAYED);
+        });
+
+        it('создает пользователя и выдает токен', async () => {
+            const res = await callAuthHandler(verifyTelegramLogin, signLoginWidget());
+
+            assert.equal(res.statusCode, 200);
+            assert.ok(res.body.token);
+            assert.equal(res.body.isNewUser, true);
+            const stored = await User.findOne({ telegramId: 424242 });
+            assert.equal(stored.username, 'ivan');
+            assert.equal(stored.languageCode, 'ru');
+        });
+
+        describe('Только для сотрудников (TELEGRAM_LOGIN_STAFF_ONLY=true)', () => {
+            beforeEach(() => { process.env.TELEGRAM_LOGIN_STAFF_ONLY = 'true'; });
+            after(() => { delete process.env.TELEGRAM_LOGIN_STAFF_ONLY; });
+
+            it('отклоняет покупателя и неизвестного пользователя с кодом staff-only и не создает аккаунт', async () => {
+                const buyer = await createUser();
+
+                const asBuyer = await callAuthHandler(verifyTelegramLogin, signLoginWidget({ id: buyer.telegramId }));
+                const asStranger = await callAuthHandler(verifyTelegramLogin, signLoginWidget({ id: 777 }));
+
+                assert.equal(asBuyer.statusCode, 403);
+                assert.equal(asBuyer.body.code, AUTH_ERROR_CODES.STAFF_ONLY);
+                assert.equal(asStranger.statusCode, 403);
+                assert.equal(await User.countDocuments(), 1);
+            });
+
+            it('пускает сотрудника', async () => {
+                const support = await createUser({ role: 'support' });
+
+                const res = await callAuthHandler(verifyTelegramLogin, signLoginWidget({ id: support.telegramId }));
+
+                assert.equal(res.statusCode, 200);
+                assert.ok(res.body.token);
+                assert.equal(res.body.user.role, 'support');
+                assert.ok(res.body.user.permissions.includes('orders:read'));
+            });
+        });
+    });
+});
\ No newline at end of file
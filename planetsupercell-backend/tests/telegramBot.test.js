@@ -0,0 +1,229 @@
+// Файл: tests/telegramBot.test.js
+// Назначение: Тесты команд и inline-кнопок бота на записанных update'ах Telegram (tests/fixtures/telegram).
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const Order = require('../models/Order');
+const User = require('../models/User');
+const { handleUpdate } = require('../services/telegramBot');
+const { setTelegramTransport } = require('../services/telegramApi');
+const { connectTestDb, clearTestDb, disconnectTestDb, createUser, createProduct, createOrder } = require('./helpers/db');
+const { waitFor } = require('./helpers/fakeBotApi');
+
+// Telegram ID отправителей в записанных update'ах
+const BUYER_TELEGRAM_ID = 1049375112;
+const STAFF_TELEGRAM_ID = 5512093377;
+// ID заказа, который встречается в записанных update'ах и заменяется на ID заказа из теста
+const RECORDED_ORDER_ID = '6710a3c2e4b0f1a2b3c4d5e6';
+
+// --- Загрузка записанного update с подстановкой ID заказа ---
+const loadUpdate = (name, orderId = RECORDED_ORDER_ID) => {
+    const raw = fs.readFileSync(path.join(__dirname, 'fixtures', 'telegram', `${name}.json`), 'utf8');
+    return JSON.parse(raw.split(RECORDED_ORDER_ID).join(String(orderId)));
+};
+
+describe('Telegram-бот', () => {
+    const calls = [];
+    const callsOf = (method) => calls.filter(call => call.method === method).map(call => call.params);
+
+    before(async () => {
+        await connectTestDb();
+        setTelegramTransport(async (method, params) => {
+            calls.push({ method, params });
+            return { ok: true, result: true };
+        });
+    });
+    after(async () => {
+        setTelegramTransport(null);
+        await disconnectTestDb();
+    });
+    beforeEach(async () => {
+        await clearTestDb();
+        calls.length = 0;
+    });
+
+    const createBuyer = () => createUser({ telegramId: BUYER_TELEGRAM_ID, firstName: 'Алексей', username: 'alexey_buyer' });
+    const createStaff = (role) => createUser({ telegramId: STAFF_TELEGRAM_ID, firstName: 'Марина', username: 'marina_support', role });
+
+    describe('/orders', () => {
+        it('показывает покупателю его заказы, начиная с последнего', async () => {
+            const buyer = await createBuyer();
+            const product = await createProduct();
+            const first = await createOrder({ user: buyer, product, status: 'completed', createdAt: new Date('2024-10-01') });
+            const second = await createOrder({ user: buyer, product, status: 'paid-pending', createdAt: new Date('2024-10-15') });
+            await createOrder({ user: await createUser(), product }); // Чужой заказ
+
+            assert.equal(await handleUpdate(loadUpdate('message_orders')), '/orders');
+
+            const [reply] = callsOf('sendMessage');
+            assert.equal(reply.chat_id, BUYER_TELEGRAM_ID);
+            assert.equal(reply.parse_mode, 'HTML');
+            const lines = reply.text.split('\n');
+            assert.equal(lines.length, 3);
+            assert.match(lines[1], new RegExp(`<code>${second._id}</code> - 100\\.00, оплачен, ожидает проверки`));
+            assert.match(lines[2], new RegExp(`<code>${first._id}</code> - 100\\.00, выполнен`));
+        });
+
+        it('сообщает, что заказов нет', async () => {
+            await createBuyer();
+
+            await handleUpdate(loadUpdate('message_orders'));
+
+            assert.equal(callsOf('sendMessage')[0].text, 'У вас пока нет заказов.');
+        });
+
+        it('отвечает заблокированному покупателю сообщением о блокировке', async () => {
+            await createBuyer();
+            await User.updateOne({ telegramId: BUYER_TELEGRAM_ID }, {
+                $set: { blockedAt: new Date(), blockedUntil: new Date('2099-01-01T00:00:00Z'), blockReason: 'Спам <script>' },
+            });
+
+            assert.equal(await handleUpdate(loadUpdate('message_orders')), 'blocked');
+
+            const replies = callsOf('sendMessage');
+            assert.equal(replies.length, 1);
+            assert.match(replies[0].text, /^Ваш аккаунт заблокирован до .+ \(UTC\)\. Причина: Спам &lt;script&gt;$/);
+        });
+
+        it('предлагает открыть магазин пользователю, которого нет в базе', async () => {
+            assert.equal(await handleUpdate(loadUpdate('message_orders')), 'unknown-user');
+            assert.match(callsOf('sendMessage')[0].text, /Откройте приложение/);
+        });
+    });
+
+    describe('/order <id>', () => {
+        it('показывает покупателю его заказ без кнопок смены статуса', async () => {
+            const buyer = await createBuyer();
+            const order = await createOrder({ user: buyer, product: await createProduct({ name: 'Гемы' }), quantity: 3 });
+
+            assert.equal(await handleUpdate(loadUpdate('message_order', order._id)), '/order');
+
+            const [reply] = callsOf('sendMessage');
+            assert.match(reply.text, new RegExp(`Заказ <code>${order._id}</code>`));
+            assert.match(reply.text, /Гемы × 3 = 300\.00/);
+            assert.doesNotMatch(reply.text, /Покупатель:/);
+            assert.equal(reply.reply_markup, undefined);
+        });
+
+        it('не показывает чужой заказ', async () => {
+            await createBuyer();
+            const order = await createOrder({ user: await createUser(), product: await createProduct() });
+
+            await handleUpdate(loadUpdate('message_order', order._id));
+
+            assert.equal(callsOf('sendMessage')[0].text, 'Заказ не найден.');
+        });
+
+        it('просит указать номер заказа, если он некорректен', async () => {
+            await createBuyer();
+
+            await handleUpdate(loadUpdate('message_order', 'не-номер'));
+
+            assert.match(callsOf('sendMessage')[0].text, /Укажите номер заказа/);
+        });
+    });
+
+    describe('/pending', () => {
+        it('показывает сотруднику заказы на проверке с кнопками допустимых переходов', async () => {
+            const staff = await createStaff('manager');
+            const buyer = await createBuyer();
+            const product = await createProduct();
+            const order = await createOrder({ user: buyer, product, status: 'paid-pending' });
+            await createOrder({ user: buyer, product, status: 'processing' });
+
+            // Команда приходит от сотрудника (message_pending записан от его имени)
+            assert.equal(await handleUpdate(loadUpdate('message_pending')), '/pending');
+
+            const [header, details] = callsOf('sendMessage');
+            assert.equal(header.chat_id, staff.telegramId);
+            assert.equal(header.text, 'Ожидают проверки: 1');
+            assert.match(details.text, /Покупатель: @alexey_buyer/);
+            assert.deepEqual(details.reply_markup.inline_keyboard[0].map(button => button.callback_data), [
+                `status:${order._id}:processing`,
+                `status:${order._id}:completed`,
+                `status:${order._id}:refunded`,
+            ]);
+        });
+
+        it('не показывает кнопки сотруднику без права orders:update', async () => {
+            await createStaff('support');
+            await createOrder({ user: await createBuyer(), product: await createProduct(), status: 'paid-pending' });
+
+            await handleUpdate(loadUpdate('message_pending'));
+
+            assert.equal(callsOf('sendMessage')[1].reply_markup, undefined);
+        });
+
+        it('недоступна покупателю', async () => {
+            await createStaff('buyer');
+
+            await handleUpdate(loadUpdate('message_pending'));
+
+            assert.equal(callsOf('sendMessage')[0].text, 'Команда доступна только сотрудникам магазина.');
+        });
+    });
+
+    describe('кнопки status:<id>:<status>', () => {
+        it('меняет статус заказа, отвечает на нажатие и обновляет сообщение', async () => {
+            const staff = await createStaff('manager');
+            const buyer = await createBuyer();
+            const order = await createOrder({ user: buyer, product: await createProduct(), status: 'paid-pending' });
+            const update = loadUpdate('callback_status', order._id);
+
+            assert.equal(await handleUpdate(update), 'status-changed');
+
+            const updated = await Order.findById(order._id);
+            assert.equal(updated.status, 'processing');
+            assert.equal(updated.statusHistory.pop().changedBy.toString(), staff._id.toString());
+
+            assert.deepEqual(callsOf('answerCallbackQuery'), [{ callback_query_id: update.callback_query.id, text: 'Статус изменен: processing' }]);
+            const [edit] = callsOf('editMessageText');
+            assert.equal(edit.chat_id, update.callback_query.message.chat.id);
+            assert.equal(edit.message_id, update.callback_query.message.message_id);
+            assert.match(edit.text, /Статус: <b>в обработке<\/b>/);
+            assert.deepEqual(edit.reply_markup.inline_keyboard[0].map(button => button.text), ['✅ Выполнен', '↩️ Возврат']);
+
+            // Покупатель получает уведомление, как и при смене статуса через API
+            await waitFor(() => callsOf('sendMessage').some(message => message.chat_id === buyer.telegramId));
+        });
+
+        it('отвечает отказом на недопустимый переход', async () => {
+            await createStaff('manager');
+            const order = await createOrder({ user: await createBuyer(), product: await createProduct(), status: 'completed' });
+
+            assert.equal(await handleUpdate(loadUpdate('callback_status', order._id)), 'rejected');
+
+            assert.match(callsOf('answerCallbackQuery')[0].text, /запрещен/);
+            assert.equal((await Order.findById(order._id)).status, 'completed');
+        });
+
+        it('отвечает отказом сотруднику без права orders:update', async () => {
+            await createStaff('support');
+            const order = await createOrder({ user: await createBuyer(), product: await createProduct(), status: 'paid-pending' });
+
+            assert.equal(await handleUpdate(loadUpdate('callback_status', order._id)), 'forbidden');
+            assert.equal((await Order.findById(order._id)).status, 'paid-pending');
+        });
+
+        it('отвечает отказом заблокированному сотруднику', async () => {
+            const staff = await createStaff('manager');
+            await User.updateOne({ _id: staff._id }, { $set: { blockedAt: new Date(), blockedUntil: null } });
+            const order = await createOrder({ user: await createBuyer(), product: await createProduct(), status: 'paid-pending' });
+
+            assert.equal(await handleUpdate(loadUpdate('callback_status', order._id)), 'blocked');
+
+            assert.equal(callsOf('answerCallbackQuery')[0].text, 'Ваш аккаунт заблокирован бессрочно.');
+            assert.equal((await Order.findById(order._id)).status, 'paid-pending');
+        });
+
+        it('отвечает на кнопку с некорректным ID заказа, а не падает с CastError', async () => {
+            await createStaff('manager');
+
+            assert.equal(await handleUpdate(loadUpdate('callback_status', 'not-an-id')), 'unknown-callback');
+
+            assert.equal(callsOf('answerCallbackQuery')[0].text, 'Неизвестное действие.');
+        });
+    });
+});
\ No newline at end of file
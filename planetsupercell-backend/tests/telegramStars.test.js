@@ -0,0 +1,170 @@
+// Файл: tests/telegramStars.test.js
+// Назначение: Тесты оплаты в Telegram Stars: счет, проверка заказа перед списанием (pre_checkout_query), оплата и возврат.
+
+process.env.TELEGRAM_WEBHOOK_SECRET = 'test-webhook-secret';
+process.env.TELEGRAM_STAR_PRICE = '1.5';
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const Category = require('../models/Category');
+const Order = require('../models/Order');
+const Product = require('../models/Product');
+const { handleWebhook } = require('../services/paymentService');
+const { placeOrder } = require('../services/orderService');
+const { changeOrderStatus } = require('../services/orderStatusService');
+const { setTelegramTransport } = require('../services/telegramApi');
+const { connectTestDb, clearTestDb, disconnectTestDb, createUser, createProduct } = require('./helpers/db');
+const preCheckoutFixture = require('./fixtures/telegram/pre_checkout_query.json');
+const successfulPaymentFixture = require('./fixtures/telegram/successful_payment.json');
+
+describe('Оплата в Telegram Stars', () => {
+    const calls = [];
+
+    before(async () => {
+        await connectTestDb();
+        setTelegramTransport(async (method, params) => {
+            calls.push({ method, params });
+            return { ok: true, result: method === 'createInvoiceLink' ? 'https://t.me/$test-invoice' : true };
+        });
+    });
+    after(async () => {
+        setTelegramTransport(null);
+        await disconnectTestDb();
+    });
+    beforeEach(async () => {
+        await clearTestDb();
+        calls.length = 0;
+    });
+
+    // Заказ с оплатой в Stars на последнюю единицу варианта товара
+    const placeStarsOrder = async () => {
+        const product = await createProduct({
+            variants: [{ label: '80 гемов', price: 150, stock: 1 }, { label: '500 гемов', price: 750, stock: 5 }],
+        });
+        const buyer = await createUser();
+        const order = await placeOrder(
+            buyer,
+            [{ productId: product._id, variantId: product.variants[0]._id, quantity: 1 }],
+            { paymentProvider: 'telegram-stars' }
+        );
+        return { product, buyer, order };
+    };
+
+    // Записанный update с подставленными данными счета заказа
+    const sendPreCheckout = (order) => handleWebhook('telegram-stars', {
+        headers: { 'x-telegram-bot-api-secret-token': process.env.TELEGRAM_WEBHOOK_SECRET },
+        body: {
+            ...preCheckoutFixture,
+            pre_checkout_query: {
+                ...preCheckoutFixture.pre_checkout_query,
+                invoice_payload: order.payment.invoiceId,
+                total_amount: order.payment.amount,
+            },
+        },
+    });
+
+    const sendSuccessfulPayment = (order, overrides = {}) => handleWebhook('telegram-stars', {
+        headers: { 'x-telegram-bot-api-secret-token': process.env.TELEGRAM_WEBHOOK_SECRET },
+        body: {
+            ...successfulPaymentFixture,
+            message: {
+                ...successfulPaymentFixture.message,
+                successful_payment: {
+                    ...successfulPaymentFixture.message.successful_payment,
+                    invoice_payload: order.payment.invoiceId,
+                    total_amount: order.payment.amount,
+                    ...overrides,
+                },
+            },
+        },
+    });
+
+    const lastAnswer = () => calls.filter(call => call.method === 'answerPreCheckoutQuery').pop().params;
+
+    it('выставляет счет в звездах по курсу TELEGRAM_STAR_PRICE с округлением вверх', async () => {
+        const { order } = await placeStarsOrder();
+
+        assert.equal(order.status, 'pending');
+        assert.equal(order.payment.amount, 100); // 150 / 1.5
+        assert.equal(order.payment.currency, 'XTR');
+        assert.equal(order.payment.paymentUrl, 'https://t.me/$test-invoice');
+        const invoiceCall = calls.find(call => call.method === 'createInvoiceLink');
+        assert.equal(invoiceCall.params.payload, order.payment.invoiceId);
+        assert.deepEqual(invoiceCall.params.prices.map(price => price.amount), [100]);
+    });
+
+    it('подтверждает оплату зарезервированного заказа, даже если остаток после резерва нулевой', async () => {
+        const { product, order } = await placeStarsOrder();
+        assert.equal((await Product.findById(product._id)).variants[0].stock, 0);
+
+        const result = await sendPreCheckout(order);
+
+        assert.equal(result.accepted, true);
+        assert.deepEqual(lastAnswer(), { pre_checkout_query_id: preCheckoutFixture.pre_checkout_query.id, ok: true });
+    });
+
+    it('отклоняет оплату, если выбранный вариант удален из товара', async () => {
+        const { product, order } = await placeStarsOrder();
+        await Product.updateOne({ _id: product._id }, { $pull: { variants: { _id: product.variants[0]._id } } });
+
+        const result = await sendPreCheckout(order);
+
+        assert.equal(result.accepted, false);
+        assert.equal(lastAnswer().ok, false);
+        assert.match(lastAnswer().error_message, /80 гемов/);
+    });
+
+    it('отклоняет оплату, если товар или его категория сняты с продажи', async () => {
+        const { product, order } = await placeStarsOrder();
+        await Category.updateOne({ _id: product.categoryId }, { $set: { archivedAt: new Date() } });
+
+        const result = await sendPreCheckout(order);
+
+        assert.equal(result.accepted, false);
+        assert.match(lastAnswer().error_message, /больше не продается/);
+    });
+
+    it('отмечает заказ оплаченным после successful_payment и сохраняет ID платежа', async () => {
+        const { order } = await placeStarsOrder();
+
+        const result = await sendSuccessfulPayment(order);
+
+        assert.equal(result.event, 'paid');
+        const paid = await Order.findById(order._id);
+        assert.equal(paid.status, 'processing');
+        assert.equal(paid.payment.status, 'paid');
+        assert.equal(paid.payment.chargeId, successfulPaymentFixture.message.successful_payment.telegram_payment_charge_id);
+    });
+
+    it('не принимает оплату с суммой, отличной от счета, и update без секретного токена', async () => {
+        const { order } = await placeStarsOrder();
+
+        const wrongAmount = await sendSuccessfulPayment(order, { total_amount: 1 });
+        await assert.rejects(
+            handleWebhook('telegram-stars', { headers: {}, body: successfulPaymentFixture }),
+            { name: 'PaymentError', statusCode: 401 }
+        );
+
+        assert.match(wrongAmount.error, /не совпадает со счетом/);
+        const unpaid = await Order.findById(order._id);
+        assert.equal(unpaid.status, 'pending');
+        assert.equal(unpaid.payment.status, 'awaiting');
+    });
+
+    it('возвращает звезды через refundStarPayment при возврате заказа', async () => {
+        const { product, buyer, order } = await placeStarsOrder();
+        await sendSuccessfulPayment(order);
+
+        const refunded = await changeOrderStatus(await Order.findById(order._id), 'refunded');
+
+        assert.equal(refunded.status, 'refunded');
+        const refundCall = calls.find(call => call.method === 'refundStarPayment');
+        assert.deepEqual(refundCall.params, {
+            user_id: buyer.telegramId,
+            telegram_payment_charge_id: successfulPaymentFixture.message.successful_payment.telegram_payment_charge_id,
+        });
+        const stored = await Order.findById(order._id);
+        assert.equal(stored.payment.status, 'refunded');
+        assert.equal((await Product.findById(product._id)).variants[0].stock, 1);
+    });
+});
\ No newline at end of file
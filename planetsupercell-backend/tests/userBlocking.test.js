@@ -0,0 +1,154 @@
+// Файл: tests/userBlocking.test.js
+// Назначение: Тесты блокировки пользователей: отмена неоплаченных заказов, завершение сессий и отказ в доступе заблокированному.
+
+process.env.JWT_SECRET = 'test-jwt-secret';
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const Order = require('../models/Order');
+const Product = require('../models/Product');
+const Session = require('../models/Session');
+const User = require('../models/User');
+const { blockUser, unblockUser } = require('../services/userService');
+const { SESSION_ERROR_CODES, createSession, refreshSession } = require('../services/sessionService');
+const { blockUserById } = require('../controllers/userController');
+const { protect } = require('../middleware/authMiddleware');
+const { connectTestDb, clearTestDb, disconnectTestDb, createUser, createProduct, createOrder } = require('./helpers/db');
+const { callHandler } = require('./helpers/http');
+
+const deviceRequest = { headers: { 'user-agent': 'node-test' }, ip: '127.0.0.1' };
+
+// Проверка access-токена так же, как на защищенном роуте
+const authenticate = (token) => callHandler(protect, { headers: { authorization: `Bearer ${token}` } });
+
+// Блокировка в обход blockUser (например, вручную в базе): сессии пользователя остаются активными
+const setBlockedInDb = (user, fields = {}) => User.updateOne({ _id: user._id }, {
+    $set: { blockedAt: new Date(), blockedUntil: null, blockReason: 'Спам', ...fields },
+});
+
+describe('Блокировка пользователей', () => {
+    let owner;
+    let buyer;
+
+    before(connectTestDb);
+    after(disconnectTestDb);
+    beforeEach(async () => {
+        await clearTestDb();
+        owner = await createUser({ role: 'owner' });
+        buyer = await createUser();
+    });
+
+    describe('blockUser', () => {
+        it('при cancelPendingOrders отменяет только неоплаченные заказы и возвращает товар на склад', async () => {
+            const product = await createProduct({ stock: 10 });
+            const pendingA = await createOrder({ user: buyer, product, quantity: 2, status: 'pending' });
+            const pendingB = await createOrder({ user: buyer, product, quantity: 1, status: 'pending' });
+            const processing = await createOrder({ user: buyer, product, quantity: 1, status: 'processing' });
+            const foreignPending = await createOrder({ user: owner, product, quantity: 1, status: 'pending' });
+
+            const result = await blockUser(buyer, { reason: 'Спам', blockedBy: owner._id, cancelPendingOrders: true });
+
+            assert.deepEqual(
+                result.cancelledOrders.map(id => id.toString()).sort(),
+                [pendingA._id.toString(), pendingB._id.toString()].sort()
+            );
+            assert.deepEqual(result.failedOrders, []);
+            const cancelled = await Order.findById(pendingA._id);
+            assert.equal(cancelled.status, 'refunded');
+            assert.equal(cancelled.statusHistory[cancelled.statusHistory.length - 1].comment, 'Заказ отменен: аккаунт заблокирован. Спам');
+            assert.equal((await Order.findById(processing._id)).status, 'processing');
+            assert.equal((await Order.findById(foreignPending._id)).status, 'pending');
+            assert.equal((await Product.findById(product._id)).stock, 13);
+        });
+
+        it('без cancelPendingOrders оставляет заказы, но завершает все сессии', async () => {
+            const order = await createOrder({ user: buyer, product: await createProduct(), status: 'pending' });
+            const tokens = await createSession(buyer, deviceRequest);
+            await createSession(buyer, deviceRequest);
+
+            const result = await blockUser(buyer, { reason: 'Спам', blockedBy: owner._id });
+
+            assert.equal(result.revokedSessions, 2);
+            assert.deepEqual(result.cancelledOrders, []);
+            assert.equal((await Order.findById(order._id)).status, 'pending');
+            assert.equal((await Session.findById(tokens.sessionId)).revokeReason, 'blocked');
+            assert.equal((await authenticate(tokens.token)).statusCode, 401);
+        });
+
+        it('снимает блокировку', async () => {
+            await blockUser(buyer, { reason: 'Спам', blockedBy: owner._id });
+
+            await unblockUser(buyer, { unblockedBy: owner._id });
+
+            const stored = await User.findById(buyer._id);
+            assert.equal(stored.isBlocked(), false);
+            assert.equal(stored.blockReason, '');
+        });
+    });
+
+    describe('Отказ в доступе', () => {
+        it('protect отклоняет заблокированного пользователя с 403 и текстом блокировки', async () => {
+            const tokens = await createSession(buyer, deviceRequest);
+            await setBlockedInDb(buyer, { blockedUntil: new Date('2099-01-01T00:00:00Z') });
+
+            const res = await authenticate(tokens.token);
+
+            assert.equal(res.nextCalled, false);
+            assert.equal(res.statusCode, 403);
+            assert.match(res.error.message, /^Ваш аккаунт заблокирован до .+ \(UTC\)\. Причина: Спам$/);
+        });
+
+        it('protect пропускает пользователя, у которого истек срок блокировки', async () => {
+            const tokens = await createSession(buyer, deviceRequest);
+            await setBlockedInDb(buyer, { blockedUntil: new Date(Date.now() - 1000) });
+
+            const res = await authenticate(tokens.token);
+
+            assert.equal(res.nextCalled, true);
+        });
+
+        it('не обновляет токены заблокированному пользователю и завершает его сессию', async () => {
+            const tokens = await createSession(buyer, deviceRequest);
+            await setBlockedInDb(buyer);
+
+            await assert.rejects(refreshSession(tokens.refreshToken, deviceRequest), (error) => {
+                assert.equal(error.name, 'SessionError');
+                assert.equal(error.statusCode, 403);
+                assert.equal(error.details.code, SESSION_ERROR_CODES.USER_BLOCKED);
+                assert.equal(error.message, 'Ваш аккаунт заблокирован бессрочно. Причина: Спам');
+                return true;
+            });
+
+            const session = await Session.findById(tokens.sessionId);
+            assert.ok(session.revokedAt);
+            assert.equal(session.revokeReason, 'blocked');
+        });
+    });
+
+    describe('PUT /api/users/:id/block', () => {
+        const requestBlock = (actor, target, body) => callHandler(blockUserById, {
+            user: actor,
+            params: { id: target._id.toString() },
+            body,
+        });
+
+        it('блокирует покупателя и отменяет его неоплаченные заказы', async () => {
+            const order = await createOrder({ user: buyer, product: await createProduct(), status: 'pending' });
+
+            const res = await requestBlock(owner, buyer, { reason: 'Мошенничество', cancelPendingOrders: true });
+
+            assert.equal(res.statusCode, 200);
+            assert.deepEqual(res.body.cancelledOrders.map(id => id.toString()), [order._id.toString()]);
+            assert.equal((await User.findById(buyer._id)).isBlocked(), true);
+        });
+
+        it('требует причину и дату окончания в будущем и не дает заблокировать себя', async () => {
+            const withoutReason = await requestBlock(owner, buyer, { reason: ' ' });
+            const pastUntil = await requestBlock(owner, buyer, { reason: 'Спам', until: '2000-01-01T00:00:00Z' });
+            const self = await requestBlock(owner, owner, { reason: 'Спам' });
+
+            assert.deepEqual([withoutReason.statusCode, pastUntil.statusCode, self.statusCode], [400, 400, 400]);
+            assert.equal(await User.countDocuments({ blockedAt: { $ne: null } }), 0);
+        });
+    });
+});
\ No newline at end of file
@@ -0,0 +1,187 @@
+// Файл: tests/variants.test.js
+// Назначение: Тесты вариантов товара (фасовок): сводные цена и остаток, резерв по варианту, заказ и обновление вариантов.
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const Product = require('../models/Product');
+const { updateProduct } = require('../controllers/productController');
+const { createOrder } = require('../controllers/orderController');
+const { reserveStock, releaseStock } = require('../services/stockService');
+const { connectTestDb, clearTestDb, disconnectTestDb, createUser, createProduct } = require('./helpers/db');
+const { callHandler } = require('./helpers/http');
+
+// Гемы: 80 шт. за 100 (старая цена 150) и 500 шт. за 500
+const createGems = (smallStock = 5, largeStock = 5) => createProduct({
+    name: 'Гемы',
+    variants: [
+        { label: '80 гемов', price: 100, oldPrice: 150, stock: smallStock },
+        { label: '500 гемов', price: 500, stock: largeStock },
+    ],
+});
+
+describe('Варианты товара', () => {
+    before(connectTestDb);
+    after(disconnectTestDb);
+    beforeEach(clearTestDb);
+
+    it('вычисляет сводные цену, диапазон цен и остаток по вариантам', async () => {
+        const product = await createGems(3, 4);
+
+        assert.equal(product.price, 100);
+        assert.equal(product.oldPrice, 150);
+        assert.equal(product.maxPrice, 500);
+        assert.equal(product.stock, 7);
+    });
+
+    it('разыгрывает остаток варианта отдельно от других вариантов', async () => {
+        const product = await createGems(1, 5);
+        const [smallVariant] = product.variants;
+        const item = { productId: product._id, variantId: smallVariant._id, quantity: 1 };
+
+        const results = await Promise.allSettled([reserveStock([item]), reserveStock([item])]);
+
+        assert.deepEqual(results.map(result => result.status).sort(), ['fulfilled', 'rejected']);
+        const updated = await Product.findById(product._id);
+        assert.equal(updated.variants.id(smallVariant._id).stock, 0);
+        assert.equal(updated.variants[1].stock, 5);
+        assert.equal(updated.stock, 5);
+    });
+
+    describe('Заказ', () => {
+        const placeOrder = async (items) => {
+            const buyer = await createUser();
+            return callHandler(createOrder, { user: { id: buyer._id.toString() }, body: { items } });
+        };
+
+        it('берет цену варианта и сохраняет вариант в позиции заказа', async () => {
+            const product = await createGems();
+            const largeVariant = product.variants[1];
+
+            const res = await placeOrder([{ productId: product._id.toString(), variantId: largeVariant._id.toString(), quantity: 2 }]);
+
+            assert.equal(res.statusCode, 201);
+            assert.equal(res.body.totalAmount, 1000);
+            assert.equal(res.body.items[0].variantId.toString(), largeVariant._id.toString());
+            assert.equal(res.body.items[0].variantLabel, '500 гемов');
+            assert.equal((await Product.findById(product._id)).variants[1].stock, 3);
+        });
+
+        it('требует выбрать вариант у товара с вариантами', async () => {
+            const product = await createGems();
+
+            const res = await placeOrder([{ productId: product._id.toString(), quantity: 1 }]);
+
+            assert.equal(res.statusCode, 400);
+            assert.equal(res.body.variants.length, 2);
+        });
+
+        it('не принимает вариант у товара без вариантов', async () => {
+            const product = await createProduct();
+
+            const res = await placeOrder([{ productId: product._id.toString(), variantId: product._id.toString(), quantity: 1 }]);
+
+            assert.equal(res.statusCode, 400);
+        });
+    });
+
+    describe('Обновление вариантов', () => {
+        // Имитация заказа, оформленного между чтением товара в updateProduct и записью изменений
+        const reserveDuringUpdate = (t, item) => {
+            const originalSave = Product.prototype.save;
+            t.mock.method(Product.prototype, 'save', async function (...args) {
+                await reserveStock([item]);
+                return originalSave.apply(this, args);
+            });
+        };
+
+        const requestUpdate = async (product, body) => {
+            const admin = await createUser();
+            return callHandler(updateProduct, {
+                user: { id: admin._id.toString() },
+                params: { id: product._id.toString() },
+                body,
+            });
+        };
+
+        it('не затирает остаток, списанный параллельным заказом', async (t) => {
+            const product = await createGems(5, 5);
+            const [smallVariant, largeVariant] = product.variants;
+            reserveDuringUpdate(t, { productId: product._id, variantId: smallVariant._id, quantity: 2 });
+
+            const res = await requestUpdate(product, {
+                variants: [
+                    { _id: smallVariant._id.toString(), label: '80 гемов (акция)', price: 90 },
+                    { _id: largeVariant._id.toString(), label: '500 гемов', price: 500, stock: 5 },
+                ],
+            });
+
+            assert.equal(res.statusCode, 200);
+            const updated = await Product.findById(product._id);
+            assert.equal(updated.variants.id(smallVariant._id).label, '80 гемов (акция)');
+            assert.equal(updated.variants.id(smallVariant._id).stock, 3);
+            assert.equal(updated.price, 90);
+            assert.equal(updated.stock, 8);
+        });
+
+        it('меняет остаток варианта на разницу с прочитанным значением', async (t) => {
+            const product = await createGems(5, 5);
+            const [smallVariant, largeVariant] = product.variants;
+            reserveDuringUpdate(t, { productId: product._id, variantId: smallVariant._id, quantity: 2 });
+
+            await requestUpdate(product, {
+                variants: [
+                    { _id: smallVariant._id.toString(), label: '80 гемов', price: 100, stock: 10 },
+                    { _id: largeVariant._id.toString(), label: '500 гемов', price: 500 },
+                ],
+            });
+
+            const updated = await Product.findById(product._id);
+            assert.equal(updated.variants.id(smallVariant._id).stock, 8);
+            assert.equal(updated.stock, 13);
+        });
+
+        it('удаляет отсутствующие варианты, добавляет новые и пересчитывает сводные поля', async () => {
+            const product = await createGems(5, 5);
+            const largeVariant = product.variants[1];
+
+            const res = await requestUpdate(product, {
+                variants: [
+                    { _id: largeVariant._id.toString(), label: '500 гемов', price: 500 },
+                    { label: '$2000 гемов', price: 1800, stock: 2 },
+                ],
+            });
+
+            assert.equal(res.statusCode, 200);
+            assert.deepEqual(res.body.variants.map(variant => variant.label), ['500 гемов', '$2000 гемов']);
+            assert.ok(res.body.variants[1]._id);
+            assert.equal(res.body.price, 500);
+            assert.equal(res.body.oldPrice, null);
+            assert.equal(res.body.maxPrice, 1800);
+            assert.equal(res.body.stock, 7);
+        });
+
+        it('не дает задать цену и остаток товара с вариантами напрямую', async () => {
+            const product = await createGems();
+
+            const res = await requestUpdate(product, { price: 50 });
+
+            assert.equal(res.statusCode, 400);
+        });
+    });
+
+    it('сообщает о позиции, которую не удалось вернуть на склад из-за удаленного варианта', async () => {
+        const product = await createGems(5, 5);
+        const [smallVariant, largeVariant] = product.variants;
+        await Product.updateOne({ _id: product._id }, { $pull: { variants: { _id: smallVariant._id } } });
+
+        const notReleased = await releaseStock([
+            { productId: product._id, variantId: smallVariant._id, quantity: 1 },
+            { productId: product._id, variantId: largeVariant._id, quantity: 1 },
+        ]);
+
+        assert.deepEqual(notReleased.map(item => item.variantId.toString()), [smallVariant._id.toString()]);
+        const updated = await Product.findById(product._id);
+        assert.equal(updated.variants.id(largeVariant._id).stock, 6);
+        assert.equal(updated.stock, 11);
+    });
+});
\ No newline at end of file
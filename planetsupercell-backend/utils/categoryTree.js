@@ -0,0 +1,109 @@
+// Файл: utils/categoryTree.js
+// Назначение: Вспомогательные функции для работы с иерархией категорий в памяти (одним запросом к БД).
+
+const Category = require('../models/Category');
+
+// --- Загрузка всех категорий одним запросом ---
+// Возвращает "легкие" объекты (lean), которых достаточно для построения дерева
+// filter - например, { archivedAt: null }, чтобы получить только активные категории
+const loadCategories = (filter = {}) => Category.find(filter)
+    .select('name parentId image description archivedAt checkoutFields')
+    .sort('name')
+    .lean();
+
+// --- Карта "ID родителя -> массив дочерних категорий" ---
+// Корневые категории лежат под ключом 'root'
+const buildChildrenMap = (categories) => {
+    const childrenMap = new Map();
+    for (const category of categories) {
+        const key = category.parentId ? category.parentId.toString() : 'root';
+        if (!childrenMap.has(key)) {
+            childrenMap.set(key, []);
+        }
+        childrenMap.get(key).push(category);
+    }
+    return childrenMap;
+};
+
+// --- ID всех потомков категории (без самой категории) ---
+// categories - уже загруженный список (если не передан, загружается одним запросом)
+const getDescendantIds = async (rootId, categories = null) => {
+    const allCategories = categories || await loadCategories();
+    const childrenMap = buildChildrenMap(allCategories);
+
+    const ids = [];
+    const queue = [rootId.toString()];
+    const visited = new Set(queue); // Защита от циклов в поврежденных данных
+    while (queue.length > 0) {
+        const currentId = queue.shift();
+        for (const child of childrenMap.get(currentId) || []) {
+            const childId = child._id.toString();
+            if (visited.has(childId)) continue;
+            visited.add(childId);
+            ids.push(child._id);
+            queue.push(childId);
+        }
+    }
+    return ids;
+};
+
+// --- Путь от корня до категории (для "хлебных крошек") ---
+// Возвращает массив [{ _id, name }, ...] начиная с корневой категории, или null, если категория не найдена
+const getCategoryPath = async (categoryId, categories = null) => {
+    const allCategories = categories || await loadCategories();
+    const byId = new Map(allCategories.map(category => [category._id.toString(), category]));
+
+    const path = [];
+    const visited = new Set();
+    let current = byId.get(categoryId.toString());
+    if (!current) return null;
+
+    while (current && !visited.has(current._id.toString())) {
+        visited.add(current._id.toString());
+        path.unshift({ _id: current._id, name: current.name });
+        current = current.parentId ? byId.get(current.parentId.toString()) : null;
+    }
+    return path;
+};
+
+// --- Построение вложенного дерева ---
+// productCounts - Map "ID категории -> количество товаров непосредственно в ней"
+// rootId        - если указан, возвращается только поддерево этой категории (массив из одного узла)
+// Каждый узел содержит directProductCount (товары в самой категории)
+// и totalProductCount (товары в категории и всех ее потомках).
+const buildCategoryTree = (categories, productCounts = new Map(), rootId = null) => {
+    const childrenMap = buildChildrenMap(categories);
+    const visited = new Set();
+
+    const buildNode = (category) => {
+        const id = category._id.toString();
+        visited.add(id);
+        const children = (childrenMap.get(id) || [])
+            .filter(child => !visited.has(child._id.toString()))
+            .map(buildNode);
+        const directProductCount = productCounts.get(id) || 0;
+        return {
+            _id: category._id,
+            name: category.name,
+            parentId: category.parentId,
+            image: category.image,
+            description: category.description,
+            directProductCount,
+            totalProductCount: children.reduce((sum, child) => sum + child.totalProductCount, directProductCount),
+            children,
+        };
+    };
+
+    if (rootId) {
+        const root = categories.find(category => category._id.toString() === rootId.toString());
+        return root ? [buildNode(root)] : null;
+    }
+    return (childrenMap.get('root') || []).map(buildNode);
+};
+
+module.exports = {
+    loadCategories,
+    getDescendantIds,
+    getCategoryPath,
+    buildCategoryTree,
+};
\ No newline at end of file
@@ -0,0 +1,167 @@
+// Файл: utils/checkoutFields.js
+// Назначение: Вычисление, проверка и маскирование полей оформления заказа (тег игрока, email Supercell ID и т.п.).
+
+const { getCategoryPath } = require('./categoryTree');
+
+const MAX_VALUE_LENGTH = 256; // Ограничение длины значения (в том числе защита от тяжелых регулярных выражений)
+
+// --- Встроенные валидаторы ---
+// normalize приводит значение к каноническому виду, test проверяет результат
+const BUILT_IN_VALIDATORS = {
+    // Тег игрока Supercell: '#' + символы из алфавита 0289PYLQGRJCUV.
+    // Покупатели часто вводят тег без '#', строчными буквами или с буквой O вместо нуля.
+    supercellPlayerTag: {
+        normalize: (value) => {
+            const tag = value.toUpperCase().replace(/\s+/g, '').replace(/O/g, '0').replace(/^#/, '');
+            return `#${tag}`;
+        },
+        test: (value) => /^#[0289PYLQGRJCUV]{3,14}$/.test(value),
+        message: 'Некорректный тег игрока Supercell (пример: #2PP0JCCL).',
+    },
+    // Email аккаунта Supercell ID
+    supercellIdEmail: {
+        normalize: (value) => value.trim().toLowerCase(),
+        test: (value) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value),
+        message: 'Некорректный email Supercell ID.',
+    },
+};
+
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// --- Проверка схемы полей, которую задает администратор ---
+// Возвращает { fields } с нормализованным массивом или { error } с текстом ошибки
+const normalizeCheckoutFields = (fields) => {
+    if (!Array.isArray(fields)) {
+        return { error: 'Поля оформления (checkoutFields) должны быть массивом.' };
+    }
+    const keys = new Set();
+    for (const field of fields) {
+        if (!field || !field.key || !field.label) {
+            return { error: 'У каждого поля оформления должны быть key и label.' };
+        }
+        if (keys.has(field.key)) {
+            return { error: `Поле оформления '${field.key}' указано дважды.` };
+        }
+        keys.add(field.key);
+        if (field.pattern) {
+            try {
+                new RegExp(field.pattern);
+            } catch (regexError) {
+                return { error: `Поле '${field.key}': некорректное регулярное выражение.` };
+            }
+        }
+        if (field.type === 'select' && (!Array.isArray(field.options) || field.options.length === 0)) {
+            return { error: `Поле '${field.key}': для типа select укажите options.` };
+        }
+    }
+    return { fields };
+};
+
+// --- Итоговый набор полей для товара ---
+// Поля собираются по цепочке категорий от корня до категории товара, затем добавляются поля товара.
+// Поле с тем же key на более глубоком уровне переопределяет поле выше.
+// categories - заранее загруженный список категорий (с checkoutFields)
+const resolveCheckoutFields = async (product, categories) => {
+    const byKey = new Map();
+    const categoryId = product.categoryId && product.categoryId._id ? product.categoryId._id : product.categoryId;
+    const path = categoryId ? (await getCategoryPath(categoryId, categories)) || [] : [];
+    const categoryById = new Map(categories.map(category => [category._id.toString(), category]));
+
+    for (const { _id } of path) {
+        const category = categoryById.get(_id.toString());
+        for (const field of (category && category.checkoutFields) || []) {
+            byKey.set(field.key, field);
+        }
+    }
+    for (const field of product.checkoutFields || []) {
+        byKey.set(field.key, field);
+    }
+    return Array.from(byKey.values());
+};
+
+// --- Проверка значений, введенных покупателем ---
+// values - объект { key: value }
+// Возвращает { values: [{ key, label, value }], errors: [{ key, message }] }
+const validateCheckoutValues = (fields, values = {}) => {
+    const result = [];
+    const errors = [];
+    const input = values && typeof values === 'object' ? values : {};
+
+    for (const field of fields) {
+        const raw = input[field.key];
+        let value = raw === undefined || raw === null ? '' : String(raw).trim();
+
+        if (!value) {
+            if (field.required) {
+                errors.push({ key: field.key, message: `Поле "${field.label}" обязательно.` });
+            }
+            continue;
+        }
+        if (value.length > MAX_VALUE_LENGTH) {
+            errors.push({ key: field.key, message: `Поле "${field.label}" слишком длинное.` });
+            continue;
+        }
+
+        const builtIn = BUILT_IN_VALIDATORS[field.validator];
+        if (builtIn) {
+            value = builtIn.normalize(value);
+            if (!builtIn.test(value)) {
+                errors.push({ key: field.key, message: `${field.label}: ${builtIn.message}` });
+                continue;
+            }
+        }
+        if (field.type === 'email' && !EMAIL_REGEX.test(value)) {
+            errors.push({ key: field.key, message: `Поле "${field.label}" должно содержать email.` });
+            continue;
+        }
+        if (field.type === 'number' && isNaN(value)) {
+            errors.push({ key: field.key, message: `Поле "${field.label}" должно быть числом.` });
+            continue;
+        }
+        if (field.type === 'select' && !field.options.includes(value)) {
+            errors.push({ key: field.key, message: `Поле "${field.label}": допустимые значения - ${field.options.join(', ')}.` });
+            continue;
+        }
+        if (field.pattern && !new RegExp(field.pattern).test(value)) {
+            errors.push({ key: field.key, message: `Поле "${field.label}" заполнено в неверном формате.` });
+            continue;
+        }
+
+        result.push({ key: field.key, label: field.label, value });
+    }
+
+    return { values: result, errors };
+};
+
+// --- Маскирование значения (для всех, кроме администраторов) ---
+// 'user@mail.com' -> 'us***@mail.com', '#2PP0JCCL' -> '#2***CL'
+const maskValue = (value) => {
+    const text = String(value || '');
+    const atIndex = text.indexOf('@');
+    if (atIndex > 0) {
+        return `${text.slice(0, Math.min(2, atIndex))}***${text.slice(atIndex)}`;
+    }
+    if (text.length <= 4) {
+        return '*'.repeat(text.length);
+    }
+    return `${text.slice(0, 2)}***${text.slice(-2)}`;
+};
+
+// --- Маскирование полей оформления во всех позициях заказа ---
+// Принимает документ или объект заказа, возвращает обычный объект
+const maskOrderCheckoutFields = (order) => {
+    const orderObject = typeof order.toObject === 'function' ? order.toObject() : { ...order };
+    orderObject.items = (orderObject.items || []).map(item => ({
+        ...item,
+        checkoutFields: (item.checkoutFields || []).map(field => ({ ...field, value: maskValue(field.value) })),
+    }));
+    return orderObject;
+};
+
+module.exports = {
+    normalizeCheckoutFields,
+    resolveCheckoutFields,
+    validateCheckoutValues,
+    maskValue,
+    maskOrderCheckoutFields,
+};
\ No newline at end of file